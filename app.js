@@ -7,12 +7,25 @@
 import { STATE, CONFIG, getStateSnapshot } from './state.js';
 import storage from './storage.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
-import { loadData, saveData, addEntry, deleteEntry } from './dataManager.js';
+import reconciliationManager from './reconciliation.js';
+import expensesManager from './expenses.js';
+import budgetManager from './budgets.js';
+import bankStatementManager from './bankStatements.js';
+import myDataExporter from './mydata.js';
+import cashFlowManager from './cashflow.js';
+import { loadData, saveData, addEntry, deleteEntry, setUniquenessRule, countDuplicateEntries, setInsuranceTaxDefaults, getEntryTax } from './dataManager.js';
 import { 
     showToast,
+    showActionToast,
     renderDashboard, 
     renderEntriesTable,
-    renderSourcesAndInsurances 
+    renderSourcesAndInsurances,
+    renderDeductionTemplates,
+    renderRebateBrackets,
+    renderRebateBracketRow,
+    renderSnapshots,
+    renderBackupDiff,
+    renderBudgetGrid
 } from './uiRenderers.js';
 import {
     showDeductionFields,
@@ -23,11 +36,12 @@ import {
     resetQuickForm,
     setupRememberSelections
 } from './formHandlers.js';
-import { initializeEventHandlers } from './eventHandlers.js';
+import { initializeEventHandlers, undoAction } from './eventHandlers.js';
 import { setFilters, clearFilters, applyFilters } from './filters.js';
-import backupManager, { exportBackup, importBackup, getImportPreview } from './backup.js';
+import backupManager, { exportBackup, importBackup, getImportPreview, restoreSelected } from './backup.js';
 import pdfExportManager from './pdfExport.js';
-import csvValidator from './csvValidator.js';
+import xlsxManager from './xlsxExport.js';
+import comparisonManager from './comparison.js';
 import { cdnChecker, periodicChecker } from './cdnChecker.js';
 import {
     escapeHtml,
@@ -87,6 +101,26 @@ window.editEntry = async function(id) {
     if (entryType) entryType.value = entry.type;
     if (entryAmount) entryAmount.value = entry.originalAmount || entry.amount;
     
+    const entryInvoiceNumber = document.getElementById('entryInvoiceNumber');
+    if (entryInvoiceNumber) entryInvoiceNumber.value = entry.invoiceNumber || '';
+    
+    const entryVatRate = document.getElementById('entryVatRate');
+    if (entryVatRate) entryVatRate.value = entry.vatRate ?? '';
+    const entryWithholdingRate = document.getElementById('entryWithholdingRate');
+    if (entryWithholdingRate) entryWithholdingRate.value = entry.withholdingRate ?? '';
+    
+    // Payment fields
+    const paymentFieldValues = {
+        entryPaymentStatus: entry.paymentStatus,
+        entryAmountReceived: entry.amountReceived || '',
+        entryPaymentDate: entry.paymentDate,
+        entryExpectedPaymentDate: entry.expectedPaymentDate
+    };
+    Object.entries(paymentFieldValues).forEach(([fieldId, value]) => {
+        const el = document.getElementById(fieldId);
+        if (el) el.value = value || '';
+    });
+    
     console.log('[EditEntry] Basic fields filled');
     
     // Fill notes
@@ -165,7 +199,7 @@ window.editEntry = async function(id) {
     }
 
     // Show correct deduction fields
-    const { showModalDeductionFields } = await import('./formHandlers.js');
+    const { showModalDeductionFields, prefillTieredRebate } = await import('./formHandlers.js');
     if (typeof showModalDeductionFields === 'function') {
         showModalDeductionFields();
         console.log('[EditEntry] showModalDeductionFields() called');
@@ -173,6 +207,14 @@ window.editEntry = async function(id) {
         console.error('[EditEntry] showModalDeductionFields is not defined');
     }
     
+    // Rebate bracket hint (stored values are kept as entered)
+    delete document.getElementById('entryRebate')?.dataset.autoValue;
+    prefillTieredRebate('entry', { fill: false });
+    
+    // Change history timeline
+    const { renderEntryHistory } = await import('./uiRenderers.js');
+    renderEntryHistory(entry.id);
+    
     // Open modal
     const modal = document.getElementById('entryModal');
     if (modal) {
@@ -194,17 +236,12 @@ window.editEntry = async function(id) {
     console.log('[EditEntry] Complete');
 };
 
-window.saveEntry = async function() {
-    console.log('Save entry called');
-    // ... κώδικας από eventHandlers.js
-};
-
 window.confirmDelete = async function(id) {
     if (confirm('Είστε σίγουροι ότι θέλετε να διαγράψετε αυτή την εγγραφή;')) {
         try {
             const success = await deleteEntry(id);
             if (success) {
-                showToast(STRINGS.success.entryDeleted, 'success');
+                showActionToast(STRINGS.success.entryDeleted, 'Αναίρεση', undoAction);
                 renderEntriesTable();
                 if (STATE.currentView === 'dashboard') renderDashboard();
             }
@@ -237,6 +274,53 @@ window.removeInsurance = async function(insurance) {
     }
 };
 
+// Deduction template form fields: template percentage key => input id
+const TEMPLATE_PERCENT_INPUTS = {
+    parakratisi: 'templateParakratisi',
+    mde: 'templateMDE',
+    rebate: 'templateRebate',
+    krathseis: 'templateKrathseis',
+    clawback: 'templateClawback'
+};
+
+function resetTemplateForm() {
+    ['templateId', 'templateName', 'templateSource', 'templateEffectiveFrom', 'templateEffectiveTo',
+        ...Object.values(TEMPLATE_PERCENT_INPUTS)].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
+    const period = document.getElementById('templateClawbackPeriod');
+    if (period) period.value = 'monthly';
+}
+
+window.editDeductionTemplate = function(id) {
+    const template = eopyyDeductionsManager.getTemplate(id);
+    if (!template) return;
+
+    document.getElementById('templateId').value = template.id;
+    document.getElementById('templateName').value = template.name;
+    document.getElementById('templateSource').value = template.source || '';
+    document.getElementById('templateEffectiveFrom').value = template.effectiveFrom;
+    document.getElementById('templateEffectiveTo').value = template.effectiveTo || '';
+    document.getElementById('templateClawbackPeriod').value = template.clawbackPeriod || 'monthly';
+    Object.entries(TEMPLATE_PERCENT_INPUTS).forEach(([key, inputId]) => {
+        document.getElementById(inputId).value = template.percentages[key] || '';
+    });
+    document.getElementById('templateName').focus();
+};
+
+window.deleteDeductionTemplate = async function(id) {
+    const template = eopyyDeductionsManager.getTemplate(id);
+    if (!template) return;
+
+    if (confirm(`Διαγραφή του προτύπου "${template.name}";\nΟι κρατήσεις που έχουν ήδη εφαρμοστεί παραμένουν.`)) {
+        await eopyyDeductionsManager.deleteTemplate(id);
+        resetTemplateForm();
+        renderDeductionTemplates();
+        showToast('Το πρότυπο διαγράφηκε', 'success');
+    }
+};
+
 window.exportChartPDF = async function(canvasId) {
     if (!STATE.cdnAvailable) {
         showToast('PDF export δεν είναι διαθέσιμο', 'error');
@@ -291,6 +375,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     console.log('📂 Loading data...');
     await loadData();
+    await reconciliationManager.loadStatements();
+    await expensesManager.loadExpenses();
+    await budgetManager.loadBudgets();
+    await bankStatementManager.loadTransactions();
+    await myDataExporter.loadSettings();
+    await cashFlowManager.loadSettings();
+
+    // Daily local snapshot (taken now if today's is missing)
+    await backupManager.startSnapshotSchedule();
 
     // ✅ CRITICAL: Render UI AFTER data is loaded
     console.log('🎨 Rendering UI...');
@@ -311,6 +404,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupDateAutoFormat(document.getElementById('entryDate'));
     setupDateAutoFormat(document.getElementById('filterDateFrom'));
     setupDateAutoFormat(document.getElementById('filterDateTo'));
+    setupDateAutoFormat(document.getElementById('expenseDate'));
 
     // Setup form handlers
     setupQuickFormPercentages();
@@ -339,6 +433,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 insurance: insurance,
                 type: document.getElementById('quickType').value,
                 amount: parseFloat(document.getElementById('quickAmount').value),
+                invoiceNumber: document.getElementById('quickInvoiceNumber')?.value.trim() || '',
+                vatRate: document.getElementById('quickVatRate')?.value ?? '',
+                withholdingRate: document.getElementById('quickWithholdingRate')?.value ?? '',
                 notes: document.getElementById('quickNotes').value
             };
 
@@ -464,10 +561,11 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
             
             // Build CSV
             const csv = [
-                ['Ημερομηνία', 'Διαγνωστικό', 'Ασφάλεια', 'Τύπος', 'Αρχικό Ποσό', 'Παρακράτηση', 'ΜΔΕ', 'Rebate', 'Κρατήσεις', 'Clawback', 'Τελικό Ποσό', 'Σημειώσεις'].join(','),
+                ['Ημερομηνία', 'Διαγνωστικό', 'Ασφάλεια', 'Τύπος', 'Αρχικό Ποσό', 'Παρακράτηση', 'ΜΔΕ', 'Rebate', 'Κρατήσεις', 'Clawback', 'Τελικό Ποσό', 'ΦΠΑ %', 'ΦΠΑ', 'Παρακράτηση Φόρου %', 'Παρακράτηση Φόρου', 'Σημειώσεις'].join(','),
                 ...filtered.map(entry => {
                     const amounts = eopyyDeductionsManager.getAmountsBreakdown(entry);
                     const isEopyy = eopyyDeductionsManager.isEopyyEntry(entry);
+                    const tax = getEntryTax(entry);
                     
                     return [
                         entry.date,
@@ -481,6 +579,10 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                         amounts.krathseis.toFixed(2),
                         isEopyy ? amounts.clawback.toFixed(2) : '0',
                         amounts.finalAmount.toFixed(2),
+                        tax.vatRate,
+                        tax.vat.toFixed(2),
+                        tax.withholdingRate,
+                        tax.withheld.toFixed(2),
                         `"${(entry.notes || '').replace(/"/g, '""')}"`
                     ].join(',');
                 })
@@ -497,6 +599,93 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         });
     }
 
+    // ========================================
+    // Excel Export
+    // ========================================
+    const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+    if (exportXlsxBtn) {
+        exportXlsxBtn.addEventListener('click', () => {
+            const filtered = applyFilters();
+
+            const rows = filtered.map(entry => {
+                const amounts = eopyyDeductionsManager.getAmountsBreakdown(entry);
+                const isEopyy = eopyyDeductionsManager.isEopyyEntry(entry);
+                const tax = getEntryTax(entry);
+
+                return [
+                    entry.date,
+                    entry.source,
+                    entry.insurance,
+                    entry.type === 'cash' ? 'Μετρητά' : 'Τιμολόγια',
+                    entry.invoiceNumber || '',
+                    amounts.originalAmount,
+                    isEopyy ? amounts.parakratisi : 0,
+                    isEopyy ? amounts.mde : 0,
+                    isEopyy ? amounts.rebate : 0,
+                    amounts.krathseis,
+                    isEopyy ? amounts.clawback : 0,
+                    amounts.finalAmount,
+                    entry.type === 'invoice' ? tax.vatRate : null,
+                    tax.vat,
+                    entry.type === 'invoice' ? tax.withholdingRate : null,
+                    tax.withheld,
+                    entry.notes || ''
+                ];
+            });
+
+            try {
+                xlsxManager.exportWorkbook([{
+                    name: 'Εγγραφές',
+                    columns: [
+                        { header: 'Ημερομηνία' },
+                        { header: 'Διαγνωστικό' },
+                        { header: 'Ασφάλεια' },
+                        { header: 'Τύπος' },
+                        { header: 'Αρ. Τιμολογίου' },
+                        { header: 'Αρχικό Ποσό', format: 'currency' },
+                        { header: 'Παρακράτηση', format: 'currency' },
+                        { header: 'ΜΔΕ', format: 'currency' },
+                        { header: 'Rebate', format: 'currency' },
+                        { header: 'Κρατήσεις', format: 'currency' },
+                        { header: 'Clawback', format: 'currency' },
+                        { header: 'Τελικό Ποσό', format: 'currency' },
+                        { header: 'ΦΠΑ %', format: 'percent' },
+                        { header: 'ΦΠΑ', format: 'currency' },
+                        { header: 'Παρακράτηση Φόρου %', format: 'percent' },
+                        { header: 'Παρακράτηση Φόρου', format: 'currency' },
+                        { header: 'Σημειώσεις' }
+                    ],
+                    rows
+                }], `entries_${new Date().toISOString().slice(0, 10)}.xlsx`);
+
+                showToast('Excel εξήχθη επιτυχώς', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα εξαγωγής Excel', 'error');
+            }
+        });
+    }
+
+    const exportComparisonXlsxBtn = document.getElementById('exportComparisonXlsxBtn');
+    if (exportComparisonXlsxBtn) {
+        exportComparisonXlsxBtn.addEventListener('click', () => {
+            const comparison = comparisonManager.getLastComparison();
+            if (!comparison) {
+                showToast('Δεν υπάρχει σύγκριση για εξαγωγή', 'warning');
+                return;
+            }
+
+            try {
+                xlsxManager.exportWorkbook(
+                    comparisonManager.getXLSXSheets(comparison),
+                    `comparison_${new Date().toISOString().slice(0, 10)}.xlsx`
+                );
+                showToast('Excel εξήχθη επιτυχώς', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα εξαγωγής Excel', 'error');
+            }
+        });
+    }
+
     // ========================================
     // PDF Exports
     // ========================================
@@ -563,6 +752,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
             const reportPeriodType = document.getElementById('reportPeriodType');
             const generateReportBtn = document.getElementById('generateReportBtn');
             const exportReportCsvBtn = document.getElementById('exportReportCsvBtn');
+            const exportReportXlsxBtn = document.getElementById('exportReportXlsxBtn');
             
             // ✅ FIX 12: Populate years with validation
             try {
@@ -598,7 +788,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     // Show relevant options
                     if (type === 'annual') {
                         document.getElementById('reportAnnualOptions').style.display = 'block';
-                    } else if (type === 'quarterly') {
+                    } else if (type === 'quarterly' || type === 'vat') {
                         document.getElementById('reportAnnualOptions').style.display = 'block';
                         document.getElementById('reportQuarterlyOptions').style.display = 'block';
                     } else if (type === 'semiannual') {
@@ -634,6 +824,49 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     }
                 });
             }
+            
+            // Export Excel (one sheet per breakdown)
+            if (exportReportXlsxBtn) {
+                exportReportXlsxBtn.addEventListener('click', () => {
+                    if (!window.currentReport || window.currentReport.isEmpty) {
+                        showToast('Δημιουργήστε πρώτα μια αναφορά', 'warning');
+                        return;
+                    }
+                    
+                    try {
+                        xlsxManager.exportWorkbook(
+                            reportsManager.getXLSXSheets(window.currentReport),
+                            `report_${new Date().toISOString().slice(0, 10)}.xlsx`
+                        );
+                        showToast('Excel εξήχθη επιτυχώς', 'success');
+                    } catch (error) {
+                        showToast(error.message || 'Σφάλμα εξαγωγής Excel', 'error');
+                    }
+                });
+            }
+            
+            // Export myDATA XML (invoices of the report period)
+            const exportMyDataBtn = document.getElementById('exportMyDataBtn');
+            if (exportMyDataBtn) {
+                exportMyDataBtn.addEventListener('click', () => {
+                    if (!window.currentReport || window.currentReport.isEmpty) {
+                        showToast('Δημιουργήστε πρώτα μια αναφορά', 'warning');
+                        return;
+                    }
+                    
+                    const { from, to } = window.currentReport.summary.dateRange;
+                    const result = myDataExporter.exportPeriod(from, to);
+                    
+                    if (result.errors.length > 0) {
+                        const more = result.errors.length > 5 ? `\n... και ${result.errors.length - 5} ακόμη` : '';
+                        showToast(`Η εξαγωγή myDATA απέτυχε τον έλεγχο:\n${result.errors.slice(0, 5).join('\n')}${more}`, 'error');
+                        return;
+                    }
+                    
+                    const count = result.documents.reduce((sum, doc) => sum + doc.invoiceCount, 0);
+                    showToast(`Εξήχθησαν ${count} τιμολόγια σε ${result.documents.length} αρχεία myDATA`, 'success');
+                });
+            }
         }
 
         /**
@@ -646,6 +879,8 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 const forecastPeriods = document.getElementById('forecastPeriods');
                 const forecastPeriodsLabel = document.getElementById('forecastPeriodsLabel');
                 const forecastIncludeParakratisi = document.getElementById('forecastIncludeParakratisi');
+                const forecastConfidenceLevel = document.getElementById('forecastConfidenceLevel');
+                const forecastIntervalMethod = document.getElementById('forecastIntervalMethod');
                 const generateForecastBtn = document.getElementById('generateForecastBtn');
                 const resetForecastBtn = document.getElementById('resetForecastBtn');
                 const exportForecastCsvBtn = document.getElementById('exportForecastCsvBtn');
@@ -659,6 +894,10 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 const hwAlphaLabel = document.getElementById('hwAlphaLabel');
                 const hwBetaLabel = document.getElementById('hwBetaLabel');
                 const hwGammaLabel = document.getElementById('hwGammaLabel');
+                const hwPhi = document.getElementById('hwPhi');
+                const hwPhiLabel = document.getElementById('hwPhiLabel');
+                const hwOptimize = document.getElementById('hwOptimize');
+                const hwManualParams = document.getElementById('hwManualParams');
                 const hwAdvancedOptions = document.getElementById('hwAdvancedOptions');
                 
                 let currentForecast = null;
@@ -667,7 +906,13 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 const methodDescriptions = {
                     linear: 'Γραμμική τάση - Καλύτερη για σταθερά αυξανόμενα/μειούμενα έσοδα',
                     seasonal: 'Εποχικό μοντέλο - Ιδανικό όταν υπάρχει επαναλαμβανόμενο pattern',
-                    'holt-winters': 'Προηγμένο μοντέλο - Συνδυάζει τάση και εποχικότητα'
+                    'holt-winters': 'Προηγμένο μοντέλο - Συνδυάζει τάση και εποχικότητα',
+                    'holt-winters-multiplicative': 'Holt-Winters με εποχικότητα ανάλογη του επιπέδου εσόδων',
+                    'holt-winters-damped': 'Holt-Winters με τάση που εξασθενεί σε μακρύτερο ορίζοντα',
+                    arima: 'ARIMA/SARIMA lite - Αυτοπαλινδρόμηση σε διαφορές (εποχικές με 24+ μήνες)',
+                    'moving-average': 'Κινητός μέσος - Σταθερή πρόβλεψη στον μέσο όρο των τελευταίων μηνών',
+                    ensemble: 'Ensemble - Μέσος όρος πολλών μοντέλων για πιο σταθερή πρόβλεψη',
+                    auto: 'Αυτόματη επιλογή - Το μοντέλο με το μικρότερο σφάλμα σε backtest'
                 };
                 
                 if (forecastMethod) {
@@ -682,7 +927,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                         
                         // Show/hide Holt-Winters options
                         if (hwAdvancedOptions) {
-                            hwAdvancedOptions.style.display = method === 'holt-winters' ? 'block' : 'none';
+                            hwAdvancedOptions.style.display = method.startsWith('holt-winters') ? 'block' : 'none';
                         }
                     });
                 }
@@ -714,22 +959,52 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     });
                 }
                 
+                if (hwPhi && hwPhiLabel) {
+                    hwPhi.addEventListener('input', (e) => {
+                        hwPhiLabel.textContent = parseFloat(e.target.value).toFixed(2);
+                    });
+                }
+                
+                // Manual parameters only when optimisation is off
+                if (hwOptimize && hwManualParams) {
+                    hwOptimize.addEventListener('change', (e) => {
+                        hwManualParams.style.display = e.target.checked ? 'none' : 'grid';
+                    });
+                }
+                
+                /**
+                 * Read forecast settings shared by the total and per-group forecasts
+                 */
+                const getForecastSettings = () => {
+                    const method = forecastMethod?.value || 'linear';
+                    const periods = parseInt(forecastPeriods?.value || 6);
+                    const includeParakratisi = forecastIncludeParakratisi?.checked || false;
+                    
+                    // HW parameters
+                    const hwOptions = method.startsWith('holt-winters') ? {
+                        optimize: hwOptimize?.checked ?? true,
+                        alpha: parseFloat(hwAlpha?.value || 0.2),
+                        beta: parseFloat(hwBeta?.value || 0.1),
+                        gamma: parseFloat(hwGamma?.value || 0.1),
+                        phi: parseFloat(hwPhi?.value || 0.9)
+                    } : {};
+                    
+                    // Prediction interval options
+                    const intervalOptions = {
+                        confidenceLevel: parseFloat(forecastConfidenceLevel?.value || 0.95),
+                        intervalMethod: forecastIntervalMethod?.value || 'residual'
+                    };
+                    
+                    return { method, periods, includeParakratisi, hwOptions, intervalOptions };
+                };
+                
                 // Generate Forecast Button
                 if (generateForecastBtn) {
                     generateForecastBtn.addEventListener('click', async () => {
                         console.log('🔮 Generating forecast...');
                         
                         // Get parameters
-                        const method = forecastMethod?.value || 'linear';
-                        const periods = parseInt(forecastPeriods?.value || 6);
-                        const includeParakratisi = forecastIncludeParakratisi?.checked || false;
-                        
-                        // HW parameters
-                        const hwOptions = method === 'holt-winters' ? {
-                            alpha: parseFloat(hwAlpha?.value || 0.2),
-                            beta: parseFloat(hwBeta?.value || 0.1),
-                            gamma: parseFloat(hwGamma?.value || 0.1)
-                        } : {};
+                        const { method, periods, includeParakratisi, hwOptions, intervalOptions } = getForecastSettings();
                         
                         // Validate data
                         if (STATE.entries.length === 0) {
@@ -748,7 +1023,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                                         STATE.entries,
                                         method,
                                         periods,
-                                        { includeParakratisi, ...hwOptions }
+                                        { includeParakratisi, ...hwOptions, ...intervalOptions }
                                     );
                                     resolve(forecast);
                                 }, 500); // Small delay for UX
@@ -866,6 +1141,136 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     });
                 }
                 
+                // Hierarchical forecast (per source / insurance)
+                const hierarchyReconciliation = document.getElementById('hierarchyReconciliation');
+                const hierarchyDimension = document.getElementById('hierarchyDimension');
+                const generateHierarchyBtn = document.getElementById('generateHierarchyBtn');
+                const exportHierarchyCsvBtn = document.getElementById('exportHierarchyCsvBtn');
+                const exportHierarchyXlsxBtn = document.getElementById('exportHierarchyXlsxBtn');
+                let currentHierarchy = null;
+                
+                if (generateHierarchyBtn) {
+                    generateHierarchyBtn.addEventListener('click', async () => {
+                        if (STATE.entries.length === 0) {
+                            showToast('Δεν υπάρχουν δεδομένα για πρόβλεψη', 'warning');
+                            return;
+                        }
+                        
+                        const { method, periods, includeParakratisi, hwOptions, intervalOptions } = getForecastSettings();
+                        const reconciliation = hierarchyReconciliation?.value || 'bottom-up';
+                        
+                        showLoadingIndicator(true);
+                        
+                        try {
+                            // Let the loading indicator paint before the (blocking) fits
+                            const result = await new Promise((resolve) => {
+                                setTimeout(() => {
+                                    resolve(forecastingManager.generateHierarchicalForecast(
+                                        STATE.entries,
+                                        method,
+                                        periods,
+                                        { includeParakratisi, reconciliation, ...hwOptions, ...intervalOptions }
+                                    ));
+                                }, 50);
+                            });
+                            
+                            if (!result.success) {
+                                showToast(result.error || 'Σφάλμα δημιουργίας πρόβλεψης', 'error');
+                                return;
+                            }
+                            
+                            currentHierarchy = result;
+                            forecastingManager.visualizeHierarchy(result, hierarchyDimension?.value || 'source');
+                            
+                            if (exportHierarchyCsvBtn) exportHierarchyCsvBtn.style.display = 'inline-flex';
+                            if (exportHierarchyXlsxBtn) exportHierarchyXlsxBtn.style.display = 'inline-flex';
+                            
+                            showToast(`Προβλέψεις για ${result.bySource.length} διαγνωστικά και ${result.byInsurance.length} ασφάλειες`, 'success');
+                        } catch (error) {
+                            console.error('Hierarchical forecast error:', error);
+                            showToast('Σφάλμα δημιουργίας πρόβλεψης', 'error');
+                        } finally {
+                            showLoadingIndicator(false);
+                        }
+                    });
+                }
+                
+                if (hierarchyDimension) {
+                    hierarchyDimension.addEventListener('change', (e) => {
+                        if (currentHierarchy) {
+                            forecastingManager.visualizeHierarchy(currentHierarchy, e.target.value);
+                        }
+                    });
+                }
+                
+                if (exportHierarchyCsvBtn) {
+                    exportHierarchyCsvBtn.addEventListener('click', () => {
+                        forecastingManager.exportHierarchyCSV(currentHierarchy);
+                    });
+                }
+                
+                if (exportHierarchyXlsxBtn) {
+                    exportHierarchyXlsxBtn.addEventListener('click', () => {
+                        if (!currentHierarchy) {
+                            showToast('Δημιουργήστε πρώτα μια πρόβλεψη', 'warning');
+                            return;
+                        }
+                        
+                        try {
+                            xlsxManager.exportWorkbook(
+                                forecastingManager.getHierarchyXLSXSheets(currentHierarchy),
+                                `forecast_hierarchy_${currentHierarchy.reconciliation}_${new Date().toISOString().slice(0, 10)}.xlsx`
+                            );
+                            showToast('Excel εξήχθη επιτυχώς', 'success');
+                        } catch (error) {
+                            showToast(error.message || 'Σφάλμα εξαγωγής Excel', 'error');
+                        }
+                    });
+                }
+                
+                // Cash-flow projection (payment lags & expected deductions)
+                const generateCashFlowBtn = document.getElementById('generateCashFlowBtn');
+                if (generateCashFlowBtn) {
+                    generateCashFlowBtn.addEventListener('click', async () => {
+                        if (STATE.entries.length === 0) {
+                            showToast('Δεν υπάρχουν δεδομένα για πρόβλεψη', 'warning');
+                            return;
+                        }
+                        
+                        const { method, periods, hwOptions, intervalOptions } = getForecastSettings();
+                        const reconciliation = hierarchyReconciliation?.value || 'bottom-up';
+                        
+                        showLoadingIndicator(true);
+                        
+                        try {
+                            const result = await new Promise((resolve) => {
+                                setTimeout(() => {
+                                    resolve(cashFlowManager.projectCashFlow(
+                                        STATE.entries,
+                                        method,
+                                        periods,
+                                        { reconciliation, ...hwOptions, ...intervalOptions }
+                                    ));
+                                }, 50);
+                            });
+                            
+                            if (!result.success) {
+                                showToast(result.error || 'Σφάλμα πρόβλεψης ταμειακών ροών', 'error');
+                                return;
+                            }
+                            
+                            document.getElementById('cashFlowResults').style.display = 'block';
+                            cashFlowManager.visualizeCashFlow(result, 'cashFlowChart');
+                            populateCashFlowTable(result);
+                        } catch (error) {
+                            console.error('Cash-flow projection error:', error);
+                            showToast('Σφάλμα πρόβλεψης ταμειακών ροών', 'error');
+                        } finally {
+                            showLoadingIndicator(false);
+                        }
+                    });
+                }
+                
                 console.log('✅ Forecasting view setup complete');
             }
 
@@ -1145,10 +1550,18 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
             const autoSyncInterval = document.getElementById('autoSyncInterval');
             const conflictStrategy = document.getElementById('conflictStrategy');
             const manualSyncBtn = document.getElementById('manualSyncBtn');
+            const cloudPassphrase = document.getElementById('cloudPassphrase');
             
             // Load saved settings
             loadCloudSettings();
             
+            // Encryption passphrase (memory only)
+            if (cloudPassphrase) {
+                cloudPassphrase.addEventListener('input', (e) => {
+                    cloudSyncManager.setPassphrase(e.target.value);
+                });
+            }
+            
             // Auto-sync toggle
             if (autoSyncEnabled) {
                 autoSyncEnabled.addEventListener('change', async (e) => {
@@ -1772,9 +2185,10 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         
         // Display metrics
         displayForecastMetrics(result.metrics);
+        displayForecastBacktest(result);
         
         // Populate forecast table
-        populateForecastTable(result.forecast);
+        populateForecastTable(result.forecast, result.confidenceLevel);
         
         // Generate insights
         generateForecastInsights(result);
@@ -1798,19 +2212,31 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
             return;
         }
         
-        // Determine accuracy class
+        // Determine accuracy class (no MAPE when every tested month had zero revenue)
+        const hasMape = metrics.mape !== null;
         let accuracyClass = 'accuracy-good';
-        if (metrics.accuracy < 70) {
+        if (!hasMape) {
+            accuracyClass = '';
+        } else if (metrics.accuracy < 70) {
             accuracyClass = 'accuracy-poor';
         } else if (metrics.accuracy < 85) {
             accuracyClass = 'accuracy-medium';
         }
         
+        // Coverage well below the nominal level means the bands are too narrow
+        const { coverage } = metrics;
+        const hasCoverage = coverage.rate !== null;
+        let coverageClass = '';
+        if (hasCoverage) {
+            const shortfall = coverage.level * 100 - coverage.rate;
+            coverageClass = shortfall > 15 ? 'accuracy-poor' : (shortfall > 5 ? 'accuracy-medium' : 'accuracy-good');
+        }
+        
         container.innerHTML = `
             <div class="metric-card">
                 <span class="metric-label">Ακρίβεια</span>
-                <span class="metric-value ${accuracyClass}">${metrics.accuracy.toFixed(1)}%</span>
-                <span class="metric-description">Συνολική απόδοση μοντέλου</span>
+                <span class="metric-value ${accuracyClass}">${hasMape ? metrics.accuracy.toFixed(1) + '%' : '-'}</span>
+                <span class="metric-description">Εκτός δείγματος (${metrics.origins} σημεία backtest)</span>
             </div>
             
             <div class="metric-card">
@@ -1827,19 +2253,102 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
             
             <div class="metric-card">
                 <span class="metric-label">MAPE</span>
-                <span class="metric-value ${accuracyClass}">${metrics.mape.toFixed(2)}%</span>
+                <span class="metric-value ${accuracyClass}">${hasMape ? metrics.mape.toFixed(2) + '%' : '-'}</span>
                 <span class="metric-description">Μέσο ποσοστό σφάλματος</span>
             </div>
+            
+            <div class="metric-card">
+                <span class="metric-label">Κάλυψη Διαστημάτων</span>
+                <span class="metric-value ${coverageClass}">${hasCoverage ? coverage.rate.toFixed(1) + '%' : '-'}</span>
+                <span class="metric-description">Στόχος ${Math.round(coverage.level * 100)}% (${coverage.checked} έλεγχοι)</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Display backtest errors per horizon and model comparison
+     */
+    function displayForecastBacktest(result) {
+        const container = document.getElementById('forecastBacktestDisplay');
+        if (!container) return;
+        
+        const { metrics, comparison, selectedMethod } = result;
+        const formatMape = mape => mape !== null ? `${mape.toFixed(2)}%` : '-';
+        
+        const horizonRows = metrics.available
+            ? metrics.horizons.map(h => `
+                <tr>
+                    <td>+${h.horizon}</td>
+                    <td class="text-right">${formatCurrency(h.mae)}</td>
+                    <td class="text-right">${formatCurrency(h.rmse)}</td>
+                    <td class="text-right">${formatMape(h.mape)}</td>
+                    <td class="text-right">${h.count}</td>
+                    <td class="text-right">${formatMape(h.coverage)}</td>
+                </tr>
+            `).join('')
+            : `<tr><td colspan="6" class="text-center">${escapeHtml(metrics.message)}</td></tr>`;
+        
+        const comparisonRows = comparison.map(({ method, metrics: m }) => `
+            <tr class="${method === selectedMethod ? 'selected-model' : ''}">
+                <td>${escapeHtml(method)}${method === selectedMethod ? ' ✓' : ''}</td>
+                <td class="text-right">${m.available ? formatCurrency(m.mae) : '-'}</td>
+                <td class="text-right">${m.available ? formatCurrency(m.rmse) : '-'}</td>
+                <td class="text-right">${m.available ? formatMape(m.mape) : '-'}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div>
+                <h4>Σφάλμα ανά ορίζοντα (${escapeHtml(selectedMethod)})</h4>
+                <div class="table-responsive">
+                    <table class="data-table data-table-compact">
+                        <thead>
+                            <tr>
+                                <th>Μήνες</th>
+                                <th class="text-right">MAE</th>
+                                <th class="text-right">RMSE</th>
+                                <th class="text-right">MAPE</th>
+                                <th class="text-right">Δείγματα</th>
+                                <th class="text-right">Κάλυψη</th>
+                            </tr>
+                        </thead>
+                        <tbody>${horizonRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div>
+                <h4>Σύγκριση μοντέλων</h4>
+                <div class="table-responsive">
+                    <table class="data-table data-table-compact">
+                        <thead>
+                            <tr>
+                                <th>Μοντέλο</th>
+                                <th class="text-right">MAE</th>
+                                <th class="text-right">RMSE</th>
+                                <th class="text-right">MAPE</th>
+                            </tr>
+                        </thead>
+                        <tbody>${comparisonRows}</tbody>
+                    </table>
+                </div>
+            </div>
         `;
     }
 
     /**
      * Populate forecast table
      */
-    function populateForecastTable(forecasts) {
+    function populateForecastTable(forecasts, confidenceLevel = 0.95) {
         const tbody = document.getElementById('forecastTableBody');
         if (!tbody) return;
         
+        // Headers follow the selected confidence level
+        const levelLabel = `${Math.round(confidenceLevel * 100)}%`;
+        const lowerHeader = document.getElementById('forecastLowerHeader');
+        const upperHeader = document.getElementById('forecastUpperHeader');
+        if (lowerHeader) lowerHeader.textContent = `Κάτω Όριο (${levelLabel})`;
+        if (upperHeader) upperHeader.textContent = `Άνω Όριο (${levelLabel})`;
+        
         tbody.innerHTML = forecasts.map(f => {
             const range = f.upper && f.lower ? f.upper - f.lower : 0;
             
@@ -1855,6 +2364,25 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         }).join('');
     }
 
+    /**
+     * Populate cash-flow projection table
+     */
+    function populateCashFlowTable(result) {
+        const tbody = document.getElementById('cashFlowTableBody');
+        if (!tbody) return;
+        
+        tbody.innerHTML = result.months.map(m => `
+            <tr>
+                <td class="forecast-date">${escapeHtml(m.date)}</td>
+                <td class="text-right">${formatCurrency(m.invoiced)}</td>
+                <td class="text-right">${formatCurrency(m.forecast)}</td>
+                <td class="text-right">${formatCurrency(m.deductions)}</td>
+                <td class="text-right">${formatCurrency(m.clawback)}</td>
+                <td class="text-right forecast-value">${formatCurrency(m.net)}</td>
+            </tr>
+        `).join('');
+    }
+
     /**
      * Generate insights from forecast
      */
@@ -1862,7 +2390,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         const container = document.getElementById('forecastInsights');
         if (!container) return;
         
-        const { historical, forecast, method } = result;
+        const { historical, forecast, method, selectedMethod } = result;
         const insights = [];
         
         // Calculate trend
@@ -1922,16 +2450,35 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         }
         
         // Method-specific insights
-        if (method === 'seasonal') {
+        if (method === 'auto') {
+            insights.push({
+                icon: '🏆',
+                text: `<strong>Αυτόματη επιλογή:</strong> Το μοντέλο <strong>${escapeHtml(selectedMethod)}</strong> είχε το μικρότερο σφάλμα στο backtest.`
+            });
+        }
+        
+        if (selectedMethod === 'seasonal') {
             insights.push({
                 icon: '🔄',
                 text: '<strong>Εποχικό μοντέλο:</strong> Η πρόβλεψη βασίζεται στο επαναλαμβανόμενο pattern των τελευταίων 12 μηνών.'
             });
-        } else if (method === 'holt-winters') {
+        } else if (selectedMethod.startsWith('holt-winters')) {
             insights.push({
                 icon: '🧮',
                 text: '<strong>Holt-Winters:</strong> Προηγμένο μοντέλο που συνδυάζει τάση και εποχικότητα για ακριβέστερες προβλέψεις.'
             });
+        } else if (selectedMethod === 'ensemble') {
+            insights.push({
+                icon: '🧩',
+                text: '<strong>Ensemble:</strong> Η πρόβλεψη είναι ο μέσος όρος πολλών μοντέλων, ώστε να μειώνεται το σφάλμα κάθε μεμονωμένου μοντέλου.'
+            });
+        }
+        
+        if (result.parameters) {
+            insights.push({
+                icon: '⚙️',
+                text: `<strong>Παράμετροι μοντέλου:</strong> ${escapeHtml(forecastingManager.describeParameters(result.parameters))}`
+            });
         }
         
         // Render insights
@@ -2002,6 +2549,18 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 console.log(`[Reports] Generating quarterly report: ${year} ${quarter}`);
                 report = reportsManager.generateQuarterlyReport(year, quarter, { includeParakratisi });
                 
+            } else if (type === 'vat') {
+                const year = parseInt(document.getElementById('reportYear').value);
+                const quarter = document.getElementById('reportQuarter').value;
+                
+                if (!quarter) {
+                    showToast('Επιλέξτε τρίμηνο', 'warning');
+                    return;
+                }
+                
+                console.log(`[Reports] Generating VAT summary: ${year} ${quarter}`);
+                report = reportsManager.generateQuarterlyVatReport(year, quarter, { includeParakratisi });
+                
             } else if (type === 'semiannual') {
                 const year = parseInt(document.getElementById('reportYear').value);
                 const semester = document.getElementById('reportSemester').value;
@@ -2137,6 +2696,8 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 <td class="text-right">${formatCurrency(m.eopyyTotal)}</td>
                 <td class="text-right">${formatCurrency(m.nonEopyyTotal)}</td>
                 <td class="text-right">${formatCurrency(m.deductions)}</td>
+                <td class="text-right">${m.budget !== null ? formatCurrency(m.budget) : '—'}</td>
+                <td class="text-right ${m.budgetVariance < 0 ? 'text-danger' : ''}">${m.budgetVariance !== null ? formatCurrency(m.budgetVariance) : '—'}</td>
             </tr>
         `).join('');
         
@@ -2150,6 +2711,8 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 <td class="text-right">${formatCurrency(s.eopyyTotal)}</td>
                 <td class="text-right">${formatCurrency(s.nonEopyyTotal)}</td>
                 <td class="text-right">${formatCurrency(s.averagePerEntry)}</td>
+                <td class="text-right">${formatCurrency(s.vat)}</td>
+                <td class="text-right">${formatCurrency(s.withheld)}</td>
             </tr>
         `).join('');
         
@@ -2161,6 +2724,9 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 <td class="text-right">${i.count}</td>
                 <td class="text-right"><strong>${formatCurrency(i.total)}</strong></td>
                 <td class="text-right">${formatCurrency(i.averagePerEntry)}</td>
+                <td class="text-right">${formatCurrency(i.invoiceNet)}</td>
+                <td class="text-right">${formatCurrency(i.vat)}</td>
+                <td class="text-right">${formatCurrency(i.withheld)}</td>
             </tr>
         `).join('');
         
@@ -2200,11 +2766,107 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         } else {
             document.getElementById('reportDeductionsCard').style.display = 'none';
         }
+        
+        // VAT & withholding (invoices)
+        const taxCard = document.getElementById('reportTaxCard');
+        if (report.tax && report.tax.invoiceCount > 0) {
+            taxCard.style.display = 'block';
+            document.getElementById('reportTaxSummary').innerHTML = `
+                <div class="kpi-grid kpi-grid-compact">
+                    <div class="kpi-card kpi-card-compact">
+                        <div class="kpi-label">Καθαρή Αξία</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.tax.net)}</div>
+                        <div class="kpi-percent">${report.tax.invoiceCount} τιμολόγια</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #3b82f6, #2563eb);">
+                        <div class="kpi-label">ΦΠΑ</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.tax.vat)}</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #64748b, #475569);">
+                        <div class="kpi-label">Μικτή Αξία</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.tax.gross)}</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #ef4444, #dc2626);">
+                        <div class="kpi-label">Παρακράτηση Φόρου</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.tax.withheld)}</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #10b981, #059669);">
+                        <div class="kpi-label">Πληρωτέο</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.tax.payable)}</div>
+                    </div>
+                </div>
+            `;
+            
+            const taxRow = (label, row) => `
+                <tr>
+                    <td>${label}</td>
+                    <td class="text-right">${row.count}</td>
+                    <td class="text-right">${formatCurrency(row.net)}</td>
+                    <td class="text-right"><strong>${formatCurrency(row.vat)}</strong></td>
+                    <td class="text-right">${formatCurrency(row.gross)}</td>
+                    <td class="text-right">${formatCurrency(row.withheld)}</td>
+                </tr>
+            `;
+            
+            let taxRows = report.tax.byVatRate.map(r => taxRow(`ΦΠΑ ${formatPercent(r.vatRate)}`, r)).join('');
+            if (report.vatSummary) {
+                taxRows += '<tr><td colspan="6"><strong>Ανά μήνα</strong></td></tr>' +
+                    report.vatSummary.byMonth.map(m => taxRow(m.date, m)).join('');
+            }
+            document.getElementById('reportTaxBody').innerHTML = taxRows;
+        } else {
+            taxCard.style.display = 'none';
+        }
+        
+        // Net result (annual report only)
+        const netResultCard = document.getElementById('reportNetResultCard');
+        if (report.expenses && report.expenses.bySource.length > 0) {
+            netResultCard.style.display = 'block';
+            document.getElementById('reportNetResultSummary').innerHTML = `
+                <div class="kpi-grid kpi-grid-compact">
+                    <div class="kpi-card kpi-card-compact">
+                        <div class="kpi-label">Μικτά Έσοδα</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.expenses.grossRevenue)}</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #f97316, #ea580c);">
+                        <div class="kpi-label">Έξοδα</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.expenses.total)}</div>
+                    </div>
+                    <div class="kpi-card kpi-card-compact" style="background: linear-gradient(135deg, #14b8a6, #0d9488);">
+                        <div class="kpi-label">Καθαρό Αποτέλεσμα</div>
+                        <div class="kpi-value kpi-value-compact">${formatCurrency(report.expenses.netResult)}</div>
+                        <div class="kpi-percent">${formatPercent(report.expenses.margin)}</div>
+                    </div>
+                </div>
+            `;
+            document.getElementById('reportNetResultBody').innerHTML = report.expenses.bySource.map(s => `
+                <tr>
+                    <td>${escapeHtml(s.source)}</td>
+                    <td class="text-right">${formatCurrency(s.grossRevenue)}</td>
+                    <td class="text-right">${formatCurrency(s.deductions)}</td>
+                    <td class="text-right">${formatCurrency(s.revenue)}</td>
+                    <td class="text-right">${formatCurrency(s.expenses)}</td>
+                    <td class="text-right ${s.netResult < 0 ? 'text-danger' : ''}"><strong>${formatCurrency(s.netResult)}</strong></td>
+                    <td class="text-right">${formatPercent(s.margin)}</td>
+                </tr>
+            `).join('');
+        } else {
+            netResultCard.style.display = 'none';
+        }
     }
 
     // ========================================
     // Backup & Import
     // ========================================
+    // Diff rows picked for selective restore
+    const backupDiffSelection = new Set();
+    const getBackupDiffFilters = () => ({
+        dateFrom: document.getElementById('backupDiffDateFrom')?.value.trim() || '',
+        dateTo: document.getElementById('backupDiffDateTo')?.value.trim() || '',
+        source: document.getElementById('backupDiffSource')?.value || '',
+        status: document.getElementById('backupDiffStatus')?.value || ''
+    });
+
     const importBackupBtn = document.getElementById('importBackupBtn');
     if (importBackupBtn) {
         importBackupBtn.addEventListener('click', () => {
@@ -2237,7 +2899,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
 
                 if (backupInfoEl) {
                     backupInfoEl.innerHTML = `
-                        <p><strong>Έκδοση:</strong> ${preview.backupInfo.version}</p>
+                        <p><strong>Έκδοση:</strong> ${preview.backupInfo.version}${preview.backupInfo.encrypted ? ' 🔒 Κρυπτογραφημένο' : ''}</p>
                         <p><strong>Ημερομηνία:</strong> ${new Date(preview.backupInfo.date).toLocaleString('el-GR')}</p>
                         <p><strong>Εγγραφές:</strong> ${preview.backupInfo.entriesCount}</p>
                     `;
@@ -2268,6 +2930,13 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     importReport.style.display = 'none';
                 }
 
+                // Row-level diff for selective restore
+                window.pendingImportDiff = preview.diff;
+                backupDiffSelection.clear();
+                const restoreSettingsInput = document.getElementById('backupRestoreSettings');
+                if (restoreSettingsInput) restoreSettingsInput.checked = false;
+                renderBackupDiff(preview.diff, getBackupDiffFilters(), backupDiffSelection);
+
                 // Store file for confirmation
                 window.pendingImportFile = file;
             } else {
@@ -2279,16 +2948,61 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         });
     }
 
+    ['backupDiffDateFrom', 'backupDiffDateTo', 'backupDiffSource', 'backupDiffStatus'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            if (window.pendingImportDiff) {
+                renderBackupDiff(window.pendingImportDiff, getBackupDiffFilters(), backupDiffSelection);
+            }
+        });
+    });
+
+    const backupDiffBody = document.getElementById('backupDiffBody');
+    if (backupDiffBody) {
+        backupDiffBody.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('.backup-diff-select');
+            if (!checkbox) return;
+            if (checkbox.checked) {
+                backupDiffSelection.add(checkbox.dataset.key);
+            } else {
+                backupDiffSelection.delete(checkbox.dataset.key);
+            }
+        });
+    }
+
+    const backupDiffSelectAll = document.getElementById('backupDiffSelectAll');
+    if (backupDiffSelectAll && backupDiffBody) {
+        backupDiffSelectAll.addEventListener('change', (e) => {
+            backupDiffBody.querySelectorAll('.backup-diff-select').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+                if (e.target.checked) {
+                    backupDiffSelection.add(checkbox.dataset.key);
+                } else {
+                    backupDiffSelection.delete(checkbox.dataset.key);
+                }
+            });
+        });
+    }
+
     const confirmImportBtn = document.getElementById('confirmImportBtn');
     if (confirmImportBtn) {
         confirmImportBtn.addEventListener('click', async () => {
             if (!window.pendingImportFile) return;
 
             const mode = document.querySelector('input[name="importMode"]:checked')?.value || 'overwrite';
+            const restoreSettings = document.getElementById('backupRestoreSettings')?.checked || false;
+
+            if (mode === 'selective' && backupDiffSelection.size === 0 && !restoreSettings) {
+                showToast('Επιλέξτε εγγραφές ή ρυθμίσεις για επαναφορά', 'warning');
+                return;
+            }
             
             showToast(STRINGS.info.processing, 'info');
 
-            const report = await importBackup(window.pendingImportFile, mode);
+            const report = mode === 'selective'
+                ? await restoreSelected(window.pendingImportFile, { keys: [...backupDiffSelection], settings: restoreSettings })
+                : await importBackup(window.pendingImportFile, mode);
 
             const reportEl = document.getElementById('importReport');
             const reportContent = reportEl?.querySelector('.import-report-content');
@@ -2298,12 +3012,23 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     <p class="report-success">✅ Import ολοκληρώθηκε επιτυχώς!</p>
                     <p><strong>Νέες εγγραφές:</strong> ${report.inserted}</p>
                     ${report.updated > 0 ? `<p><strong>Ενημερώσεις:</strong> ${report.updated}</p>` : ''}
+                    ${report.deleted > 0 ? `<p><strong>Διαγραφές:</strong> ${report.deleted}</p>` : ''}
+                    ${report.settings ? '<p><strong>Ρυθμίσεις:</strong> επαναφέρθηκαν</p>' : ''}
                     ${report.duplicates > 0 ? `<p><strong>Διπλότυπα (αγνοήθηκαν):</strong> ${report.duplicates}</p>` : ''}
                 `;
 
                 // Reload data and refresh UI
                 await loadData();
+                await reconciliationManager.loadStatements();
+                await expensesManager.loadExpenses();
+                await budgetManager.loadBudgets();
+                await bankStatementManager.loadTransactions();
+                await myDataExporter.loadSettings();
+                await cashFlowManager.loadSettings();
                 renderSourcesAndInsurances();
+                // The uniqueness rule is part of the backup
+                const ruleSelect = document.getElementById('uniquenessRuleSelect');
+                if (ruleSelect) ruleSelect.value = STATE.uniquenessRule;
                 renderDashboard();
                 renderEntriesTable();
 
@@ -2334,6 +3059,14 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
 
             // Clear pending file
             window.pendingImportFile = null;
+            window.pendingImportDiff = null;
+        });
+    }
+
+    const backupPassphrase = document.getElementById('backupPassphrase');
+    if (backupPassphrase) {
+        backupPassphrase.addEventListener('input', (e) => {
+            backupManager.setPassphrase(e.target.value);
         });
     }
 
@@ -2397,6 +3130,91 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         });
     }
 
+    // ========================================
+    // Local Snapshots
+    // ========================================
+    const saveSnapshotSettingsBtn = document.getElementById('saveSnapshotSettingsBtn');
+    if (saveSnapshotSettingsBtn) {
+        saveSnapshotSettingsBtn.addEventListener('click', async () => {
+            try {
+                await backupManager.updateSnapshotSettings({
+                    enabled: document.getElementById('snapshotsEnabled').checked,
+                    retention: {
+                        daily: document.getElementById('snapshotKeepDaily').value,
+                        weekly: document.getElementById('snapshotKeepWeekly').value,
+                        monthly: document.getElementById('snapshotKeepMonthly').value
+                    }
+                });
+                await renderSnapshots();
+                showToast('Οι ρυθμίσεις snapshots αποθηκεύτηκαν', 'success');
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        });
+    }
+
+    const createSnapshotBtn = document.getElementById('createSnapshotBtn');
+    if (createSnapshotBtn) {
+        createSnapshotBtn.addEventListener('click', async () => {
+            try {
+                await backupManager.createSnapshot('manual');
+                await renderSnapshots();
+                showToast('Το snapshot δημιουργήθηκε', 'success');
+            } catch (error) {
+                console.error('Snapshot error:', error);
+                showToast(error.message, 'error');
+            }
+        });
+    }
+
+    const snapshotsBody = document.getElementById('snapshotsBody');
+    if (snapshotsBody) {
+        snapshotsBody.addEventListener('click', async (e) => {
+            const restoreBtn = e.target.closest('.snapshot-restore');
+            const deleteBtn = e.target.closest('.snapshot-delete');
+
+            if (restoreBtn) {
+                const confirmed = confirm(
+                    'Επαναφορά snapshot;\n\n' +
+                    'Όλα τα τρέχοντα δεδομένα θα αντικατασταθούν από το snapshot.'
+                );
+                if (!confirmed) return;
+
+                showToast(STRINGS.info.processing, 'info');
+                const report = await backupManager.restoreSnapshot(restoreBtn.dataset.snapshotId);
+
+                if (report.success) {
+                    await loadData();
+                    await reconciliationManager.loadStatements();
+                    await expensesManager.loadExpenses();
+                    await budgetManager.loadBudgets();
+                    await bankStatementManager.loadTransactions();
+                    await myDataExporter.loadSettings();
+                    await cashFlowManager.loadSettings();
+                    renderSourcesAndInsurances();
+                    // The uniqueness rule is part of the backup
+                    const ruleSelect = document.getElementById('uniquenessRuleSelect');
+                    if (ruleSelect) ruleSelect.value = STATE.uniquenessRule;
+                    renderDashboard();
+                    renderEntriesTable();
+                    await renderSnapshots();
+
+                    showToast(`Επαναφορά ολοκληρώθηκε (${report.inserted} εγγραφές)`, 'success');
+                } else {
+                    showToast('Σφάλμα επαναφοράς: ' + report.errorMessages.join(', '), 'error');
+                }
+            } else if (deleteBtn) {
+                if (!confirm('Διαγραφή snapshot;')) return;
+
+                await backupManager.deleteSnapshot(deleteBtn.dataset.snapshotId);
+                await renderSnapshots();
+                showToast('Το snapshot διαγράφηκε', 'success');
+            }
+        });
+    }
+
+    renderSnapshots();
+
     // ========================================
     // Clear Cache (Danger Zone)
     // ========================================
@@ -2409,6 +3227,7 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                 '- Όλες οι εγγραφές\n' +
                 '- Διαγνωστικά και Ασφάλειες\n' +
                 '- Ρυθμίσεις\n' +
+                '- Τοπικά snapshots\n' +
                 '- Cache\n\n' +
                 'Η ενέργεια είναι ΜΟΝΙΜΗ και ΔΕΝ μπορεί να ανακληθεί!\n\n' +
                 'Θέλετε σίγουρα να συνεχίσετε;'
@@ -2436,6 +3255,8 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
                     <p>✅ Settings: ${report.settings ? 'Καθαρίστηκαν' : 'Αποτυχία'}</p>
                     <p>✅ Undo: ${report.undo ? 'Καθαρίστηκαν' : 'Αποτυχία'}</p>
                     <p>✅ Cache: ${report.cache ? 'Καθαρίστηκαν' : 'Αποτυχία'}</p>
+                    <p>✅ Audit: ${report.audit ? 'Καθαρίστηκε' : 'Αποτυχία'}</p>
+                    <p>✅ Snapshots: ${report.snapshots ? 'Καθαρίστηκαν' : 'Αποτυχία'}</p>
                     <p>✅ LocalStorage: ${report.localStorage ? 'Καθαρίστηκε' : 'Αποτυχία'}</p>
                     ${report.errors.length > 0 ? `
                         <p class="report-error"><strong>Σφάλματα:</strong></p>
@@ -2506,114 +3327,6 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         });
     }
 
-    // ========================================
-    // CSV Import
-    // ========================================
-    const importCsvBtn = document.getElementById('importCsvBtn');
-    if (importCsvBtn) {
-        importCsvBtn.addEventListener('click', () => {
-            document.getElementById('csvFileInput').click();
-        });
-    }
-
-            const csvFileInput = document.getElementById('csvFileInput');
-            if (csvFileInput) {
-                csvFileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            showToast('Φόρτωση CSV...', 'info');
-
-            try {
-                // Check if Papa Parse is available
-                if (!window.Papa) {
-                    showToast('PapaParse library δεν είναι διαθέσιμη', 'error');
-                    return;
-                }
-
-                const text = await file.text();
-                const parsed = Papa.parse(text, { 
-                    header: true, 
-                    skipEmptyLines: true 
-                });
-
-                if (parsed.errors.length > 0) {
-                    console.warn('CSV parsing warnings:', parsed.errors);
-                }
-
-                // ✅ VALIDATE CSV DATA
-                const validation = csvValidator.validate(parsed.data);
-                
-                // Show validation errors
-                if (!validation.valid) {
-                    const errorMessages = validation.errors
-                        .slice(0, 5) // First 5 errors
-                        .map(e => `• ${e.message}`)
-                        .join('\n');
-                    
-                    showToast(
-                        `CSV έχει σφάλματα:\n${errorMessages}\n${validation.errors.length > 5 ? `(+${validation.errors.length - 5} ακόμα)` : ''}`,
-                        'error'
-                    );
-                    console.error('CSV Validation Errors:', validation.errors);
-                    e.target.value = ''; // Reset input
-                    return;
-                }
-                
-                // Show warnings if any
-                if (validation.warnings.length > 0) {
-                    console.warn('CSV Validation Warnings:', validation.warnings);
-                    showToast(`Προειδοποιήσεις: ${validation.warnings.length}`, 'warning');
-                }
-                
-                // Show auto-fixes if any
-                if (validation.autoFixes.length > 0) {
-                    console.log('CSV Auto-Fixes Applied:', validation.autoFixes);
-                }
-
-                // Import validated rows
-                let imported = 0;
-                for (const row of validation.rows) {
-                    // Row is already validated and normalized
-                    const entry = {
-                        date: row.date,
-                        source: row.source,
-                        insurance: row.insurance,
-                        type: row.type,
-                        amount: row.amount,
-                        notes: row.notes || '',
-                        krathseis: row.krathseis || 0,
-                        krathseisPercent: row.krathseisPercent || 0
-                    };
-
-                    try {
-                        const success = await addEntry(entry);
-                        if (success) imported++;
-                    } catch (error) {
-                        console.error('Entry import error:', error);
-                    }
-                }
-
-                // Show summary
-                showToast(
-                    `✅ Εισήχθησαν ${imported}/${validation.rows.length} εγγραφές\n` +
-                    `${validation.autoFixes.length > 0 ? `⚡ Auto-fixes: ${validation.autoFixes.length}` : ''}`,
-                    'success'
-                );
-                
-                renderEntriesTable();
-                if (STATE.currentView === 'dashboard') {
-                    renderDashboard();
-                }
-            } catch (error) {
-                console.error('CSV import error:', error);
-                showToast('Σφάλμα εισαγωγής CSV', 'error');
-            }
-
-            // Reset file input
-            e.target.value = '';
-        });
-    }
     // ========================================
     // User Label Update
     // ========================================
@@ -2647,6 +3360,256 @@ const clearFiltersBtn = document.getElementById('clearFiltersBtn');
         userLabelInput.value = STATE.userLabel;
     }
 
+    // ========================================
+    // Uniqueness Rule
+    // ========================================
+    const uniquenessRuleSelect = document.getElementById('uniquenessRuleSelect');
+    if (uniquenessRuleSelect) {
+        uniquenessRuleSelect.value = STATE.uniquenessRule;
+        
+        uniquenessRuleSelect.addEventListener('change', async (e) => {
+            const rule = e.target.value;
+            const duplicates = countDuplicateEntries(rule);
+            
+            // Existing data already violating the new rule stays, but warn first
+            if (duplicates > 0 && !confirm(
+                `${duplicates} υπάρχουσες εγγραφές παραβιάζουν τον νέο κανόνα.\n` +
+                'Θα παραμείνουν ως έχουν. Συνέχεια;'
+            )) {
+                e.target.value = STATE.uniquenessRule;
+                return;
+            }
+            
+            await setUniquenessRule(rule);
+            showToast('Ο κανόνας μοναδικότητας ενημερώθηκε', 'success');
+        });
+    }
+
+    // ========================================
+    // VAT & Withholding Defaults per Insurance
+    // ========================================
+    const saveInsuranceTaxDefaultsBtn = document.getElementById('saveInsuranceTaxDefaultsBtn');
+    if (saveInsuranceTaxDefaultsBtn) {
+        saveInsuranceTaxDefaultsBtn.addEventListener('click', async () => {
+            const defaults = {};
+            document.querySelectorAll('#insuranceTaxDefaultsBody tr[data-insurance]').forEach(row => {
+                defaults[row.dataset.insurance] = {
+                    vatRate: row.querySelector('.tax-vat-rate').value,
+                    withholdingRate: row.querySelector('.tax-withholding-rate').value
+                };
+            });
+            
+            try {
+                await setInsuranceTaxDefaults(defaults);
+                showDeductionFields();
+                showToast('Οι προεπιλογές ΦΠΑ / παρακράτησης αποθηκεύτηκαν', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης', 'error');
+            }
+        });
+    }
+
+    // ========================================
+    // myDATA VAT Numbers
+    // ========================================
+    const saveMyDataSettingsBtn = document.getElementById('saveMyDataSettingsBtn');
+    if (saveMyDataSettingsBtn) {
+        saveMyDataSettingsBtn.addEventListener('click', async () => {
+            const readParties = (selector, attr) => {
+                const parties = {};
+                document.querySelectorAll(selector).forEach(row => {
+                    parties[row.dataset[attr]] = {
+                        vatNumber: row.querySelector('.mydata-vat').value,
+                        branch: row.querySelector('.mydata-branch').value
+                    };
+                });
+                return parties;
+            };
+            
+            try {
+                await myDataExporter.saveSettings({
+                    series: document.getElementById('myDataSeries').value,
+                    issuers: readParties('#myDataIssuersBody tr[data-source]', 'source'),
+                    counterparts: readParties('#myDataCounterpartsBody tr[data-insurance]', 'insurance')
+                });
+                showToast('Οι ρυθμίσεις myDATA αποθηκεύτηκαν', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης', 'error');
+            }
+        });
+    }
+
+    // ========================================
+    // Cash-Flow Payment Lags
+    // ========================================
+    const saveCashFlowSettingsBtn = document.getElementById('saveCashFlowSettingsBtn');
+    if (saveCashFlowSettingsBtn) {
+        saveCashFlowSettingsBtn.addEventListener('click', async () => {
+            const lags = {};
+            document.querySelectorAll('#cashFlowLagsBody tr[data-insurance]').forEach(row => {
+                // Empty rows are not stored and use the default lag
+                lags[row.dataset.insurance] = row.querySelector('.cashflow-lag').value;
+            });
+            
+            try {
+                await cashFlowManager.saveSettings({
+                    defaultLag: document.getElementById('cashFlowDefaultLag').value,
+                    clawbackLag: document.getElementById('cashFlowClawbackLag').value,
+                    subtractParakratisi: document.getElementById('cashFlowSubtractParakratisi').checked,
+                    lags
+                });
+                // Rows without a stored lag follow the (possibly changed) default
+                document.querySelectorAll('#cashFlowLagsBody tr[data-insurance]').forEach(row => {
+                    row.querySelector('.cashflow-lag').placeholder = cashFlowManager.getDefaultLag(row.dataset.insurance);
+                });
+                showToast('Οι ρυθμίσεις ταμειακών ροών αποθηκεύτηκαν', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης', 'error');
+            }
+        });
+    }
+
+    // ========================================
+    // Budget Targets Grid
+    // ========================================
+    const budgetYear = document.getElementById('budgetYear');
+    const budgetInsurance = document.getElementById('budgetInsurance');
+    if (budgetYear) {
+        budgetYear.value = new Date().getFullYear();
+        budgetYear.addEventListener('change', renderBudgetGrid);
+    }
+    if (budgetInsurance) {
+        budgetInsurance.addEventListener('change', renderBudgetGrid);
+    }
+
+    const saveBudgetsBtn = document.getElementById('saveBudgetsBtn');
+    if (saveBudgetsBtn) {
+        saveBudgetsBtn.addEventListener('click', async () => {
+            const year = parseInt(budgetYear.value);
+            if (isNaN(year)) {
+                showToast('Μη έγκυρο έτος', 'error');
+                return;
+            }
+
+            const cells = Array.from(document.querySelectorAll('#budgetGridBody .budget-cell')).map(input => ({
+                source: input.dataset.source,
+                month: parseInt(input.dataset.month),
+                amount: input.value
+            }));
+
+            try {
+                const count = await budgetManager.setTargets(year, budgetInsurance?.value || '', cells);
+                renderBudgetGrid();
+                renderDashboard();
+                showToast(`Αποθηκεύτηκαν ${count} στόχοι για το ${year}`, 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης', 'error');
+            }
+        });
+    }
+
+    // ========================================
+    // Deduction Rate Templates
+    // ========================================
+    setupDateAutoFormat(document.getElementById('templateEffectiveFrom'));
+    setupDateAutoFormat(document.getElementById('templateEffectiveTo'));
+
+    const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+    if (saveTemplateBtn) {
+        saveTemplateBtn.addEventListener('click', async () => {
+            const percentages = {};
+            Object.entries(TEMPLATE_PERCENT_INPUTS).forEach(([key, inputId]) => {
+                percentages[key] = parseFloat(document.getElementById(inputId).value) || 0;
+            });
+
+            try {
+                await eopyyDeductionsManager.saveTemplate({
+                    id: document.getElementById('templateId').value || undefined,
+                    name: document.getElementById('templateName').value,
+                    source: document.getElementById('templateSource').value,
+                    effectiveFrom: document.getElementById('templateEffectiveFrom').value,
+                    effectiveTo: document.getElementById('templateEffectiveTo').value,
+                    clawbackPeriod: document.getElementById('templateClawbackPeriod').value,
+                    percentages
+                });
+                resetTemplateForm();
+                renderDeductionTemplates();
+                showToast('Το πρότυπο αποθηκεύτηκε', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης προτύπου', 'error');
+            }
+        });
+    }
+
+    const cancelTemplateBtn = document.getElementById('cancelTemplateBtn');
+    if (cancelTemplateBtn) {
+        cancelTemplateBtn.addEventListener('click', resetTemplateForm);
+    }
+
+    renderDeductionTemplates();
+
+    // ========================================
+    // Tiered Rebate Brackets
+    // ========================================
+    const rebateBracketsBody = document.getElementById('rebateBracketsBody');
+    if (rebateBracketsBody) {
+        rebateBracketsBody.addEventListener('click', (e) => {
+            if (e.target.closest('.bracket-remove')) {
+                e.target.closest('tr').remove();
+            }
+        });
+    }
+
+    const addRebateBracketBtn = document.getElementById('addRebateBracketBtn');
+    if (addRebateBracketBtn && rebateBracketsBody) {
+        addRebateBracketBtn.addEventListener('click', () => {
+            rebateBracketsBody.insertAdjacentHTML('beforeend', renderRebateBracketRow());
+        });
+    }
+
+    const saveRebateBracketsBtn = document.getElementById('saveRebateBracketsBtn');
+    if (saveRebateBracketsBtn && rebateBracketsBody) {
+        saveRebateBracketsBtn.addEventListener('click', async () => {
+            // Rows without a rate are treated as empty and dropped
+            const brackets = [...rebateBracketsBody.querySelectorAll('.rebate-bracket-row')]
+                .map(row => ({
+                    threshold: row.querySelector('.bracket-threshold').value,
+                    rate: row.querySelector('.bracket-rate').value
+                }))
+                .filter(b => b.rate !== '');
+
+            try {
+                await eopyyDeductionsManager.saveRebateBrackets(brackets);
+                renderRebateBrackets();
+                renderEntriesTable();
+                showToast('Τα κλιμάκια rebate αποθηκεύτηκαν', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης κλιμακίων', 'error');
+            }
+        });
+    }
+
+    const rebateCalcGross = document.getElementById('rebateCalcGross');
+    if (rebateCalcGross) {
+        rebateCalcGross.addEventListener('input', () => {
+            const resultEl = document.getElementById('rebateCalcResult');
+            const gross = parseFloat(rebateCalcGross.value) || 0;
+
+            if (!eopyyDeductionsManager.hasRebateBrackets() || gross <= 0) {
+                resultEl.textContent = '—';
+                return;
+            }
+
+            const result = eopyyDeductionsManager.calculateTieredRebate(gross);
+            resultEl.innerHTML = `<strong>${formatCurrency(result.total)}</strong> (${formatPercent(result.effectiveRate)})<br>` +
+                result.breakdown.map(b =>
+                    `${formatCurrency(b.from)} – ${b.to === Infinity ? '…' : formatCurrency(b.to)}: ${formatPercent(b.rate)} × ${formatCurrency(b.base)} = ${formatCurrency(b.amount)}`
+                ).join('<br>');
+        });
+    }
+
+    renderRebateBrackets();
+
     // ========================================
     // Storage Info Display
     // ========================================
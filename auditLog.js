@@ -0,0 +1,238 @@
+/**
+ * auditLog.js - Per-Entry Audit Trail
+ * Append-only change log with field-level diffs
+ * Version: 2.0
+ */
+
+import { STATE } from './state.js';
+import storage from './storage.js';
+
+// ========================================
+// Configuration
+// ========================================
+const AUDIT_CONFIG = {
+    actions: {
+        create: 'Δημιουργία',
+        update: 'Επεξεργασία',
+        delete: 'Διαγραφή',
+        deductions: 'Κρατήσεις ΕΟΠΥΥ',
+        restore: 'Επαναφορά',
+        payment: 'Πληρωμή',
+        undo: 'Αναίρεση',
+        redo: 'Επανάληψη'
+    },
+    // Bookkeeping fields that change on every save and are not worth diffing
+    ignoredFields: ['id', 'entryId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'appliedDate'],
+    fieldLabels: {
+        date: 'Ημερομηνία',
+        source: 'Διαγνωστικό',
+        insurance: 'Ασφάλεια',
+        type: 'Τύπος',
+        amount: 'Ποσό',
+        invoiceNumber: 'Αρ. Τιμολογίου',
+        vatRate: 'ΦΠΑ %',
+        withholdingRate: 'Παρακράτηση Φόρου %',
+        originalAmount: 'Αρχικό Ποσό',
+        deductionTemplateId: 'Πρότυπο Κρατήσεων',
+        notes: 'Σημειώσεις',
+        krathseis: 'Κρατήσεις',
+        krathseisPercent: 'Κρατήσεις %',
+        paymentStatus: 'Κατάσταση Πληρωμής',
+        amountReceived: 'Εισπραχθέν Ποσό',
+        paymentDate: 'Ημ/νία Πληρωμής',
+        expectedPaymentDate: 'Αναμενόμενη Πληρωμή',
+        paymentRefs: 'Κινήσεις Τράπεζας',
+        'deductions.parakratisi': 'Παρακράτηση',
+        'deductions.mde': 'ΜΔΕ',
+        'deductions.rebate': 'Rebate',
+        'deductions.krathseis': 'Κρατήσεις ΕΟΠΥΥ',
+        'deductions.clawback': 'Clawback',
+        'percentages.parakratisiPercent': 'Παρακράτηση %',
+        'percentages.mdePercent': 'ΜΔΕ %',
+        'percentages.rebatePercent': 'Rebate %',
+        'percentages.krathseisPercent': 'Κρατήσεις ΕΟΠΥΥ %',
+        'percentages.clawbackPercent': 'Clawback %',
+        clawbackPeriod: 'Περίοδος Clawback'
+    }
+};
+
+// ========================================
+// Audit Log Manager Class
+// ========================================
+class AuditLogManager {
+    /**
+     * Record an entry change
+     * Snapshots use the {entry, deductions} shape so any record can be restored.
+     * @param {string} entryId - Entry ID
+     * @param {string} action - Action key (see AUDIT_CONFIG.actions)
+     * @param {Object|null} before - Snapshot before the change
+     * @param {Object|null} after - Snapshot after the change
+     * @returns {Promise<Object|null>} Stored record, or null if nothing changed
+     */
+    async recordEntryChange(entryId, action, before, after) {
+        const changes = this.diff(
+            this.flattenSnapshot(before),
+            this.flattenSnapshot(after)
+        );
+
+        // Plain re-saves without changes are not interesting
+        if (action === 'update' && changes.length === 0) {
+            return null;
+        }
+
+        return this.append({
+            entryId,
+            action,
+            changes,
+            // Keep the last known state so deleted entries can still be restored
+            snapshot: after || before
+        });
+    }
+
+    /**
+     * Record a deductions-only change (applied outside the entry form)
+     * @param {string} entryId - Entry ID
+     * @param {Object|null} before - Previous deduction record
+     * @param {Object} after - New deduction record
+     * @returns {Promise<Object|null>} Stored record, or null if nothing changed
+     */
+    async recordDeductionsChange(entryId, before, after) {
+        const changes = this.diff(
+            this.flattenSnapshot({ deductions: before }),
+            this.flattenSnapshot({ deductions: after })
+        );
+
+        if (changes.length === 0) {
+            return null;
+        }
+
+        return this.append({
+            entryId,
+            action: 'deductions',
+            changes,
+            snapshot: { entry: null, deductions: after }
+        });
+    }
+
+    /**
+     * Append record to storage
+     * @param {Object} record - Partial audit record
+     * @returns {Promise<Object>} Stored record
+     * @private
+     */
+    async append(record) {
+        const stored = {
+            ...JSON.parse(JSON.stringify(record)),
+            user: STATE.userLabel,
+            timestamp: Date.now()
+        };
+
+        await storage.appendAuditRecord(stored);
+        return stored;
+    }
+
+    /**
+     * Get change history for entry
+     * @param {string} entryId - Entry ID
+     * @returns {Promise<Array>} Audit records, newest first
+     */
+    async getHistory(entryId) {
+        const records = await storage.loadAuditRecords(entryId);
+        return records.reverse();
+    }
+
+    /**
+     * Get single audit record
+     * @param {string} entryId - Entry ID
+     * @param {string} recordId - Audit record ID
+     * @returns {Promise<Object|null>} Audit record
+     */
+    async getRecord(entryId, recordId) {
+        const records = await storage.loadAuditRecords(entryId);
+        return records.find(r => r.id === recordId) || null;
+    }
+
+    /**
+     * Flatten snapshot into 'path' => value pairs
+     * @param {Object|null} snapshot - {entry, deductions}
+     * @returns {Object} Flat map
+     */
+    flattenSnapshot(snapshot) {
+        const flat = {};
+        if (!snapshot) return flat;
+
+        if (snapshot.entry) {
+            Object.entries(snapshot.entry).forEach(([key, value]) => {
+                // entry.deductions mirrors the deduction record, diffed below
+                if (key === 'deductions' || AUDIT_CONFIG.ignoredFields.includes(key)) return;
+                flat[key] = value;
+            });
+        }
+
+        if (snapshot.deductions) {
+            const { deductions = {}, percentages = {}, clawbackPeriod } = snapshot.deductions;
+            Object.entries(deductions).forEach(([key, value]) => {
+                flat[`deductions.${key}`] = value;
+            });
+            Object.entries(percentages).forEach(([key, value]) => {
+                flat[`percentages.${key}`] = value;
+            });
+            if (clawbackPeriod !== undefined) {
+                flat.clawbackPeriod = clawbackPeriod;
+            }
+        }
+
+        return flat;
+    }
+
+    /**
+     * Field-level diff between two flat maps
+     * @param {Object} before - Flat map
+     * @param {Object} after - Flat map
+     * @returns {Array<Object>} [{field, from, to}]
+     */
+    diff(before, after) {
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = [];
+
+        fields.forEach(field => {
+            const from = before[field] === undefined ? null : before[field];
+            const to = after[field] === undefined ? null : after[field];
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field, from, to });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get display label for field
+     * @param {string} field - Field path
+     * @returns {string} Label
+     */
+    getFieldLabel(field) {
+        return AUDIT_CONFIG.fieldLabels[field] || field;
+    }
+
+    /**
+     * Get display label for action
+     * @param {string} action - Action key
+     * @returns {string} Label
+     */
+    getActionLabel(action) {
+        return AUDIT_CONFIG.actions[action] || action;
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const auditLog = new AuditLogManager();
+
+// ========================================
+// Export
+// ========================================
+export { AuditLogManager, AUDIT_CONFIG };
+export default auditLog;
@@ -6,7 +6,11 @@
 
 import { STATE } from './state.js';
 import storage from './storage.js';
-import { generateId, formatDateTime, downloadBlob, readFileAsText, logError } from './utils.js';
+import auditLog from './auditLog.js';
+import { getEntryMergeKey, UNIQUENESS_RULES } from './dataManager.js';
+import { generateId, formatDateTime, compareDates, downloadBlob, bytesToBase64, base64ToBytes, logError } from './utils.js';
+import { compressText, decompressText, readBackupText } from './compression.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup, validateEncryptedBackup, getPlainVersion } from './backupCrypto.js';
 
 // ========================================
 // Configuration
@@ -16,8 +20,13 @@ const BACKUP_CONFIG = {
     autoSaveInterval: 5, // changes
     filePrefix: 'backup_',
     fileExtension: '.json',
+    compressedExtension: '.json.gz',
     maxBackupSize: 50 * 1024 * 1024, // 50MB
-    compressionEnabled: false // Future: enable JSON compression
+    compressionEnabled: true, // gzip exports & snapshots (plain JSON is still imported)
+    snapshots: {
+        checkInterval: 60 * 60 * 1000, // 1 hour
+        retention: { daily: 7, weekly: 4, monthly: 12 }
+    }
 };
 
 // ========================================
@@ -29,9 +38,12 @@ class BackupManager {
         this.autoSaveTimer = null;
         this.autoSaveInterval = BACKUP_CONFIG.autoSaveInterval;
         this.lastBackupTimestamp = null;
+        this.snapshotTimer = null;
+        this.passphrase = ''; // Export/import encryption (memory only, never persisted)
         
         // Load autosave settings
         this.loadAutosaveSettings();
+        this.snapshotSettings = this.loadSnapshotSettings();
     }
 
     // ========================================
@@ -40,17 +52,29 @@ class BackupManager {
 
     /**
      * Create backup data object
-     * @returns {Promise<Object>} Backup data
+     * @param {Object} options - Options
+     * @param {string} options.passphrase - Encrypt with this passphrase (optional)
+     * @returns {Promise<Object>} Backup data (encrypted envelope when a passphrase is given)
      */
-    async createBackup() {
+    async createBackup(options = {}) {
         try {
             const entries = await storage.loadEntries();
             const sources = await storage.loadSetting('sources');
             const insurances = await storage.loadSetting('insurances');
             const userLabel = await storage.loadSetting('userLabel');
+            const uniquenessRule = await storage.loadSetting('uniquenessRule');
             const eopyyDeductions = await storage.loadSetting('eopyyDeductions');
-
-            return {
+            const deductionTemplates = await storage.loadSetting('deductionTemplates');
+            const rebateBrackets = await storage.loadSetting('rebateBrackets');
+            const eopyyStatements = await storage.loadSetting('eopyyStatements');
+            const expenses = await storage.loadSetting('expenses');
+            const insuranceTaxDefaults = await storage.loadSetting('insuranceTaxDefaults');
+            const budgets = await storage.loadSetting('budgets');
+            const bankTransactions = await storage.loadSetting('bankTransactions');
+            const myData = await storage.loadSetting('myData');
+            const cashFlow = await storage.loadSetting('cashFlow');
+
+            const backup = {
                 version: BACKUP_CONFIG.version,
                 timestamp: Date.now(),
                 dateCreated: new Date().toISOString(),
@@ -59,7 +83,17 @@ class BackupManager {
                     entries: entries || [],
                     sources: sources || STATE.sources,
                     insurances: insurances || STATE.insurances,
-                    eopyyDeductions: eopyyDeductions || []
+                    uniquenessRule: uniquenessRule || STATE.uniquenessRule,
+                    eopyyDeductions: eopyyDeductions || [],
+                    deductionTemplates: deductionTemplates || [],
+                    rebateBrackets: rebateBrackets || [],
+                    eopyyStatements: eopyyStatements || [],
+                    expenses: expenses || [],
+                    insuranceTaxDefaults: insuranceTaxDefaults || {},
+                    budgets: budgets || [],
+                    bankTransactions: bankTransactions || [],
+                    myData: myData || null,
+                    cashFlow: cashFlow || null
                 },
                 metadata: {
                     entriesCount: entries ? entries.length : 0,
@@ -68,6 +102,10 @@ class BackupManager {
                     deductionsCount: eopyyDeductions ? eopyyDeductions.length : 0
                 }
             };
+
+            return options.passphrase
+                ? await encryptBackup(backup, options.passphrase)
+                : backup;
         } catch (error) {
             logError('Create backup', error);
             throw error;
@@ -75,15 +113,21 @@ class BackupManager {
     }
 
     /**
-     * Export backup as JSON file
+     * Export backup as JSON (gzip-compressed) file
+     * @param {Object} options - Options
+     * @param {string} options.passphrase - Encrypt with this passphrase (defaults to the session passphrase)
      * @returns {Promise<boolean>} Success status
      */
-    async exportBackup() {
+    async exportBackup(options = {}) {
         try {
-            const backup = await this.createBackup();
+            const backup = await this.createBackup({
+                passphrase: options.passphrase ?? this.passphrase
+            });
             const filename = this.generateBackupFilename();
             const json = JSON.stringify(backup, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
+            const blob = BACKUP_CONFIG.compressionEnabled
+                ? new Blob([await compressText(json)], { type: 'application/gzip' })
+                : new Blob([json], { type: 'application/json' });
             
             downloadBlob(filename, blob);
             
@@ -106,7 +150,10 @@ class BackupManager {
         const now = new Date();
         const dateStr = now.toISOString().slice(0, 10); // YYYY-MM-DD
         const timeStr = now.toTimeString().slice(0, 5).replace(':', '-'); // HH-MM
-        return `${BACKUP_CONFIG.filePrefix}${dateStr}_${timeStr}${BACKUP_CONFIG.fileExtension}`;
+        const extension = BACKUP_CONFIG.compressionEnabled
+            ? BACKUP_CONFIG.compressedExtension
+            : BACKUP_CONFIG.fileExtension;
+        return `${BACKUP_CONFIG.filePrefix}${dateStr}_${timeStr}${extension}`;
     }
 
     // ========================================
@@ -117,9 +164,10 @@ class BackupManager {
      * Import backup from file
      * @param {File} file - Backup file
      * @param {string} mode - 'overwrite' | 'merge'
+     * @param {string} passphrase - Passphrase for encrypted backups (defaults to the session passphrase)
      * @returns {Promise<Object>} Import report
      */
-    async importBackup(file, mode = 'overwrite') {
+    async importBackup(file, mode = 'overwrite', passphrase = this.passphrase) {
         const report = {
             success: false,
             mode,
@@ -131,15 +179,13 @@ class BackupManager {
         };
 
         try {
-            // Read file
-            const text = await readFileAsText(file);
-            const backup = JSON.parse(text);
+            // Read file (gzip or legacy plain JSON)
+            const text = await readBackupText(await file.arrayBuffer());
+            const { backup, errors } = await this.openBackup(JSON.parse(text), passphrase);
 
-            // Validate backup
-            const validation = await this.validateBackup(backup);
-            if (!validation.valid) {
-                report.errorMessages.push(...validation.errors);
-                report.errors = validation.errors.length;
+            if (errors.length > 0) {
+                report.errorMessages.push(...errors);
+                report.errors = errors.length;
                 return report;
             }
 
@@ -170,6 +216,33 @@ class BackupManager {
         }
     }
 
+    /**
+     * Set session passphrase used by export/import (and autosave)
+     * @param {string} passphrase - Passphrase ('' for unencrypted backups)
+     */
+    setPassphrase(passphrase) {
+        this.passphrase = passphrase || '';
+    }
+
+    /**
+     * Validate and (if encrypted) decrypt parsed backup file
+     * @param {Object} parsed - Parsed backup JSON
+     * @param {string} passphrase - Passphrase for encrypted backups
+     * @returns {Promise<Object>} { backup, errors }
+     * @private
+     */
+    async openBackup(parsed, passphrase) {
+        let validation = await this.validateBackup(parsed);
+        if (!validation.valid || !isEncryptedBackup(parsed)) {
+            return { backup: parsed, errors: validation.errors };
+        }
+
+        // Wrong passphrase throws with a user-facing message
+        const backup = await decryptBackup(parsed, passphrase);
+        validation = await this.validateBackup(backup);
+        return { backup, errors: validation.errors };
+    }
+
     /**
      * Overwrite import (replace all data)
      * @param {Object} backup - Backup data
@@ -177,14 +250,30 @@ class BackupManager {
      * @private
      */
     async overwriteImport(backup, report) {
-        // Clear existing data
-        await storage.clearAllStorage();
+        // Clear existing data (the audit trail and local snapshots survive restores)
+        await storage.clearAllStorage({ keepAudit: true, keepSnapshots: true });
 
         // Import new data
         await storage.saveEntries(backup.data.entries);
         await storage.saveSetting('sources', backup.data.sources);
         await storage.saveSetting('insurances', backup.data.insurances);
+        if (UNIQUENESS_RULES[backup.data.uniquenessRule]) {
+            await storage.saveSetting('uniquenessRule', backup.data.uniquenessRule);
+        }
         await storage.saveSetting('eopyyDeductions', backup.data.eopyyDeductions || []);
+        await storage.saveSetting('deductionTemplates', backup.data.deductionTemplates || []);
+        await storage.saveSetting('rebateBrackets', backup.data.rebateBrackets || []);
+        await storage.saveSetting('eopyyStatements', backup.data.eopyyStatements || []);
+        await storage.saveSetting('expenses', backup.data.expenses || []);
+        await storage.saveSetting('insuranceTaxDefaults', backup.data.insuranceTaxDefaults || {});
+        await storage.saveSetting('budgets', backup.data.budgets || []);
+        await storage.saveSetting('bankTransactions', backup.data.bankTransactions || []);
+        if (backup.data.myData) {
+            await storage.saveSetting('myData', backup.data.myData);
+        }
+        if (backup.data.cashFlow) {
+            await storage.saveSetting('cashFlow', backup.data.cashFlow);
+        }
         
         if (backup.userLabel) {
             await storage.saveSetting('userLabel', backup.userLabel);
@@ -204,16 +293,15 @@ class BackupManager {
         const backupEntries = backup.data.entries;
         const merged = [...currentEntries];
         
-        // Create lookup map for current entries (by date + source)
+        // Create lookup map for current entries (by configured uniqueness rule)
         const currentMap = new Map();
         currentEntries.forEach(entry => {
-            const key = `${entry.date}_${entry.source}`;
-            currentMap.set(key, entry);
+            currentMap.set(getEntryMergeKey(entry), entry);
         });
 
         // Process each backup entry
         for (const backupEntry of backupEntries) {
-            const key = `${backupEntry.date}_${backupEntry.source}`;
+            const key = getEntryMergeKey(backupEntry);
             
             if (currentMap.has(key)) {
                 const currentEntry = currentMap.get(key);
@@ -243,6 +331,11 @@ class BackupManager {
         // Save merged data
         await storage.saveEntries(merged);
         
+        // Uniqueness rule: the current one wins unless it was never set
+        if (UNIQUENESS_RULES[backup.data.uniquenessRule] && !(await storage.loadSetting('uniquenessRule'))) {
+            await storage.saveSetting('uniquenessRule', backup.data.uniquenessRule);
+        }
+        
         // Merge deductions
         await this.mergeDeductions(backup);
     }
@@ -273,6 +366,108 @@ class BackupManager {
 
         // Save merged deductions
         await storage.saveSetting('eopyyDeductions', Array.from(deductionsMap.values()));
+
+        // Merge rate templates (by id, newer wins)
+        if (backup.data.deductionTemplates) {
+            const templatesMap = new Map();
+            (await storage.loadSetting('deductionTemplates') || []).forEach(t => templatesMap.set(t.id, t));
+
+            backup.data.deductionTemplates.forEach(backupTemplate => {
+                const current = templatesMap.get(backupTemplate.id);
+                if (!current || (backupTemplate.updatedAt || 0) > (current.updatedAt || 0)) {
+                    templatesMap.set(backupTemplate.id, backupTemplate);
+                }
+            });
+
+            await storage.saveSetting('deductionTemplates', Array.from(templatesMap.values()));
+        }
+
+        // Merge reconciliation statements (by id)
+        if (backup.data.eopyyStatements) {
+            const statementsMap = new Map();
+            (await storage.loadSetting('eopyyStatements') || []).forEach(st => statementsMap.set(st.id, st));
+            backup.data.eopyyStatements.forEach(st => {
+                if (!statementsMap.has(st.id)) statementsMap.set(st.id, st);
+            });
+
+            await storage.saveSetting('eopyyStatements', Array.from(statementsMap.values()));
+        }
+
+        // Merge expenses (by id, newer wins)
+        if (backup.data.expenses) {
+            const expensesMap = new Map();
+            (await storage.loadSetting('expenses') || []).forEach(e => expensesMap.set(e.id, e));
+
+            backup.data.expenses.forEach(backupExpense => {
+                const current = expensesMap.get(backupExpense.id);
+                if (!current || (backupExpense.updatedAt || 0) > (current.updatedAt || 0)) {
+                    expensesMap.set(backupExpense.id, backupExpense);
+                }
+            });
+
+            await storage.saveSetting('expenses', Array.from(expensesMap.values()));
+        }
+
+        // Rebate brackets form one table - keep the current one unless it is empty
+        if (backup.data.rebateBrackets?.length) {
+            const currentBrackets = await storage.loadSetting('rebateBrackets') || [];
+            if (currentBrackets.length === 0) {
+                await storage.saveSetting('rebateBrackets', backup.data.rebateBrackets);
+            }
+        }
+
+        // Merge tax defaults (current settings win)
+        if (backup.data.insuranceTaxDefaults) {
+            const currentDefaults = await storage.loadSetting('insuranceTaxDefaults') || {};
+            await storage.saveSetting('insuranceTaxDefaults', {
+                ...backup.data.insuranceTaxDefaults,
+                ...currentDefaults
+            });
+        }
+
+        // Merge budget targets (by month/source/insurance, current targets win)
+        if (backup.data.budgets) {
+            const budgetsMap = new Map();
+            const budgetKey = b => `${b.date}|${b.source}|${b.insurance}`;
+            (await storage.loadSetting('budgets') || []).forEach(b => budgetsMap.set(budgetKey(b), b));
+            backup.data.budgets.forEach(b => {
+                if (!budgetsMap.has(budgetKey(b))) budgetsMap.set(budgetKey(b), b);
+            });
+
+            await storage.saveSetting('budgets', Array.from(budgetsMap.values()));
+        }
+
+        // Merge bank transactions (by id, current match state wins)
+        if (backup.data.bankTransactions) {
+            const transactionsMap = new Map();
+            (await storage.loadSetting('bankTransactions') || []).forEach(t => transactionsMap.set(t.id, t));
+            backup.data.bankTransactions.forEach(t => {
+                if (!transactionsMap.has(t.id)) transactionsMap.set(t.id, t);
+            });
+
+            await storage.saveSetting('bankTransactions', Array.from(transactionsMap.values()));
+        }
+
+        // Merge myDATA VAT numbers (current settings win)
+        if (backup.data.myData) {
+            const current = await storage.loadSetting('myData') || {};
+            await storage.saveSetting('myData', {
+                ...backup.data.myData,
+                ...current,
+                issuers: { ...backup.data.myData.issuers, ...current.issuers },
+                counterparts: { ...backup.data.myData.counterparts, ...current.counterparts }
+            });
+        }
+
+        // Merge cash-flow payment lags (current settings win)
+        if (backup.data.cashFlow) {
+            const current = await storage.loadSetting('cashFlow') || {};
+            await storage.saveSetting('cashFlow', {
+                ...backup.data.cashFlow,
+                ...current,
+                lags: { ...backup.data.cashFlow.lags, ...current.lags }
+            });
+        }
     }
 
     /**
@@ -303,32 +498,35 @@ class BackupManager {
      * Get import preview (before actual import)
      * @param {File} file - Backup file
      * @param {string} mode - 'overwrite' | 'merge'
+     * @param {string} passphrase - Passphrase for encrypted backups (defaults to the session passphrase)
      * @returns {Promise<Object>} Preview data
      */
-    async getImportPreview(file, mode = 'overwrite') {
+    async getImportPreview(file, mode = 'overwrite', passphrase = this.passphrase) {
         try {
-            const text = await readFileAsText(file);
-            const backup = JSON.parse(text);
+            const text = await readBackupText(await file.arrayBuffer());
+            const parsed = JSON.parse(text);
 
-            // Validate
-            const validation = await this.validateBackup(backup);
-            if (!validation.valid) {
+            // Validate (and decrypt)
+            const { backup, errors } = await this.openBackup(parsed, passphrase);
+            if (errors.length > 0) {
                 return {
                     valid: false,
-                    error: validation.errors.join(', ')
+                    error: errors.join(', ')
                 };
             }
 
             // Get current data
             const currentEntries = await storage.loadEntries();
 
-            // Calculate impact
+            // Calculate impact and row-level diff
             const impact = await this.calculateImportImpact(backup, currentEntries, mode);
+            const diff = await this.calculateEntryDiff(backup, currentEntries);
 
             return {
                 valid: true,
                 backupInfo: {
-                    version: backup.version,
+                    version: parsed.version,
+                    encrypted: isEncryptedBackup(parsed),
                     date: backup.dateCreated,
                     entriesCount: backup.metadata.entriesCount,
                     sourcesCount: backup.metadata.sourcesCount,
@@ -339,7 +537,8 @@ class BackupManager {
                     sourcesCount: STATE.sources.length,
                     insurancesCount: STATE.insurances.length
                 },
-                impact
+                impact,
+                diff
             };
 
         } catch (error) {
@@ -374,12 +573,11 @@ class BackupManager {
 
             const currentMap = new Map();
             currentEntries.forEach(entry => {
-                const key = `${entry.date}_${entry.source}`;
-                currentMap.set(key, entry);
+                currentMap.set(getEntryMergeKey(entry), entry);
             });
 
             backup.data.entries.forEach(backupEntry => {
-                const key = `${backupEntry.date}_${backupEntry.source}`;
+                const key = getEntryMergeKey(backupEntry);
                 
                 if (currentMap.has(key)) {
                     const currentEntry = currentMap.get(key);
@@ -413,6 +611,18 @@ class BackupManager {
     async validateBackup(backup) {
         const errors = [];
 
+        // Encrypted envelope: only the envelope can be checked before decryption
+        if (isEncryptedBackup(backup)) {
+            errors.push(...validateEncryptedBackup(backup));
+            if (!this.isVersionCompatible(backup.version)) {
+                errors.push(`Incompatible version: ${backup.version} (expected ${BACKUP_CONFIG.version})`);
+            }
+            return {
+                valid: errors.length === 0,
+                errors
+            };
+        }
+
         // Check structure
         if (!backup.version) errors.push('Missing version');
         if (!backup.data) errors.push('Missing data');
@@ -455,11 +665,270 @@ class BackupManager {
      * @private
      */
     isVersionCompatible(version) {
-        const [major] = version.split('.');
+        const [major] = getPlainVersion(version).split('.');
         const [currentMajor] = BACKUP_CONFIG.version.split('.');
         return major === currentMajor;
     }
 
+    // ========================================
+    // Diff & Selective Restore
+    // ========================================
+
+    /**
+     * Row-level diff between backup entries and current entries
+     * (matched by ID first, then by the uniqueness rule key)
+     * @param {Object} backup - Backup data
+     * @param {Array} currentEntries - Current entries
+     * @returns {Promise<Object>} { rows, counts, settings }
+     */
+    async calculateEntryDiff(backup, currentEntries) {
+        const currentDeductions = await storage.loadSetting('eopyyDeductions') || [];
+        const deductionsById = new Map(currentDeductions.map(d => [d.entryId, d]));
+        const backupDeductionsById = new Map((backup.data.eopyyDeductions || []).map(d => [d.entryId, d]));
+
+        const byId = new Map(currentEntries.map(entry => [entry.id, entry]));
+        const byKey = new Map();
+        currentEntries.forEach(entry => {
+            const key = getEntryMergeKey(entry);
+            if (!byKey.has(key)) byKey.set(key, entry);
+        });
+
+        const matched = new Set();
+        const rows = [];
+        let unchanged = 0;
+
+        backup.data.entries.forEach((backupEntry, index) => {
+            let currentEntry = byId.get(backupEntry.id);
+            if (!currentEntry || matched.has(currentEntry.id)) {
+                currentEntry = byKey.get(getEntryMergeKey(backupEntry));
+            }
+
+            if (!currentEntry || matched.has(currentEntry.id)) {
+                rows.push(this.createDiffRow(`added:${backupEntry.id || index}`, 'added', backupEntry, null));
+                return;
+            }
+
+            matched.add(currentEntry.id);
+            const changes = auditLog.diff(
+                auditLog.flattenSnapshot({ entry: currentEntry, deductions: deductionsById.get(currentEntry.id) }),
+                auditLog.flattenSnapshot({ entry: backupEntry, deductions: backupDeductionsById.get(backupEntry.id) })
+            );
+
+            if (changes.length === 0) {
+                unchanged++;
+            } else {
+                rows.push(this.createDiffRow(`changed:${currentEntry.id}`, 'changed', backupEntry, currentEntry, changes));
+            }
+        });
+
+        // Present now but not in the backup
+        currentEntries.forEach(entry => {
+            if (!matched.has(entry.id)) {
+                rows.push(this.createDiffRow(`removed:${entry.id}`, 'removed', null, entry));
+            }
+        });
+
+        rows.sort((a, b) => compareDates(b.date, a.date));
+
+        const countOf = status => rows.filter(row => row.status === status).length;
+        return {
+            rows,
+            counts: {
+                added: countOf('added'),
+                changed: countOf('changed'),
+                removed: countOf('removed'),
+                unchanged
+            },
+            settings: await this.calculateSettingsDiff(backup)
+        };
+    }
+
+    /**
+     * Build diff row
+     * @private
+     */
+    createDiffRow(key, status, backupEntry, currentEntry, changes = []) {
+        const entry = backupEntry || currentEntry;
+        return {
+            key,
+            status,
+            date: entry.date,
+            source: entry.source,
+            insurance: entry.insurance,
+            amount: entry.amount,
+            changes,
+            backupEntry,
+            currentEntry
+        };
+    }
+
+    /**
+     * Diff of restorable settings (sources, insurances, deduction templates)
+     * @param {Object} backup - Backup data
+     * @returns {Promise<Object>} { sources, insurances, deductionTemplates } with added/removed(/changed) names
+     * @private
+     */
+    async calculateSettingsDiff(backup) {
+        const listDiff = (current, incoming) => ({
+            added: incoming.filter(name => !current.includes(name)),
+            removed: current.filter(name => !incoming.includes(name))
+        });
+
+        const currentTemplates = await storage.loadSetting('deductionTemplates') || [];
+        const backupTemplates = backup.data.deductionTemplates || [];
+        const currentById = new Map(currentTemplates.map(t => [t.id, t]));
+        const backupIds = new Set(backupTemplates.map(t => t.id));
+
+        return {
+            sources: listDiff(await storage.loadSetting('sources') || STATE.sources, backup.data.sources),
+            insurances: listDiff(await storage.loadSetting('insurances') || STATE.insurances, backup.data.insurances),
+            deductionTemplates: {
+                added: backupTemplates.filter(t => !currentById.has(t.id)).map(t => t.name),
+                changed: backupTemplates
+                    .filter(t => currentById.has(t.id) && JSON.stringify(t) !== JSON.stringify(currentById.get(t.id)))
+                    .map(t => t.name),
+                removed: currentTemplates.filter(t => !backupIds.has(t.id)).map(t => t.name)
+            }
+        };
+    }
+
+    /**
+     * Filter diff rows by date range and source
+     * @param {Array} rows - Diff rows
+     * @param {Object} filters - { dateFrom, dateTo, source, status }
+     * @returns {Array} Filtered rows
+     */
+    filterDiffRows(rows, filters = {}) {
+        return rows.filter(row =>
+            (!filters.dateFrom || compareDates(row.date, filters.dateFrom) >= 0) &&
+            (!filters.dateTo || compareDates(row.date, filters.dateTo) <= 0) &&
+            (!filters.source || row.source === filters.source) &&
+            (!filters.status || row.status === filters.status)
+        );
+    }
+
+    /**
+     * Restore selected entries and/or settings from backup file
+     * Each selected row is brought to its backup state: added rows are inserted,
+     * changed rows replaced (keeping the current ID) and removed rows deleted.
+     * @param {File} file - Backup file
+     * @param {Object} selection - { keys: diff row keys, settings: restore sources/insurances/deduction templates }
+     * @param {string} passphrase - Passphrase for encrypted backups (defaults to the session passphrase)
+     * @returns {Promise<Object>} Import report
+     */
+    async restoreSelected(file, selection, passphrase = this.passphrase) {
+        const report = {
+            success: false,
+            mode: 'selective',
+            inserted: 0,
+            updated: 0,
+            deleted: 0,
+            settings: false,
+            errors: 0,
+            errorMessages: []
+        };
+
+        try {
+            const text = await readBackupText(await file.arrayBuffer());
+            const { backup, errors } = await this.openBackup(JSON.parse(text), passphrase);
+            if (errors.length > 0) {
+                report.errorMessages.push(...errors);
+                report.errors = errors.length;
+                return report;
+            }
+
+            const entries = await storage.loadEntries();
+            const diff = await this.calculateEntryDiff(backup, entries);
+            const selected = new Set(selection.keys || []);
+
+            const deductionsById = new Map((await storage.loadSetting('eopyyDeductions') || []).map(d => [d.entryId, d]));
+            const backupDeductionsById = new Map((backup.data.eopyyDeductions || []).map(d => [d.entryId, d]));
+            const setDeductions = (entryId, record) => {
+                if (record) {
+                    deductionsById.set(entryId, { ...record, entryId });
+                } else {
+                    deductionsById.delete(entryId);
+                }
+            };
+
+            for (const row of diff.rows.filter(r => selected.has(r.key))) {
+                if (row.status === 'added') {
+                    const id = row.backupEntry.id && !entries.some(e => e.id === row.backupEntry.id)
+                        ? row.backupEntry.id
+                        : generateId();
+                    const restored = { ...row.backupEntry, id };
+                    entries.push(restored);
+                    setDeductions(id, backupDeductionsById.get(row.backupEntry.id));
+
+                    await auditLog.recordEntryChange(id, 'restore', null, { entry: restored, deductions: deductionsById.get(id) || null });
+                    report.inserted++;
+                } else if (row.status === 'changed') {
+                    const id = row.currentEntry.id;
+                    const before = { entry: row.currentEntry, deductions: deductionsById.get(id) || null };
+                    const restored = { ...row.backupEntry, id };
+                    entries[entries.findIndex(e => e.id === id)] = restored;
+                    setDeductions(id, backupDeductionsById.get(row.backupEntry.id));
+
+                    await auditLog.recordEntryChange(id, 'restore', before, { entry: restored, deductions: deductionsById.get(id) || null });
+                    report.updated++;
+                } else {
+                    const id = row.currentEntry.id;
+                    const before = { entry: row.currentEntry, deductions: deductionsById.get(id) || null };
+                    entries.splice(entries.findIndex(e => e.id === id), 1);
+                    setDeductions(id, null);
+
+                    await auditLog.recordEntryChange(id, 'delete', before, null);
+                    report.deleted++;
+                }
+            }
+
+            if (selected.size > 0) {
+                await storage.saveEntries(entries);
+                await storage.saveSetting('eopyyDeductions', Array.from(deductionsById.values()));
+            }
+
+            if (selection.settings) {
+                await this.restoreSettings(backup, entries);
+                report.settings = true;
+            }
+
+            report.success = true;
+            console.log('[Backup] Selective restore successful:', report);
+            return report;
+        } catch (error) {
+            logError('Selective restore', error);
+            report.errorMessages.push(error.message);
+            report.errors++;
+            return report;
+        }
+    }
+
+    /**
+     * Restore sources, insurances and deduction templates from backup
+     * Names and templates still used by the current entries are kept.
+     * @param {Object} backup - Backup data
+     * @param {Array} entries - Entries after restore
+     * @private
+     */
+    async restoreSettings(backup, entries) {
+        const withUsed = (list, field) => [...new Set([
+            ...list,
+            ...entries.map(entry => entry[field]).filter(Boolean)
+        ])];
+
+        await storage.saveSetting('sources', withUsed(backup.data.sources, 'source'));
+        await storage.saveSetting('insurances', withUsed(backup.data.insurances, 'insurance'));
+
+        if (backup.data.deductionTemplates) {
+            const backupIds = new Set(backup.data.deductionTemplates.map(t => t.id));
+            const usedIds = new Set(entries.map(entry => entry.deductionTemplateId).filter(Boolean));
+            const stillUsed = (await storage.loadSetting('deductionTemplates') || [])
+                .filter(t => usedIds.has(t.id) && !backupIds.has(t.id));
+
+            await storage.saveSetting('deductionTemplates', [...backup.data.deductionTemplates, ...stillUsed]);
+        }
+    }
+
     // ========================================
     // Autosave Methods
     // ========================================
@@ -584,6 +1053,307 @@ class BackupManager {
                 : 'Ποτέ'
         };
     }
+
+    // ========================================
+    // Snapshot Methods
+    // ========================================
+
+    /**
+     * Load snapshot settings from localStorage
+     * @returns {Object} { enabled, retention: { daily, weekly, monthly } }
+     * @private
+     */
+    loadSnapshotSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('snapshotSettings') || '{}');
+        } catch (error) {
+            logError('Load snapshot settings', error);
+        }
+
+        return {
+            enabled: saved.enabled !== false,
+            retention: { ...BACKUP_CONFIG.snapshots.retention, ...(saved.retention || {}) }
+        };
+    }
+
+    /**
+     * Update snapshot settings and apply the new retention
+     * @param {Object} settings - { enabled, retention: { daily, weekly, monthly } }
+     * @returns {Promise<Object>} Saved settings
+     */
+    async updateSnapshotSettings(settings) {
+        const retention = { ...this.snapshotSettings.retention };
+        Object.entries(settings.retention || {}).forEach(([tier, value]) => {
+            const count = parseInt(value);
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error('Η διατήρηση snapshots πρέπει να είναι μη αρνητικός ακέραιος');
+            }
+            retention[tier] = count;
+        });
+
+        this.snapshotSettings = {
+            enabled: settings.enabled !== undefined ? !!settings.enabled : this.snapshotSettings.enabled,
+            retention
+        };
+        localStorage.setItem('snapshotSettings', JSON.stringify(this.snapshotSettings));
+
+        if (this.snapshotSettings.enabled) {
+            await this.startSnapshotSchedule();
+        } else {
+            this.stopSnapshotSchedule();
+        }
+        await this.rotateSnapshots();
+
+        return this.snapshotSettings;
+    }
+
+    /**
+     * Take today's snapshot if missing and check again every hour
+     * (call after storage is initialized)
+     */
+    async startSnapshotSchedule() {
+        this.stopSnapshotSchedule();
+        if (!this.snapshotSettings.enabled) return;
+
+        await this.ensureDailySnapshot();
+        this.snapshotTimer = setInterval(() => {
+            this.ensureDailySnapshot();
+        }, BACKUP_CONFIG.snapshots.checkInterval);
+
+        console.log('[Backup] Snapshot schedule started');
+    }
+
+    /**
+     * Stop snapshot schedule
+     */
+    stopSnapshotSchedule() {
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+    }
+
+    /**
+     * Create a snapshot unless one already exists for today
+     * @returns {Promise<Object|null>} New snapshot info or null
+     * @private
+     */
+    async ensureDailySnapshot() {
+        if (!this.snapshotSettings.enabled) return null;
+
+        try {
+            const snapshots = await storage.loadSnapshots();
+            const today = this.getSnapshotPeriodKeys(Date.now()).day;
+            if (snapshots.some(s => this.getSnapshotPeriodKeys(s.timestamp).day === today)) {
+                return null;
+            }
+            return await this.createSnapshot('auto');
+        } catch (error) {
+            logError('Daily snapshot', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create snapshot of the current data and apply retention
+     * @param {string} trigger - 'auto' | 'manual'
+     * @returns {Promise<Object>} Snapshot info (without backup data)
+     */
+    async createSnapshot(trigger = 'manual') {
+        const backup = await this.createBackup();
+        const json = JSON.stringify(backup);
+        const snapshot = {
+            id: generateId(),
+            timestamp: backup.timestamp,
+            trigger,
+            metadata: backup.metadata
+        };
+
+        if (BACKUP_CONFIG.compressionEnabled) {
+            // Base64 keeps the record storable in the localStorage fallback too
+            const compressed = await compressText(json);
+            snapshot.size = compressed.length;
+            snapshot.encoding = 'gzip';
+            snapshot.payload = bytesToBase64(compressed);
+        } else {
+            snapshot.size = new Blob([json]).size;
+            snapshot.backup = backup;
+        }
+
+        const saved = await storage.saveSnapshot(snapshot);
+        if (!saved) {
+            throw new Error('Αποτυχία αποθήκευσης snapshot (ανεπαρκής χώρος;)');
+        }
+
+        await this.rotateSnapshots();
+        console.log('[Backup] Snapshot created:', snapshot.id);
+
+        const { backup: _backup, payload: _payload, ...info } = snapshot;
+        return info;
+    }
+
+    /**
+     * List snapshots with the retention tiers each one is kept for
+     * @returns {Promise<Array>} Snapshot info, newest first
+     */
+    async listSnapshots() {
+        const snapshots = await storage.loadSnapshots();
+        const tiers = this.classifySnapshots(snapshots);
+
+        return snapshots.map(({ backup, payload, ...info }) => ({
+            ...info,
+            tiers: tiers.get(info.id) || []
+        }));
+    }
+
+    /**
+     * Delete snapshots not kept by any retention tier
+     * @returns {Promise<number>} Deleted count
+     */
+    async rotateSnapshots() {
+        const snapshots = await storage.loadSnapshots();
+        const tiers = this.classifySnapshots(snapshots);
+        let deleted = 0;
+
+        for (const snapshot of snapshots) {
+            if (tiers.get(snapshot.id).length === 0) {
+                await storage.deleteSnapshot(snapshot.id);
+                deleted++;
+            }
+        }
+
+        if (deleted > 0) {
+            console.log(`[Backup] Rotated ${deleted} snapshot(s)`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Assign retention tiers (grandfather-father-son): the newest snapshot
+     * of each of the last N days, ISO weeks and months is kept
+     * @param {Array} snapshots - Snapshot records
+     * @returns {Map<string, Array<string>>} Snapshot ID -> tiers ('daily' | 'weekly' | 'monthly')
+     * @private
+     */
+    classifySnapshots(snapshots) {
+        const { retention } = this.snapshotSettings;
+        const seen = { daily: new Set(), weekly: new Set(), monthly: new Set() };
+        const keyOf = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const result = new Map();
+
+        [...snapshots]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .forEach(snapshot => {
+                const keys = this.getSnapshotPeriodKeys(snapshot.timestamp);
+                const tiers = [];
+
+                Object.keys(seen).forEach(tier => {
+                    const key = keys[keyOf[tier]];
+                    if (!seen[tier].has(key) && seen[tier].size < retention[tier]) {
+                        seen[tier].add(key);
+                        tiers.push(tier);
+                    }
+                });
+
+                result.set(snapshot.id, tiers);
+            });
+
+        return result;
+    }
+
+    /**
+     * Get local day, ISO week and month keys for a timestamp
+     * @param {number} timestamp - Timestamp
+     * @returns {Object} { day: 'YYYY-MM-DD', week: 'YYYY-Www', month: 'YYYY-MM' }
+     * @private
+     */
+    getSnapshotPeriodKeys(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+        // ISO week: the week belongs to the year of its Thursday
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+
+        return {
+            day: `${month}-${pad(date.getDate())}`,
+            week: `${thursday.getFullYear()}-W${pad(week)}`,
+            month
+        };
+    }
+
+    /**
+     * Restore snapshot (replaces all data, like an overwrite import)
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} Import report
+     */
+    async restoreSnapshot(id) {
+        const report = {
+            success: false,
+            mode: 'overwrite',
+            inserted: 0,
+            updated: 0,
+            duplicates: 0,
+            errors: 0,
+            errorMessages: []
+        };
+
+        try {
+            const snapshot = await storage.getSnapshot(id);
+            if (!snapshot) {
+                throw new Error('Το snapshot δεν βρέθηκε');
+            }
+
+            const backup = await this.readSnapshotBackup(snapshot);
+            const validation = await this.validateBackup(backup);
+            if (!validation.valid) {
+                report.errorMessages.push(...validation.errors);
+                report.errors = validation.errors.length;
+                return report;
+            }
+
+            const currentSources = await storage.loadSetting('sources');
+            const currentInsurances = await storage.loadSetting('insurances');
+
+            await this.overwriteImport(backup, report);
+            await this.updateListsFromBackup(backup, currentSources, currentInsurances);
+
+            report.success = true;
+            console.log('[Backup] Snapshot restored:', id);
+            return report;
+        } catch (error) {
+            logError('Restore snapshot', error);
+            report.errorMessages.push(error.message);
+            report.errors++;
+            return report;
+        }
+    }
+
+    /**
+     * Get backup data of a snapshot (gzip payload or uncompressed)
+     * @param {Object} snapshot - Snapshot record
+     * @returns {Promise<Object>} Backup data
+     * @private
+     */
+    async readSnapshotBackup(snapshot) {
+        if (snapshot.encoding === 'gzip') {
+            return JSON.parse(await decompressText(base64ToBytes(snapshot.payload)));
+        }
+        return snapshot.backup;
+    }
+
+    /**
+     * Delete snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteSnapshot(id) {
+        return await storage.deleteSnapshot(id);
+    }
 }
 
 // ========================================
@@ -594,19 +1364,23 @@ const backupManager = new BackupManager();
 // ========================================
 // Named Exports
 // ========================================
-export async function exportBackup() {
-    return await backupManager.exportBackup();
+export async function exportBackup(options) {
+    return await backupManager.exportBackup(options);
+}
+
+export async function importBackup(file, mode, passphrase) {
+    return await backupManager.importBackup(file, mode, passphrase);
 }
 
-export async function importBackup(file, mode) {
-    return await backupManager.importBackup(file, mode);
+export async function getImportPreview(file, mode, passphrase) {
+    return await backupManager.getImportPreview(file, mode, passphrase);
 }
 
-export async function getImportPreview(file, mode) {
-    return await backupManager.getImportPreview(file, mode);
+export async function restoreSelected(file, selection, passphrase) {
+    return await backupManager.restoreSelected(file, selection, passphrase);
 }
 
-export { BackupManager };
+export { BackupManager, BACKUP_CONFIG };
 
 // ========================================
 // Default Export
@@ -0,0 +1,177 @@
+/**
+ * backupCrypto.js - Backup Encryption
+ * Passphrase-based encryption (PBKDF2 + AES-GCM) via Web Crypto
+ * Version: 2.0
+ */
+
+import { bytesToBase64, base64ToBytes } from './utils.js';
+import { compressText, decompressText } from './compression.js';
+
+// ========================================
+// Configuration
+// ========================================
+const CRYPTO_CONFIG = Object.freeze({
+    versionSuffix: '-enc', // '2.0' -> '2.0-enc'
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: 310000,
+    cipher: 'AES-GCM',
+    keyLength: 256,
+    saltBytes: 16,
+    ivBytes: 12
+});
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Derive AES key from passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ * @private
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        CRYPTO_CONFIG.kdf,
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: CRYPTO_CONFIG.kdf, salt, iterations, hash: CRYPTO_CONFIG.hash },
+        baseKey,
+        { name: CRYPTO_CONFIG.cipher, length: CRYPTO_CONFIG.keyLength },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Check whether data is an encrypted backup envelope
+ * @param {Object} data - Parsed backup JSON
+ * @returns {boolean} Encrypted or not
+ */
+export function isEncryptedBackup(data) {
+    return !!data
+        && typeof data.version === 'string'
+        && data.version.endsWith(CRYPTO_CONFIG.versionSuffix);
+}
+
+/**
+ * Strip the encryption marker from a version string
+ * @param {string} version - Version ('2.0-enc')
+ * @returns {string} Plain version ('2.0')
+ */
+export function getPlainVersion(version) {
+    return String(version || '').replace(new RegExp(`${CRYPTO_CONFIG.versionSuffix}$`), '');
+}
+
+/**
+ * Encrypt backup object with passphrase
+ * @param {Object} backup - Backup data (as created by BackupManager)
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encrypted envelope
+ */
+export async function encryptBackup(backup, passphrase) {
+    if (!passphrase) {
+        throw new Error('Δεν έχει οριστεί κωδικός κρυπτογράφησης');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.saltBytes));
+    const iv = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.ivBytes));
+    const key = await deriveKey(passphrase, salt, CRYPTO_CONFIG.iterations);
+
+    // Compress before encrypting - ciphertext does not compress
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: CRYPTO_CONFIG.cipher, iv },
+        key,
+        await compressText(JSON.stringify(backup))
+    );
+
+    // Only timestamps stay readable (preview & last-write-wins)
+    return {
+        version: `${backup.version}${CRYPTO_CONFIG.versionSuffix}`,
+        timestamp: backup.timestamp,
+        dateCreated: backup.dateCreated,
+        encryption: {
+            cipher: CRYPTO_CONFIG.cipher,
+            kdf: CRYPTO_CONFIG.kdf,
+            hash: CRYPTO_CONFIG.hash,
+            iterations: CRYPTO_CONFIG.iterations,
+            compression: 'gzip',
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv)
+        },
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt backup envelope with passphrase
+ * @param {Object} envelope - Encrypted envelope
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Backup data
+ */
+export async function decryptBackup(envelope, passphrase) {
+    if (!passphrase) {
+        throw new Error('Το backup είναι κρυπτογραφημένο. Εισάγετε τον κωδικό backup.');
+    }
+
+    const { encryption } = envelope;
+    const key = await deriveKey(passphrase, base64ToBytes(encryption.salt), encryption.iterations);
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: encryption.cipher, iv: base64ToBytes(encryption.iv) },
+            key,
+            base64ToBytes(envelope.ciphertext)
+        );
+    } catch {
+        // AES-GCM authentication fails identically for a wrong key and for tampered data
+        throw new Error('Λάθος κωδικός backup ή αλλοιωμένο αρχείο');
+    }
+
+    // Envelopes without a compression field hold plain JSON
+    const json = encryption.compression === 'gzip'
+        ? await decompressText(new Uint8Array(plaintext))
+        : new TextDecoder().decode(plaintext);
+    return JSON.parse(json);
+}
+
+/**
+ * Validate encrypted envelope structure
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Array<string>} Errors
+ */
+export function validateEncryptedBackup(envelope) {
+    const errors = [];
+    const encryption = envelope.encryption;
+
+    if (!encryption) {
+        errors.push('Missing encryption parameters');
+    } else {
+        if (encryption.cipher !== CRYPTO_CONFIG.cipher || encryption.kdf !== CRYPTO_CONFIG.kdf) {
+            errors.push(`Unsupported encryption: ${encryption.kdf} / ${encryption.cipher}`);
+        }
+        if (!encryption.salt || !encryption.iv || !(encryption.iterations > 0)) {
+            errors.push('Invalid encryption parameters');
+        }
+    }
+    if (typeof envelope.ciphertext !== 'string' || envelope.ciphertext.length === 0) {
+        errors.push('Missing ciphertext');
+    }
+
+    return errors;
+}
+
+export { CRYPTO_CONFIG };
@@ -0,0 +1,841 @@
+/**
+ * bankStatements.js - Bank Statement Import & Payment Matching
+ * Imports bank statements (CSV / OFX / CAMT.053) and matches credits to outstanding entries
+ * Version: 2.0
+ */
+
+import { STATE } from './state.js';
+import storage from './storage.js';
+import { getEntryById, getPaymentInfo, recordPayment, addEntry, PAYMENT_FIELDS } from './dataManager.js';
+import { parseMonthYear, sanitizeText, generateId } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const BANK_CONFIG = {
+    formats: {
+        csv: 'CSV',
+        ofx: 'OFX',
+        camt053: 'CAMT.053'
+    },
+    statuses: {
+        unmatched: 'Χωρίς αντιστοίχιση',
+        matched: 'Αντιστοιχίστηκε',
+        ignored: 'Αγνοήθηκε'
+    },
+    // CSV header aliases (lowercase, without accents). Covers the usual Greek
+    // e-banking exports: signed amount, amount + Χ/Π indicator, or separate
+    // debit / credit columns, optionally after a few lines of account details.
+    csvColumns: {
+        date: ['ημερομηνια', 'ημ/νια', 'ημερομηνια συναλλαγης', 'ημ/νια συναλλαγης', 'ημερομηνια κινησης', 'ημ/νια κινησης', 'ημερομηνια καταχωρισης', 'date', 'transaction date', 'booking date'],
+        valueDate: ['ημερομηνια αξιας', 'ημ/νια αξιας', 'valeur', 'value date'],
+        description: ['περιγραφη', 'αιτιολογια', 'περιγραφη συναλλαγης', 'περιγραφη κινησης', 'description', 'details', 'narrative'],
+        amount: ['ποσο', 'ποσο συναλλαγης', 'ποσο κινησης', 'amount'],
+        credit: ['πιστωση', 'πιστωσεις', 'credit'],
+        debit: ['χρεωση', 'χρεωσεις', 'debit'],
+        sign: ['χ/π', 'π/χ', 'προσημο', 'προσημο ποσου', 'ειδος κινησης', 'dr/cr', 'cr/dr'],
+        reference: ['αριθμος αναφορας', 'αρ. αναφορας', 'κωδικος συναλλαγης', 'αριθμος συναλλαγης', 'reference', 'transaction id'],
+        counterparty: ['αντισυμβαλλομενος', 'επωνυμια', 'εντολεας', 'ονομα εντολεα', 'counterparty', 'payer']
+    },
+    headerScanLines: 20,
+    matching: {
+        tolerance: 0.05,            // € difference still treated as exact
+        relativeTolerance: 0.005,   // bank charges / insurer rounding on large payments
+        maxGroupSize: 4,
+        maxCandidates: 25,          // per insurance, newest first
+        maxProposals: 3,
+        lookbackMonths: 18
+    }
+};
+
+const GREEK_TO_LATIN = {
+    Α: 'A', Β: 'V', Γ: 'G', Δ: 'D', Ε: 'E', Ζ: 'Z', Η: 'I', Θ: 'TH', Ι: 'I', Κ: 'K', Λ: 'L', Μ: 'M',
+    Ν: 'N', Ξ: 'X', Ο: 'O', Π: 'P', Ρ: 'R', Σ: 'S', Τ: 'T', Υ: 'Y', Φ: 'F', Χ: 'CH', Ψ: 'PS', Ω: 'O'
+};
+
+/**
+ * Lowercase and strip accents (header / text comparison)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ * @private
+ */
+function normalizeText(text) {
+    return (text || '').toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Uppercase Greek to Latin (bank descriptions are often transliterated, e.g. EOPYY)
+ * @param {string} text - Normalized text
+ * @returns {string} Transliterated uppercase text
+ * @private
+ */
+function toLatin(text) {
+    return text.toUpperCase().replace(/[Α-Ω]/g, ch => GREEK_TO_LATIN[ch] || ch);
+}
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ * @private
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ========================================
+// Bank Statement Manager Class
+// ========================================
+class BankStatementManager {
+    constructor() {
+        this.transactions = []; // [{id, date, amount, description, counterparty, reference, status, matches, rejected}]
+    }
+
+    /**
+     * Load transactions from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadTransactions() {
+        try {
+            this.transactions = await storage.loadSetting('bankTransactions') || [];
+            console.log(`[Bank] Loaded ${this.transactions.length} transactions`);
+            return true;
+        } catch (error) {
+            console.error('[Bank] Load error:', error);
+            this.transactions = [];
+            return false;
+        }
+    }
+
+    /**
+     * Save transactions to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveTransactions() {
+        try {
+            await storage.saveSetting('bankTransactions', this.transactions);
+            return true;
+        } catch (error) {
+            console.error('[Bank] Save error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get transaction by ID
+     * @param {string} transactionId - Transaction ID
+     * @returns {Object|null} Transaction
+     */
+    getTransaction(transactionId) {
+        return this.transactions.find(t => t.id === transactionId) || null;
+    }
+
+    /**
+     * Get transactions by status, newest first
+     * @param {string} status - 'unmatched' | 'matched' | 'ignored'
+     * @returns {Array} Transactions
+     */
+    getTransactions(status) {
+        return this.transactions
+            .filter(t => t.status === status)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    // ========================================
+    // Import
+    // ========================================
+
+    /**
+     * Detect statement format from file contents
+     * @param {string} text - File contents
+     * @returns {string} 'csv' | 'ofx' | 'camt053'
+     */
+    detectFormat(text) {
+        const head = text.substring(0, 2000);
+        if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+        if (/camt\.053|<(\w+:)?BkToCstmrStmt>/.test(text.substring(0, 5000))) return 'camt053';
+        return 'csv';
+    }
+
+    /**
+     * Import a statement file
+     * Only credits are kept; debits are counted and skipped. Transactions already
+     * imported (same bank reference, or same date / amount / description) are skipped.
+     * @param {string} fileName - File name
+     * @param {string} text - Decoded file contents
+     * @returns {Promise<Object>} {format, imported, duplicates, debits, errors}
+     */
+    async importStatement(fileName, text) {
+        const format = this.detectFormat(text);
+        const parsers = {
+            csv: () => this.parseCsv(text),
+            ofx: () => this.parseOfx(text),
+            camt053: () => this.parseCamt053(text)
+        };
+
+        const { transactions, errors } = parsers[format]();
+        const existing = new Set(this.transactions.map(t => this.getTransactionKey(t)));
+        const result = { format, imported: [], duplicates: 0, debits: 0, errors };
+
+        transactions.forEach(t => {
+            if (t.amount <= 0) {
+                result.debits++;
+                return;
+            }
+
+            const key = this.getTransactionKey(t);
+            if (existing.has(key)) {
+                result.duplicates++;
+                return;
+            }
+            existing.add(key);
+
+            result.imported.push({
+                id: generateId(),
+                ...t,
+                format,
+                fileName,
+                importedAt: Date.now(),
+                importedBy: STATE.userLabel,
+                status: 'unmatched',
+                matches: [],
+                rejected: []
+            });
+        });
+
+        if (result.imported.length > 0) {
+            this.transactions.push(...result.imported);
+            await this.saveTransactions();
+        }
+
+        console.log(`[Bank] Imported ${result.imported.length} ${BANK_CONFIG.formats[format]} transactions from ${fileName}`);
+        return result;
+    }
+
+    /**
+     * Duplicate detection key
+     * @param {Object} transaction - Transaction
+     * @returns {string} Key
+     * @private
+     */
+    getTransactionKey(transaction) {
+        if (transaction.reference) return `ref:${transaction.reference}`;
+        return `${transaction.date}|${transaction.amount.toFixed(2)}|${normalizeText(transaction.description)}`;
+    }
+
+    /**
+     * Parse a CSV export (PapaParse)
+     * @param {string} text - File contents
+     * @returns {Object} {transactions, errors}
+     * @private
+     */
+    parseCsv(text) {
+        if (typeof Papa === 'undefined') {
+            throw new Error('PapaParse library δεν είναι διαθέσιμη');
+        }
+
+        // Skip account details above the header row
+        const lines = text.split(/\r?\n/);
+        const headerIndex = lines.slice(0, BANK_CONFIG.headerScanLines).findIndex(line => {
+            const cells = line.split(/[;,\t]/).map(c => normalizeText(c.replace(/"/g, '')));
+            const has = field => cells.some(c => BANK_CONFIG.csvColumns[field].includes(c));
+            return has('date') && (has('amount') || has('credit'));
+        });
+
+        if (headerIndex < 0) {
+            throw new Error('Δεν βρέθηκαν στήλες Ημερομηνία και Ποσό / Πίστωση στο αρχείο');
+        }
+
+        const parsed = Papa.parse(lines.slice(headerIndex).join('\n'), { header: true, skipEmptyLines: true });
+        const mapping = this.detectColumns(parsed.meta.fields || []);
+        const transactions = [];
+        const errors = [];
+
+        parsed.data.forEach((row, index) => {
+            const line = headerIndex + index + 2;
+            const date = this.parseDate(row[mapping.date]);
+            const amount = this.parseCsvAmount(row, mapping);
+
+            if (!date || amount === null) {
+                // Balance / total lines without a date are not transactions
+                if ((row[mapping.date] || '').toString().trim()) {
+                    errors.push(`Γραμμή ${line}: Μη έγκυρη ημερομηνία ή ποσό`);
+                }
+                return;
+            }
+
+            transactions.push({
+                date,
+                valueDate: this.parseDate(row[mapping.valueDate]) || date,
+                amount,
+                description: sanitizeText(row[mapping.description] || ''),
+                counterparty: sanitizeText(row[mapping.counterparty] || ''),
+                reference: (row[mapping.reference] || '').toString().trim()
+            });
+        });
+
+        return { transactions, errors };
+    }
+
+    /**
+     * Map CSV headers to transaction fields
+     * @param {Array<string>} headers - CSV headers
+     * @returns {Object} field => header
+     * @private
+     */
+    detectColumns(headers) {
+        const mapping = {};
+
+        Object.entries(BANK_CONFIG.csvColumns).forEach(([field, aliases]) => {
+            mapping[field] = headers.find(h => aliases.includes(normalizeText(h))) || null;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Signed amount of a CSV row (credits positive)
+     * @param {Object} row - CSV row
+     * @param {Object} mapping - Column mapping
+     * @returns {number|null} Amount, or null if missing
+     * @private
+     */
+    parseCsvAmount(row, mapping) {
+        if (mapping.credit || mapping.debit) {
+            const credit = this.parseAmount(row[mapping.credit]);
+            const debit = this.parseAmount(row[mapping.debit]);
+            if (credit === null && debit === null) return null;
+            return roundCents((credit || 0) - Math.abs(debit || 0));
+        }
+
+        const amount = this.parseAmount(row[mapping.amount]);
+        if (amount === null || !mapping.sign) return amount;
+
+        const sign = normalizeText(row[mapping.sign]);
+        if (/^(χ|d|dr|debit)/.test(sign)) return -Math.abs(amount);
+        if (/^(π|c|cr|credit)/.test(sign)) return Math.abs(amount);
+        return amount;
+    }
+
+    /**
+     * Parse amount text (1234.56, 1.234,56, 1,234.56, -1.234,56 or 1.234,56-)
+     * Without a known decimal separator, the last of ',' / '.' is the decimal one;
+     * a single separator followed by exactly three digits (1.234) is ambiguous.
+     * @param {string|number} value - Cell value
+     * @param {string|null} decimalSeparator - ',' or '.' when the format defines it
+     * @returns {number|null} Amount, or null if empty / invalid / ambiguous
+     * @private
+     */
+    parseAmount(value, decimalSeparator = null) {
+        if (typeof value === 'number') return value;
+
+        let text = (value || '').toString().replace(/€|EUR/gi, '').replace(/\s/g, '');
+        if (!text) return null;
+
+        let negative = false;
+        if (/-$/.test(text) || /^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.replace(/-$/, '').replace(/^\((.*)\)$/, '$1');
+        }
+
+        let decimal = decimalSeparator;
+        if (!decimal) {
+            const lastComma = text.lastIndexOf(',');
+            const lastDot = text.lastIndexOf('.');
+
+            if (lastComma >= 0 && lastDot >= 0) {
+                decimal = lastComma > lastDot ? ',' : '.';
+            } else if (lastComma >= 0 || lastDot >= 0) {
+                const separator = lastComma >= 0 ? ',' : '.';
+                const parts = text.split(separator);
+
+                if (parts.length > 2) {
+                    // Repeated separator groups thousands (1.234.567)
+                    decimal = separator === ',' ? '.' : ',';
+                } else if (/^\d{3}$/.test(parts[1])) {
+                    return null;
+                } else {
+                    decimal = separator;
+                }
+            } else {
+                decimal = '.';
+            }
+        }
+
+        const thousands = decimal === ',' ? '.' : ',';
+        const normalized = text.split(thousands).join('').replace(decimal, '.');
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return null;
+
+        const amount = parseFloat(normalized);
+        return roundCents(negative ? -amount : amount);
+    }
+
+    /**
+     * Parse a statement date
+     * Accepts DD/MM/YYYY (also . or - separated, 2-digit years), YYYY-MM-DD and OFX YYYYMMDD[HHMMSS].
+     * @param {string} value - Date text
+     * @returns {string|null} YYYY-MM-DD
+     * @private
+     */
+    parseDate(value) {
+        const text = (value || '').toString().trim();
+        let day, month, year;
+
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+            if (!match) return null;
+            [, day, month, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Parse an OFX statement (SGML or XML)
+     * @param {string} text - File contents
+     * @returns {Object} {transactions, errors}
+     * @private
+     */
+    parseOfx(text) {
+        const transactions = [];
+        const errors = [];
+
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        text.split(/<STMTTRN>/i).slice(1).forEach((chunk, index) => {
+            const block = chunk.split(/<\/STMTTRN>/i)[0];
+            const date = this.parseDate(tag(block, 'DTPOSTED'));
+            const rawAmount = tag(block, 'TRNAMT');
+            const amount = this.parseAmount(rawAmount.includes('.') ? rawAmount : rawAmount.replace(',', '.'), '.');
+
+            if (!date || amount === null) {
+                errors.push(`Κίνηση ${index + 1}: Μη έγκυρη ημερομηνία ή ποσό`);
+                return;
+            }
+
+            const name = tag(block, 'NAME');
+            const memo = tag(block, 'MEMO');
+
+            transactions.push({
+                date,
+                valueDate: this.parseDate(tag(block, 'DTAVAIL')) || date,
+                amount,
+                description: sanitizeText([name, memo].filter(Boolean).join(' - ')),
+                counterparty: sanitizeText(name),
+                reference: tag(block, 'FITID')
+            });
+        });
+
+        return { transactions, errors };
+    }
+
+    /**
+     * Parse an ISO 20022 CAMT.053 statement (one transaction per <Ntry>)
+     * @param {string} text - File contents
+     * @returns {Object} {transactions, errors}
+     * @private
+     */
+    parseCamt053(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Μη έγκυρο αρχείο XML (CAMT.053)');
+        }
+
+        // Child elements by local name, so namespace prefixes do not matter
+        const children = (node, name) => Array.from(node.childNodes)
+            .filter(child => child.nodeType === 1 && child.localName === name);
+        const find = (node, path) => path.split('/').reduce(
+            (nodes, name) => nodes.flatMap(n => children(n, name)), [node]
+        );
+        const value = (node, ...paths) => {
+            for (const path of paths) {
+                const found = find(node, path)[0];
+                if (found && found.textContent.trim()) return found.textContent.trim();
+            }
+            return '';
+        };
+
+        const transactions = [];
+        const errors = [];
+
+        Array.from(doc.getElementsByTagNameNS('*', 'Ntry')).forEach((entry, index) => {
+            const date = this.parseDate(value(entry, 'BookgDt/Dt', 'BookgDt/DtTm', 'ValDt/Dt'));
+            const amount = this.parseAmount(value(entry, 'Amt'), '.');
+
+            if (!date || amount === null) {
+                errors.push(`Κίνηση ${index + 1}: Μη έγκυρη ημερομηνία ή ποσό`);
+                return;
+            }
+
+            const details = find(entry, 'NtryDtls/TxDtls');
+            const remittance = details.flatMap(tx => find(tx, 'RmtInf/Ustrd')).map(n => n.textContent.trim());
+            const isCredit = value(entry, 'CdtDbtInd') !== 'DBIT';
+            const party = isCredit ? 'Dbtr' : 'Cdtr';
+            const counterparty = details.length > 0
+                ? value(details[0], `RltdPties/${party}/Nm`, `RltdPties/${party}/Pty/Nm`)
+                : '';
+
+            transactions.push({
+                date,
+                valueDate: this.parseDate(value(entry, 'ValDt/Dt', 'ValDt/DtTm')) || date,
+                amount: isCredit ? Math.abs(amount) : -Math.abs(amount),
+                description: sanitizeText(remittance.join(' ') || value(entry, 'AddtlNtryInf')),
+                counterparty: sanitizeText(counterparty),
+                reference: value(entry, 'AcctSvcrRef', 'NtryRef') ||
+                    (details.length > 0 ? value(details[0], 'Refs/AcctSvcrRef', 'Refs/EndToEndId') : '')
+            });
+        });
+
+        return { transactions, errors };
+    }
+
+    // ========================================
+    // Matching
+    // ========================================
+
+    /**
+     * Outstanding entries a transaction could pay
+     * Entries of later months than the payment, or older than the lookback window, are excluded.
+     * @param {Object} transaction - Transaction
+     * @returns {Array} [{entry, outstanding}]
+     * @private
+     */
+    getCandidates(transaction) {
+        const [year, month] = transaction.date.split('-').map(Number);
+        const paidIndex = year * 12 + month;
+
+        return STATE.entries
+            .map(entry => ({ entry, outstanding: roundCents(getPaymentInfo(entry).outstanding) }))
+            .filter(({ entry, outstanding }) => {
+                if (outstanding <= 0) return false;
+
+                const parsed = parseMonthYear(entry.date);
+                if (!parsed) return false;
+
+                const age = paidIndex - (parsed.year * 12 + parsed.month);
+                return age >= 0 && age <= BANK_CONFIG.matching.lookbackMonths;
+            });
+    }
+
+    /**
+     * Propose entries (or groups of entries) a credit pays
+     * Groups are only formed within one insurance, since each payer settles its own entries.
+     * @param {Object} transaction - Transaction
+     * @returns {Array} [{entryIds, allocations, total, difference, score, reasons}], best first
+     */
+    proposeMatches(transaction) {
+        const { tolerance, relativeTolerance, maxGroupSize, maxCandidates, maxProposals } = BANK_CONFIG.matching;
+        const amount = transaction.amount;
+        const allowed = Math.max(tolerance, amount * relativeTolerance);
+        const text = normalizeText(`${transaction.description} ${transaction.counterparty}`);
+        const rejected = new Set(transaction.rejected || []);
+
+        const pools = {};
+        this.getCandidates(transaction).forEach(candidate => {
+            const insurance = candidate.entry.insurance;
+            (pools[insurance] = pools[insurance] || []).push(candidate);
+        });
+
+        const proposals = [];
+
+        Object.values(pools).forEach(pool => {
+            const candidates = pool
+                .sort((a, b) => {
+                    const pa = parseMonthYear(a.entry.date);
+                    const pb = parseMonthYear(b.entry.date);
+                    return (pb.year * 12 + pb.month) - (pa.year * 12 + pa.month);
+                })
+                .slice(0, maxCandidates);
+
+            // Subset sum over the newest candidates (depth-limited)
+            const search = (start, group, sum) => {
+                if (group.length > 0 && Math.abs(sum - amount) <= allowed) {
+                    const key = group.map(c => c.entry.id).sort().join(',');
+                    if (!rejected.has(key)) {
+                        proposals.push(this.scoreProposal(transaction, group, sum, allowed, text));
+                    }
+                }
+                if (group.length >= maxGroupSize) return;
+
+                for (let i = start; i < candidates.length; i++) {
+                    const next = sum + candidates[i].outstanding;
+                    if (next > amount + allowed) continue;
+                    search(i + 1, [...group, candidates[i]], next);
+                }
+            };
+
+            search(0, [], 0);
+        });
+
+        return proposals
+            .sort((a, b) => b.score - a.score || a.entryIds.length - b.entryIds.length)
+            .slice(0, maxProposals);
+    }
+
+    /**
+     * Score a proposed group (0-100)
+     * @param {Object} transaction - Transaction
+     * @param {Array} group - [{entry, outstanding}]
+     * @param {number} total - Sum of outstanding amounts
+     * @param {number} allowed - Amount tolerance
+     * @param {string} text - Normalized description + counterparty
+     * @returns {Object} Proposal
+     * @private
+     */
+    scoreProposal(transaction, group, total, allowed, text) {
+        const difference = roundCents(transaction.amount - total);
+        const reasons = [];
+        let score = 50 * (1 - Math.abs(difference) / allowed);
+
+        if (Math.abs(difference) < 0.005) reasons.push('Ακριβές ποσό');
+
+        const insurance = normalizeText(group[0].entry.insurance);
+        if (insurance && (text.includes(insurance) || toLatin(text).includes(toLatin(insurance)))) {
+            score += 25;
+            reasons.push('Ασφάλεια στην περιγραφή');
+        }
+
+        const invoices = group.filter(c => c.entry.invoiceNumber && text.includes(normalizeText(c.entry.invoiceNumber)));
+        if (invoices.length > 0) {
+            score += 25 * invoices.length / group.length;
+            reasons.push('Αρ. τιμολογίου στην περιγραφή');
+        }
+
+        if (new Set(group.map(c => c.entry.date)).size === 1) {
+            score += 5;
+            if (group.length > 1) reasons.push('Ίδιος μήνας');
+        }
+
+        // Older receivables and larger groups are less likely
+        const [year, month] = transaction.date.split('-').map(Number);
+        const oldest = Math.max(...group.map(c => {
+            const parsed = parseMonthYear(c.entry.date);
+            return (year * 12 + month) - (parsed.year * 12 + parsed.month);
+        }));
+        score -= Math.max(0, oldest - 6) * 2;
+        score -= (group.length - 1) * 4;
+
+        return {
+            entryIds: group.map(c => c.entry.id),
+            allocations: this.allocate(transaction.amount, group),
+            total: roundCents(total),
+            difference,
+            score: Math.round(Math.max(0, Math.min(100, score))),
+            reasons
+        };
+    }
+
+    /**
+     * Split a payment across entries (oldest first, the last entry takes the difference)
+     * @param {number} amount - Payment amount
+     * @param {Array} group - [{entry, outstanding}]
+     * @returns {Array} [{entryId, amount}]
+     * @private
+     */
+    allocate(amount, group) {
+        const ordered = [...group].sort((a, b) => {
+            const pa = parseMonthYear(a.entry.date);
+            const pb = parseMonthYear(b.entry.date);
+            return (pa.year * 12 + pa.month) - (pb.year * 12 + pb.month);
+        });
+
+        let remaining = amount;
+        return ordered.map((c, i) => {
+            const share = i === ordered.length - 1 ? remaining : Math.min(c.outstanding, remaining);
+            remaining = roundCents(remaining - share);
+            return { entryId: c.entry.id, amount: roundCents(share) };
+        });
+    }
+
+    /**
+     * Accept a match: record the payment on each entry
+     * @param {string} transactionId - Transaction ID
+     * @param {Array<string>} entryIds - Entries paid by the transaction
+     * @returns {Promise<Object>} Updated transaction
+     */
+    async acceptMatch(transactionId, entryIds) {
+        const transaction = this.getTransaction(transactionId);
+        if (!transaction) {
+            throw new Error('Η κίνηση δεν βρέθηκε');
+        }
+        if (transaction.status === 'matched') {
+            throw new Error('Η κίνηση έχει ήδη αντιστοιχιστεί');
+        }
+
+        const group = entryIds.map(id => {
+            const entry = getEntryById(id);
+            if (!entry) {
+                throw new Error('Η εγγραφή δεν βρέθηκε');
+            }
+            return { entry, outstanding: roundCents(getPaymentInfo(entry).outstanding) };
+        });
+
+        if (group.length === 0 || group.some(c => c.outstanding <= 0)) {
+            throw new Error('Η εγγραφή έχει ήδη εξοφληθεί');
+        }
+
+        // Entries as they were before this match, to roll back a partial failure
+        const paid = [];
+
+        try {
+            const allocations = this.allocate(transaction.amount, group);
+
+            for (const allocation of allocations) {
+                const original = getEntryById(allocation.entryId);
+                await recordPayment(allocation.entryId, {
+                    amount: allocation.amount,
+                    date: transaction.date,
+                    reference: transaction.id
+                });
+                paid.push(original);
+            }
+
+            transaction.status = 'matched';
+            transaction.matches = allocations;
+            transaction.matchedAt = Date.now();
+            transaction.matchedBy = STATE.userLabel;
+
+            await this.saveTransactions();
+
+            console.log(`[Bank] Matched transaction ${transaction.id} to ${allocations.length} entries`);
+            return transaction;
+        } catch (error) {
+            console.error('[Bank] Accept match error:', error);
+
+            // The transaction stays unmatched - undo the payments already recorded
+            for (const original of paid.reverse()) {
+                try {
+                    // Explicit nulls - addEntry keeps stored payment fields that are missing
+                    const restored = { ...original };
+                    PAYMENT_FIELDS.forEach(field => {
+                        restored[field] = original[field] ?? null;
+                    });
+                    await addEntry(restored, { auditAction: 'payment' });
+                } catch (rollbackError) {
+                    console.error('[Bank] Payment rollback error:', rollbackError);
+                }
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a proposal (it is not proposed again for this transaction)
+     * @param {string} transactionId - Transaction ID
+     * @param {Array<string>} entryIds - Proposed entries
+     * @returns {Promise<boolean>} Success status
+     */
+    async rejectMatch(transactionId, entryIds) {
+        const transaction = this.getTransaction(transactionId);
+        if (!transaction) return false;
+
+        transaction.rejected = [...(transaction.rejected || []), [...entryIds].sort().join(',')];
+        return this.saveTransactions();
+    }
+
+    /**
+     * Undo an accepted match: reverse the recorded payments
+     * @param {string} transactionId - Transaction ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async unmatchTransaction(transactionId) {
+        const transaction = this.getTransaction(transactionId);
+        if (!transaction || transaction.status !== 'matched') return false;
+
+        try {
+            for (const allocation of transaction.matches) {
+                const entry = getEntryById(allocation.entryId);
+                if (!entry) continue; // deleted since
+
+                const info = getPaymentInfo(entry);
+                const received = roundCents(Math.max(0, info.received - allocation.amount));
+                const refs = (entry.paymentRefs || []).filter(ref => ref !== transaction.id);
+
+                await addEntry({
+                    ...entry,
+                    amountReceived: received,
+                    paymentStatus: received > 0 ? 'partial' : 'issued',
+                    paymentDate: received > 0 ? entry.paymentDate : null,
+                    paymentRefs: refs
+                }, { auditAction: 'payment' });
+            }
+
+            transaction.status = 'unmatched';
+            transaction.matches = [];
+            transaction.matchedAt = null;
+            transaction.matchedBy = null;
+
+            return this.saveTransactions();
+        } catch (error) {
+            console.error('[Bank] Unmatch error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ignore / restore an unmatched transaction (e.g. a credit that is not a receivable)
+     * @param {string} transactionId - Transaction ID
+     * @param {boolean} ignored - Ignore (true) or move back to unmatched (false)
+     * @returns {Promise<boolean>} Success status
+     */
+    async setIgnored(transactionId, ignored) {
+        const transaction = this.getTransaction(transactionId);
+        if (!transaction || transaction.status === 'matched') return false;
+
+        transaction.status = ignored ? 'ignored' : 'unmatched';
+        return this.saveTransactions();
+    }
+
+    /**
+     * Delete transaction record (only when not matched)
+     * @param {string} transactionId - Transaction ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTransaction(transactionId) {
+        const index = this.transactions.findIndex(t => t.id === transactionId);
+        if (index < 0) return false;
+
+        if (this.transactions[index].status === 'matched') {
+            throw new Error('Αποσυνδέστε πρώτα την κίνηση από τις εγγραφές');
+        }
+
+        this.transactions.splice(index, 1);
+        return this.saveTransactions();
+    }
+
+    /**
+     * Get display label for status
+     * @param {string} status - Status
+     * @returns {string} Label
+     */
+    getStatusLabel(status) {
+        return BANK_CONFIG.statuses[status] || status;
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const bankStatementManager = new BankStatementManager();
+
+// ========================================
+// Export
+// ========================================
+export { BankStatementManager, BANK_CONFIG };
+export default bankStatementManager;
@@ -0,0 +1,219 @@
+/**
+ * budgets.js - Revenue Budget Targets
+ * Monthly targets per source / insurance with actual vs. budget variance
+ * Version: 2.0
+ */
+
+import storage from './storage.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
+import { parseMonthYear, formatMonthYear } from './utils.js';
+
+// ========================================
+// Budget Manager Class
+// ========================================
+class BudgetManager {
+    constructor() {
+        // insurance '' = target for the whole source (all insurances)
+        this.budgets = []; // [{date, source, insurance, amount}]
+    }
+
+    /**
+     * Load budgets from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadBudgets() {
+        try {
+            this.budgets = await storage.loadSetting('budgets') || [];
+            console.log(`[Budgets] Loaded ${this.budgets.length} targets`);
+            return true;
+        } catch (error) {
+            console.error('[Budgets] Load error:', error);
+            this.budgets = [];
+            return false;
+        }
+    }
+
+    /**
+     * Save budgets to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveBudgets() {
+        try {
+            await storage.saveSetting('budgets', this.budgets);
+            return true;
+        } catch (error) {
+            console.error('[Budgets] Save error:', error);
+            return false;
+        }
+    }
+
+    // ========================================
+    // Targets
+    // ========================================
+
+    /**
+     * Replace the targets of one year / insurance (the settings grid)
+     * @param {number} year - Year
+     * @param {string} insurance - Insurance ('' = whole source)
+     * @param {Array} cells - [{source, month, amount}]; empty amounts remove the target
+     * @returns {Promise<number>} Number of stored targets
+     */
+    async setTargets(year, insurance, cells) {
+        const targets = [];
+
+        cells.forEach(({ source, month, amount }) => {
+            if (amount === '' || amount === null || amount === undefined) return;
+
+            const value = parseFloat(amount);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`Μη έγκυρος στόχος για ${source} (${formatMonthYear(month, year)})`);
+            }
+
+            targets.push({
+                date: formatMonthYear(month, year),
+                source,
+                insurance: insurance || '',
+                amount: Math.round(value * 100) / 100
+            });
+        });
+
+        try {
+            this.budgets = this.budgets
+                .filter(b => parseMonthYear(b.date)?.year !== year || b.insurance !== (insurance || ''))
+                .concat(targets);
+
+            await this.saveBudgets();
+            return targets.length;
+        } catch (error) {
+            console.error('[Budgets] Set targets error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single target
+     * @param {string} date - Month (MM/YYYY)
+     * @param {string} source - Source
+     * @param {string} insurance - Insurance ('' = whole source)
+     * @returns {number|null} Target amount
+     */
+    getTarget(date, source, insurance = '') {
+        const target = this.budgets.find(b => b.date === date && b.source === source && b.insurance === insurance);
+        return target ? target.amount : null;
+    }
+
+    /**
+     * Check if any targets exist
+     * @returns {boolean}
+     */
+    hasBudgets() {
+        return this.budgets.length > 0;
+    }
+
+    /**
+     * Collapse targets into one cell per source and month
+     * A whole-source target takes precedence over the per-insurance targets of
+     * the same month, so the two levels are never added together.
+     * @param {Object} filters - {dates, source, insurance}
+     * @returns {Map} 'MM/YYYY|source' => {date, source, target, insurances (null = all)}
+     * @private
+     */
+    getBudgetCells(filters = {}) {
+        const { dates = null, source = '', insurance = '' } = filters;
+        const cells = new Map();
+
+        this.budgets.forEach(b => {
+            if (dates && !dates.includes(b.date)) return;
+            if (source && b.source !== source) return;
+            if (insurance && b.insurance !== insurance) return;
+
+            const key = `${b.date}|${b.source}`;
+            const cell = cells.get(key) || { date: b.date, source: b.source, target: 0, insurances: new Set() };
+
+            if (!b.insurance) {
+                cell.target = b.amount;
+                cell.insurances = null;
+            } else if (cell.insurances) {
+                cell.target += b.amount;
+                cell.insurances.add(b.insurance);
+            }
+
+            cells.set(key, cell);
+        });
+
+        return cells;
+    }
+
+    /**
+     * Get total target
+     * @param {Object} filters - {dates, source, insurance}
+     * @returns {number|null} Total, or null when nothing is budgeted
+     */
+    getBudgetTotal(filters = {}) {
+        const cells = this.getBudgetCells(filters);
+        if (cells.size === 0) return null;
+
+        let total = 0;
+        cells.forEach(cell => { total += cell.target; });
+        return total;
+    }
+
+    // ========================================
+    // Variance
+    // ========================================
+
+    /**
+     * Actual vs. budget
+     * Actual revenue only counts entries covered by a target, so partially
+     * budgeted periods are not compared against revenue that has no target.
+     * @param {Array} entries - Entries
+     * @param {Object} options - {dates, source, insurance, includeParakratisi}
+     * @returns {Object|null} {budget, actual, variance, achievement}, or null without targets
+     */
+    getVariance(entries, options = {}) {
+        const { includeParakratisi = false, insurance = '' } = options;
+        const cells = this.getBudgetCells(options);
+        if (cells.size === 0) return null;
+
+        const budgeted = entries.filter(e => {
+            const cell = cells.get(`${e.date}|${e.source}`);
+            if (!cell) return false;
+            if (insurance && e.insurance !== insurance) return false;
+            return !cell.insurances || cell.insurances.has(e.insurance);
+        });
+
+        let budget = 0;
+        cells.forEach(cell => { budget += cell.target; });
+
+        const actual = eopyyDeductionsManager.calculateKPIs(budgeted, { includeParakratisi }).total;
+
+        return {
+            budget,
+            actual,
+            variance: actual - budget,
+            achievement: budget > 0 ? (actual / budget) * 100 : 0
+        };
+    }
+
+    /**
+     * Target per month (for chart overlays)
+     * @param {Array<string>} dates - Months (MM/YYYY)
+     * @returns {Array} [{date, target}] for the budgeted months only
+     */
+    getMonthlyTargets(dates) {
+        return dates
+            .map(date => ({ date, target: this.getBudgetTotal({ dates: [date] }) }))
+            .filter(m => m.target !== null);
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const budgetManager = new BudgetManager();
+
+// ========================================
+// Export
+// ========================================
+export { BudgetManager };
+export default budgetManager;
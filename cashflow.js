@@ -0,0 +1,360 @@
+/**
+ * cashflow.js - Cash-Flow Projection
+ * Expected bank inflows per month: forecast revenue shifted by insurer payment lags, net of deductions
+ * Version: 2.0
+ */
+
+import { STATE, CONFIG } from './state.js';
+import storage from './storage.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
+import forecastingManager from './forecasting.js';
+import { getPaymentInfo } from './dataManager.js';
+import { formatCurrency, compareDates } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const CASHFLOW_CONFIG = {
+    storageKey: 'cashFlow',
+    defaultLag: 0,             // Months from service month to payment
+    defaultEopyyLag: 3,        // ΕΟΠΥΥ pays months late
+    defaultClawbackLag: 6,     // Clawback is netted months after the payment
+    maxLag: 24,
+    ratioLookbackMonths: 12,   // History used for expected deduction ratios
+    colors: ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#64748b']
+};
+
+// ========================================
+// Cash-Flow Manager Class
+// ========================================
+class CashFlowManager {
+    constructor() {
+        this.settings = this.getDefaultSettings();
+    }
+
+    /**
+     * Default settings
+     * @returns {Object} {defaultLag, clawbackLag, subtractParakratisi, lags: {insurance: months}}
+     * @private
+     */
+    getDefaultSettings() {
+        return {
+            defaultLag: CASHFLOW_CONFIG.defaultLag,
+            clawbackLag: CASHFLOW_CONFIG.defaultClawbackLag,
+            subtractParakratisi: true, // Withheld tax never reaches the bank
+            lags: {}
+        };
+    }
+
+    /**
+     * Load settings from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSettings() {
+        try {
+            const stored = await storage.loadSetting(CASHFLOW_CONFIG.storageKey);
+            this.settings = { ...this.getDefaultSettings(), ...(stored || {}) };
+            return true;
+        } catch (error) {
+            console.error('[CashFlow] Load error:', error);
+            this.settings = this.getDefaultSettings();
+            return false;
+        }
+    }
+
+    /**
+     * Replace settings
+     * @param {Object} settings - {defaultLag, clawbackLag, subtractParakratisi, lags: {insurance: months}}
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSettings(settings) {
+        const parseLag = (value, label) => {
+            const lag = Number(value);
+            if (!Number.isInteger(lag) || lag < 0 || lag > CASHFLOW_CONFIG.maxLag) {
+                throw new Error(`Μη έγκυρη καθυστέρηση για "${label}" (0-${CASHFLOW_CONFIG.maxLag} μήνες)`);
+            }
+            return lag;
+        };
+
+        const lags = {};
+        Object.entries(settings.lags || {}).forEach(([insurance, value]) => {
+            // Empty means "use the default lag"
+            if (value === null || value === undefined || String(value).trim() === '') return;
+            lags[insurance] = parseLag(value, insurance);
+        });
+
+        this.settings = {
+            defaultLag: parseLag(settings.defaultLag ?? CASHFLOW_CONFIG.defaultLag, 'Προεπιλογή'),
+            clawbackLag: parseLag(settings.clawbackLag ?? CASHFLOW_CONFIG.defaultClawbackLag, 'Clawback'),
+            subtractParakratisi: settings.subtractParakratisi !== false,
+            lags
+        };
+
+        try {
+            await storage.saveSetting(CASHFLOW_CONFIG.storageKey, this.settings);
+            return true;
+        } catch (error) {
+            console.error('[CashFlow] Save error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Payment lag of an insurance (months)
+     * @param {string} insurance - Insurance name
+     * @returns {number} Lag
+     */
+    getLag(insurance) {
+        const stored = this.settings.lags[insurance];
+        return stored !== undefined ? stored : this.getDefaultLag(insurance);
+    }
+
+    /**
+     * Payment lag of an insurance without a stored value (months)
+     * @param {string} insurance - Insurance name
+     * @returns {number} Lag
+     */
+    getDefaultLag(insurance) {
+        return eopyyDeductionsManager.isEopyyEntry({ insurance })
+            ? CASHFLOW_CONFIG.defaultEopyyLag
+            : this.settings.defaultLag;
+    }
+
+    // ========================================
+    // Projection
+    // ========================================
+
+    /**
+     * Project bank inflows for the forecast months
+     * Revenue of month M from an insurance is paid in M + lag, net of the
+     * deductions withheld at payment; clawback follows clawbackLag months later.
+     * Invoiced entries contribute their outstanding balance only (overdue
+     * balances in the first projected month), with the recorded deductions
+     * (or the historical ratios while a ΕΟΠΥΥ statement is missing) scaled to
+     * the outstanding share; forecast months use the ratios.
+     * @param {Array} entries - Historical entries
+     * @param {string} method - Forecast model or 'auto'
+     * @param {number} periods - Number of months to project
+     * @param {Object} options - Forecast options (reconciliation, model and interval options)
+     * @returns {Object} {success, method, months: [{date, gross, deductions, clawback, invoiced, forecast, net, byInsurance}], insurances, ratios, generated}
+     */
+    projectCashFlow(entries, method = 'linear', periods = 6, options = {}) {
+        // Gross (original) revenue per insurance; deductions are applied here
+        const forecast = forecastingManager.generateHierarchicalForecast(
+            entries,
+            method,
+            periods,
+            { ...options, includeParakratisi: true }
+        );
+
+        if (!forecast.success) {
+            return { success: false, error: forecast.error };
+        }
+
+        const ratios = eopyyDeductionsManager.getDeductionRatios(entries, {
+            lookbackMonths: CASHFLOW_CONFIG.ratioLookbackMonths
+        });
+        const insurances = forecast.byInsurance.map(g => g.key);
+
+        const rows = new Map(forecast.total.forecast.map(f => [f.date, {
+            date: f.date,
+            gross: 0,
+            deductions: 0,
+            clawback: 0,
+            invoiced: 0,
+            forecast: 0,
+            net: 0,
+            byInsurance: Object.fromEntries(insurances.map(i => [i, 0]))
+        }]));
+
+        const firstMonth = forecast.total.forecast[0]?.date;
+
+        const addFlow = (insurance, serviceMonth, gross, parts, origin) => {
+            const dueMonth = forecastingManager.addMonths(serviceMonth, this.getLag(insurance));
+            // Overdue balances are expected with the first projected month
+            const paymentMonth = firstMonth && compareDates(dueMonth, firstMonth) < 0 ? firstMonth : dueMonth;
+            const payment = rows.get(paymentMonth);
+            const withheld = this.getPaymentDeductions(parts);
+
+            if (payment) {
+                payment.gross += gross;
+                payment.deductions += withheld;
+                payment[origin] += gross - withheld;
+                payment.byInsurance[insurance] = (payment.byInsurance[insurance] || 0) + gross - withheld;
+            }
+
+            const clawback = parts.clawback || 0;
+            if (clawback > 0) {
+                const clawbackRow = rows.get(forecastingManager.addMonths(paymentMonth, this.settings.clawbackLag));
+                if (clawbackRow) {
+                    clawbackRow.clawback += clawback;
+                    clawbackRow.byInsurance[insurance] = (clawbackRow.byInsurance[insurance] || 0) - clawback;
+                }
+            }
+        };
+
+        // Invoiced entries not (fully) paid yet
+        entries.forEach(entry => {
+            const info = getPaymentInfo(entry);
+            if (!(info.outstanding > 0) || !(info.expected > 0)) return;
+
+            const amounts = eopyyDeductionsManager.getAmountsBreakdown(entry);
+            const share = info.outstanding / info.expected;
+            const gross = amounts.originalAmount * share;
+            const parts = amounts.isEopyy && !amounts.hasDeductions
+                ? this.getExpectedParts(ratios[entry.insurance], gross)
+                : this.scaleParts(amounts, share);
+
+            addFlow(entry.insurance, entry.date, gross, parts, 'invoiced');
+        });
+
+        // Forecast months
+        forecast.byInsurance.forEach(group => {
+            group.forecast.forEach(point => {
+                addFlow(group.key, point.date, point.value, this.getExpectedParts(ratios[group.key], point.value), 'forecast');
+            });
+        });
+
+        const months = Array.from(rows.values()).map(row => ({
+            ...row,
+            net: row.invoiced + row.forecast - row.clawback
+        }));
+
+        console.log(`[CashFlow] Projected ${months.length} months for ${insurances.length} insurances`);
+
+        return {
+            success: true,
+            method: forecast.method,
+            months,
+            insurances,
+            ratios,
+            generated: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Expected deduction amounts from historical ratios
+     * @param {Object|undefined} ratio - Ratios of the insurance
+     * @param {number} gross - Original amount
+     * @returns {Object} {parakratisi, mde, rebate, krathseis, clawback}
+     * @private
+     */
+    getExpectedParts(ratio, gross) {
+        const parts = {};
+        ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].forEach(key => {
+            parts[key] = gross * (ratio?.[key] || 0);
+        });
+        return parts;
+    }
+
+    /**
+     * Scale recorded deduction amounts (e.g. to the outstanding share)
+     * @param {Object} amounts - Amounts breakdown
+     * @param {number} factor - Scale factor
+     * @returns {Object} {parakratisi, mde, rebate, krathseis, clawback}
+     * @private
+     */
+    scaleParts(amounts, factor) {
+        const parts = {};
+        ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].forEach(key => {
+            parts[key] = (amounts[key] || 0) * factor;
+        });
+        return parts;
+    }
+
+    /**
+     * Deductions withheld when the payment is made (clawback comes later)
+     * @param {Object} parts - Deduction amounts
+     * @returns {number} Amount
+     * @private
+     */
+    getPaymentDeductions(parts) {
+        return (this.settings.subtractParakratisi ? parts.parakratisi || 0 : 0)
+            + (parts.mde || 0)
+            + (parts.rebate || 0)
+            + (parts.krathseis || 0);
+    }
+
+    // ========================================
+    // Visualization
+    // ========================================
+
+    /**
+     * Chart expected inflows per month (stacked by insurance, net total line)
+     * @param {Object} result - Output of projectCashFlow
+     * @param {string} canvasId - Canvas id
+     */
+    visualizeCashFlow(result, canvasId = 'cashFlowChart') {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || !result.success) return;
+
+        if (STATE.charts[canvasId]) {
+            STATE.charts[canvasId].destroy();
+        }
+
+        const labels = result.months.map(m => m.date);
+        const colors = CASHFLOW_CONFIG.colors;
+
+        STATE.charts[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    ...result.insurances.map((insurance, i) => ({
+                        label: insurance,
+                        data: result.months.map(m => m.byInsurance[insurance] || 0),
+                        backgroundColor: colors[i % colors.length],
+                        stack: 'inflows'
+                    })),
+                    {
+                        type: 'line',
+                        label: 'Καθαρή Εισροή',
+                        data: result.months.map(m => m.net),
+                        borderColor: CONFIG.chartColors.danger,
+                        backgroundColor: CONFIG.chartColors.danger,
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        tension: 0.3,
+                        fill: false,
+                        stack: 'net'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { display: true, position: 'top' },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Αναμενόμενες Εισροές ανά Μήνα'
+                    }
+                },
+                scales: {
+                    x: { stacked: true },
+                    y: {
+                        stacked: true,
+                        ticks: { callback: (value) => formatCurrency(value) }
+                    }
+                }
+            }
+        });
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const cashFlowManager = new CashFlowManager();
+
+// ========================================
+// Export
+// ========================================
+export { CashFlowManager, CASHFLOW_CONFIG };
+export default cashFlowManager;
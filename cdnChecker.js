@@ -25,6 +25,13 @@ const CDN_CONFIG = {
             critical: false,
             features: ['CSV import']
         },
+        xlsx: {
+            name: 'SheetJS',
+            check: () => typeof window.XLSX !== 'undefined',
+            url: 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+            critical: false,
+            features: ['Excel import/export']
+        },
         jspdf: {
             name: 'jsPDF',
             check: () => typeof window.jspdf !== 'undefined',
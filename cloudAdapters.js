@@ -8,6 +8,9 @@ import { STATE } from './state.js';
 import storage from './storage.js';
 import { showToast } from './uiRenderers.js';
 import { escapeHtml } from './utils.js';
+import { getEntryMergeKey } from './dataManager.js';
+import { compressText, readBackupText } from './compression.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup, validateEncryptedBackup } from './backupCrypto.js';
 
 /**
  * Cloud Sync Manager - Main Class
@@ -306,31 +309,45 @@ class CloudSyncManager {
             return localData;
         }
         
-        // Merge entries by ID
-        const entriesMap = new Map();
-        
-        // Add local entries
+        // Entries pair by ID; the business key only pairs entries whose IDs differ
+        // (same record created on two devices). Local entries sharing a key stay apart.
+        const localById = new Map(localData.entries.map(entry => [entry.id, entry]));
+        const entriesMap = new Map(localById);
+        const byKey = new Map();
         localData.entries.forEach(entry => {
-            entriesMap.set(entry.id, entry);
+            const key = getEntryMergeKey(entry);
+            byKey.set(key, [...(byKey.get(key) || []), entry]);
         });
         
+        const remoteIds = new Set(remoteData.entries.map(entry => entry.id));
+        const matched = new Set();
+        
         // Merge remote entries
         let conflicts = 0;
         remoteData.entries.forEach(remoteEntry => {
-            const localEntry = entriesMap.get(remoteEntry.id);
+            let localEntry = localById.get(remoteEntry.id);
+            if (!localEntry) {
+                // A local entry that has its own remote copy is not paired by key
+                localEntry = (byKey.get(getEntryMergeKey(remoteEntry)) || [])
+                    .find(entry => !remoteIds.has(entry.id) && !matched.has(entry.id));
+            }
             
             if (!localEntry) {
                 // New entry from remote
                 entriesMap.set(remoteEntry.id, remoteEntry);
-            } else {
-                // Conflict: keep newer
-                const remoteTime = new Date(remoteEntry.timestamp || 0).getTime();
-                const localTime = new Date(localEntry.timestamp || 0).getTime();
-                
-                if (remoteTime > localTime) {
-                    entriesMap.set(remoteEntry.id, remoteEntry);
-                    conflicts++;
-                }
+                return;
+            }
+            
+            matched.add(localEntry.id);
+            
+            // Conflict: keep newer
+            const remoteTime = new Date(remoteEntry.updatedAt || remoteEntry.timestamp || 0).getTime();
+            const localTime = new Date(localEntry.updatedAt || localEntry.timestamp || 0).getTime();
+            
+            if (remoteTime > localTime) {
+                entriesMap.delete(localEntry.id);
+                entriesMap.set(remoteEntry.id, remoteEntry);
+                conflicts++;
             }
         });
         
@@ -349,6 +366,16 @@ class CloudSyncManager {
         };
     }
 
+    /**
+     * Set passphrase for encrypted cloud backups (kept in memory only)
+     * @param {string} passphrase - Passphrase ('' to upload unencrypted)
+     */
+    setPassphrase(passphrase) {
+        Object.values(this.adapters).forEach(adapter => {
+            adapter.passphrase = passphrase || '';
+        });
+    }
+
     /**
      * Save provider config
      */
@@ -377,6 +404,35 @@ class CloudAdapter {
     constructor(config) {
         this.config = config;
         this.tokens = null;
+        this.passphrase = '';
+    }
+
+    /**
+     * Serialize upload payload (encrypted when a passphrase is set, then gzipped)
+     * @param {Object} data - Backup data
+     * @returns {Promise<Uint8Array>} Gzip body
+     */
+    async encodePayload(data) {
+        const payload = this.passphrase
+            ? await encryptBackup(data, this.passphrase)
+            : data;
+        return compressText(JSON.stringify(payload));
+    }
+
+    /**
+     * Parse downloaded payload (gzip or legacy plain JSON) and decrypt if needed
+     * @param {Response} response - Download response
+     * @returns {Promise<Object|null>} Backup data
+     */
+    async decodePayload(response) {
+        const data = JSON.parse(await readBackupText(await response.arrayBuffer()));
+        if (!isEncryptedBackup(data)) return data;
+
+        const errors = validateEncryptedBackup(data);
+        if (errors.length > 0) {
+            throw new Error('Μη έγκυρο κρυπτογραφημένο backup: ' + errors.join(', '));
+        }
+        return decryptBackup(data, this.passphrase);
     }
 
     /**
@@ -550,12 +606,12 @@ class GoogleDriveAdapter extends CloudAdapter {
         // Upload to Google Drive
         const metadata = {
             name: 'revenue_backup.json',
-            mimeType: 'application/json'
+            mimeType: 'application/gzip'
         };
         
         const formData = new FormData();
         formData.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
-        formData.append('file', new Blob([JSON.stringify(data)], { type: 'application/json' }));
+        formData.append('file', new Blob([await this.encodePayload(data)], { type: 'application/gzip' }));
         
         const response = await fetch(`${this.config.apiBase}/files?uploadType=multipart`, {
             method: 'POST',
@@ -609,7 +665,7 @@ class GoogleDriveAdapter extends CloudAdapter {
             throw new Error('Download failed');
         }
         
-        return downloadResponse.json();
+        return this.decodePayload(downloadResponse);
     }
 }
 
@@ -691,7 +747,7 @@ class DropboxAdapter extends CloudAdapter {
                     mode: 'overwrite'
                 })
             },
-            body: JSON.stringify(data)
+            body: await this.encodePayload(data)
         });
         
         if (!response.ok) {
@@ -719,7 +775,7 @@ class DropboxAdapter extends CloudAdapter {
             throw new Error('Download failed');
         }
         
-        return response.json();
+        return this.decodePayload(response);
     }
 }
 
@@ -794,9 +850,9 @@ class OneDriveAdapter extends CloudAdapter {
             method: 'PUT',
             headers: {
                 'Authorization': `Bearer ${this.tokens.access_token}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/gzip'
             },
-            body: JSON.stringify(data)
+            body: await this.encodePayload(data)
         });
         
         if (!response.ok) {
@@ -820,7 +876,7 @@ class OneDriveAdapter extends CloudAdapter {
             throw new Error('Download failed');
         }
         
-        return response.json();
+        return this.decodePayload(response);
     }
 }
 
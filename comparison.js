@@ -462,6 +462,59 @@ class ComparisonManager {
         return csv.join('\n');
     }
 
+    /**
+     * Build workbook sheets for XLSX export
+     * @param {Object} comparison - Comparison data
+     * @returns {Array} Sheet definitions for xlsxManager.exportWorkbook
+     */
+    getXLSXSheets(comparison) {
+        const columns = label => [
+            { header: label },
+            { header: comparison.period1.label, format: 'currency' },
+            { header: comparison.period2.label, format: 'currency' },
+            { header: 'Μεταβολή', format: 'currency' },
+            { header: 'Μεταβολή %', format: 'percent' }
+        ];
+
+        const summaryMetrics = [
+            ['Σύνολο', 'total'],
+            ['ΕΟΠΥΥ', 'eopyyTotal'],
+            ['Άλλα', 'nonEopyyTotal'],
+            ['Κρατήσεις', 'eopyyTotalDeductions']
+        ];
+
+        const sheets = [{
+            name: 'Σύνοψη',
+            columns: columns('Μετρική'),
+            rows: summaryMetrics.map(([label, key]) => {
+                const data = comparison.kpis[key];
+                return [label, data.period1, data.period2, data.change, data.changePercent];
+            })
+        }];
+
+        if (comparison.sources.length > 0) {
+            sheets.push({
+                name: 'Διαγνωστικά',
+                columns: columns('Διαγνωστικό'),
+                rows: comparison.sources.map(s => [
+                    s.source, s.period1.total, s.period2.total, s.change, s.changePercent
+                ])
+            });
+        }
+
+        if (comparison.insurances.length > 0) {
+            sheets.push({
+                name: 'Ασφάλειες',
+                columns: columns('Ασφάλεια'),
+                rows: comparison.insurances.map(i => [
+                    i.insurance, i.period1.total, i.period2.total, i.change, i.changePercent
+                ])
+            });
+        }
+
+        return sheets;
+    }
+
     /**
      * Get last comparison
      * @returns {Object|null} Last comparison
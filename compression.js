@@ -0,0 +1,493 @@
+/**
+ * compression.js - Gzip Compression
+ * CompressionStream with a pure JS deflate/inflate fallback
+ * Version: 2.0
+ */
+
+// ========================================
+// Configuration
+// ========================================
+const COMPRESSION_CONFIG = Object.freeze({
+    format: 'gzip',
+    windowSize: 32768,
+    maxChainLength: 64, // Fallback match search effort
+    minMatch: 3,
+    maxMatch: 258
+});
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let crcTable = null;
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Check for the gzip magic bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {boolean} Gzip or not
+ */
+export function isGzip(bytes) {
+    return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Gzip text (UTF-8)
+ * @param {string} text - Text
+ * @returns {Promise<Uint8Array>} Gzip bytes
+ */
+export async function compressText(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    if (typeof CompressionStream !== 'undefined') {
+        return pipeThrough(bytes, new CompressionStream(COMPRESSION_CONFIG.format));
+    }
+    return gzipFallback(bytes);
+}
+
+/**
+ * Gunzip to text (UTF-8)
+ * @param {Uint8Array} bytes - Gzip bytes
+ * @returns {Promise<string>} Text
+ */
+export async function decompressText(bytes) {
+    const data = typeof DecompressionStream !== 'undefined'
+        ? await pipeThrough(bytes, new DecompressionStream(COMPRESSION_CONFIG.format))
+        : gunzipFallback(bytes);
+
+    return new TextDecoder().decode(data);
+}
+
+/**
+ * Decode backup file contents: gzip or legacy plain JSON text
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {Promise<string>} JSON text
+ */
+export async function readBackupText(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return isGzip(bytes)
+        ? decompressText(bytes)
+        : new TextDecoder().decode(bytes);
+}
+
+// ========================================
+// Streams
+// ========================================
+
+/**
+ * Run bytes through a (de)compression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} stream - CompressionStream | DecompressionStream
+ * @returns {Promise<Uint8Array>} Output
+ * @private
+ */
+async function pipeThrough(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// ========================================
+// JS Fallback: Gzip Container
+// ========================================
+
+/**
+ * CRC-32 (gzip trailer)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC
+ * @private
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Gzip bytes without CompressionStream
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} Gzip bytes
+ * @private
+ */
+function gzipFallback(bytes) {
+    const body = deflateRaw(bytes);
+    const out = new Uint8Array(10 + body.length + 8);
+    const view = new DataView(out.buffer);
+
+    out.set([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff]);
+    out.set(body, 10);
+    view.setUint32(10 + body.length, crc32(bytes), true);
+    view.setUint32(14 + body.length, bytes.length >>> 0, true);
+    return out;
+}
+
+/**
+ * Gunzip bytes without DecompressionStream (single member)
+ * @param {Uint8Array} bytes - Gzip bytes
+ * @returns {Uint8Array} Output
+ * @private
+ */
+function gunzipFallback(bytes) {
+    if (!isGzip(bytes) || bytes[2] !== 8) {
+        throw new Error('Μη έγκυρο αρχείο gzip');
+    }
+
+    const flags = bytes[3];
+    let pos = 10;
+    if (flags & 4) pos += 2 + (bytes[pos] | (bytes[pos + 1] << 8)); // FEXTRA
+    if (flags & 8) while (bytes[pos++] !== 0); // FNAME
+    if (flags & 16) while (bytes[pos++] !== 0); // FCOMMENT
+    if (flags & 2) pos += 2; // FHCRC
+
+    const out = inflateRaw(bytes.subarray(pos, bytes.length - 8));
+    const view = new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 8, 8);
+    if (view.getUint32(0, true) !== crc32(out)) {
+        throw new Error('Αλλοιωμένο αρχείο gzip (CRC)');
+    }
+    return out;
+}
+
+// ========================================
+// JS Fallback: Deflate (LZ77 + fixed Huffman)
+// ========================================
+
+/**
+ * Deflate bytes as a single fixed-Huffman block
+ * @param {Uint8Array} input - Input
+ * @returns {Uint8Array} Raw deflate stream
+ * @private
+ */
+function deflateRaw(input) {
+    const { windowSize, maxChainLength, minMatch, maxMatch } = COMPRESSION_CONFIG;
+    const writer = createBitWriter(input.length);
+    const head = new Int32Array(1 << 15).fill(-1);
+    const prev = new Int32Array(windowSize);
+    const hash = (i) => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & 0x7fff;
+
+    const insert = (i) => {
+        if (i + minMatch > input.length) return;
+        const h = hash(i);
+        prev[i % windowSize] = head[h];
+        head[h] = i;
+    };
+
+    writer.write(1, 1); // BFINAL
+    writer.write(1, 2); // BTYPE = fixed Huffman
+
+    let i = 0;
+    while (i < input.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (i + minMatch <= input.length) {
+            const limit = Math.min(maxMatch, input.length - i);
+            let candidate = head[hash(i)];
+            let chain = maxChainLength;
+
+            while (candidate >= 0 && i - candidate <= windowSize && chain-- > 0) {
+                let length = 0;
+                while (length < limit && input[candidate + length] === input[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+                    if (length === limit) break;
+                }
+                candidate = prev[candidate % windowSize];
+            }
+        }
+
+        if (bestLength >= minMatch) {
+            writeLength(writer, bestLength);
+            writeDistance(writer, bestDistance);
+            for (let k = 0; k < bestLength; k++) insert(i + k);
+            i += bestLength;
+        } else {
+            writeFixedSymbol(writer, input[i]);
+            insert(i);
+            i++;
+        }
+    }
+
+    writeFixedSymbol(writer, 256); // End of block
+    return writer.finish();
+}
+
+/**
+ * Growable LSB-first bit writer
+ * @param {number} sizeHint - Initial capacity
+ * @returns {Object} { write, writeCode, finish }
+ * @private
+ */
+function createBitWriter(sizeHint) {
+    let buffer = new Uint8Array(Math.max(1024, sizeHint >> 1));
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const pushByte = (byte) => {
+        if (length === buffer.length) {
+            const grown = new Uint8Array(buffer.length * 2);
+            grown.set(buffer);
+            buffer = grown;
+        }
+        buffer[length++] = byte;
+    };
+
+    return {
+        write(value, bits) {
+            bitBuffer |= value << bitCount;
+            bitCount += bits;
+            while (bitCount >= 8) {
+                pushByte(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        },
+        // Huffman codes are packed starting from their most significant bit
+        writeCode(code, bits) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((code >> b) & 1);
+            }
+            this.write(reversed, bits);
+        },
+        finish() {
+            if (bitCount > 0) pushByte(bitBuffer & 0xff);
+            return buffer.slice(0, length);
+        }
+    };
+}
+
+/**
+ * Write literal/length symbol with the fixed Huffman code
+ * @private
+ */
+function writeFixedSymbol(writer, symbol) {
+    if (symbol < 144) writer.writeCode(0x30 + symbol, 8);
+    else if (symbol < 256) writer.writeCode(0x190 + symbol - 144, 9);
+    else if (symbol < 280) writer.writeCode(symbol - 256, 7);
+    else writer.writeCode(0xc0 + symbol - 280, 8);
+}
+
+/**
+ * Write match length (symbol + extra bits)
+ * @private
+ */
+function writeLength(writer, length) {
+    let code = LENGTH_BASE.length - 1;
+    while (LENGTH_BASE[code] > length) code--;
+    writeFixedSymbol(writer, 257 + code);
+    if (LENGTH_EXTRA[code] > 0) writer.write(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+}
+
+/**
+ * Write match distance (5-bit fixed code + extra bits)
+ * @private
+ */
+function writeDistance(writer, distance) {
+    let code = DIST_BASE.length - 1;
+    while (DIST_BASE[code] > distance) code--;
+    writer.writeCode(code, 5);
+    if (DIST_EXTRA[code] > 0) writer.write(distance - DIST_BASE[code], DIST_EXTRA[code]);
+}
+
+// ========================================
+// JS Fallback: Inflate
+// ========================================
+
+/**
+ * Inflate raw deflate stream (stored, fixed and dynamic blocks)
+ * @param {Uint8Array} data - Raw deflate stream
+ * @returns {Uint8Array} Output
+ * @private
+ */
+function inflateRaw(data) {
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let out = new Uint8Array(Math.max(1024, data.length * 4));
+    let length = 0;
+
+    const bits = (n) => {
+        while (bitCount < n) {
+            if (pos >= data.length) throw new Error('Αλλοιωμένο αρχείο gzip');
+            bitBuffer |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << n) - 1);
+        bitBuffer >>>= n;
+        bitCount -= n;
+        return value;
+    };
+
+    const ensure = (extra) => {
+        if (length + extra <= out.length) return;
+        const grown = new Uint8Array(Math.max(out.length * 2, length + extra));
+        grown.set(out.subarray(0, length));
+        out = grown;
+    };
+
+    const decode = (table) => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let len = 1; len <= 15; len++) {
+            code |= bits(1);
+            const count = table.counts[len];
+            if (code - count < first) return table.symbols[index + (code - first)];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Αλλοιωμένο αρχείο gzip');
+    };
+
+    let final = 0;
+    while (!final) {
+        final = bits(1);
+        const type = bits(2);
+
+        if (type === 0) {
+            // Stored block: skip to byte boundary
+            bitBuffer = 0;
+            bitCount = 0;
+            const size = data[pos] | (data[pos + 1] << 8);
+            pos += 4;
+            ensure(size);
+            out.set(data.subarray(pos, pos + size), length);
+            length += size;
+            pos += size;
+            continue;
+        }
+
+        let literals;
+        let distances;
+        if (type === 1) {
+            ({ literals, distances } = getFixedTables());
+        } else if (type === 2) {
+            ({ literals, distances } = readDynamicTables(bits, decode));
+        } else {
+            throw new Error('Αλλοιωμένο αρχείο gzip');
+        }
+
+        for (;;) {
+            const symbol = decode(literals);
+            if (symbol < 256) {
+                ensure(1);
+                out[length++] = symbol;
+            } else if (symbol === 256) {
+                break;
+            } else {
+                const code = symbol - 257;
+                const matchLength = LENGTH_BASE[code] + bits(LENGTH_EXTRA[code]);
+                const distCode = decode(distances);
+                const distance = DIST_BASE[distCode] + bits(DIST_EXTRA[distCode]);
+                if (distance > length) throw new Error('Αλλοιωμένο αρχείο gzip');
+
+                ensure(matchLength);
+                for (let k = 0; k < matchLength; k++, length++) {
+                    out[length] = out[length - distance];
+                }
+            }
+        }
+    }
+
+    return out.slice(0, length);
+}
+
+/**
+ * Build canonical Huffman decoding table from code lengths
+ * @param {Array<number>} lengths - Code length per symbol
+ * @returns {Object} { counts, symbols }
+ * @private
+ */
+function buildTable(lengths) {
+    const counts = new Uint16Array(16);
+    lengths.forEach(len => counts[len]++);
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let len = 1; len < 15; len++) {
+        offsets[len + 1] = offsets[len] + counts[len];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((len, symbol) => {
+        if (len) symbols[offsets[len]++] = symbol;
+    });
+
+    return { counts, symbols };
+}
+
+let fixedTables = null;
+
+/**
+ * Fixed Huffman tables (built once)
+ * @private
+ */
+function getFixedTables() {
+    if (!fixedTables) {
+        const lengths = Array.from({ length: 288 }, (_, symbol) =>
+            symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8
+        );
+        fixedTables = {
+            literals: buildTable(lengths),
+            distances: buildTable(new Array(30).fill(5))
+        };
+    }
+    return fixedTables;
+}
+
+/**
+ * Read dynamic Huffman tables from the block header
+ * @private
+ */
+function readDynamicTables(bits, decode) {
+    const literalCount = bits(5) + 257;
+    const distanceCount = bits(5) + 1;
+    const codeLengthCount = bits(4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+    }
+    const codeLengthTable = buildTable(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = decode(codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+        } else if (symbol === 16) {
+            if (lengths.length === 0) throw new Error('Αλλοιωμένο αρχείο gzip');
+            const previous = lengths[lengths.length - 1];
+            for (let n = 3 + bits(2); n > 0; n--) lengths.push(previous);
+        } else {
+            for (let n = symbol === 17 ? 3 + bits(3) : 11 + bits(7); n > 0; n--) lengths.push(0);
+        }
+    }
+
+    return {
+        literals: buildTable(lengths.slice(0, literalCount)),
+        distances: buildTable(lengths.slice(literalCount, literalCount + distanceCount))
+    };
+}
+
+export { COMPRESSION_CONFIG };
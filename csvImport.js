@@ -0,0 +1,436 @@
+/**
+ * csvImport.js - CSV Import Wizard
+ * Column mapping, per-cell preview and dry run before committing a CSV import
+ * Version: 2.0
+ */
+
+import { STATE } from './state.js';
+import csvValidator, { CSV_CONFIG } from './csvValidator.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
+import { bulkAddEntries, addSource, addInsurance, findDuplicateEntry, getEntryKey } from './dataManager.js';
+
+// ========================================
+// Configuration
+// ========================================
+const CSV_IMPORT_CONFIG = {
+    previewRows: 10,
+    textPreviewLines: 6,
+    fieldLabels: {
+        date: 'Ημερομηνία',
+        source: 'Διαγνωστικό',
+        insurance: 'Ασφάλεια',
+        type: 'Τύπος',
+        amount: 'Ποσό',
+        invoiceNumber: 'Αρ. Τιμολογίου',
+        notes: 'Σημειώσεις',
+        krathseis: 'Κρατήσεις',
+        krathseisPercent: 'Κρατήσεις %',
+        parakratisi: 'Παρακράτηση (ΕΟΠΥΥ)',
+        mde: 'ΜΔΕ (ΕΟΠΥΥ)',
+        rebate: 'Rebate (ΕΟΠΥΥ)',
+        clawback: 'Clawback (ΕΟΠΥΥ)',
+        parakratisiPercent: 'Παρακράτηση % (ΕΟΠΥΥ)',
+        mdePercent: 'ΜΔΕ % (ΕΟΠΥΥ)',
+        rebatePercent: 'Rebate % (ΕΟΠΥΥ)',
+        clawbackPercent: 'Clawback % (ΕΟΠΥΥ)'
+    },
+    // Fields compared to tell an update from an unchanged duplicate
+    compareFields: ['date', 'source', 'insurance', 'type', 'amount', 'invoiceNumber', 'notes', 'krathseis', 'krathseisPercent']
+};
+
+const EOPYY_DEDUCTION_FIELDS = ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'];
+
+// ========================================
+// CSV Import Wizard Class
+// ========================================
+class CsvImportWizard {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear the loaded file
+     */
+    reset() {
+        this.fileName = '';
+        this.headers = [];
+        this.rows = [];
+        this.mapping = {};
+        this.plan = null;
+        this.bytes = null;
+        this.encoding = null; // {selected, used, detected}; null for Excel files
+        this.textPreview = '';
+    }
+
+    /**
+     * Decode a CSV file and suggest the column mapping
+     * @param {string} fileName - File name
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @param {string} encoding - Encoding ('auto' = detect from BOM / Greek heuristics)
+     * @returns {Object} {rows, headers, mapping, encoding}
+     */
+    loadFile(fileName, buffer, encoding = 'auto') {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const detected = csvValidator.detectEncoding(bytes);
+        const { text, encoding: used } = csvValidator.decode(bytes, encoding === 'auto' ? detected : encoding);
+
+        const result = this.load(fileName, text);
+
+        this.bytes = bytes;
+        this.encoding = { selected: encoding, used, detected };
+        this.textPreview = text.split(/\r?\n/).slice(0, CSV_IMPORT_CONFIG.textPreviewLines).join('\n');
+
+        return { ...result, encoding: { ...this.encoding } };
+    }
+
+    /**
+     * Re-decode the loaded CSV file with another encoding (manual override)
+     * @param {string} encoding - Encoding ('auto' = detect)
+     * @returns {Object} Same as loadFile
+     */
+    setEncoding(encoding) {
+        if (!this.bytes) {
+            throw new Error('Δεν υπάρχει φορτωμένο αρχείο CSV');
+        }
+        return this.loadFile(this.fileName, this.bytes, encoding);
+    }
+
+    /**
+     * Parse a CSV file and suggest the column mapping
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {Object} {rows, headers, mapping}
+     */
+    load(fileName, text) {
+        if (!window.Papa) {
+            throw new Error('PapaParse library δεν είναι διαθέσιμη');
+        }
+
+        const parsed = Papa.parse(text, {
+            header: true,
+            skipEmptyLines: true
+        });
+
+        if (parsed.errors.length > 0) {
+            console.warn('[CsvImport] Parsing warnings:', parsed.errors);
+        }
+
+        const headers = (parsed.meta.fields || []).filter(h => h && h.trim() !== '');
+        return this.loadRows(fileName, headers, parsed.data);
+    }
+
+    /**
+     * Load already parsed rows (e.g. an Excel sheet) and suggest the column mapping
+     * @param {string} fileName - File name
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Object>} rows - Rows keyed by header
+     * @returns {Object} {rows, headers, mapping}
+     */
+    loadRows(fileName, headers, rows) {
+        if (rows.length === 0 || headers.length === 0) {
+            throw new Error('Το αρχείο είναι κενό');
+        }
+
+        this.reset();
+        this.fileName = fileName;
+        this.headers = headers;
+        this.rows = rows;
+        this.mapping = csvValidator.suggestColumnMapping(headers);
+
+        return { rows: this.rows.length, headers: this.headers, mapping: { ...this.mapping } };
+    }
+
+    // ========================================
+    // Step 1: Column Mapping
+    // ========================================
+
+    /**
+     * Set column mapping (empty values unmap a field)
+     * @param {Object} mapping - {field: header}
+     */
+    setMapping(mapping) {
+        this.mapping = {};
+        Object.entries(mapping).forEach(([field, header]) => {
+            if (header && this.headers.includes(header) && CSV_IMPORT_CONFIG.fieldLabels[field]) {
+                this.mapping[field] = header;
+            }
+        });
+        this.plan = null;
+    }
+
+    /**
+     * Check mapping before moving to the preview
+     * @returns {Array<string>} Error messages (empty when the mapping is usable)
+     */
+    validateMapping() {
+        const errors = [];
+
+        const missing = CSV_CONFIG.requiredColumns.filter(field => !this.mapping[field]);
+        if (missing.length > 0) {
+            errors.push(`Λείπουν υποχρεωτικά πεδία: ${missing.map(f => this.getFieldLabel(f)).join(', ')}`);
+        }
+
+        const used = {};
+        Object.entries(this.mapping).forEach(([field, header]) => {
+            (used[header] = used[header] || []).push(this.getFieldLabel(field));
+        });
+        Object.entries(used).forEach(([header, fields]) => {
+            if (fields.length > 1) {
+                errors.push(`Η στήλη "${header}" αντιστοιχεί σε πολλά πεδία: ${fields.join(', ')}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get all mappable fields in display order
+     * @returns {Array} [{field, label, required}]
+     */
+    getFields() {
+        return Object.entries(CSV_IMPORT_CONFIG.fieldLabels).map(([field, label]) => ({
+            field,
+            label,
+            required: CSV_CONFIG.requiredColumns.includes(field)
+        }));
+    }
+
+    /**
+     * Get field label
+     * @param {string} field - Field key
+     * @returns {string} Label
+     */
+    getFieldLabel(field) {
+        return CSV_IMPORT_CONFIG.fieldLabels[field] || field;
+    }
+
+    // ========================================
+    // Step 2: Preview
+    // ========================================
+
+    /**
+     * Validate the first rows cell by cell
+     * @param {number} limit - Number of rows
+     * @returns {Array} Rows from csvValidator.inspectRows
+     */
+    getPreview(limit = CSV_IMPORT_CONFIG.previewRows) {
+        return csvValidator.inspectRows(this.rows.slice(0, limit), this.mapping);
+    }
+
+    // ========================================
+    // Step 3: Dry Run
+    // ========================================
+
+    /**
+     * Classify every row without saving anything
+     * Existing entries are matched with the configured uniqueness rule; rows
+     * repeating a key seen earlier in the file count as duplicates.
+     * @param {Object} options - {updateExisting}
+     * @returns {Object} {inserts, updates, duplicates, invalid, errors, warnings, autoFixes, newSources, newInsurances}
+     */
+    dryRun(options = {}) {
+        const { updateExisting = true } = options;
+
+        const inspected = csvValidator.inspectRows(this.rows, this.mapping);
+        const plan = {
+            inserts: [],
+            updates: [],
+            duplicates: [],
+            invalid: [],
+            errors: [...csvValidator.errors],
+            warnings: [...csvValidator.warnings],
+            autoFixes: [...csvValidator.autoFixes],
+            newSources: [],
+            newInsurances: [],
+            updateExisting
+        };
+
+        const seenKeys = new Set();
+
+        inspected.forEach(result => {
+            if (!result.valid) {
+                plan.invalid.push(result.row);
+                return;
+            }
+
+            const entry = this.buildEntry(result.cells);
+            const key = getEntryKey(entry);
+
+            if (key && seenKeys.has(key)) {
+                plan.duplicates.push({ row: result.row, entry, reason: 'file' });
+                return;
+            }
+            if (key) seenKeys.add(key);
+
+            const existing = findDuplicateEntry(entry);
+            if (!existing) {
+                plan.inserts.push({ row: result.row, entry });
+            } else if (!updateExisting || this.isUnchanged(existing, entry)) {
+                plan.duplicates.push({ row: result.row, entry, existing, reason: 'existing' });
+            } else {
+                plan.updates.push({ row: result.row, entry: this.buildUpdate(existing, entry), existing });
+            }
+        });
+
+        // Sources / insurances missing from the lists are added on commit
+        [...plan.inserts, ...plan.updates].forEach(({ entry }) => {
+            if (!STATE.sources.includes(entry.source) && !plan.newSources.includes(entry.source)) {
+                plan.newSources.push(entry.source);
+            }
+            if (!STATE.insurances.includes(entry.insurance) && !plan.newInsurances.includes(entry.insurance)) {
+                plan.newInsurances.push(entry.insurance);
+            }
+        });
+
+        this.plan = plan;
+        return plan;
+    }
+
+    /**
+     * Build an entry from validated cells
+     * @param {Object} cells - Cells from csvValidator.inspectRows
+     * @returns {Object} Entry
+     * @private
+     */
+    buildEntry(cells) {
+        const value = field => cells[field] ? cells[field].value : undefined;
+
+        const entry = {
+            date: value('date'),
+            source: value('source'),
+            insurance: value('insurance'),
+            type: value('type'),
+            amount: value('amount'),
+            invoiceNumber: value('invoiceNumber') || '',
+            notes: value('notes') || ''
+        };
+
+        if (eopyyDeductionsManager.isEopyyEntry(entry)) {
+            // Unmapped deductions stay empty so the rate template can fill them.
+            // Amounts given only as a percentage were calculated by csvValidator.
+            const mapped = EOPYY_DEDUCTION_FIELDS.filter(field => cells[field]);
+            if (mapped.length > 0) {
+                entry.deductions = {};
+                mapped.forEach(field => {
+                    entry.deductions[field] = value(field) || 0;
+                    if (cells[`${field}Percent`]) {
+                        entry.deductions[`${field}Percent`] = value(`${field}Percent`) || 0;
+                    }
+                });
+            }
+        } else {
+            entry.krathseis = value('krathseis') || 0;
+            entry.krathseisPercent = value('krathseisPercent') || 0;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Merge an import row into an existing entry
+     * Imported deductions go on top of the stored ΕΟΠΥΥ record, so unmapped
+     * columns keep their amounts instead of being reset.
+     * @param {Object} existing - Existing entry
+     * @param {Object} entry - Imported entry
+     * @returns {Object} Entry to save
+     * @private
+     */
+    buildUpdate(existing, entry) {
+        const updated = { ...existing, ...entry, id: existing.id };
+
+        const stored = entry.deductions ? eopyyDeductionsManager.getDeductions(existing.id) : null;
+        if (stored) {
+            const deductions = {
+                ...stored.deductions,
+                ...stored.percentages,
+                clawbackPeriod: stored.clawbackPeriod
+            };
+            Object.entries(entry.deductions).forEach(([field, amount]) => {
+                deductions[field] = amount;
+                // A stored percentage no longer describes a re-imported amount
+                if (!field.endsWith('Percent') && entry.deductions[`${field}Percent`] === undefined) {
+                    deductions[`${field}Percent`] = 0;
+                }
+            });
+            updated.deductions = deductions;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Check whether an import row would change an existing entry
+     * @param {Object} existing - Existing entry
+     * @param {Object} entry - Imported entry
+     * @returns {boolean}
+     * @private
+     */
+    isUnchanged(existing, entry) {
+        const sameFields = CSV_IMPORT_CONFIG.compareFields.every(field => {
+            if (entry[field] === undefined) return true;
+
+            const current = field === 'amount' ? (existing.originalAmount ?? existing.amount) : existing[field];
+            return typeof entry[field] === 'number'
+                ? Math.abs((parseFloat(current) || 0) - entry[field]) < 0.01
+                : (current ?? '') === entry[field];
+        });
+
+        if (!sameFields || !entry.deductions) return sameFields;
+
+        const stored = eopyyDeductionsManager.getDeductions(existing.id);
+        return EOPYY_DEDUCTION_FIELDS.every(field =>
+            entry.deductions[field] === undefined ||
+            Math.abs((stored?.deductions[field] || 0) - entry.deductions[field]) < 0.01
+        );
+    }
+
+    // ========================================
+    // Commit
+    // ========================================
+
+    /**
+     * Save the rows classified by the last dry run
+     * @returns {Promise<Object>} {inserted, updated, skipped, failed, errors}
+     */
+    async commit() {
+        if (!this.plan) {
+            throw new Error('Εκτελέστε πρώτα τη δοκιμαστική εισαγωγή');
+        }
+
+        const plan = this.plan;
+
+        for (const source of plan.newSources) {
+            await addSource(source);
+        }
+        for (const insurance of plan.newInsurances) {
+            await addInsurance(insurance);
+        }
+
+        // One undo action for the whole import
+        const rows = [...plan.inserts, ...plan.updates];
+        const bulk = await bulkAddEntries(rows.map(item => item.entry), { undoLabel: 'Εισαγωγή CSV' });
+
+        const result = {
+            inserted: bulk.inserted,
+            updated: bulk.updated,
+            skipped: plan.duplicates.length + plan.invalid.length,
+            failed: bulk.failed,
+            errors: bulk.errors.map(({ index, error }) => `Γραμμή ${rows[index].row}: ${error}`)
+        };
+
+        console.log('[CsvImport] Import completed:', result);
+        this.reset();
+        return result;
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const csvImportWizard = new CsvImportWizard();
+
+// ========================================
+// Export
+// ========================================
+export { CsvImportWizard, CSV_IMPORT_CONFIG };
+export default csvImportWizard;
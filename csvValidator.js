@@ -5,13 +5,19 @@
  */
 
 import { isValidMonthYear, parseMonthYear, formatMonthYear, sanitizeText } from './utils.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
 
 // ========================================
 // Configuration
 // ========================================
 const CSV_CONFIG = {
     requiredColumns: ['date', 'source', 'insurance', 'type', 'amount'],
-    optionalColumns: ['notes', 'krathseis', 'krathseisPercent'],
+    optionalColumns: [
+        'notes', 'invoiceNumber',
+        'parakratisi', 'mde', 'rebate', 'krathseis', 'clawback',
+        'parakratisiPercent', 'mdePercent', 'rebatePercent', 'krathseisPercent', 'clawbackPercent'
+    ],
+    deductionFields: ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'],
     dateFormats: [
         /^\d{2}\/\d{4}$/, // MM/YYYY
         /^\d{1,2}\/\d{4}$/, // M/YYYY
@@ -21,7 +27,8 @@ const CSV_CONFIG = {
     typeValues: ['cash', 'invoice', 'μετρητά', 'τιμολόγια', 'τιμολογια'],
     maxFieldLength: 200,
     maxNoteLength: 500,
-    encodings: ['UTF-8', 'ISO-8859-7', 'Windows-1253']
+    encodings: ['UTF-8', 'ISO-8859-7', 'Windows-1253'],
+    encodingSampleBytes: 65536
 };
 
 // ========================================
@@ -54,9 +61,9 @@ class CSVValidator {
             return this.buildResult(rows);
         }
 
-        // Detect and normalize headers
-        const headers = this.normalizeHeaders(Object.keys(rows[0]));
-        const mapping = columnMapping || this.detectColumnMapping(headers);
+        // Detect column mapping from the file's headers
+        const headers = Object.keys(rows[0]);
+        const mapping = columnMapping || this.suggestColumnMapping(headers);
 
         // Validate structure
         this.validateStructure(headers, mapping);
@@ -84,7 +91,7 @@ class CSVValidator {
             const normalized = h.trim()
                 .toLowerCase()
                 .replace(/\s+/g, '_')
-                .replace(/[^\w\u0370-\u03FF\u1F00-\u1FFF]/g, '');
+                .replace(/[^\w%\u0370-\u03FF\u1F00-\u1FFF]/g, '');
             
             if (normalized !== h) {
                 this.autoFixes.push({
@@ -98,6 +105,25 @@ class CSVValidator {
         });
     }
 
+    /**
+     * Suggest a column mapping for the file's own headers
+     * Detection runs on normalized headers; the mapping points back to the
+     * raw header names, which are the keys of the parsed rows.
+     * @param {Array} headers - Raw CSV headers
+     * @returns {Object} Column mapping {field: raw header}
+     */
+    suggestColumnMapping(headers) {
+        const normalized = this.normalizeHeaders(headers);
+        const detected = this.detectColumnMapping(normalized);
+        const mapping = {};
+
+        Object.entries(detected).forEach(([field, header]) => {
+            mapping[field] = headers[normalized.indexOf(header)];
+        });
+
+        return mapping;
+    }
+
     /**
      * Detect column mapping from headers
      * @param {Array} headers - Normalized headers
@@ -107,6 +133,17 @@ class CSVValidator {
     detectColumnMapping(headers) {
         const mapping = {};
 
+        // ΕΟΠΥΥ deductions are matched first: their headers often also contain
+        // "ποσό" / "ποσοστό" (e.g. "Ποσό Παρακράτησης", "ΜΔΕ %")
+        const deductions = {
+            parakratisi: ['parakratisi', 'παρακράτ', 'παρακρατ'],
+            mde: ['mde', 'μδε', 'μ_δ_ε'],
+            rebate: ['rebate', 'ριμπέιτ', 'ριμπειτ'],
+            clawback: ['clawback', 'claw_back'],
+            krathseis: ['krathseis', 'κρατήσ', 'κρατησ', 'deduction']
+        };
+        const isPercent = header => /%|percent|pct|ποσοστ/.test(header);
+
         // Common Greek/English column name variations
         const mappings = {
             date: ['date', 'ημερομηνία', 'ημερομηνια', 'ημ/νια', 'ημνια', 'month', 'μηνας'],
@@ -115,11 +152,16 @@ class CSVValidator {
             type: ['type', 'τύπος', 'τυπος', 'είδος', 'ειδος'],
             amount: ['amount', 'ποσό', 'ποσο', 'αξία', 'αξια', 'value'],
             notes: ['notes', 'σημειώσεις', 'σημειωσεις', 'παρατηρήσεις', 'παρατηρησεις'],
-            krathseis: ['krathseis', 'κρατήσεις', 'κρατησεις', 'deductions'],
-            krathseisPercent: ['krathseis_percent', 'κρατησεις_%', 'deduction_%']
+            invoiceNumber: ['invoice_number', 'invoice_no', 'invoicenumber', 'αρ_τιμολογίου', 'αρ_τιμολογιου', 'αριθμός_τιμολογίου', 'αριθμος_τιμολογιου', 'παραστατικό', 'παραστατικο']
         };
 
         headers.forEach(header => {
+            const deduction = Object.keys(deductions).find(key => deductions[key].some(v => header.includes(v)));
+            if (deduction) {
+                mapping[isPercent(header) ? `${deduction}Percent` : deduction] = header;
+                return;
+            }
+
             for (const [key, variations] of Object.entries(mappings)) {
                 if (variations.some(v => header.includes(v))) {
                     mapping[key] = header;
@@ -159,6 +201,56 @@ class CSVValidator {
      * @private
      */
     validateRow(row, mapping, rowIndex) {
+        const { validated, hasErrors } = this.parseRow(row, mapping, rowIndex);
+        return hasErrors ? null : validated;
+    }
+
+    /**
+     * Validate rows cell by cell (import wizard preview)
+     * Unlike validate(), invalid rows keep their valid cells so the preview
+     * can show every value next to its error / auto-fix.
+     * @param {Array} rows - Parsed CSV rows
+     * @param {Object} mapping - Column mapping {field: raw header}
+     * @param {number} firstRow - Row number of rows[0] (1-based)
+     * @returns {Array} [{row, valid, cells: {field: {original, value, errors, warnings, autoFixes}}}]
+     */
+    inspectRows(rows, mapping, firstRow = 1) {
+        this.errors = [];
+        this.warnings = [];
+        this.autoFixes = [];
+
+        return rows.map((row, index) => {
+            const rowIndex = firstRow + index;
+            const { validated, hasErrors } = this.parseRow(row, mapping, rowIndex);
+            const cells = {};
+
+            // Deduction amounts calculated from a mapped percentage get a cell too
+            const derived = CSV_CONFIG.deductionFields.filter(field => !mapping[field] && validated[field] !== undefined);
+
+            [...Object.keys(mapping), ...derived].forEach(field => {
+                const forCell = issue => issue.row === rowIndex && issue.field === field;
+                cells[field] = {
+                    original: mapping[field] ? row[mapping[field]] ?? '' : '',
+                    value: validated[field],
+                    errors: this.errors.filter(forCell),
+                    warnings: this.warnings.filter(forCell),
+                    autoFixes: this.autoFixes.filter(forCell)
+                };
+            });
+
+            return { row: rowIndex, valid: !hasErrors, cells };
+        });
+    }
+
+    /**
+     * Parse and validate the mapped fields of a row
+     * @param {Object} row - Raw row data
+     * @param {Object} mapping - Column mapping
+     * @param {number} rowIndex - Row number (1-based)
+     * @returns {Object} {validated, hasErrors}
+     * @private
+     */
+    parseRow(row, mapping, rowIndex) {
         const validated = {};
         let hasErrors = false;
 
@@ -195,7 +287,7 @@ class CSVValidator {
         }
 
         // Validate amount
-        const amountResult = this.validateAmount(row[mapping.amount], rowIndex);
+        const amountResult = this.validateAmount(row[mapping.amount], rowIndex, false, 'amount');
         if (amountResult.error) {
             hasErrors = true;
         } else {
@@ -207,21 +299,76 @@ class CSVValidator {
             validated.notes = this.sanitizeNotes(row[mapping.notes]);
         }
 
-        if (mapping.krathseis) {
-            const krathseisResult = this.validateAmount(row[mapping.krathseis], rowIndex, true);
-            if (!krathseisResult.error) {
-                validated.krathseis = krathseisResult.value;
+        // Deduction amounts / percentages (krathseis for all insurances, the rest for ΕΟΠΥΥ)
+        CSV_CONFIG.deductionFields.forEach(field => {
+            if (mapping[field]) {
+                const deductionResult = this.validateAmount(row[mapping[field]], rowIndex, true, field);
+                if (!deductionResult.error) {
+                    validated[field] = deductionResult.value;
+                }
             }
-        }
 
-        if (mapping.krathseisPercent) {
-            const percentResult = this.validatePercent(row[mapping.krathseisPercent], rowIndex, true);
-            if (!percentResult.error) {
-                validated.krathseisPercent = percentResult.value;
+            const percentField = `${field}Percent`;
+            if (mapping[percentField]) {
+                const percentResult = this.validatePercent(row[mapping[percentField]], rowIndex, true, percentField);
+                if (!percentResult.error) {
+                    validated[percentField] = percentResult.value;
+                }
             }
+        });
+
+        if (!hasErrors && eopyyDeductionsManager.isEopyyEntry(validated)) {
+            hasErrors = !this.validateEopyyDeductions(validated, mapping, rowIndex);
         }
 
-        return hasErrors ? null : validated;
+        if (mapping.invoiceNumber) {
+            validated.invoiceNumber = (row[mapping.invoiceNumber] || '').toString().trim().substring(0, CSV_CONFIG.maxFieldLength);
+        }
+
+        return { validated, hasErrors };
+    }
+
+    /**
+     * Complete and check the ΕΟΠΥΥ deductions of a row
+     * Amounts missing from the file are calculated from their percentage, then
+     * the set is checked with the same rules as the entry modal.
+     * @param {Object} validated - Validated row (amounts filled in place)
+     * @param {Object} mapping - Column mapping
+     * @param {number} rowIndex - Row number
+     * @returns {boolean} Deductions are valid
+     * @private
+     */
+    validateEopyyDeductions(validated, mapping, rowIndex) {
+        const mappedFields = CSV_CONFIG.deductionFields.filter(field => mapping[field] || mapping[`${field}Percent`]);
+        if (mappedFields.length === 0) return true;
+
+        mappedFields.forEach(field => {
+            const percent = validated[`${field}Percent`] || 0;
+            if (!validated[field] && percent) {
+                const amount = Math.round(validated.amount * percent) / 100;
+                validated[field] = amount;
+                this.autoFixes.push({
+                    type: 'DEDUCTION_FROM_PERCENT',
+                    row: rowIndex,
+                    field,
+                    original: `${percent}%`,
+                    fixed: amount.toFixed(2)
+                });
+            }
+        });
+
+        const result = eopyyDeductionsManager.validateDeductions(validated, validated.amount);
+        if (result.valid) return true;
+
+        result.errors.forEach(message => {
+            this.errors.push({
+                type: 'INVALID_DEDUCTIONS',
+                message: `Γραμμή ${rowIndex}: ${message}`,
+                row: rowIndex,
+                field: mapping[mappedFields[0]] ? mappedFields[0] : `${mappedFields[0]}Percent`
+            });
+        });
+        return false;
     }
 
     /**
@@ -236,15 +383,16 @@ class CSVValidator {
             this.errors.push({
                 type: 'MISSING_DATE',
                 message: `Γραμμή ${rowIndex}: Λείπει η ημερομηνία`,
-                row: rowIndex
+                row: rowIndex,
+                field: 'date'
             });
             return { error: true };
         }
 
         const trimmed = value.trim();
 
-        // Check if already valid MM/YYYY
-        if (isValidMonthYear(trimmed)) {
+        // Check if already valid MM/YYYY (M/YYYY is padded below)
+        if (/^\d{2}\/\d{4}$/.test(trimmed) && isValidMonthYear(trimmed)) {
             return { value: trimmed };
         }
 
@@ -269,6 +417,7 @@ class CSVValidator {
             this.autoFixes.push({
                 type: 'DATE_FORMAT',
                 row: rowIndex,
+                field: 'date',
                 original: trimmed,
                 fixed
             });
@@ -278,7 +427,8 @@ class CSVValidator {
         this.errors.push({
             type: 'INVALID_DATE',
             message: `Γραμμή ${rowIndex}: Μη έγκυρη ημερομηνία "${trimmed}"`,
-            row: rowIndex
+            row: rowIndex,
+            field: 'date'
         });
         return { error: true };
     }
@@ -343,7 +493,8 @@ class CSVValidator {
             this.errors.push({
                 type: 'MISSING_TYPE',
                 message: `Γραμμή ${rowIndex}: Λείπει ο τύπος`,
-                row: rowIndex
+                row: rowIndex,
+                field: 'type'
             });
             return { error: true };
         }
@@ -356,6 +507,7 @@ class CSVValidator {
                 this.autoFixes.push({
                     type: 'TYPE_NORMALIZED',
                     row: rowIndex,
+                    field: 'type',
                     original: value,
                     fixed: 'cash'
                 });
@@ -368,6 +520,7 @@ class CSVValidator {
                 this.autoFixes.push({
                     type: 'TYPE_NORMALIZED',
                     row: rowIndex,
+                    field: 'type',
                     original: value,
                     fixed: 'invoice'
                 });
@@ -378,7 +531,8 @@ class CSVValidator {
         this.errors.push({
             type: 'INVALID_TYPE',
             message: `Γραμμή ${rowIndex}: Μη έγκυρος τύπος "${value}"`,
-            row: rowIndex
+            row: rowIndex,
+            field: 'type'
         });
         return { error: true };
     }
@@ -388,10 +542,11 @@ class CSVValidator {
      * @param {string|number} value - Amount value
      * @param {number} rowIndex - Row number
      * @param {boolean} optional - Is optional field
+     * @param {string} field - Field name (for per-cell reporting)
      * @returns {Object} Validation result
      * @private
      */
-    validateAmount(value, rowIndex, optional = false) {
+    validateAmount(value, rowIndex, optional = false, field = 'amount') {
         if (!value || value === '') {
             if (optional) {
                 return { value: 0 };
@@ -399,7 +554,8 @@ class CSVValidator {
             this.errors.push({
                 type: 'MISSING_AMOUNT',
                 message: `Γραμμή ${rowIndex}: Λείπει το ποσό`,
-                row: rowIndex
+                row: rowIndex,
+                field
             });
             return { error: true };
         }
@@ -420,7 +576,8 @@ class CSVValidator {
             this.errors.push({
                 type: 'INVALID_AMOUNT',
                 message: `Γραμμή ${rowIndex}: Μη έγκυρο ποσό "${value}"`,
-                row: rowIndex
+                row: rowIndex,
+                field
             });
             return { error: true };
         }
@@ -429,7 +586,8 @@ class CSVValidator {
             this.warnings.push({
                 type: 'NEGATIVE_AMOUNT',
                 message: `Γραμμή ${rowIndex}: Αρνητικό ποσό "${amount}"`,
-                row: rowIndex
+                row: rowIndex,
+                field
             });
         }
 
@@ -437,6 +595,7 @@ class CSVValidator {
             this.autoFixes.push({
                 type: 'AMOUNT_CLEANED',
                 row: rowIndex,
+                field,
                 original: value,
                 fixed: amount.toFixed(2)
             });
@@ -450,10 +609,11 @@ class CSVValidator {
      * @param {string|number} value - Percent value
      * @param {number} rowIndex - Row number
      * @param {boolean} optional - Is optional field
+     * @param {string} field - Field name (for per-cell reporting)
      * @returns {Object} Validation result
      * @private
      */
-    validatePercent(value, rowIndex, optional = false) {
+    validatePercent(value, rowIndex, optional = false, field = 'krathseisPercent') {
         if (!value || value === '') {
             return { value: 0 };
         }
@@ -468,7 +628,8 @@ class CSVValidator {
             this.warnings.push({
                 type: 'INVALID_PERCENT',
                 message: `Γραμμή ${rowIndex}: Μη έγκυρο ποσοστό "${value}"`,
-                row: rowIndex
+                row: rowIndex,
+                field
             });
             return { value: 0 };
         }
@@ -477,7 +638,8 @@ class CSVValidator {
             this.warnings.push({
                 type: 'PERCENT_OUT_OF_RANGE',
                 message: `Γραμμή ${rowIndex}: Ποσοστό εκτός ορίων (0-100): ${percent}`,
-                row: rowIndex
+                row: rowIndex,
+                field
             });
         }
 
@@ -525,6 +687,78 @@ class CSVValidator {
             autoFixes: this.autoFixes
         };
     }
+
+    // ========================================
+    // Encoding
+    // ========================================
+
+    /**
+     * Detect the text encoding of a file
+     * BOM first, then strict UTF-8; otherwise the legacy Greek code page whose
+     * decoding yields the most Greek letters and the fewest undefined bytes.
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string} Encoding label (TextDecoder compatible)
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'UTF-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'UTF-16LE';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'UTF-16BE';
+
+        const sample = bytes.subarray(0, CSV_CONFIG.encodingSampleBytes);
+
+        try {
+            // A truncated sample may cut a multi-byte character at the end
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < bytes.length });
+            return 'UTF-8';
+        } catch (error) {
+            // Not UTF-8: fall through to the Greek code pages
+        }
+
+        // Windows-1253 first: ties go to the code page of Windows accounting software
+        const candidates = ['Windows-1253', 'ISO-8859-7'].map(encoding => ({
+            encoding,
+            score: this.scoreGreekText(new TextDecoder(encoding).decode(sample))
+        }));
+
+        return candidates.reduce((best, c) => (c.score > best.score ? c : best)).encoding;
+    }
+
+    /**
+     * Score decoded text by how Greek it looks
+     * The two code pages differ mainly in Ά (0xA2 vs 0xB6) and in the bytes
+     * one of them leaves undefined (C1 controls / U+FFFD).
+     * @param {string} text - Decoded text
+     * @returns {number} Score
+     * @private
+     */
+    scoreGreekText(text) {
+        let score = 0;
+
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            if (code >= 0x0386 && code <= 0x03CE) {
+                score++;
+            } else if ((code >= 0x80 && code <= 0x9F) || code === 0xFFFD) {
+                score -= 10;
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Decode file contents
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} encoding - Encoding label ('auto' = detect)
+     * @returns {Object} {text, encoding}
+     */
+    decode(bytes, encoding = 'auto') {
+        const used = encoding === 'auto' ? this.detectEncoding(bytes) : encoding;
+        return {
+            text: new TextDecoder(used).decode(bytes),
+            encoding: used
+        };
+    }
 }
 
 // ========================================
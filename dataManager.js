@@ -4,10 +4,11 @@
  * Version: 2.0 (Clean Rewrite)
  */
 
-import { STATE } from './state.js';
+import { STATE, pushUndoAction, popUndoAction, popRedoAction, canUndo, canRedo } from './state.js';
 import storage from './storage.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
-import { generateId, STRINGS, compareDates } from './utils.js';
+import auditLog from './auditLog.js';
+import { generateId, STRINGS, compareDates, parseMonthYear } from './utils.js';
 
 // ========================================
 // Data Loading
@@ -28,9 +29,15 @@ export async function loadData() {
         STATE.sources = (await storage.loadSetting('sources')) || STATE.sources;
         STATE.insurances = (await storage.loadSetting('insurances')) || STATE.insurances;
         STATE.userLabel = (await storage.loadSetting('userLabel')) || STATE.userLabel;
+        STATE.uniquenessRule = (await storage.loadSetting('uniquenessRule')) || STATE.uniquenessRule;
+        STATE.insuranceTaxDefaults = (await storage.loadSetting('insuranceTaxDefaults')) || {};
         
-        // Load undo stack
-        STATE.undoStack = await storage.loadUndoActions();
+        // Load undo stack (only replayable snapshots, oldest first)
+        const undoActions = await storage.loadUndoActions();
+        STATE.undoStack = undoActions
+            .filter(a => a.before !== undefined || Array.isArray(a.actions))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        STATE.redoStack = [];
         
         // Load deductions
         await eopyyDeductionsManager.loadDeductions();
@@ -71,6 +78,113 @@ export async function saveData() {
     }
 }
 
+// ========================================
+// Uniqueness Rules
+// ========================================
+
+/**
+ * Which fields identify an entry. Used by addEntry, CSV import,
+ * backup merge and cloud merge so they all agree on what a duplicate is.
+ */
+export const UNIQUENESS_RULES = Object.freeze({
+    'date-source': {
+        label: 'Ημερομηνία + Διαγνωστικό',
+        error: 'duplicateEntry'
+    },
+    'date-source-insurance-type': {
+        label: 'Ημερομηνία + Διαγνωστικό + Ασφάλεια + Τύπος',
+        error: 'duplicateEntryFull'
+    },
+    'invoice': {
+        label: 'Χωρίς περιορισμό (μοναδικός αριθμός τιμολογίου)',
+        error: 'duplicateInvoice'
+    }
+});
+
+/**
+ * Build the business key of an entry
+ * @param {Object} entry - Entry object
+ * @param {string} rule - Uniqueness rule (defaults to current setting)
+ * @returns {string|null} Key, or null when the entry has no business key (e.g. no invoice number)
+ */
+export function getEntryKey(entry, rule = STATE.uniquenessRule) {
+    switch (rule) {
+        case 'date-source-insurance-type':
+            return `${entry.date}_${entry.source}_${entry.insurance}_${entry.type}`;
+        case 'invoice': {
+            const invoiceNumber = (entry.invoiceNumber || '').toString().trim();
+            return invoiceNumber ? `invoice_${invoiceNumber}` : null;
+        }
+        case 'date-source':
+        default:
+            return `${entry.date}_${entry.source}`;
+    }
+}
+
+/**
+ * Key used when merging entry sets: business key, or id when there is none
+ * @param {Object} entry - Entry object
+ * @param {string} rule - Uniqueness rule (defaults to current setting)
+ * @returns {string} Merge key
+ */
+export function getEntryMergeKey(entry, rule = STATE.uniquenessRule) {
+    return getEntryKey(entry, rule) || `id_${entry.id}`;
+}
+
+/**
+ * Find an existing entry that would clash with the given one
+ * @param {Object} entry - Entry object
+ * @param {Array} entries - Entries to search (defaults to STATE.entries)
+ * @param {string} rule - Uniqueness rule (defaults to current setting)
+ * @returns {Object|null} Clashing entry
+ */
+export function findDuplicateEntry(entry, entries = STATE.entries, rule = STATE.uniquenessRule) {
+    const key = getEntryKey(entry, rule);
+    if (!key) return null;
+    
+    return entries.find(e => e.id !== entry.id && getEntryKey(e, rule) === key) || null;
+}
+
+/**
+ * Count entries that clash under a rule (to warn before switching to it)
+ * @param {string} rule - Uniqueness rule
+ * @returns {number} Number of entries sharing a key with an earlier entry
+ */
+export function countDuplicateEntries(rule) {
+    const seen = new Set();
+    let duplicates = 0;
+    
+    STATE.entries.forEach(entry => {
+        const key = getEntryKey(entry, rule);
+        if (!key) return;
+        
+        if (seen.has(key)) {
+            duplicates++;
+        } else {
+            seen.add(key);
+        }
+    });
+    
+    return duplicates;
+}
+
+/**
+ * Change uniqueness rule
+ * @param {string} rule - Uniqueness rule
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setUniquenessRule(rule) {
+    if (!UNIQUENESS_RULES[rule]) {
+        throw new Error(`Unknown uniqueness rule: ${rule}`);
+    }
+    
+    STATE.uniquenessRule = rule;
+    await storage.saveSetting('uniquenessRule', rule);
+    
+    console.log(`[DataManager] Uniqueness rule: ${rule}`);
+    return true;
+}
+
 // ========================================
 // Entry Operations
 // ========================================
@@ -78,24 +192,28 @@ export async function saveData() {
 /**
  * Add or update entry
  * @param {Object} entry - Entry object
+ * @param {Object} options - Options
+ * @param {string} options.auditAction - Override audit action (e.g. 'restore')
+ * @param {boolean} options.applyTemplate - Fill empty deductions of new ΕΟΠΥΥ entries from the matching template (default true)
+ * @param {boolean} options.recordUndo - Push an undo action (false when part of a bulk action)
  * @returns {Promise<boolean>} Success status
  */
-export async function addEntry(entry) {
+export async function addEntry(entry, options = {}) {
+    const { applyTemplate = true, recordUndo = true } = options;
+
     try {
-        // Check for duplicates (same date + source, different id)
-        const duplicate = STATE.entries.find(e => 
-            e.date === entry.date && 
-            e.source === entry.source &&
-            e.id !== entry.id
-        );
-        
-        if (duplicate) {
-            throw new Error(STRINGS.errors.duplicateEntry);
+        // Check for duplicates (per configured uniqueness rule, different id)
+        if (findDuplicateEntry(entry)) {
+            const rule = UNIQUENESS_RULES[STATE.uniquenessRule] || UNIQUENESS_RULES['date-source'];
+            throw new Error(STRINGS.errors[rule.error]);
         }
 
         // Ensure originalAmount is set
         entry.originalAmount = entry.amount;
 
+        normalizePaymentFields(entry);
+        normalizeTaxFields(entry);
+
         // Generate ID for new entries
         if (!entry.id) {
             entry.id = generateId();
@@ -108,38 +226,45 @@ export async function addEntry(entry) {
         entry.updatedBy = STATE.userLabel;
 
         const existingIndex = STATE.entries.findIndex(e => e.id === entry.id);
+        const before = existingIndex >= 0 ? captureSnapshot(entry.id) : null;
+
+        const isEopyy = eopyyDeductionsManager.isEopyyEntry(entry);
+
+        if (existingIndex >= 0) {
+            // The entry form does not carry the template link
+            if (entry.deductionTemplateId === undefined && STATE.entries[existingIndex].deductionTemplateId) {
+                entry.deductionTemplateId = STATE.entries[existingIndex].deductionTemplateId;
+            }
+        } else if (isEopyy && applyTemplate) {
+            // New ΕΟΠΥΥ entry: fill deductions left empty from the rate template in effect
+            const template = eopyyDeductionsManager.findTemplateForEntry(entry);
+            if (template) {
+                const { deductions, filled } = eopyyDeductionsManager.fillFromTemplate(
+                    entry.deductions,
+                    parseFloat(entry.amount) || 0,
+                    template
+                );
+                if (filled > 0) {
+                    entry.deductions = deductions;
+                    entry.deductionTemplateId = template.id;
+                }
+            }
+        }
         
-        // Save to undo stack
         if (existingIndex >= 0) {
-            // Update existing
-            await storage.saveUndoAction({
-                id: generateId(),
-                type: 'update',
-                timestamp: Date.now(),
-                data: { ...STATE.entries[existingIndex] }
-            });
-            
             STATE.entries[existingIndex] = entry;
         } else {
-            // Add new
-            await storage.saveUndoAction({
-                id: generateId(),
-                type: 'insert',
-                timestamp: Date.now(),
-                data: { ...entry }
-            });
-            
             STATE.entries.push(entry);
         }
 
         // Apply deductions if ΕΟΠΥΥ
-        const isEopyy = eopyyDeductionsManager.isEopyyEntry(entry);
-        
         if (isEopyy && entry.deductions) {
+            // Audited together with the entry below
             await eopyyDeductionsManager.applyDeductions(
                 entry.id,
                 entry.deductions,
-                entry.notes || ''
+                entry.notes || '',
+                { audit: false }
             );
         } else if (!isEopyy && entry.krathseis !== undefined) {
             // Non-ΕΟΠΥΥ: just store krathseis in entry
@@ -149,6 +274,26 @@ export async function addEntry(entry) {
 
         // Save to storage
         await saveData();
+
+        const after = captureSnapshot(entry.id);
+
+        // Save to undo stack
+        if (recordUndo) {
+            await recordUndoAction({
+                type: existingIndex >= 0 ? 'update' : 'insert',
+                label: existingIndex >= 0 ? 'Επεξεργασία εγγραφής' : 'Προσθήκη εγγραφής',
+                entryId: entry.id,
+                before,
+                after
+            });
+        }
+        
+        await auditLog.recordEntryChange(
+            entry.id,
+            options.auditAction || (existingIndex >= 0 ? 'update' : 'create'),
+            before,
+            after
+        );
         
         console.log(`[DataManager] Entry ${existingIndex >= 0 ? 'updated' : 'added'}: ${entry.id}`);
         return true;
@@ -161,9 +306,13 @@ export async function addEntry(entry) {
 /**
  * Delete entry
  * @param {string} id - Entry ID
+ * @param {Object} options - Options
+ * @param {boolean} options.recordUndo - Push an undo action (false when part of a bulk action)
  * @returns {Promise<boolean>} Success status
  */
-export async function deleteEntry(id) {
+export async function deleteEntry(id, options = {}) {
+    const { recordUndo = true } = options;
+
     try {
         const index = STATE.entries.findIndex(e => e.id === id);
         
@@ -172,13 +321,7 @@ export async function deleteEntry(id) {
             return false;
         }
         
-        // Save to undo stack
-        await storage.saveUndoAction({
-            id: generateId(),
-            type: 'delete',
-            timestamp: Date.now(),
-            data: { ...STATE.entries[index] }
-        });
+        const before = captureSnapshot(id);
         
         // Remove deductions if ΕΟΠΥΥ
         await eopyyDeductionsManager.removeDeductions(id);
@@ -189,6 +332,18 @@ export async function deleteEntry(id) {
         // Save to storage
         await saveData();
         
+        if (recordUndo) {
+            await recordUndoAction({
+                type: 'delete',
+                label: 'Διαγραφή εγγραφής',
+                entryId: id,
+                before,
+                after: null
+            });
+        }
+        
+        await auditLog.recordEntryChange(id, 'delete', before, null);
+        
         console.log(`[DataManager] Entry deleted: ${id}`);
         return true;
     } catch (error) {
@@ -250,6 +405,61 @@ export function getEntriesByType(type) {
 // Bulk Operations
 // ========================================
 
+/**
+ * Bulk add or update entries as a single undo action
+ * @param {Array<Object>} entries - Entry objects (with id to update an existing entry)
+ * @param {Object} options - Options passed to addEntry (except recordUndo)
+ * @param {string} options.undoLabel - Label of the undo action
+ * @returns {Promise<Object>} {total, inserted, updated, failed, errors: [{index, error}]}
+ */
+export async function bulkAddEntries(entries, options = {}) {
+    const { undoLabel = 'Μαζική εισαγωγή', ...entryOptions } = options;
+    let inserted = 0;
+    let updated = 0;
+    let failed = 0;
+    const errors = [];
+    const undoActions = [];
+    
+    for (const [index, item] of entries.entries()) {
+        try {
+            const entry = { ...item };
+            const exists = !!entry.id && STATE.entries.some(e => e.id === entry.id);
+            const before = exists ? captureSnapshot(entry.id) : null;
+            await addEntry(entry, { ...entryOptions, recordUndo: false });
+            undoActions.push({
+                type: exists ? 'update' : 'insert',
+                entryId: entry.id,
+                before,
+                after: captureSnapshot(entry.id)
+            });
+            if (exists) {
+                updated++;
+            } else {
+                inserted++;
+            }
+        } catch (error) {
+            failed++;
+            errors.push({ index, error: error.message });
+        }
+    }
+    
+    if (undoActions.length > 0) {
+        await recordUndoAction({
+            type: 'bulk',
+            label: `${undoLabel} (${undoActions.length})`,
+            actions: undoActions
+        });
+    }
+    
+    return {
+        total: entries.length,
+        inserted,
+        updated,
+        failed,
+        errors
+    };
+}
+
 /**
  * Bulk delete entries
  * @param {Array<string>} ids - Entry IDs
@@ -259,11 +469,14 @@ export async function bulkDeleteEntries(ids) {
     let deleted = 0;
     let failed = 0;
     const errors = [];
+    const undoActions = [];
     
     for (const id of ids) {
         try {
-            const success = await deleteEntry(id);
+            const before = captureSnapshot(id);
+            const success = await deleteEntry(id, { recordUndo: false });
             if (success) {
+                undoActions.push({ type: 'delete', entryId: id, before, after: null });
                 deleted++;
             } else {
                 failed++;
@@ -274,6 +487,14 @@ export async function bulkDeleteEntries(ids) {
         }
     }
     
+    if (undoActions.length > 0) {
+        await recordUndoAction({
+            type: 'bulk',
+            label: `Μαζική διαγραφή (${undoActions.length})`,
+            actions: undoActions
+        });
+    }
+    
     return { 
         total: ids.length, 
         deleted, 
@@ -291,14 +512,22 @@ export async function bulkUpdateEntries(updates) {
     let updated = 0;
     let failed = 0;
     const errors = [];
+    const undoActions = [];
     
     for (const update of updates) {
         try {
             const entry = STATE.entries.find(e => e.id === update.id);
             if (entry) {
+                const before = captureSnapshot(entry.id);
                 Object.assign(entry, update.changes);
                 entry.updatedAt = Date.now();
                 entry.updatedBy = STATE.userLabel;
+                undoActions.push({
+                    type: 'update',
+                    entryId: entry.id,
+                    before,
+                    after: captureSnapshot(entry.id)
+                });
                 updated++;
             } else {
                 failed++;
@@ -312,6 +541,15 @@ export async function bulkUpdateEntries(updates) {
     
     if (updated > 0) {
         await saveData();
+        await recordUndoAction({
+            type: 'bulk',
+            label: `Μαζική ενημέρωση (${undoActions.length})`,
+            actions: undoActions
+        });
+        
+        for (const action of undoActions) {
+            await auditLog.recordEntryChange(action.entryId, 'update', action.before, action.after);
+        }
     }
     
     return { 
@@ -322,6 +560,544 @@ export async function bulkUpdateEntries(updates) {
     };
 }
 
+// ========================================
+// Undo / Redo
+// ========================================
+
+/**
+ * Capture a restorable snapshot of an entry and its ΕΟΠΥΥ deduction record
+ * @param {string} entryId - Entry ID
+ * @returns {Object|null} Snapshot {entry, deductions} or null if entry not found
+ * @private
+ */
+function captureSnapshot(entryId) {
+    const entry = STATE.entries.find(e => e.id === entryId);
+    if (!entry) return null;
+    
+    const deductions = eopyyDeductionsManager.getDeductions(entryId);
+    
+    return JSON.parse(JSON.stringify({
+        entry,
+        deductions: deductions || null
+    }));
+}
+
+/**
+ * Push action to the in-memory undo stack and persist it
+ * @param {Object} action - Undo action ({type, label, entryId, before, after} or {type: 'bulk', label, actions})
+ * @returns {Promise<void>}
+ * @private
+ */
+async function recordUndoAction(action) {
+    action.id = generateId();
+    action.timestamp = Date.now();
+    
+    pushUndoAction(action);
+    await storage.saveUndoAction({ ...action });
+}
+
+/**
+ * Bring an entry (and its deduction record) back to a snapshot
+ * @param {string} entryId - Entry ID
+ * @param {Object|null} snapshot - Snapshot from captureSnapshot, null removes the entry
+ * @returns {Promise<void>}
+ * @private
+ */
+async function restoreSnapshot(entryId, snapshot) {
+    const index = STATE.entries.findIndex(e => e.id === entryId);
+    
+    if (snapshot && snapshot.entry) {
+        const entry = { ...snapshot.entry };
+        if (index >= 0) {
+            STATE.entries[index] = entry;
+        } else {
+            STATE.entries.push(entry);
+        }
+    } else if (index >= 0) {
+        STATE.entries.splice(index, 1);
+    }
+    
+    await eopyyDeductionsManager.restoreDeductionRecord(
+        entryId,
+        snapshot ? snapshot.deductions : null
+    );
+}
+
+/**
+ * Replay an action in either direction
+ * @param {Object} action - Undo action
+ * @param {string} direction - 'undo' | 'redo'
+ * @returns {Promise<void>}
+ * @private
+ */
+async function replayAction(action, direction) {
+    const steps = action.type === 'bulk' ? [...action.actions] : [action];
+    
+    // Undo walks bulk steps backwards so overlapping snapshots unwind correctly
+    if (direction === 'undo') {
+        steps.reverse();
+    }
+    
+    for (const step of steps) {
+        await restoreSnapshot(
+            step.entryId,
+            direction === 'undo' ? step.before : step.after
+        );
+    }
+    
+    await saveData();
+    
+    for (const step of steps) {
+        const [from, to] = direction === 'undo'
+            ? [step.after, step.before]
+            : [step.before, step.after];
+        await auditLog.recordEntryChange(step.entryId, direction, from, to);
+    }
+}
+
+/**
+ * Restore an entry to the version stored in an audit record
+ * @param {string} entryId - Entry ID
+ * @param {string} auditRecordId - Audit record ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function restoreEntryVersion(entryId, auditRecordId) {
+    try {
+        const record = await auditLog.getRecord(entryId, auditRecordId);
+        
+        if (!record || !record.snapshot) {
+            throw new Error('Η έκδοση δεν βρέθηκε');
+        }
+        
+        const { entry, deductions } = record.snapshot;
+        
+        // Deductions-only record: re-apply the stored amounts on the current entry
+        if (!entry) {
+            if (!getEntryById(entryId)) {
+                throw new Error('Η εγγραφή δεν βρέθηκε');
+            }
+            await eopyyDeductionsManager.applyDeductions(entryId, {
+                ...deductions.deductions,
+                ...deductions.percentages,
+                clawbackPeriod: deductions.clawbackPeriod
+            }, deductions.notes || '');
+            return true;
+        }
+        
+        const restored = { ...entry };
+        if (deductions) {
+            restored.deductions = {
+                ...deductions.deductions,
+                ...deductions.percentages,
+                clawbackPeriod: deductions.clawbackPeriod
+            };
+        }
+        
+        return await addEntry(restored, { auditAction: 'restore', applyTemplate: false });
+    } catch (error) {
+        console.error('[DataManager] Restore version error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Undo the latest action
+ * @returns {Promise<Object|null>} Undone action or null if nothing to undo
+ */
+export async function undoLastAction() {
+    if (!canUndo()) return null;
+    
+    const action = popUndoAction();
+    
+    try {
+        await replayAction(action, 'undo');
+        await storage.deleteUndoAction(action.id);
+        
+        console.log(`[DataManager] Undo: ${action.type} (${action.id})`);
+        return action;
+    } catch (error) {
+        // Put the action back where it was
+        STATE.redoStack.pop();
+        STATE.undoStack.push(action);
+        
+        console.error('[DataManager] Undo error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Redo the latest undone action
+ * @returns {Promise<Object|null>} Redone action or null if nothing to redo
+ */
+export async function redoLastAction() {
+    if (!canRedo()) return null;
+    
+    const action = popRedoAction();
+    
+    try {
+        await replayAction(action, 'redo');
+        await storage.saveUndoAction({ ...action });
+        
+        console.log(`[DataManager] Redo: ${action.type} (${action.id})`);
+        return action;
+    } catch (error) {
+        STATE.undoStack.pop();
+        STATE.redoStack.push(action);
+        
+        console.error('[DataManager] Redo error:', error);
+        throw error;
+    }
+}
+
+// ========================================
+// Payments & Receivables
+// ========================================
+
+/**
+ * Payment lifecycle fields kept on the entry
+ */
+export const PAYMENT_FIELDS = Object.freeze(['paymentStatus', 'amountReceived', 'paymentDate', 'expectedPaymentDate', 'paymentRefs']);
+
+/**
+ * Payment status labels
+ */
+export const PAYMENT_STATUSES = Object.freeze({
+    issued: 'Εκδόθηκε',
+    partial: 'Μερική εξόφληση',
+    paid: 'Εξοφλήθηκε'
+});
+
+/**
+ * Receivables aging buckets (days since the end of the entry month)
+ */
+export const AGING_BUCKETS = Object.freeze([
+    { key: '0-30', label: '0-30 ημέρες', min: 0, max: 30 },
+    { key: '31-90', label: '31-90 ημέρες', min: 31, max: 90 },
+    { key: '90+', label: '90+ ημέρες', min: 91, max: Infinity }
+]);
+
+/**
+ * Fill in payment fields on save
+ * Fields left out carry over the stored payment state, empty ones ('') clear it;
+ * new invoices start as 'issued', new cash entries as 'paid'.
+ * @param {Object} entry - Entry object (mutated)
+ * @private
+ */
+function normalizePaymentFields(entry) {
+    const existing = entry.id ? STATE.entries.find(e => e.id === entry.id) : null;
+    
+    PAYMENT_FIELDS.forEach(field => {
+        if (entry[field] === undefined) {
+            if (existing && existing[field] !== undefined) {
+                entry[field] = existing[field];
+            }
+        } else if (entry[field] === '') {
+            entry[field] = null;
+        }
+    });
+    
+    if (!entry.paymentStatus) {
+        entry.paymentStatus = entry.type === 'cash' ? 'paid' : 'issued';
+    }
+    
+    entry.amountReceived = parseFloat(entry.amountReceived) || 0;
+}
+
+/**
+ * Get payment state of an entry
+ * Entries saved before payment tracking have no paymentStatus and count as paid.
+ * @param {Object} entry - Entry object
+ * @returns {Object} {status, expected, received, outstanding, paymentDate, expectedPaymentDate}
+ */
+export function getPaymentInfo(entry) {
+    const expected = eopyyDeductionsManager.getAmountsBreakdown(entry).finalAmount;
+    const status = entry.paymentStatus || 'paid';
+    const amountReceived = parseFloat(entry.amountReceived) || 0;
+    
+    // 'paid' without a recorded amount means settled in full
+    const received = status === 'paid' && amountReceived === 0 ? expected : amountReceived;
+    const outstanding = status === 'paid' ? 0 : Math.max(0, expected - received);
+    
+    return {
+        status,
+        expected,
+        received,
+        outstanding,
+        paymentDate: entry.paymentDate || null,
+        expectedPaymentDate: entry.expectedPaymentDate || null
+    };
+}
+
+/**
+ * Record a (partial) payment against an entry
+ * @param {string} entryId - Entry ID
+ * @param {Object} payment - {amount, date: 'YYYY-MM-DD', reference: bank transaction ID}
+ * @returns {Promise<boolean>} Success status
+ */
+export async function recordPayment(entryId, payment) {
+    const entry = getEntryById(entryId);
+    if (!entry) {
+        throw new Error('Η εγγραφή δεν βρέθηκε');
+    }
+    
+    const amount = parseFloat(payment.amount);
+    if (!(amount > 0)) {
+        throw new Error(STRINGS.errors.invalidAmount);
+    }
+    
+    const info = getPaymentInfo(entry);
+    // Legacy 'paid' entries have no recorded amount - start counting from this payment
+    const alreadyReceived = info.status === 'paid' && !entry.amountReceived ? 0 : info.received;
+    const received = alreadyReceived + amount;
+    
+    return addEntry({
+        ...entry,
+        amountReceived: Math.round(received * 100) / 100,
+        paymentDate: payment.date || new Date().toISOString().slice(0, 10),
+        paymentRefs: payment.reference ? [...(entry.paymentRefs || []), payment.reference] : entry.paymentRefs,
+        // Half-cent tolerance for rounding in insurer statements
+        paymentStatus: received >= info.expected - 0.005 ? 'paid' : 'partial'
+    }, { auditAction: 'payment' });
+}
+
+/**
+ * Mark entry as fully paid (records the outstanding balance as received)
+ * @param {string} entryId - Entry ID
+ * @param {string} date - Payment date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<boolean>} Success status
+ */
+export async function markEntryPaid(entryId, date = null) {
+    const entry = getEntryById(entryId);
+    if (!entry) {
+        throw new Error('Η εγγραφή δεν βρέθηκε');
+    }
+    
+    const info = getPaymentInfo(entry);
+    if (info.outstanding <= 0) return true;
+    
+    return recordPayment(entryId, { amount: info.outstanding, date });
+}
+
+/**
+ * Days an entry has been outstanding (counted from the last day of its month)
+ * @param {Object} entry - Entry object
+ * @param {Date} asOf - Reference date
+ * @returns {number} Days (0 while the month is still running)
+ */
+export function getDaysOutstanding(entry, asOf = new Date()) {
+    const parsed = parseMonthYear(entry.date);
+    if (!parsed) return 0;
+    
+    const { month, year } = parsed;
+    const issued = new Date(year, month, 0); // day 0 of next month = last day of month
+    const days = Math.floor((asOf - issued) / (24 * 60 * 60 * 1000));
+    
+    return Math.max(0, days);
+}
+
+/**
+ * Build receivables aging report
+ * @param {Array} entries - Entries (defaults to all)
+ * @param {Date} asOf - Reference date
+ * @returns {Object} {asOf, totalOutstanding, overdueCount, buckets, byInsurance}
+ */
+export function getReceivablesAging(entries = STATE.entries, asOf = new Date()) {
+    const buckets = AGING_BUCKETS.map(b => ({ ...b, total: 0, count: 0, items: [] }));
+    const byInsurance = {};
+    const today = asOf.toISOString().slice(0, 10);
+    let totalOutstanding = 0;
+    let overdueCount = 0;
+    
+    entries.forEach(entry => {
+        const info = getPaymentInfo(entry);
+        if (info.outstanding <= 0) return;
+        
+        const days = getDaysOutstanding(entry, asOf);
+        const bucket = buckets.find(b => days >= b.min && days <= b.max);
+        const overdue = Boolean(info.expectedPaymentDate && info.expectedPaymentDate < today);
+        
+        bucket.total += info.outstanding;
+        bucket.count++;
+        bucket.items.push({ entry, ...info, days, overdue });
+        
+        if (!byInsurance[entry.insurance]) {
+            byInsurance[entry.insurance] = { insurance: entry.insurance, total: 0 };
+            AGING_BUCKETS.forEach(b => { byInsurance[entry.insurance][b.key] = 0; });
+        }
+        byInsurance[entry.insurance][bucket.key] += info.outstanding;
+        byInsurance[entry.insurance].total += info.outstanding;
+        
+        totalOutstanding += info.outstanding;
+        if (overdue) overdueCount++;
+    });
+    
+    // Oldest first within each bucket
+    buckets.forEach(b => b.items.sort((x, y) => y.days - x.days));
+    
+    return {
+        asOf: asOf.getTime(),
+        totalOutstanding,
+        overdueCount,
+        buckets,
+        byInsurance: Object.values(byInsurance).sort((a, b) => b.total - a.total)
+    };
+}
+
+// ========================================
+// VAT & Withholding Tax
+// ========================================
+
+/**
+ * Tax fields kept on invoice entries (percentages of the invoice net value)
+ */
+export const TAX_FIELDS = Object.freeze(['vatRate', 'withholdingRate']);
+
+/**
+ * Parse a tax percentage
+ * @param {*} value - Raw value
+ * @returns {number|null} Rate, or null when left empty
+ * @private
+ */
+function parseTaxRate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const rate = parseFloat(value);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new Error('Μη έγκυρο ποσοστό ΦΠΑ / παρακράτησης φόρου (0-100)');
+    }
+    return rate;
+}
+
+/**
+ * Get the tax defaults of an insurance
+ * @param {string} insurance - Insurance name
+ * @returns {Object} {vatRate, withholdingRate} (null where no default is set)
+ */
+export function getInsuranceTaxDefaults(insurance) {
+    const defaults = STATE.insuranceTaxDefaults[insurance] || {};
+    return {
+        vatRate: defaults.vatRate ?? null,
+        withholdingRate: defaults.withholdingRate ?? null
+    };
+}
+
+/**
+ * Replace the tax defaults of all insurances
+ * @param {Object} defaults - {insurance: {vatRate, withholdingRate}}
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setInsuranceTaxDefaults(defaults) {
+    const cleaned = {};
+    
+    Object.entries(defaults).forEach(([insurance, rates]) => {
+        const vatRate = parseTaxRate(rates.vatRate);
+        const withholdingRate = parseTaxRate(rates.withholdingRate);
+        if (vatRate === null && withholdingRate === null) return;
+        
+        cleaned[insurance] = { vatRate, withholdingRate };
+    });
+    
+    STATE.insuranceTaxDefaults = cleaned;
+    await storage.saveSetting('insuranceTaxDefaults', cleaned);
+    
+    console.log(`[DataManager] Tax defaults set for ${Object.keys(cleaned).length} insurances`);
+    return true;
+}
+
+/**
+ * Fill in tax fields on save
+ * Only invoices carry VAT / withholding. Rates left empty in the form fall back to the
+ * insurance default; saves that do not pass the field at all keep the stored rate.
+ * @param {Object} entry - Entry object (mutated)
+ * @private
+ */
+function normalizeTaxFields(entry) {
+    if (entry.type !== 'invoice') {
+        TAX_FIELDS.forEach(field => delete entry[field]);
+        return;
+    }
+    
+    const existing = entry.id ? STATE.entries.find(e => e.id === entry.id) : null;
+    const defaults = getInsuranceTaxDefaults(entry.insurance);
+    
+    TAX_FIELDS.forEach(field => {
+        if (entry[field] === undefined && existing) {
+            entry[field] = existing[field];
+            if (entry[field] === undefined) return;
+        }
+        
+        const rate = parseTaxRate(entry[field]) ?? defaults[field];
+        if (rate === null) {
+            delete entry[field];
+        } else {
+            entry[field] = rate;
+        }
+    });
+}
+
+/**
+ * Get VAT / withholding amounts of an entry
+ * The entry amount is the invoice net value; deductions do not change the tax base.
+ * @param {Object} entry - Entry object
+ * @returns {Object} {net, vatRate, vat, gross, withholdingRate, withheld, payable}
+ */
+export function getEntryTax(entry) {
+    const net = eopyyDeductionsManager.getAmountsBreakdown(entry).originalAmount;
+    const isInvoice = entry.type === 'invoice';
+    const vatRate = isInvoice ? (parseFloat(entry.vatRate) || 0) : 0;
+    const withholdingRate = isInvoice ? (parseFloat(entry.withholdingRate) || 0) : 0;
+    
+    const vat = Math.round(net * vatRate) / 100;
+    const withheld = Math.round(net * withholdingRate) / 100;
+    
+    return {
+        net,
+        vatRate,
+        vat,
+        gross: net + vat,
+        withholdingRate,
+        withheld,
+        payable: net + vat - withheld
+    };
+}
+
+/**
+ * Summarise VAT / withholding of the invoices among the given entries
+ * @param {Array} entries - Entries (non-invoices are ignored)
+ * @returns {Object} {invoiceCount, net, vat, gross, withheld, payable, byVatRate}
+ */
+export function getTaxSummary(entries) {
+    const summary = { invoiceCount: 0, net: 0, vat: 0, gross: 0, withheld: 0, payable: 0 };
+    const byVatRate = {};
+    
+    entries.forEach(entry => {
+        if (entry.type !== 'invoice') return;
+        
+        const tax = getEntryTax(entry);
+        summary.invoiceCount++;
+        summary.net += tax.net;
+        summary.vat += tax.vat;
+        summary.gross += tax.gross;
+        summary.withheld += tax.withheld;
+        summary.payable += tax.payable;
+        
+        if (!byVatRate[tax.vatRate]) {
+            byVatRate[tax.vatRate] = { vatRate: tax.vatRate, count: 0, net: 0, vat: 0, gross: 0, withheld: 0 };
+        }
+        const group = byVatRate[tax.vatRate];
+        group.count++;
+        group.net += tax.net;
+        group.vat += tax.vat;
+        group.gross += tax.gross;
+        group.withheld += tax.withheld;
+    });
+    
+    return {
+        ...summary,
+        byVatRate: Object.values(byVatRate).sort((a, b) => b.vatRate - a.vatRate)
+    };
+}
+
 // ========================================
 // Sources & Insurances Management
 // ========================================
@@ -630,6 +1406,11 @@ export function validateEntry(entry) {
 export default {
     loadData,
     saveData,
+    getEntryKey,
+    getEntryMergeKey,
+    findDuplicateEntry,
+    countDuplicateEntries,
+    setUniquenessRule,
     addEntry,
     deleteEntry,
     getEntryById,
@@ -637,8 +1418,21 @@ export default {
     getEntriesBySource,
     getEntriesByInsurance,
     getEntriesByType,
+    bulkAddEntries,
     bulkDeleteEntries,
     bulkUpdateEntries,
+    undoLastAction,
+    redoLastAction,
+    restoreEntryVersion,
+    getPaymentInfo,
+    recordPayment,
+    markEntryPaid,
+    getDaysOutstanding,
+    getReceivablesAging,
+    getInsuranceTaxDefaults,
+    setInsuranceTaxDefaults,
+    getEntryTax,
+    getTaxSummary,
     addSource,
     removeSource,
     addInsurance,
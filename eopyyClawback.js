@@ -4,8 +4,9 @@
  * Version: 2.1 (FIXED: Παρακράτηση Logic)
  */
 
-import { formatCurrency, parseMonthYear, generateId } from './utils.js';
+import { formatCurrency, parseMonthYear, generateId, compareDates } from './utils.js';
 import storage from './storage.js';
+import auditLog from './auditLog.js';
 
 // ========================================
 // Deductions Manager Class
@@ -13,20 +14,27 @@ import storage from './storage.js';
 class EopyyDeductionsManager {
     constructor() {
         this.deductions = []; // [{entryId, deductions, percentages, appliedDate}]
+        this.templates = []; // [{id, name, source, effectiveFrom, effectiveTo, percentages, clawbackPeriod}]
+        this.rebateBrackets = []; // [{threshold, rate}] ascending, first threshold 0
     }
 
     /**
-     * Load deductions from storage
+     * Load deductions and rate templates from storage
      * @returns {Promise<boolean>} Success status
      */
     async loadDeductions() {
         try {
             this.deductions = await storage.loadSetting('eopyyDeductions') || [];
+            this.templates = await storage.loadSetting('deductionTemplates') || [];
+            this.rebateBrackets = await storage.loadSetting('rebateBrackets') || [];
             console.log(`[Deductions] Loaded ${this.deductions.length} deduction records`);
+            console.log(`[Deductions] Loaded ${this.templates.length} rate templates`);
             return true;
         } catch (error) {
             console.error('[Deductions] Load error:', error);
             this.deductions = [];
+            this.templates = [];
+            this.rebateBrackets = [];
             return false;
         }
     }
@@ -59,11 +67,16 @@ class EopyyDeductionsManager {
      * @param {string} entryId - Entry ID
      * @param {Object} deductionAmounts - Deduction amounts and percentages
      * @param {string} notes - Optional notes
+     * @param {Object} options - Options
+     * @param {boolean} options.audit - Write an audit record (false when the caller audits the whole entry)
      * @returns {Promise<Object>} Deduction record
      */
-    async applyDeductions(entryId, deductionAmounts, notes = '') {
+    async applyDeductions(entryId, deductionAmounts, notes = '', options = {}) {
+        const { audit = true } = options;
+
         try {
             const existingIndex = this.deductions.findIndex(d => d.entryId === entryId);
+            const previous = existingIndex >= 0 ? this.deductions[existingIndex] : null;
             
             const deduction = {
                 id: existingIndex >= 0 ? this.deductions[existingIndex].id : generateId(),
@@ -94,6 +107,11 @@ class EopyyDeductionsManager {
             }
 
             await this.saveDeductions();
+
+            if (audit) {
+                await auditLog.recordDeductionsChange(entryId, previous, deduction);
+            }
+
             return deduction;
         } catch (error) {
             console.error('[Deductions] Apply error:', error);
@@ -121,6 +139,28 @@ class EopyyDeductionsManager {
         }
     }
 
+    /**
+     * Restore a deduction record exactly as captured (used by undo/redo)
+     * @param {string} entryId - Entry ID
+     * @param {Object|null} record - Deduction record, null removes it
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreDeductionRecord(entryId, record) {
+        const index = this.deductions.findIndex(d => d.entryId === entryId);
+
+        if (!record) {
+            return index >= 0 ? this.removeDeductions(entryId) : true;
+        }
+
+        if (index >= 0) {
+            this.deductions[index] = { ...record };
+        } else {
+            this.deductions.push({ ...record });
+        }
+
+        return this.saveDeductions();
+    }
+
     /**
      * Get deductions for entry
      * @param {string} entryId - Entry ID
@@ -303,6 +343,24 @@ class EopyyDeductionsManager {
         });
     }
 
+    /**
+     * Calculate deduction amounts from percentages
+     * @param {number} originalAmount - Original amount
+     * @param {Object} percentages - {parakratisi, mde, rebate, krathseis, clawback, clawbackPeriod}
+     * @returns {Object} Deduction amounts and percentages (applyDeductions shape)
+     */
+    calculateFromPercentages(originalAmount, percentages) {
+        const result = { clawbackPeriod: percentages.clawbackPeriod || 'monthly' };
+
+        ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].forEach(key => {
+            const percent = parseFloat(percentages[key]) || 0;
+            result[key] = (originalAmount * percent) / 100;
+            result[`${key}Percent`] = percent;
+        });
+
+        return result;
+    }
+
     /**
      * Batch apply deductions by percentage
      * @param {Array} entries - Entries array
@@ -318,20 +376,7 @@ class EopyyDeductionsManager {
         for (const entry of eopyyEntries) {
             try {
                 const originalAmount = parseFloat(entry.originalAmount) || parseFloat(entry.amount);
-                
-                const deductionAmounts = {
-                    parakratisi: (originalAmount * (parseFloat(percentages.parakratisi) || 0)) / 100,
-                    parakratisiPercent: parseFloat(percentages.parakratisi) || 0,
-                    mde: (originalAmount * (parseFloat(percentages.mde) || 0)) / 100,
-                    mdePercent: parseFloat(percentages.mde) || 0,
-                    rebate: (originalAmount * (parseFloat(percentages.rebate) || 0)) / 100,
-                    rebatePercent: parseFloat(percentages.rebate) || 0,
-                    krathseis: (originalAmount * (parseFloat(percentages.krathseis) || 0)) / 100,
-                    krathseisPercent: parseFloat(percentages.krathseis) || 0,
-                    clawback: (originalAmount * (parseFloat(percentages.clawback) || 0)) / 100,
-                    clawbackPercent: parseFloat(percentages.clawback) || 0,
-                    clawbackPeriod: percentages.clawbackPeriod || 'monthly'
-                };
+                const deductionAmounts = this.calculateFromPercentages(originalAmount, percentages);
 
                 await this.applyDeductions(entry.id, deductionAmounts, notes);
                 applied++;
@@ -348,6 +393,394 @@ class EopyyDeductionsManager {
         };
     }
 
+    // ========================================
+    // Rate Templates
+    // ========================================
+
+    /**
+     * Save rate templates to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveTemplates() {
+        try {
+            await storage.saveSetting('deductionTemplates', this.templates);
+            return true;
+        } catch (error) {
+            console.error('[Deductions] Save templates error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add or update a rate template
+     * @param {Object} template - {id?, name, source, effectiveFrom, effectiveTo, percentages, clawbackPeriod}
+     * @returns {Promise<Object>} Stored template
+     */
+    async saveTemplate(template) {
+        const name = (template.name || '').trim();
+        if (!name) {
+            throw new Error('Το όνομα του προτύπου είναι υποχρεωτικό');
+        }
+
+        if (!parseMonthYear(template.effectiveFrom)) {
+            throw new Error('Μη έγκυρη ημερομηνία έναρξης (ΜΜ/ΕΕΕΕ)');
+        }
+
+        if (template.effectiveTo) {
+            if (!parseMonthYear(template.effectiveTo)) {
+                throw new Error('Μη έγκυρη ημερομηνία λήξης (ΜΜ/ΕΕΕΕ)');
+            }
+            if (compareDates(template.effectiveTo, template.effectiveFrom) < 0) {
+                throw new Error('Η λήξη είναι πριν από την έναρξη ισχύος');
+            }
+        }
+
+        const percentages = {};
+        ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].forEach(key => {
+            percentages[key] = parseFloat(template.percentages?.[key]) || 0;
+        });
+
+        const totalPercent = Object.values(percentages).reduce((sum, p) => sum + p, 0);
+        if (Object.values(percentages).some(p => p < 0) || totalPercent > 100) {
+            throw new Error('Τα ποσοστά πρέπει να είναι θετικά με σύνολο έως 100%');
+        }
+
+        try {
+            const existingIndex = template.id ? this.templates.findIndex(t => t.id === template.id) : -1;
+
+            const stored = {
+                id: existingIndex >= 0 ? template.id : generateId(),
+                name,
+                source: template.source || '',
+                effectiveFrom: template.effectiveFrom.trim(),
+                effectiveTo: (template.effectiveTo || '').trim(),
+                percentages,
+                clawbackPeriod: template.clawbackPeriod || 'monthly',
+                createdAt: existingIndex >= 0 ? this.templates[existingIndex].createdAt : Date.now(),
+                updatedAt: Date.now()
+            };
+
+            if (existingIndex >= 0) {
+                this.templates[existingIndex] = stored;
+            } else {
+                this.templates.push(stored);
+            }
+
+            await this.saveTemplates();
+            return stored;
+        } catch (error) {
+            console.error('[Deductions] Save template error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a rate template
+     * Entries keep their applied amounts; only the template link becomes dangling.
+     * @param {string} templateId - Template ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTemplate(templateId) {
+        const index = this.templates.findIndex(t => t.id === templateId);
+        if (index < 0) return false;
+
+        this.templates.splice(index, 1);
+        return this.saveTemplates();
+    }
+
+    /**
+     * Get template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Template
+     */
+    getTemplate(templateId) {
+        return this.templates.find(t => t.id === templateId) || null;
+    }
+
+    /**
+     * Find the template in effect for an entry
+     * Source-specific templates win over general ones, then the latest effectiveFrom.
+     * @param {Object} entry - Entry object ({date, source})
+     * @returns {Object|null} Template
+     */
+    findTemplateForEntry(entry) {
+        if (!parseMonthYear(entry.date)) return null;
+
+        const candidates = this.templates.filter(t => {
+            if (t.source && t.source !== entry.source) return false;
+            if (compareDates(entry.date, t.effectiveFrom) < 0) return false;
+            if (t.effectiveTo && compareDates(entry.date, t.effectiveTo) > 0) return false;
+            return true;
+        });
+
+        candidates.sort((a, b) => {
+            if (Boolean(a.source) !== Boolean(b.source)) {
+                return a.source ? -1 : 1;
+            }
+            return compareDates(b.effectiveFrom, a.effectiveFrom);
+        });
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Fill deduction fields left empty from a template
+     * A field counts as entered when its amount or its percentage is non-zero.
+     * @param {Object|undefined} deductionAmounts - Deduction amounts and percentages as entered
+     * @param {number} originalAmount - Original amount
+     * @param {Object} template - Template
+     * @returns {Object} {deductions, filled} - merged deductions and number of fields taken from the template
+     */
+    fillFromTemplate(deductionAmounts, originalAmount, template) {
+        const entered = deductionAmounts || {};
+        const templated = this.calculateFromPercentages(originalAmount, {
+            ...template.percentages,
+            clawbackPeriod: template.clawbackPeriod
+        });
+        const deductions = { ...entered };
+        let filled = 0;
+
+        ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].forEach(key => {
+            const hasValue = (parseFloat(entered[key]) || 0) !== 0 ||
+                (parseFloat(entered[`${key}Percent`]) || 0) !== 0;
+
+            if (!hasValue && templated[`${key}Percent`] !== 0) {
+                deductions[key] = templated[key];
+                deductions[`${key}Percent`] = templated[`${key}Percent`];
+                filled++;
+
+                if (key === 'clawback') {
+                    deductions.clawbackPeriod = templated.clawbackPeriod;
+                }
+            }
+        });
+
+        return { deductions, filled };
+    }
+
+    /**
+     * Check whether an entry's deductions still match its template
+     * @param {Object} entry - Entry object
+     * @param {Object} template - Template
+     * @returns {boolean} True if percentages were changed after application
+     */
+    isModifiedFromTemplate(entry, template) {
+        const deduction = this.getDeductions(entry.id);
+        if (!deduction) return true;
+
+        return ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'].some(key =>
+            Math.abs((deduction.percentages[`${key}Percent`] || 0) - (template.percentages[key] || 0)) > 0.001
+        );
+    }
+
+    /**
+     * Report of which ΕΟΠΥΥ entries used which template
+     * @param {Array} entries - Entries array
+     * @returns {Array<Object>} [{templateId, name, template, entries, totalOriginal, totalDeductions}]
+     */
+    getTemplateUsageReport(entries) {
+        const groups = new Map();
+
+        this.templates.forEach(template => {
+            groups.set(template.id, {
+                templateId: template.id,
+                name: template.name,
+                template,
+                entries: [],
+                totalOriginal: 0,
+                totalDeductions: 0
+            });
+        });
+
+        entries.filter(e => this.isEopyyEntry(e)).forEach(entry => {
+            const templateId = entry.deductionTemplateId || null;
+            const key = templateId || 'none';
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    templateId,
+                    // Template deleted since it was applied, or entered manually
+                    name: templateId ? 'Διαγραμμένο πρότυπο' : 'Χωρίς πρότυπο',
+                    template: null,
+                    entries: [],
+                    totalOriginal: 0,
+                    totalDeductions: 0
+                });
+            }
+
+            const group = groups.get(key);
+            const amounts = this.getAmountsBreakdown(entry);
+
+            group.entries.push({
+                id: entry.id,
+                date: entry.date,
+                source: entry.source,
+                originalAmount: amounts.originalAmount,
+                totalDeductions: amounts.totalDeductions,
+                modified: group.template ? this.isModifiedFromTemplate(entry, group.template) : false
+            });
+            group.totalOriginal += amounts.originalAmount;
+            group.totalDeductions += amounts.totalDeductions;
+        });
+
+        return Array.from(groups.values());
+    }
+
+    // ========================================
+    // Tiered Rebate
+    // ========================================
+
+    /**
+     * Save rebate bracket table
+     * @param {Array<Object>} brackets - [{threshold, rate}] (threshold = lower bound of monthly gross, rate in %)
+     * @returns {Promise<Array>} Stored brackets, sorted by threshold
+     */
+    async saveRebateBrackets(brackets) {
+        const normalized = brackets
+            .map(b => ({ threshold: parseFloat(b.threshold), rate: parseFloat(b.rate) }))
+            .sort((a, b) => a.threshold - b.threshold);
+
+        normalized.forEach(b => {
+            if (isNaN(b.threshold) || b.threshold < 0 || isNaN(b.rate) || b.rate < 0 || b.rate > 100) {
+                throw new Error('Μη έγκυρο κλιμάκιο rebate (όριο ≥ 0, ποσοστό 0-100%)');
+            }
+        });
+
+        if (new Set(normalized.map(b => b.threshold)).size !== normalized.length) {
+            throw new Error('Διπλό όριο κλιμακίου rebate');
+        }
+
+        if (normalized.length > 0 && normalized[0].threshold !== 0) {
+            throw new Error('Το πρώτο κλιμάκιο rebate πρέπει να ξεκινά από 0');
+        }
+
+        try {
+            this.rebateBrackets = normalized;
+            await storage.saveSetting('rebateBrackets', normalized);
+            return normalized;
+        } catch (error) {
+            console.error('[Deductions] Save rebate brackets error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a bracket table is configured
+     * @returns {boolean} Has brackets
+     */
+    hasRebateBrackets() {
+        return this.rebateBrackets.length > 0;
+    }
+
+    /**
+     * Calculate rebate on a monthly gross amount
+     * Brackets are marginal: each rate applies only to the part of the gross inside its bracket.
+     * @param {number} grossAmount - Monthly gross amount
+     * @returns {Object} {total, effectiveRate, breakdown: [{from, to, rate, base, amount}]}
+     */
+    calculateTieredRebate(grossAmount) {
+        const gross = parseFloat(grossAmount) || 0;
+        const breakdown = [];
+        let total = 0;
+
+        this.rebateBrackets.forEach((bracket, index) => {
+            const next = this.rebateBrackets[index + 1];
+            const to = next ? next.threshold : Infinity;
+            const base = Math.max(0, Math.min(gross, to) - bracket.threshold);
+
+            if (base > 0) {
+                const amount = (base * bracket.rate) / 100;
+                breakdown.push({ from: bracket.threshold, to, rate: bracket.rate, base, amount });
+                total += amount;
+            }
+        });
+
+        return {
+            total,
+            effectiveRate: gross > 0 ? (total / gross) * 100 : 0,
+            breakdown
+        };
+    }
+
+    /**
+     * Compute rebate for an entry from its source's monthly ΕΟΠΥΥ gross
+     * The monthly rebate is shared pro rata among that month's entries of the source.
+     * @param {Object} entry - Entry ({id?, date, source, insurance, amount})
+     * @param {Array} entries - All entries (the entry itself is replaced by the given version)
+     * @returns {Object|null} {monthlyGross, monthlyRebate, rebate, percent}, null if not applicable
+     */
+    calculateEntryRebate(entry, entries) {
+        if (!this.hasRebateBrackets() || !this.isEopyyEntry(entry)) return null;
+
+        const amount = parseFloat(entry.originalAmount) || parseFloat(entry.amount) || 0;
+        if (amount <= 0) return null;
+
+        const monthlyGross = entries
+            .filter(e => e.id !== entry.id && e.date === entry.date && e.source === entry.source && this.isEopyyEntry(e))
+            .reduce((sum, e) => sum + (parseFloat(e.originalAmount) || parseFloat(e.amount) || 0), amount);
+
+        const { total } = this.calculateTieredRebate(monthlyGross);
+        const rebate = Math.round((total * amount / monthlyGross) * 100) / 100;
+
+        return {
+            monthlyGross,
+            monthlyRebate: total,
+            rebate,
+            percent: (rebate / amount) * 100
+        };
+    }
+
+    /**
+     * Find ΕΟΠΥΥ entries whose rebate differs from the bracket calculation
+     * @param {Array} entries - Entries array
+     * @param {number} tolerance - Allowed difference in € (default 0.01)
+     * @returns {Array<Object>} [{entryId, date, source, expected, actual, difference}]
+     */
+    getRebateMismatches(entries, tolerance = 0.01) {
+        if (!this.hasRebateBrackets()) return [];
+
+        const eopyyEntries = entries.filter(e => this.isEopyyEntry(e));
+        const originalOf = e => parseFloat(e.originalAmount) || parseFloat(e.amount) || 0;
+
+        // Monthly gross per source, computed once
+        const monthlyGross = new Map();
+        eopyyEntries.forEach(entry => {
+            const key = `${entry.date}_${entry.source}`;
+            monthlyGross.set(key, (monthlyGross.get(key) || 0) + originalOf(entry));
+        });
+
+        const monthlyRebate = new Map();
+        monthlyGross.forEach((gross, key) => {
+            monthlyRebate.set(key, this.calculateTieredRebate(gross).total);
+        });
+
+        const mismatches = [];
+
+        eopyyEntries.forEach(entry => {
+            const deduction = this.getDeductions(entry.id);
+            const amount = originalOf(entry);
+            if (!deduction || amount <= 0) return;
+
+            const key = `${entry.date}_${entry.source}`;
+            const expected = Math.round((monthlyRebate.get(key) * amount / monthlyGross.get(key)) * 100) / 100;
+            const actual = deduction.deductions.rebate || 0;
+            const difference = actual - expected;
+
+            if (Math.abs(difference) > tolerance) {
+                mismatches.push({
+                    entryId: entry.id,
+                    date: entry.date,
+                    source: entry.source,
+                    expected,
+                    actual,
+                    difference
+                });
+            }
+        });
+
+        return mismatches;
+    }
+
     /**
      * Export deductions report
      * @param {Array} entries - Entries array
@@ -462,6 +895,51 @@ class EopyyDeductionsManager {
         };
     }
 
+    /**
+     * Historical deduction ratios per insurance (share of the original amount)
+     * ΕΟΠΥΥ ratios use only entries with recorded deductions, so months still
+     * awaiting their statement do not dilute them.
+     * @param {Array} entries - Entries array
+     * @param {Object} options - {lookbackMonths: months before the latest entry (0 = all)}
+     * @returns {Object} {insurance: {parakratisi, mde, rebate, krathseis, clawback, basis}}
+     */
+    getDeductionRatios(entries, options = {}) {
+        const { lookbackMonths = 12 } = options;
+        const components = ['parakratisi', 'mde', 'rebate', 'krathseis', 'clawback'];
+
+        const latest = entries.reduce((max, e) => (!max || compareDates(e.date, max) > 0 ? e.date : max), null);
+        const cutoff = latest && lookbackMonths > 0 ? parseMonthYear(latest) : null;
+        const isRecent = (date) => {
+            if (!cutoff) return true;
+            const parsed = parseMonthYear(date);
+            return !!parsed && (cutoff.year - parsed.year) * 12 + (cutoff.month - parsed.month) < lookbackMonths;
+        };
+
+        const totals = {};
+        entries.forEach(entry => {
+            if (!isRecent(entry.date)) return;
+
+            const amounts = this.getAmountsBreakdown(entry);
+            if (amounts.isEopyy && !amounts.hasDeductions) return;
+
+            const bucket = totals[entry.insurance] || (totals[entry.insurance] = { basis: 0 });
+            bucket.basis += amounts.originalAmount;
+            components.forEach(key => {
+                bucket[key] = (bucket[key] || 0) + (amounts[key] || 0);
+            });
+        });
+
+        const ratios = {};
+        Object.entries(totals).forEach(([insurance, bucket]) => {
+            ratios[insurance] = { basis: bucket.basis };
+            components.forEach(key => {
+                ratios[insurance][key] = bucket.basis > 0 ? bucket[key] / bucket.basis : 0;
+            });
+        });
+
+        return ratios;
+    }
+
     /**
      * Get summary statistics
      * @returns {Object} Summary stats
@@ -5,13 +5,43 @@
  */
 
 import { STATE } from './state.js';
-import { addEntry, deleteEntry } from './dataManager.js';
-import { showToast, renderEntriesTable, renderDashboard, renderSourcesAndInsurances } from './uiRenderers.js';
-import { showModalDeductionFields, resetModalForm, validateFormData } from './formHandlers.js';
+import { 
+    addEntry, 
+    deleteEntry, 
+    undoLastAction, 
+    redoLastAction, 
+    restoreEntryVersion,
+    getPaymentInfo,
+    recordPayment,
+    markEntryPaid
+} from './dataManager.js';
+import { 
+    showToast, 
+    showActionToast, 
+    renderEntriesTable, 
+    renderDashboard, 
+    renderSourcesAndInsurances, 
+    renderEntryHistory,
+    renderReceivablesView,
+    renderDeductionTemplates,
+    renderRebateBrackets,
+    renderReconciliationView,
+    renderStatementPreview,
+    renderExpensesView,
+    renderBudgetGrid,
+    renderCsvImportWizard
+} from './uiRenderers.js';
+import { showModalDeductionFields, resetModalForm, validateFormData, prefillTieredRebate } from './formHandlers.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
+import reconciliationManager from './reconciliation.js';
+import bankStatementManager from './bankStatements.js';
+import expensesManager from './expenses.js';
+import csvImportWizard from './csvImport.js';
+import csvValidator from './csvValidator.js';
+import xlsxManager from './xlsxExport.js';
 import pdfExportManager from './pdfExport.js';
 import storage from './storage.js';
-import { STRINGS, isValidMonthYear } from './utils.js';
+import { STRINGS, isValidMonthYear, formatCurrency } from './utils.js';
 
 // ========================================
 // Global Window Handlers (onclick events)
@@ -59,6 +89,26 @@ window.editEntry = function(id) {
     if (entryType) entryType.value = entry.type;
     if (entryAmount) entryAmount.value = entry.originalAmount || entry.amount;
     
+    const entryInvoiceNumber = document.getElementById('entryInvoiceNumber');
+    if (entryInvoiceNumber) entryInvoiceNumber.value = entry.invoiceNumber || '';
+    
+    const entryVatRate = document.getElementById('entryVatRate');
+    if (entryVatRate) entryVatRate.value = entry.vatRate ?? '';
+    const entryWithholdingRate = document.getElementById('entryWithholdingRate');
+    if (entryWithholdingRate) entryWithholdingRate.value = entry.withholdingRate ?? '';
+    
+    // Payment fields
+    const paymentFieldValues = {
+        entryPaymentStatus: entry.paymentStatus,
+        entryAmountReceived: entry.amountReceived || '',
+        entryPaymentDate: entry.paymentDate,
+        entryExpectedPaymentDate: entry.expectedPaymentDate
+    };
+    Object.entries(paymentFieldValues).forEach(([fieldId, value]) => {
+        const el = document.getElementById(fieldId);
+        if (el) el.value = value || '';
+    });
+    
     console.log('[EditEntry] Basic fields filled');
     
     // Fill notes
@@ -144,6 +194,13 @@ window.editEntry = function(id) {
         console.error('[EditEntry] showModalDeductionFields is not defined');
     }
     
+    // Rebate bracket hint (stored values are kept as entered)
+    delete document.getElementById('entryRebate')?.dataset.autoValue;
+    prefillTieredRebate('entry', { fill: false });
+    
+    // Change history timeline
+    renderEntryHistory(entry.id);
+    
     // ✅ CRITICAL: Open modal
     const modal = document.getElementById('entryModal');
     if (modal) {
@@ -180,7 +237,15 @@ window.saveEntry = async function() {
         insurance: insurance,
         type: document.getElementById('entryType').value,
         amount: parseFloat(document.getElementById('entryAmount').value),
-        notes: document.getElementById('entryNotes').value
+        invoiceNumber: document.getElementById('entryInvoiceNumber')?.value.trim() || '',
+        vatRate: document.getElementById('entryVatRate')?.value ?? '',
+        withholdingRate: document.getElementById('entryWithholdingRate')?.value ?? '',
+        notes: document.getElementById('entryNotes').value,
+        // Empty fields clear the stored value; missing fields keep it
+        paymentStatus: document.getElementById('entryPaymentStatus')?.value,
+        amountReceived: document.getElementById('entryAmountReceived')?.value,
+        paymentDate: document.getElementById('entryPaymentDate')?.value,
+        expectedPaymentDate: document.getElementById('entryExpectedPaymentDate')?.value
     };
 
     // Validate date format
@@ -218,12 +283,17 @@ window.saveEntry = async function() {
 
     // Save entry
     try {
+        const isEdit = Boolean(entry.id);
         const success = await addEntry(entry);
         if (success) {
             document.getElementById('entryModal').classList.remove('active');
-            showToast(STRINGS.success.entrySaved, 'success');
-            renderEntriesTable();
-            if (STATE.currentView === 'dashboard') renderDashboard();
+            if (isEdit) {
+                // Edit overwrote existing data - offer undo
+                showActionToast(STRINGS.success.entrySaved, 'Αναίρεση', undoAction);
+            } else {
+                showToast(STRINGS.success.entrySaved, 'success');
+            }
+            refreshDataViews();
         }
     } catch (error) {
         showToast(error.message || 'Σφάλμα αποθήκευσης', 'error');
@@ -239,9 +309,8 @@ window.confirmDelete = async function(id) {
         try {
             const success = await deleteEntry(id);
             if (success) {
-                showToast(STRINGS.success.entryDeleted, 'success');
-                renderEntriesTable();
-                if (STATE.currentView === 'dashboard') renderDashboard();
+                showActionToast(STRINGS.success.entryDeleted, 'Αναίρεση', undoAction);
+                refreshDataViews();
             }
         } catch (error) {
             showToast('Σφάλμα διαγραφής', 'error');
@@ -249,6 +318,206 @@ window.confirmDelete = async function(id) {
     }
 };
 
+/**
+ * Restore entry to a previous version from its change history
+ * @param {string} entryId - Entry ID
+ * @param {string} auditRecordId - Audit record ID
+ */
+window.restoreEntryVersion = async function(entryId, auditRecordId) {
+    if (!confirm('Επαναφορά της εγγραφής σε αυτή την έκδοση;')) return;
+    
+    try {
+        await restoreEntryVersion(entryId, auditRecordId);
+        document.getElementById('entryModal').classList.remove('active');
+        showActionToast('Η έκδοση επαναφέρθηκε', 'Αναίρεση', undoAction);
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα επαναφοράς', 'error');
+    }
+};
+
+/**
+ * Record a payment for an entry (prompts for amount)
+ * @param {string} id - Entry ID
+ */
+window.recordEntryPayment = async function(id) {
+    const entry = STATE.entries.find(e => e.id === id);
+    if (!entry) return;
+    
+    const info = getPaymentInfo(entry);
+    const input = prompt(
+        `Υπόλοιπο: ${formatCurrency(info.outstanding)}\nΠοσό πληρωμής (€):`,
+        info.outstanding.toFixed(2)
+    );
+    if (input === null) return;
+    
+    try {
+        await recordPayment(id, { amount: parseFloat(input.replace(',', '.')) });
+        showActionToast('Η πληρωμή καταχωρήθηκε', 'Αναίρεση', undoAction);
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα καταχώρισης πληρωμής', 'error');
+    }
+};
+
+/**
+ * Mark entry as fully paid
+ * @param {string} id - Entry ID
+ */
+window.markEntryPaid = async function(id) {
+    try {
+        await markEntryPaid(id);
+        showActionToast('Η εγγραφή εξοφλήθηκε', 'Αναίρεση', undoAction);
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα εξόφλησης', 'error');
+    }
+};
+
+/**
+ * Accept a proposed bank transaction match
+ * @param {string} id - Transaction ID
+ * @param {string} entryIds - Comma-separated entry IDs
+ */
+window.acceptBankMatch = async function(id, entryIds) {
+    try {
+        const transaction = await bankStatementManager.acceptMatch(id, entryIds.split(','));
+        showToast(`Η πληρωμή ${formatCurrency(transaction.amount)} καταχωρήθηκε σε ${transaction.matches.length} εγγραφές`, 'success');
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα αντιστοίχισης', 'error');
+    }
+};
+
+/**
+ * Reject a proposed bank transaction match
+ * @param {string} id - Transaction ID
+ * @param {string} entryIds - Comma-separated entry IDs
+ */
+window.rejectBankMatch = async function(id, entryIds) {
+    await bankStatementManager.rejectMatch(id, entryIds.split(','));
+    renderReceivablesView();
+};
+
+/**
+ * Undo an accepted bank transaction match (reverses the recorded payments)
+ * @param {string} id - Transaction ID
+ */
+window.unmatchBankTransaction = async function(id) {
+    if (!confirm('Αποσύνδεση της κίνησης;\nΟι πληρωμές που καταχωρήθηκαν από αυτή θα αφαιρεθούν από τις εγγραφές.')) return;
+    
+    try {
+        await bankStatementManager.unmatchTransaction(id);
+        showToast('Η κίνηση αποσυνδέθηκε', 'success');
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα αποσύνδεσης', 'error');
+    }
+};
+
+/**
+ * Ignore / restore a bank transaction
+ * @param {string} id - Transaction ID
+ * @param {boolean} ignored - Ignore (true) or restore (false)
+ */
+window.ignoreBankTransaction = async function(id, ignored) {
+    await bankStatementManager.setIgnored(id, ignored);
+    renderReceivablesView();
+};
+
+/**
+ * Delete a bank transaction record
+ * @param {string} id - Transaction ID
+ */
+window.deleteBankTransaction = async function(id) {
+    if (!confirm('Διαγραφή της κίνησης;')) return;
+    
+    try {
+        await bankStatementManager.deleteTransaction(id);
+        renderReceivablesView();
+        showToast('Η κίνηση διαγράφηκε', 'success');
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα διαγραφής', 'error');
+    }
+};
+
+/**
+ * Show allocation preview of an ΕΟΠΥΥ statement
+ * @param {string} id - Statement ID
+ */
+window.previewStatement = function(id) {
+    renderStatementPreview(id);
+    document.getElementById('statementPreviewCard')?.scrollIntoView({ behavior: 'smooth' });
+};
+
+/**
+ * Apply an ΕΟΠΥΥ statement to its period's deductions
+ * @param {string} id - Statement ID
+ */
+window.applyStatement = async function(id) {
+    const statement = reconciliationManager.getStatement(id);
+    if (!statement) return;
+    
+    if (!confirm(`Εφαρμογή της δήλωσης ${statement.period} (${formatCurrency(statement.statementTotal)}) στις εγγραφές της περιόδου;`)) return;
+    
+    try {
+        const result = await reconciliationManager.applyStatement(id);
+        showToast(`Η δήλωση εφαρμόστηκε σε ${result.entries.length} εγγραφές (απόκλιση ${formatCurrency(result.variance)})`, 'success');
+        renderStatementPreview(id);
+        renderReconciliationView();
+        refreshDataViews();
+    } catch (error) {
+        showToast(error.message || 'Σφάλμα εφαρμογής δήλωσης', 'error');
+    }
+};
+
+/**
+ * Delete an ΕΟΠΥΥ statement record
+ * @param {string} id - Statement ID
+ */
+window.deleteStatement = async function(id) {
+    if (!confirm('Διαγραφή της δήλωσης;\nΟι κρατήσεις που έχουν ήδη εφαρμοστεί παραμένουν.')) return;
+    
+    await reconciliationManager.deleteStatement(id);
+    renderStatementPreview(null);
+    renderReconciliationView();
+    showToast('Η δήλωση διαγράφηκε', 'success');
+};
+
+/**
+ * Load expense into the expense form for editing
+ * @param {string} id - Expense ID
+ */
+window.editExpense = function(id) {
+    const expense = expensesManager.getExpense(id);
+    if (!expense) return;
+    
+    document.getElementById('expenseId').value = expense.id;
+    document.getElementById('expenseDate').value = expense.date;
+    document.getElementById('expenseSource').value = expense.source;
+    document.getElementById('expenseCategory').value = expense.category;
+    document.getElementById('expenseAmount').value = expense.amount;
+    document.getElementById('expenseNotes').value = expense.notes || '';
+    document.getElementById('expenseFormTitle').textContent = '✏️ Επεξεργασία Εξόδου';
+    document.getElementById('cancelExpenseBtn').style.display = '';
+    document.getElementById('expenseFormTitle').scrollIntoView({ behavior: 'smooth' });
+};
+
+/**
+ * Delete expense
+ * @param {string} id - Expense ID
+ */
+window.deleteExpense = async function(id) {
+    if (!confirm('Διαγραφή του εξόδου;')) return;
+    
+    await expensesManager.deleteExpense(id);
+    if (document.getElementById('expenseId')?.value === id) {
+        resetExpenseForm();
+    }
+    renderExpensesView();
+    showToast('Το έξοδο διαγράφηκε', 'success');
+};
+
 /**
  * Change page (pagination)
  * @param {number} page - Page number
@@ -345,6 +614,7 @@ export function setupModalHandlers() {
             if (lastInsurance) document.getElementById('entryInsurance').value = lastInsurance;
             document.getElementById('entryType').value = lastType;
             
+            renderEntryHistory(null);
             document.getElementById('entryModal').classList.add('active');
         });
     }
@@ -382,6 +652,16 @@ export function setupNavigationHandlers() {
                 renderEntriesTable();
             } else if (STATE.currentView === 'dashboard') {
                 renderDashboard();
+            } else if (STATE.currentView === 'receivables') {
+                renderReceivablesView();
+            } else if (STATE.currentView === 'reconciliation') {
+                renderReconciliationView();
+            } else if (STATE.currentView === 'expenses') {
+                renderExpensesView();
+            } else if (STATE.currentView === 'settings') {
+                renderDeductionTemplates();
+                renderRebateBrackets();
+                renderBudgetGrid();
             }
         });
     });
@@ -436,6 +716,58 @@ export function setupDarkModeHandler() {
     });
 }
 
+// ========================================
+// Undo / Redo
+// ========================================
+
+/**
+ * Refresh views after data changed under them
+ * @private
+ */
+function refreshDataViews() {
+    renderEntriesTable();
+    if (STATE.currentView === 'dashboard') renderDashboard();
+    if (STATE.currentView === 'receivables') renderReceivablesView();
+}
+
+/**
+ * Undo latest data action and refresh UI
+ * @returns {Promise<void>}
+ */
+export async function undoAction() {
+    try {
+        const action = await undoLastAction();
+        if (!action) {
+            showToast('Δεν υπάρχει ενέργεια για αναίρεση', 'info');
+            return;
+        }
+        
+        refreshDataViews();
+        showActionToast(`Αναιρέθηκε: ${action.label || action.type}`, 'Επανάληψη', redoAction, 'info');
+    } catch (error) {
+        showToast('Σφάλμα αναίρεσης', 'error');
+    }
+}
+
+/**
+ * Redo latest undone action and refresh UI
+ * @returns {Promise<void>}
+ */
+export async function redoAction() {
+    try {
+        const action = await redoLastAction();
+        if (!action) {
+            showToast('Δεν υπάρχει ενέργεια για επανάληψη', 'info');
+            return;
+        }
+        
+        refreshDataViews();
+        showActionToast(`Επαναλήφθηκε: ${action.label || action.type}`, 'Αναίρεση', undoAction, 'info');
+    } catch (error) {
+        showToast('Σφάλμα επανάληψης', 'error');
+    }
+}
+
 // ========================================
 // Keyboard Shortcuts
 // ========================================
@@ -467,6 +799,20 @@ export function setupKeyboardShortcuts() {
                 window.saveEntry();
             }
         }
+        
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z / Ctrl + Y: Redo
+        // (left alone inside form fields so native text undo keeps working)
+        const key = e.key.toLowerCase();
+        const inField = e.target.closest('input, textarea, select, [contenteditable="true"]');
+        
+        if ((e.ctrlKey || e.metaKey) && !inField && (key === 'z' || key === 'y')) {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                redoAction();
+            } else {
+                undoAction();
+            }
+        }
     });
 }
 
@@ -517,6 +863,309 @@ export function setupDraggableModals() {
     });
 }
 
+// ========================================
+// ΕΟΠΥΥ Statement Reconciliation
+// ========================================
+
+/**
+ * Setup statement entry and CSV import handlers
+ */
+export function setupReconciliationHandlers() {
+    const saveStatementBtn = document.getElementById('saveStatementBtn');
+    if (saveStatementBtn) {
+        saveStatementBtn.addEventListener('click', async () => {
+            try {
+                const statement = await reconciliationManager.addStatement({
+                    period: document.getElementById('statementPeriod').value,
+                    deductionType: document.getElementById('statementType').value,
+                    source: document.getElementById('statementSource').value,
+                    statementTotal: document.getElementById('statementTotal').value,
+                    notes: document.getElementById('statementNotes').value
+                });
+                
+                ['statementPeriod', 'statementTotal', 'statementNotes'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+                
+                renderReconciliationView();
+                renderStatementPreview(statement.id);
+                showToast('Η δήλωση καταχωρήθηκε', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα καταχώρισης δήλωσης', 'error');
+            }
+        });
+    }
+    
+    const importStatementsBtn = document.getElementById('importStatementsBtn');
+    const statementsFileInput = document.getElementById('statementsFileInput');
+    if (importStatementsBtn && statementsFileInput) {
+        importStatementsBtn.addEventListener('click', () => statementsFileInput.click());
+        
+        statementsFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            if (!window.Papa) {
+                showToast('PapaParse library δεν είναι διαθέσιμη', 'error');
+                e.target.value = '';
+                return;
+            }
+            
+            try {
+                const { text } = csvValidator.decode(new Uint8Array(await file.arrayBuffer()));
+                const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+                const result = await reconciliationManager.importStatements(parsed.data);
+                
+                if (result.errors.length > 0) {
+                    console.warn('[Reconciliation] Import errors:', result.errors);
+                }
+                
+                showToast(
+                    `Εισήχθησαν ${result.imported.length} δηλώσεις` +
+                    (result.errors.length > 0 ? `\n${result.errors.slice(0, 3).join('\n')}` : ''),
+                    result.imported.length > 0 ? 'success' : 'error'
+                );
+                renderReconciliationView();
+            } catch (error) {
+                console.error('[Reconciliation] Import error:', error);
+                showToast('Σφάλμα εισαγωγής δηλώσεων', 'error');
+            }
+            
+            e.target.value = '';
+        });
+    }
+}
+
+// ========================================
+// Bank Statements
+// ========================================
+
+/**
+ * Setup bank statement import (CSV / OFX / CAMT.053)
+ */
+export function setupBankStatementHandlers() {
+    const importBtn = document.getElementById('importBankStatementBtn');
+    const fileInput = document.getElementById('bankStatementFileInput');
+    if (!importBtn || !fileInput) return;
+    
+    importBtn.addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        try {
+            const { text } = csvValidator.decode(new Uint8Array(await file.arrayBuffer()));
+            const result = await bankStatementManager.importStatement(file.name, text);
+            
+            if (result.errors.length > 0) {
+                console.warn('[Bank] Import errors:', result.errors);
+            }
+            
+            const skipped = [
+                result.duplicates > 0 ? `${result.duplicates} διπλότυπες` : '',
+                result.debits > 0 ? `${result.debits} χρεώσεις` : ''
+            ].filter(Boolean).join(', ');
+            
+            showToast(
+                `Εισήχθησαν ${result.imported.length} πιστώσεις (${result.format.toUpperCase()})` +
+                (skipped ? `\nΠαραλείφθηκαν: ${skipped}` : '') +
+                (result.errors.length > 0 ? `\n${result.errors.slice(0, 3).join('\n')}` : ''),
+                result.imported.length > 0 ? 'success' : 'warning'
+            );
+            renderReceivablesView();
+        } catch (error) {
+            console.error('[Bank] Import error:', error);
+            showToast(error.message || 'Σφάλμα εισαγωγής κινήσεων', 'error');
+        }
+        
+        e.target.value = '';
+    });
+}
+
+// ========================================
+// Expenses Ledger
+// ========================================
+
+/**
+ * Reset expense form to "new expense" mode
+ */
+function resetExpenseForm() {
+    ['expenseId', 'expenseAmount', 'expenseNotes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('expenseFormTitle').textContent = '➕ Καταχώριση Εξόδου';
+    document.getElementById('cancelExpenseBtn').style.display = 'none';
+}
+
+/**
+ * Setup expense form and ledger filter handlers
+ */
+export function setupExpenseHandlers() {
+    const saveExpenseBtn = document.getElementById('saveExpenseBtn');
+    if (saveExpenseBtn) {
+        saveExpenseBtn.addEventListener('click', async () => {
+            try {
+                const isEdit = !!document.getElementById('expenseId').value;
+                await expensesManager.saveExpense({
+                    id: document.getElementById('expenseId').value || null,
+                    date: document.getElementById('expenseDate').value,
+                    source: document.getElementById('expenseSource').value,
+                    category: document.getElementById('expenseCategory').value,
+                    amount: document.getElementById('expenseAmount').value,
+                    notes: document.getElementById('expenseNotes').value
+                });
+                
+                // Date, source and category stay for quick monthly entry
+                resetExpenseForm();
+                renderExpensesView();
+                showToast(isEdit ? 'Το έξοδο ενημερώθηκε' : 'Το έξοδο καταχωρήθηκε', 'success');
+            } catch (error) {
+                showToast(error.message || 'Σφάλμα αποθήκευσης εξόδου', 'error');
+            }
+        });
+    }
+    
+    document.getElementById('cancelExpenseBtn')?.addEventListener('click', resetExpenseForm);
+    
+    ['expenseFilterYear', 'expenseFilterSource'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', renderExpensesView);
+    });
+}
+
+// ========================================
+// CSV Import Wizard
+// ========================================
+
+/**
+ * Setup CSV / Excel import wizard (mapping → preview → dry run → import)
+ */
+export function setupCsvImportHandlers() {
+    const importCsvBtn = document.getElementById('importCsvBtn');
+    const csvFileInput = document.getElementById('csvFileInput');
+    const modal = document.getElementById('csvImportModal');
+    if (!importCsvBtn || !csvFileInput || !modal) return;
+
+    let step = 1;
+
+    const readMapping = () => {
+        const mapping = {};
+        document.querySelectorAll('#csvMappingBody .csv-mapping-select').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+        csvImportWizard.setMapping(mapping);
+    };
+
+    const runDryRun = () => {
+        const plan = csvImportWizard.dryRun({
+            updateExisting: document.getElementById('csvUpdateExisting').checked
+        });
+        renderCsvImportWizard(3, plan);
+    };
+
+    importCsvBtn.addEventListener('click', () => csvFileInput.click());
+
+    csvFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            if (/\.xlsx?$/i.test(file.name)) {
+                const sheet = await xlsxManager.readFile(file);
+                csvImportWizard.loadRows(`${file.name} (${sheet.sheetName})`, sheet.headers, sheet.rows);
+            } else {
+                csvImportWizard.loadFile(file.name, await file.arrayBuffer());
+            }
+            step = 1;
+            renderCsvImportWizard(step);
+            modal.classList.add('active');
+        } catch (error) {
+            console.error('CSV import error:', error);
+            showToast(error.message || 'Σφάλμα εισαγωγής CSV', 'error');
+        }
+
+        // Reset file input
+        e.target.value = '';
+    });
+
+    // Manual encoding override re-reads the file (headers may change)
+    document.getElementById('csvEncoding')?.addEventListener('change', (e) => {
+        try {
+            csvImportWizard.setEncoding(e.target.value);
+        } catch (error) {
+            showToast(error.message || 'Σφάλμα ανάγνωσης αρχείου', 'error');
+        }
+        renderCsvImportWizard(1);
+    });
+
+    // Sample column refreshes with the selection
+    document.getElementById('csvMappingBody')?.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('csv-mapping-select')) return;
+        readMapping();
+        renderCsvImportWizard(1);
+    });
+
+    document.getElementById('csvWizardNextBtn')?.addEventListener('click', () => {
+        if (step === 1) {
+            readMapping();
+            const errors = csvImportWizard.validateMapping();
+            if (errors.length > 0) {
+                showToast(errors.join('\n'), 'error');
+                return;
+            }
+            step = 2;
+            renderCsvImportWizard(step);
+        } else if (step === 2) {
+            step = 3;
+            runDryRun();
+        }
+    });
+
+    document.getElementById('csvWizardBackBtn')?.addEventListener('click', () => {
+        if (step > 1) {
+            step--;
+            renderCsvImportWizard(step);
+        }
+    });
+
+    document.getElementById('csvUpdateExisting')?.addEventListener('change', runDryRun);
+
+    document.getElementById('csvWizardImportBtn')?.addEventListener('click', async (e) => {
+        const plan = csvImportWizard.plan;
+        if (!plan || plan.inserts.length + plan.updates.length === 0) {
+            showToast('Δεν υπάρχουν εγγραφές για εισαγωγή', 'warning');
+            return;
+        }
+
+        e.target.disabled = true;
+        try {
+            const result = await csvImportWizard.commit();
+
+            if (result.errors.length > 0) {
+                console.warn('CSV import errors:', result.errors);
+            }
+
+            showToast(
+                `✅ Νέες: ${result.inserted} · Ενημερώσεις: ${result.updated} · Παραλείφθηκαν: ${result.skipped}` +
+                (result.failed > 0 ? `\n⚠️ Αποτυχίες: ${result.failed}` : ''),
+                result.failed > 0 ? 'warning' : 'success'
+            );
+
+            modal.classList.remove('active');
+            renderSourcesAndInsurances();
+            renderEntriesTable();
+            if (STATE.currentView === 'dashboard') {
+                renderDashboard();
+            }
+        } catch (error) {
+            console.error('CSV import error:', error);
+            showToast(error.message || 'Σφάλμα εισαγωγής CSV', 'error');
+        } finally {
+            e.target.disabled = false;
+        }
+    });
+}
+
 // ========================================
 // Initialize All Event Handlers
 // ========================================
@@ -531,6 +1180,10 @@ export function initializeEventHandlers() {
     setupDarkModeHandler();
     setupKeyboardShortcuts();
     setupDraggableModals();
+    setupReconciliationHandlers();
+    setupBankStatementHandlers();
+    setupExpenseHandlers();
+    setupCsvImportHandlers();
     
     console.log('[EventHandlers] All event handlers initialized');
 }
@@ -545,5 +1198,11 @@ export default {
     setupDarkModeHandler,
     setupKeyboardShortcuts,
     setupDraggableModals,
+    setupReconciliationHandlers,
+    setupBankStatementHandlers,
+    setupExpenseHandlers,
+    setupCsvImportHandlers,
+    undoAction,
+    redoAction,
     initializeEventHandlers
 };
@@ -0,0 +1,236 @@
+/**
+ * expenses.js - Expenses Ledger
+ * Monthly operating expenses per diagnostic centre and net result
+ * Version: 2.0
+ */
+
+import storage from './storage.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
+import { parseMonthYear, compareDates, generateId, groupBy } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const EXPENSES_CONFIG = {
+    categories: {
+        rent: 'Ενοίκιο',
+        reagents: 'Αντιδραστήρια',
+        salaries: 'Μισθοδοσία',
+        equipment: 'Εξοπλισμός'
+    }
+};
+
+// ========================================
+// Expenses Manager Class
+// ========================================
+class ExpensesManager {
+    constructor() {
+        this.expenses = []; // [{id, date, source, category, amount, notes}]
+    }
+
+    /**
+     * Load expenses from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadExpenses() {
+        try {
+            this.expenses = await storage.loadSetting('expenses') || [];
+            console.log(`[Expenses] Loaded ${this.expenses.length} expenses`);
+            return true;
+        } catch (error) {
+            console.error('[Expenses] Load error:', error);
+            this.expenses = [];
+            return false;
+        }
+    }
+
+    /**
+     * Save expenses to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveExpenses() {
+        try {
+            await storage.saveSetting('expenses', this.expenses);
+            return true;
+        } catch (error) {
+            console.error('[Expenses] Save error:', error);
+            return false;
+        }
+    }
+
+    // ========================================
+    // Ledger
+    // ========================================
+
+    /**
+     * Add or update an expense
+     * @param {Object} expense - {id?, date, source, category, amount, notes}
+     * @returns {Promise<Object>} Stored expense
+     */
+    async saveExpense(expense) {
+        const date = (expense.date || '').trim();
+        if (!parseMonthYear(date)) {
+            throw new Error('Μη έγκυρη ημερομηνία (ΜΜ/ΕΕΕΕ)');
+        }
+
+        if (!expense.source) {
+            throw new Error('Το διαγνωστικό είναι υποχρεωτικό');
+        }
+
+        if (!EXPENSES_CONFIG.categories[expense.category]) {
+            throw new Error('Μη έγκυρη κατηγορία εξόδου');
+        }
+
+        const amount = parseFloat(expense.amount);
+        if (isNaN(amount) || amount <= 0) {
+            throw new Error('Το ποσό πρέπει να είναι θετικός αριθμός');
+        }
+
+        try {
+            const existingIndex = expense.id ? this.expenses.findIndex(e => e.id === expense.id) : -1;
+
+            const stored = {
+                id: existingIndex >= 0 ? expense.id : generateId(),
+                date,
+                source: expense.source,
+                category: expense.category,
+                amount: Math.round(amount * 100) / 100,
+                notes: (expense.notes || '').trim(),
+                createdAt: existingIndex >= 0 ? this.expenses[existingIndex].createdAt : Date.now(),
+                updatedAt: Date.now()
+            };
+
+            if (existingIndex >= 0) {
+                this.expenses[existingIndex] = stored;
+            } else {
+                this.expenses.push(stored);
+            }
+
+            await this.saveExpenses();
+            return stored;
+        } catch (error) {
+            console.error('[Expenses] Save expense error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an expense
+     * @param {string} id - Expense ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteExpense(id) {
+        this.expenses = this.expenses.filter(e => e.id !== id);
+        return this.saveExpenses();
+    }
+
+    /**
+     * Get expense by ID
+     * @param {string} id - Expense ID
+     * @returns {Object|null} Expense
+     */
+    getExpense(id) {
+        return this.expenses.find(e => e.id === id) || null;
+    }
+
+    /**
+     * Get expenses matching filters, newest month first
+     * @param {Object} filters - {dateFrom, dateTo, year, source, category}
+     * @returns {Array} Expenses
+     */
+    getExpenses(filters = {}) {
+        const { dateFrom, dateTo, year, source, category } = filters;
+
+        return this.expenses
+            .filter(e => {
+                if (dateFrom && compareDates(e.date, dateFrom) < 0) return false;
+                if (dateTo && compareDates(e.date, dateTo) > 0) return false;
+                if (year && parseMonthYear(e.date)?.year !== year) return false;
+                if (source && e.source !== source) return false;
+                if (category && e.category !== category) return false;
+                return true;
+            })
+            .sort((a, b) => compareDates(b.date, a.date) || a.source.localeCompare(b.source));
+    }
+
+    // ========================================
+    // Totals & Net Result
+    // ========================================
+
+    /**
+     * Sum expenses per category
+     * @param {Array} expenses - Expenses
+     * @returns {Object} {total, byCategory: {rent, reagents, ...}}
+     */
+    getCategoryTotals(expenses) {
+        const byCategory = {};
+        Object.keys(EXPENSES_CONFIG.categories).forEach(key => {
+            byCategory[key] = 0;
+        });
+
+        let total = 0;
+        expenses.forEach(e => {
+            byCategory[e.category] = (byCategory[e.category] || 0) + e.amount;
+            total += e.amount;
+        });
+
+        return { total, byCategory };
+    }
+
+    /**
+     * Gross revenue, expenses and net result per diagnostic centre
+     * Revenue after deductions follows the same parakratisi toggle as the KPIs.
+     * @param {Array} entries - Revenue entries for the period
+     * @param {Array} expenses - Expenses for the same period
+     * @param {Object} options - {includeParakratisi}
+     * @returns {Array} [{source, grossRevenue, deductions, revenue, expenses, byCategory, netResult, margin}]
+     */
+    getNetResultBySource(entries, expenses, options = {}) {
+        const { includeParakratisi = false } = options;
+        const entriesBySource = groupBy(entries, 'source');
+        const expensesBySource = groupBy(expenses, 'source');
+        const sources = new Set([...Object.keys(entriesBySource), ...Object.keys(expensesBySource)]);
+
+        const rows = Array.from(sources).map(source => {
+            const kpis = eopyyDeductionsManager.calculateKPIs(entriesBySource[source] || [], { includeParakratisi });
+            const totals = this.getCategoryTotals(expensesBySource[source] || []);
+            const netResult = kpis.total - totals.total;
+
+            return {
+                source,
+                grossRevenue: kpis.eopyyOriginal + kpis.nonEopyyOriginal,
+                deductions: kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis,
+                revenue: kpis.total,
+                expenses: totals.total,
+                byCategory: totals.byCategory,
+                netResult,
+                margin: kpis.total > 0 ? (netResult / kpis.total) * 100 : 0
+            };
+        });
+
+        // Sort by net result descending
+        rows.sort((a, b) => b.netResult - a.netResult);
+
+        return rows;
+    }
+
+    /**
+     * Get category label
+     * @param {string} category - Category key
+     * @returns {string} Label
+     */
+    getCategoryLabel(category) {
+        return EXPENSES_CONFIG.categories[category] || category;
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const expensesManager = new ExpensesManager();
+
+// ========================================
+// Export
+// ========================================
+export { ExpensesManager, EXPENSES_CONFIG };
+export default expensesManager;
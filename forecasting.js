@@ -8,26 +8,189 @@ import { STATE } from './state.js';
 import { showToast } from './uiRenderers.js';
 import { formatCurrency, escapeHtml } from './utils.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
+import budgetManager from './budgets.js';
+
+// ========================================
+// Numeric Helpers
+// ========================================
+
+/**
+ * Nelder-Mead simplex minimisation
+ * @param {Function} objective - f(x) => number
+ * @param {Array<number>} start - Starting point
+ * @param {Object} options - {maxIterations, tolerance, step}
+ * @returns {Array<number>} Best point found
+ * @private
+ */
+function nelderMead(objective, start, { maxIterations = 200, tolerance = 1e-8, step = 0.1 } = {}) {
+    const dim = start.length;
+    const evaluate = x => ({ x, f: objective(x) });
+
+    // Initial simplex: start point plus one step along each axis
+    let simplex = [evaluate(start)];
+    for (let i = 0; i < dim; i++) {
+        const x = [...start];
+        x[i] += step;
+        simplex.push(evaluate(x));
+    }
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        simplex.sort((a, b) => a.f - b.f);
+        const best = simplex[0];
+        const worst = simplex[dim];
+
+        if (Math.abs(worst.f - best.f) <= tolerance * (Math.abs(best.f) + tolerance)) {
+            break;
+        }
+
+        // Centroid of all points except the worst
+        const centroid = Array.from({ length: dim }, (_, j) =>
+            simplex.slice(0, dim).reduce((sum, p) => sum + p.x[j], 0) / dim);
+        const towards = (coef) => evaluate(centroid.map((c, j) => c + coef * (worst.x[j] - c)));
+
+        const reflected = towards(-1);
+        if (reflected.f < best.f) {
+            const expanded = towards(-2);
+            simplex[dim] = expanded.f < reflected.f ? expanded : reflected;
+        } else if (reflected.f < simplex[dim - 1].f) {
+            simplex[dim] = reflected;
+        } else {
+            const contracted = towards(0.5);
+            if (contracted.f < worst.f) {
+                simplex[dim] = contracted;
+            } else {
+                // Shrink towards the best point
+                simplex = simplex.map((p, i) => i === 0
+                    ? p
+                    : evaluate(p.x.map((v, j) => best.x[j] + 0.5 * (v - best.x[j]))));
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.f - b.f);
+    return simplex[0].x;
+}
+
+/**
+ * Solve A x = b (Gaussian elimination with partial pivoting)
+ * @param {Array<Array<number>>} matrix - Square matrix A
+ * @param {Array<number>} vector - Right-hand side b
+ * @returns {Array<number>|null} Solution, or null if singular
+ * @private
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-10) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * x[k];
+        }
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Quantile of a sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Probability (0-1)
+ * @returns {number} Quantile
+ * @private
+ */
+function quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
 
 /**
  * Forecasting Manager - Main Class
  */
 class ForecastingManager {
     constructor() {
-        this.models = ['linear', 'seasonal', 'holt-winters'];
+        this.models = [
+            'linear',
+            'seasonal',
+            'holt-winters',
+            'holt-winters-multiplicative',
+            'holt-winters-damped',
+            'arima',
+            'moving-average',
+            'ensemble'
+        ];
         this.defaultPeriods = 6;
         this.maxPeriods = 12;
         this.minHistoricalMonths = 6; // Minimum data required
         
+        // Backtesting: last N forecast origins, model selection by MAE
+        this.backtestOrigins = 12;
+        this.selectionMetric = 'mae';
+        
         // Holt-Winters default parameters
         this.hwParams = {
             alpha: 0.2,  // Level smoothing
             beta: 0.1,   // Trend smoothing
-            gamma: 0.1   // Seasonal smoothing
+            gamma: 0.1,  // Seasonal smoothing
+            phi: 0.9     // Trend damping (damped variant only)
+        };
+        
+        // Parameter bounds for SSE optimisation (Nelder-Mead)
+        this.hwBounds = {
+            smoothing: [0.01, 0.99],
+            phi: [0.8, 0.98]
         };
         
-        // Confidence level
+        this.arimaMaxOrder = 3;      // Max AR order (chosen by AIC)
+        this.movingAverageWindow = 3;
+        this.ensembleMembers = ['linear', 'seasonal', 'holt-winters', 'arima', 'moving-average'];
+        
+        // Hierarchical forecasts (per source / insurance)
+        this.reconciliationMethods = ['bottom-up', 'top-down'];
+        this.shareLookbackMonths = 12; // Fallback shares when base forecasts are all zero
+        
+        // Prediction intervals: default level, supported levels (two-sided z-scores)
         this.confidenceLevel = 0.95; // 95%
+        this.confidenceLevels = { '0.8': 1.2816, '0.9': 1.6449, '0.95': 1.96 };
+        this.intervalMethods = ['residual', 'bootstrap'];
+        this.minIntervalResiduals = 3;  // Backtest errors needed per horizon (else scaled 1-step errors)
+        this.bootstrapSamples = 1000;
         
         console.log('📊 ForecastingManager initialized');
     }
@@ -35,7 +198,7 @@ class ForecastingManager {
     /**
      * Main entry point: Generate forecast
      * @param {Array} entries - Historical entries
-     * @param {string} method - 'linear', 'seasonal', 'holt-winters'
+     * @param {string} method - 'linear', 'seasonal', 'holt-winters' or 'auto'
      * @param {number} periods - Number of months to forecast
      * @param {Object} options - Additional options
      * @returns {Object} Forecast result
@@ -53,6 +216,13 @@ class ForecastingManager {
                 throw new Error(`Οι περίοδοι πρέπει να είναι 1-${this.maxPeriods}`);
             }
 
+            const requestedMethod = method.toLowerCase();
+            if (requestedMethod !== 'auto' && !this.models.includes(requestedMethod)) {
+                throw new Error(`Άγνωστη μέθοδος: ${method}`);
+            }
+
+            const interval = this.getIntervalSettings(options);
+
             // Prepare time series data
             const timeSeries = this.prepareTimeSeries(entries, options);
 
@@ -60,37 +230,26 @@ class ForecastingManager {
                 throw new Error(`Απαιτούνται τουλάχιστον ${this.minHistoricalMonths} μήνες δεδομένων`);
             }
 
-            // Select forecasting method
-            let forecast;
-            switch (method.toLowerCase()) {
-                case 'linear':
-                    forecast = this.linearRegression(timeSeries, periods);
-                    break;
-                case 'seasonal':
-                    forecast = this.seasonalNaive(timeSeries, periods);
-                    break;
-                case 'holt-winters':
-                    forecast = this.holtWinters(timeSeries, periods, options);
-                    break;
-                default:
-                    throw new Error(`Άγνωστη μέθοδος: ${method}`);
-            }
+            const { selectedMethod, forecast, metrics, comparison } =
+                this.forecastSeries(timeSeries, requestedMethod, periods, options);
 
-            // Calculate accuracy metrics (if we have validation data)
-            const metrics = this.calculateMetrics(timeSeries, forecast);
-
-            // Calculate confidence intervals
-            const withConfidence = this.addConfidenceIntervals(forecast, timeSeries);
+            // Prediction intervals from the selected model's backtest errors
+            const withConfidence = this.addConfidenceIntervals(forecast, timeSeries, metrics, options);
 
             console.log('✅ Forecast generated successfully:', withConfidence);
 
             return {
                 success: true,
-                method,
+                method: requestedMethod,
+                selectedMethod,
                 periods,
                 historical: timeSeries,
                 forecast: withConfidence,
+                parameters: forecast[0]?.parameters || null,
+                confidenceLevel: interval.level,
+                intervalMethod: interval.method,
                 metrics,
+                comparison,
                 generated: new Date().toISOString()
             };
 
@@ -103,6 +262,64 @@ class ForecastingManager {
         }
     }
 
+    /**
+     * Backtest, select and fit a model on a prepared time series
+     * @param {Array} timeSeries - Time series [{date, value}]
+     * @param {string} method - Model name or 'auto'
+     * @param {number} periods - Number of months to forecast
+     * @param {Object} options - Model options
+     * @param {boolean} compareAll - Backtest every model even when one is requested
+     * @returns {Object} {selectedMethod, forecast, metrics, comparison}
+     */
+    forecastSeries(timeSeries, method, periods, options = {}, compareAll = true) {
+        // Out-of-sample accuracy (rolling-origin backtest)
+        const comparison = method === 'auto' || compareAll
+            ? this.compareModels(timeSeries, periods, options)
+            : [{ method, metrics: this.backtest(timeSeries, method, periods, options) }];
+
+        const selectedMethod = method === 'auto'
+            ? this.selectBestModel(comparison)
+            : method;
+
+        return {
+            selectedMethod,
+            forecast: this.fitModel(timeSeries, selectedMethod, periods, options),
+            metrics: comparison.find(c => c.method === selectedMethod).metrics,
+            comparison
+        };
+    }
+
+    /**
+     * Fit a single model on the time series and forecast
+     * @param {Array} timeSeries - Time series [{date, value}]
+     * @param {string} method - 'linear', 'seasonal', 'holt-winters'
+     * @param {number} periods - Number of months to forecast
+     * @param {Object} options - Model options
+     * @returns {Array} Forecasts [{date, value, method}]
+     */
+    fitModel(timeSeries, method, periods, options = {}) {
+        switch (method) {
+            case 'linear':
+                return this.linearRegression(timeSeries, periods);
+            case 'seasonal':
+                return this.seasonalNaive(timeSeries, periods);
+            case 'holt-winters':
+                return this.holtWinters(timeSeries, periods, { ...options, seasonality: 'additive', damped: false });
+            case 'holt-winters-multiplicative':
+                return this.holtWinters(timeSeries, periods, { ...options, seasonality: 'multiplicative', damped: false });
+            case 'holt-winters-damped':
+                return this.holtWinters(timeSeries, periods, { ...options, seasonality: 'additive', damped: true });
+            case 'arima':
+                return this.arima(timeSeries, periods);
+            case 'moving-average':
+                return this.movingAverage(timeSeries, periods);
+            case 'ensemble':
+                return this.ensemble(timeSeries, periods, options);
+            default:
+                throw new Error(`Άγνωστη μέθοδος: ${method}`);
+        }
+    }
+
     /**
      * Prepare time series data from entries
      * @param {Array} entries - Raw entries
@@ -245,9 +462,13 @@ class ForecastingManager {
     /**
      * Holt-Winters Exponential Smoothing
      * Accounts for level, trend, and seasonality
+     * @param {Array} timeSeries - Time series [{date, value}]
+     * @param {number} periods - Number of months to forecast
+     * @param {Object} options - {seasonality: 'additive'|'multiplicative', damped, optimize, alpha, beta, gamma, phi}
+     * @returns {Array} Forecasts
      */
     holtWinters(timeSeries, periods, options = {}) {
-        const { alpha, beta, gamma } = { ...this.hwParams, ...options };
+        const { seasonality = 'additive', damped = false, optimize = true } = options;
         const seasonLength = 12;
         const n = timeSeries.length;
 
@@ -258,68 +479,156 @@ class ForecastingManager {
 
         const values = timeSeries.map(d => d.value);
 
-        // Initialize components
-        let level = values[0];
-        let trend = (values[seasonLength] - values[0]) / seasonLength;
-        const seasonal = this.initializeSeasonality(values, seasonLength);
+        // Multiplicative seasonal indices are undefined for zero/negative months
+        let multiplicative = seasonality === 'multiplicative';
+        if (multiplicative && values.some(v => v <= 0)) {
+            console.warn('⚠️ Non-positive values, using additive seasonality');
+            multiplicative = false;
+        }
 
-        // Arrays to store components
-        const levels = [level];
-        const trends = [trend];
-        const seasonals = [...seasonal];
+        const config = { seasonLength, multiplicative, damped };
+        const method = damped
+            ? 'holt-winters-damped'
+            : (multiplicative ? 'holt-winters-multiplicative' : 'holt-winters');
 
-        // Training phase: fit to historical data
-        for (let i = 1; i < n; i++) {
-            const seasonalIndex = i % seasonLength;
-            
-            // Update level
-            const prevLevel = level;
-            level = alpha * (values[i] - seasonals[seasonalIndex]) + 
-                    (1 - alpha) * (prevLevel + trend);
-            levels.push(level);
+        const params = optimize
+            ? this.optimizeHoltWinters(values, config)
+            : this.clampHoltWintersParams({ ...this.hwParams, ...options }, damped);
 
-            // Update trend
-            trend = beta * (level - prevLevel) + (1 - beta) * trend;
-            trends.push(trend);
-
-            // Update seasonal component
-            seasonals[seasonalIndex] = gamma * (values[i] - level) + 
-                                       (1 - gamma) * seasonals[seasonalIndex];
-        }
+        // Training phase: fit to historical data
+        const { level, trend, seasonals, sse } = this.runHoltWinters(values, params, config);
 
         // Forecasting phase
         const forecasts = [];
         const lastDate = timeSeries[n - 1].date;
+        let trendMultiplier = 0;
 
         for (let i = 1; i <= periods; i++) {
+            // phi + phi^2 + ... + phi^i (equals i without damping)
+            trendMultiplier += Math.pow(params.phi, i);
+
             const seasonalIndex = (n + i - 1) % seasonLength;
-            const forecastValue = level + i * trend + seasonals[seasonalIndex];
+            const base = level + trendMultiplier * trend;
+            const forecastValue = multiplicative
+                ? base * seasonals[seasonalIndex]
+                : base + seasonals[seasonalIndex];
 
             forecasts.push({
                 date: this.addMonths(lastDate, i),
                 value: Math.max(0, forecastValue),
-                method: 'holt-winters',
+                method,
+                parameters: params,
                 components: {
-                    level: level + i * trend,
+                    level: base,
                     trend: trend,
                     seasonal: seasonals[seasonalIndex]
                 }
             });
         }
 
-        console.log('🔄 Holt-Winters forecast generated with params:', { alpha, beta, gamma });
+        console.log('🔄 Holt-Winters forecast generated with params:', params, 'SSE:', sse);
         return forecasts;
     }
 
     /**
-     * Initialize seasonal components (additive decomposition)
+     * Run Holt-Winters recursions and collect one-step-ahead SSE
+     * @param {Array<number>} values - Historical values
+     * @param {Object} params - {alpha, beta, gamma, phi}
+     * @param {Object} config - {seasonLength, multiplicative, damped}
+     * @returns {Object} Final state {level, trend, seasonals, sse}
      */
-    initializeSeasonality(values, seasonLength) {
-        const seasonal = new Array(seasonLength).fill(0);
+    runHoltWinters(values, params, config) {
+        const { alpha, beta, gamma } = params;
+        const phi = config.damped ? params.phi : 1;
+        const { seasonLength, multiplicative } = config;
+        const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+        // Initialize components from the first two seasons
+        const firstSeasonMean = mean(values.slice(0, seasonLength));
+        let level = firstSeasonMean;
+        let trend = (mean(values.slice(seasonLength, seasonLength * 2)) - firstSeasonMean) / seasonLength;
+        const seasonals = this.initializeSeasonality(values, seasonLength, multiplicative);
+
+        let sse = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            const seasonalIndex = i % seasonLength;
+            const seasonal = seasonals[seasonalIndex];
+            const base = level + phi * trend;
+
+            const predicted = multiplicative ? base * seasonal : base + seasonal;
+            sse += Math.pow(values[i] - predicted, 2);
+
+            // Update level
+            const prevLevel = level;
+            level = alpha * (multiplicative ? values[i] / seasonal : values[i] - seasonal) +
+                    (1 - alpha) * base;
+
+            if (multiplicative && level <= 0) {
+                return { level, trend, seasonals, sse: Infinity };
+            }
+
+            // Update trend
+            trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+
+            // Update seasonal component
+            seasonals[seasonalIndex] = gamma * (multiplicative ? values[i] / level : values[i] - level) +
+                                       (1 - gamma) * seasonal;
+        }
+
+        return { level, trend, seasonals, sse };
+    }
+
+    /**
+     * Fit Holt-Winters parameters by minimising one-step-ahead SSE (Nelder-Mead)
+     * @param {Array<number>} values - Historical values
+     * @param {Object} config - {seasonLength, multiplicative, damped}
+     * @returns {Object} Fitted {alpha, beta, gamma, phi}
+     */
+    optimizeHoltWinters(values, config) {
+        const { alpha, beta, gamma, phi } = this.hwParams;
+        const start = config.damped ? [alpha, beta, gamma, phi] : [alpha, beta, gamma];
+
+        const toParams = ([a, b, g, p]) => this.clampHoltWintersParams(
+            { alpha: a, beta: b, gamma: g, phi: p },
+            config.damped
+        );
+
+        const best = nelderMead(x => this.runHoltWinters(values, toParams(x), config).sse, start);
+        return toParams(best);
+    }
+
+    /**
+     * Clamp Holt-Winters parameters into their valid ranges
+     * @param {Object} params - {alpha, beta, gamma, phi}
+     * @param {boolean} damped - Damped trend (phi is 1 otherwise)
+     * @returns {Object} Clamped parameters
+     */
+    clampHoltWintersParams(params, damped) {
+        const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+        const { smoothing, phi } = this.hwBounds;
+
+        return {
+            alpha: clamp(params.alpha, smoothing),
+            beta: clamp(params.beta, smoothing),
+            gamma: clamp(params.gamma, smoothing),
+            phi: damped ? clamp(params.phi ?? this.hwParams.phi, phi) : 1
+        };
+    }
+
+    /**
+     * Initialize seasonal components
+     * @param {Array<number>} values - Historical values
+     * @param {number} seasonLength - Season length
+     * @param {boolean} multiplicative - Ratios to the mean instead of differences
+     * @returns {Array<number>} Seasonal components
+     */
+    initializeSeasonality(values, seasonLength, multiplicative = false) {
+        const seasonal = new Array(seasonLength).fill(multiplicative ? 1 : 0);
         const numSeasons = Math.floor(values.length / seasonLength);
 
         if (numSeasons < 2) {
-            return seasonal; // Not enough data, return zeros
+            return seasonal; // Not enough data, return neutral components
         }
 
         // Calculate average for each season position
@@ -331,93 +640,575 @@ class ForecastingManager {
             seasonal[i] = sum / numSeasons;
         }
 
-        // Deseasonalize: subtract overall mean
+        // Deseasonalize against overall mean
         const overallMean = seasonal.reduce((a, b) => a + b, 0) / seasonLength;
-        return seasonal.map(s => s - overallMean);
+        return multiplicative
+            ? seasonal.map(s => s / overallMean)
+            : seasonal.map(s => s - overallMean);
     }
 
     /**
-     * Add confidence intervals to forecasts
+     * ARIMA-lite Forecast
+     * AR(p) on the differenced series: ARIMA(p,1,0), or SARIMA(p,1,0)(0,1,0)12
+     * once two full seasons are available. The order p is chosen by AIC.
      */
-    addConfidenceIntervals(forecasts, historical) {
-        const values = historical.map(d => d.value);
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        
-        // Calculate standard deviation
-        const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-        const stdDev = Math.sqrt(variance);
+    arima(timeSeries, periods) {
+        const seasonLength = 12;
+        const values = timeSeries.map(d => d.value);
+        const n = values.length;
+        const seasonal = n >= seasonLength * 2;
+
+        // Seasonal differencing, then first differencing
+        const base = seasonal
+            ? values.slice(seasonLength).map((v, i) => v - values[i])
+            : values;
+        const diffs = base.slice(1).map((v, i) => v - base[i]);
+
+        const { order, intercept, coefficients } = this.fitAutoRegression(diffs);
+        const model = seasonal
+            ? `SARIMA(${order},1,0)(0,1,0)${seasonLength}`
+            : `ARIMA(${order},1,0)`;
+
+        // Forecast the differences recursively, then integrate back
+        const history = [...diffs];
+        const extended = [...values];
+        let lastBase = base[base.length - 1];
+        const forecasts = [];
+        const lastDate = timeSeries[n - 1].date;
 
-        // Z-score for 95% confidence
-        const zScore = 1.96;
+        for (let i = 1; i <= periods; i++) {
+            const nextDiff = coefficients.reduce(
+                (sum, coef, k) => sum + coef * history[history.length - 1 - k],
+                intercept
+            );
+            history.push(nextDiff);
+            lastBase += nextDiff;
+
+            const value = seasonal
+                ? lastBase + extended[extended.length - seasonLength]
+                : lastBase;
+            extended.push(value);
 
-        return forecasts.map((forecast, index) => {
-            // Confidence interval widens with forecast horizon
-            const horizonFactor = Math.sqrt(index + 1);
-            const margin = zScore * stdDev * horizonFactor;
+            forecasts.push({
+                date: this.addMonths(lastDate, i),
+                value: Math.max(0, value),
+                method: 'arima',
+                parameters: { model, intercept, coefficients }
+            });
+        }
+
+        console.log(`📐 ${model} forecast generated`);
+        return forecasts;
+    }
+
+    /**
+     * Fit AR(p) with intercept by least squares, choosing p by AIC
+     * @param {Array<number>} series - Stationary series
+     * @returns {Object} {order, intercept, coefficients}
+     */
+    fitAutoRegression(series) {
+        const mean = series.length > 0 ? series.reduce((a, b) => a + b, 0) / series.length : 0;
+
+        // Keep at least 3 observations more than parameters
+        const maxOrder = Math.max(0, Math.min(this.arimaMaxOrder, Math.floor((series.length - 3) / 2)));
+        let best = { order: 0, intercept: mean, coefficients: [], aic: Infinity };
+
+        // Common sample for all orders so AIC values are comparable
+        const targets = series.slice(maxOrder);
+        const m = targets.length;
+        if (m === 0) return best;
+
+        for (let p = 0; p <= maxOrder; p++) {
+            const rows = targets.map((_, i) => {
+                const t = i + maxOrder;
+                return [1, ...Array.from({ length: p }, (_, k) => series[t - 1 - k])];
+            });
+
+            // Normal equations: (X'X) b = X'y
+            const xtx = rows[0].map((_, a) => rows[0].map((_, b) =>
+                rows.reduce((sum, row) => sum + row[a] * row[b], 0)));
+            const xty = rows[0].map((_, a) =>
+                rows.reduce((sum, row, i) => sum + row[a] * targets[i], 0));
+
+            const beta = solveLinearSystem(xtx, xty);
+            if (!beta) continue;
+
+            const sse = rows.reduce((sum, row, i) => {
+                const fitted = row.reduce((acc, x, k) => acc + x * beta[k], 0);
+                return sum + Math.pow(targets[i] - fitted, 2);
+            }, 0);
+            const aic = m * Math.log(sse / m + 1e-9) + 2 * (p + 1);
 
+            if (aic < best.aic) {
+                best = { order: p, intercept: beta[0], coefficients: beta.slice(1), aic };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Moving Average Forecast
+     * Flat forecast at the mean of the last N months
+     */
+    movingAverage(timeSeries, periods) {
+        const window = Math.min(this.movingAverageWindow, timeSeries.length);
+        const recent = timeSeries.slice(-window);
+        const average = recent.reduce((sum, d) => sum + d.value, 0) / window;
+        const lastDate = timeSeries[timeSeries.length - 1].date;
+
+        return Array.from({ length: periods }, (_, i) => ({
+            date: this.addMonths(lastDate, i + 1),
+            value: average,
+            method: 'moving-average',
+            parameters: { window }
+        }));
+    }
+
+    /**
+     * Ensemble Forecast
+     * Equal-weight average of the member models
+     */
+    ensemble(timeSeries, periods, options = {}) {
+        const members = this.ensembleMembers.map(method => ({
+            method,
+            forecast: this.fitModel(timeSeries, method, periods, options)
+        }));
+
+        return members[0].forecast.map((point, i) => {
+            const components = {};
+            members.forEach(({ method, forecast }) => {
+                components[method] = forecast[i].value;
+            });
+
+            const values = Object.values(components);
             return {
-                ...forecast,
-                lower: Math.max(0, forecast.value - margin),
-                upper: forecast.value + margin,
-                confidence: this.confidenceLevel
+                date: point.date,
+                value: values.reduce((a, b) => a + b, 0) / values.length,
+                method: 'ensemble',
+                parameters: { members: [...this.ensembleMembers] },
+                components
             };
         });
     }
 
+    // ========================================
+    // Prediction Intervals
+    // ========================================
+
     /**
-     * Calculate accuracy metrics
+     * Resolve and validate interval options
+     * @param {Object} options - {confidenceLevel: 0.8|0.9|0.95, intervalMethod: 'residual'|'bootstrap'}
+     * @returns {Object} {level, z, method}
      */
-    calculateMetrics(historical, forecast) {
-        if (historical.length < 3) {
+    getIntervalSettings(options = {}) {
+        const level = Number(options.confidenceLevel ?? this.confidenceLevel);
+        const method = options.intervalMethod || 'residual';
+        const z = this.confidenceLevels[String(level)];
+
+        if (!z) {
+            throw new Error(`Μη υποστηριζόμενο επίπεδο εμπιστοσύνης: ${options.confidenceLevel}`);
+        }
+        if (!this.intervalMethods.includes(method)) {
+            throw new Error(`Άγνωστη μέθοδος διαστήματος: ${method}`);
+        }
+
+        return { level, z, method };
+    }
+
+    /**
+     * Add prediction intervals to forecasts
+     * Bands come from the model's own out-of-sample errors at each horizon
+     * (rolling-origin backtest), not from the spread of the raw history.
+     * @param {Array} forecasts - Forecast points
+     * @param {Array} historical - Time series the model was fitted on
+     * @param {Object} metrics - Backtest metrics of the model (with residuals)
+     * @param {Object} options - Interval options {confidenceLevel, intervalMethod}
+     * @returns {Array} Forecasts with lower/upper/confidence
+     */
+    addConfidenceIntervals(forecasts, historical, metrics, options = {}) {
+        const interval = this.getIntervalSettings(options);
+        const residuals = this.getHorizonResiduals(historical, metrics, forecasts.length);
+
+        return forecasts.map((forecast, index) => {
+            const [lowerOffset, upperOffset] = this.getIntervalOffsets(residuals[index], interval, index + 1);
+
             return {
-                available: false,
-                message: 'Ανεπαρκή δεδομένα για υπολογισμό μετρικών'
+                ...forecast,
+                lower: Math.max(0, forecast.value + lowerOffset),
+                upper: forecast.value + upperOffset,
+                confidence: interval.level
             };
+        });
+    }
+
+    /**
+     * Forecast errors (actual - predicted) to use for each horizon
+     * Horizons with too few backtest errors scale the one-step errors by
+     * sqrt(horizon); without any backtest, month-to-month changes are used.
+     * @param {Array} historical - Time series
+     * @param {Object} metrics - Backtest metrics
+     * @param {number} periods - Number of horizons
+     * @returns {Array<Array<number>>} Errors per horizon
+     */
+    getHorizonResiduals(historical, metrics, periods) {
+        const backtested = metrics?.available ? metrics.residuals : [];
+        const naive = historical.slice(1).map((d, i) => d.value - historical[i].value);
+        const oneStep = (backtested[0] || []).length >= this.minIntervalResiduals ? backtested[0] : naive;
+
+        return Array.from({ length: periods }, (_, i) => {
+            const own = backtested[i] || [];
+            if (own.length >= this.minIntervalResiduals) return own;
+            return oneStep.map(e => e * Math.sqrt(i + 1));
+        });
+    }
+
+    /**
+     * Interval offsets around a point forecast
+     * residual: symmetric z * RMS error; bootstrap: percentiles of resampled errors
+     * @param {Array<number>} residuals - Errors (actual - predicted)
+     * @param {Object} interval - {level, z, method}
+     * @param {number} seed - Seed for the bootstrap sampler (reproducible bands)
+     * @returns {Array<number>} [lowerOffset, upperOffset]
+     */
+    getIntervalOffsets(residuals, interval, seed = 1) {
+        if (residuals.length === 0) {
+            return [0, 0];
+        }
+
+        if (interval.method === 'bootstrap') {
+            const random = createRandom(seed);
+            const samples = Array.from(
+                { length: this.bootstrapSamples },
+                () => residuals[Math.floor(random() * residuals.length)]
+            ).sort((a, b) => a - b);
+
+            const tail = (1 - interval.level) / 2;
+            return [quantile(samples, tail), quantile(samples, 1 - tail)];
         }
 
-        // Use last N periods for validation
-        const validationSize = Math.min(3, Math.floor(historical.length * 0.2));
-        const trainSize = historical.length - validationSize;
+        const rms = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / residuals.length);
+        return [-interval.z * rms, interval.z * rms];
+    }
+
+    /**
+     * Interval coverage on the backtest
+     * Each error is checked against an interval built only from the errors of
+     * earlier forecast origins at the same horizon.
+     * @param {Array<Array<number>>} residuals - Errors per horizon, in origin order
+     * @param {Object} interval - {level, z, method}
+     * @returns {Object} {level, rate, checked, horizons: [{rate, checked}]}
+     */
+    calculateCoverage(residuals, interval) {
+        let covered = 0;
+        let checked = 0;
+
+        const horizons = residuals.map((errors, h) => {
+            let hCovered = 0;
+            let hChecked = 0;
+
+            for (let k = this.minIntervalResiduals; k < errors.length; k++) {
+                const [lower, upper] = this.getIntervalOffsets(errors.slice(0, k), interval, h + 1);
+                if (errors[k] >= lower && errors[k] <= upper) hCovered++;
+                hChecked++;
+            }
+
+            covered += hCovered;
+            checked += hChecked;
+            return { rate: hChecked > 0 ? hCovered / hChecked * 100 : null, checked: hChecked };
+        });
+
+        return {
+            level: interval.level,
+            rate: checked > 0 ? covered / checked * 100 : null,
+            checked,
+            horizons
+        };
+    }
+
+    // ========================================
+    // Backtesting & Model Selection
+    // ========================================
 
-        const actual = historical.slice(trainSize).map(d => d.value);
-        const predicted = forecast.slice(0, validationSize).map(d => d.value);
+    /**
+     * Rolling-origin backtest: refit the model on truncated history and
+     * compare its forecasts with the months that actually followed
+     * @param {Array} timeSeries - Time series [{date, value}]
+     * @param {string} method - 'linear', 'seasonal', 'holt-winters'
+     * @param {number} periods - Forecast horizon (months)
+     * @param {Object} options - Model options
+     * @returns {Object} Metrics {available, mae, rmse, mape, accuracy, origins, horizons, residuals, coverage}
+     */
+    backtest(timeSeries, method, periods, options = {}) {
+        const n = timeSeries.length;
+        const firstOrigin = Math.max(this.minHistoricalMonths, n - this.backtestOrigins);
 
-        if (predicted.length === 0) {
+        if (firstOrigin >= n) {
             return {
                 available: false,
-                message: 'Δεν υπάρχουν προβλέψεις για σύγκριση'
+                message: `Απαιτούνται περισσότεροι από ${this.minHistoricalMonths} μήνες για backtesting`
             };
         }
 
-        // Calculate MAE (Mean Absolute Error)
-        const mae = actual.reduce((sum, val, i) => {
-            return sum + Math.abs(val - (predicted[i] || 0));
-        }, 0) / actual.length;
+        // Errors grouped by horizon (1 = next month)
+        const errorsByHorizon = Array.from({ length: periods }, () => []);
+        let origins = 0;
 
-        // Calculate RMSE (Root Mean Squared Error)
-        const mse = actual.reduce((sum, val, i) => {
-            return sum + Math.pow(val - (predicted[i] || 0), 2);
-        }, 0) / actual.length;
-        const rmse = Math.sqrt(mse);
+        for (let origin = firstOrigin; origin < n; origin++) {
+            const training = timeSeries.slice(0, origin);
+            const steps = Math.min(periods, n - origin);
+            const forecast = this.fitModel(training, method, steps, options);
 
-        // Calculate MAPE (Mean Absolute Percentage Error)
-        const mape = actual.reduce((sum, val, i) => {
-            if (val === 0) return sum;
-            return sum + Math.abs((val - (predicted[i] || 0)) / val);
-        }, 0) / actual.length * 100;
+            for (let h = 0; h < steps; h++) {
+                errorsByHorizon[h].push({
+                    actual: timeSeries[origin + h].value,
+                    predicted: forecast[h].value
+                });
+            }
+            origins++;
+        }
+
+        const residuals = errorsByHorizon
+            .map(pairs => pairs.map(p => p.actual - p.predicted))
+            .filter(errors => errors.length > 0);
+        const coverage = this.calculateCoverage(residuals, this.getIntervalSettings(options));
+
+        const horizons = errorsByHorizon
+            .map((pairs, index) => ({
+                horizon: index + 1,
+                ...this.calculateErrors(pairs),
+                coverage: coverage.horizons[index]?.rate ?? null
+            }))
+            .filter(h => h.count > 0);
 
-        console.log('📊 Accuracy metrics:', { mae, rmse, mape });
+        const overall = this.calculateErrors(errorsByHorizon.flat());
 
         return {
             available: true,
-            mae,
-            rmse,
-            mape,
-            accuracy: Math.max(0, 100 - mape), // Simple accuracy %
-            validationPeriods: validationSize
+            ...overall,
+            accuracy: overall.mape !== null ? Math.max(0, 100 - overall.mape) : null,
+            origins,
+            horizons,
+            residuals,
+            coverage
         };
     }
 
+    /**
+     * Calculate MAE / RMSE / MAPE for actual-predicted pairs
+     * @param {Array} pairs - [{actual, predicted}]
+     * @returns {Object} {mae, rmse, mape, count} (mape null when all actuals are zero)
+     */
+    calculateErrors(pairs) {
+        const count = pairs.length;
+        if (count === 0) {
+            return { mae: null, rmse: null, mape: null, count };
+        }
+
+        let absSum = 0, sqSum = 0, pctSum = 0, pctCount = 0;
+
+        pairs.forEach(({ actual, predicted }) => {
+            const error = actual - predicted;
+            absSum += Math.abs(error);
+            sqSum += error * error;
+
+            // Months without revenue have no defined percentage error
+            if (actual !== 0) {
+                pctSum += Math.abs(error / actual);
+                pctCount++;
+            }
+        });
+
+        return {
+            mae: absSum / count,
+            rmse: Math.sqrt(sqSum / count),
+            mape: pctCount > 0 ? pctSum / pctCount * 100 : null,
+            count
+        };
+    }
+
+    /**
+     * Backtest every model on the same series
+     * @param {Array} timeSeries - Time series [{date, value}]
+     * @param {number} periods - Forecast horizon (months)
+     * @param {Object} options - Model options
+     * @returns {Array} [{method, metrics}] sorted best first
+     */
+    compareModels(timeSeries, periods, options = {}) {
+        const key = this.selectionMetric;
+
+        const comparison = this.models.map(method => ({
+            method,
+            metrics: this.backtest(timeSeries, method, periods, options)
+        }));
+
+        // Unavailable metrics sort last, original model order breaks ties
+        return comparison.sort((a, b) => {
+            const errorA = a.metrics.available ? a.metrics[key] : Infinity;
+            const errorB = b.metrics.available ? b.metrics[key] : Infinity;
+            return errorA - errorB;
+        });
+    }
+
+    /**
+     * Pick the model with the lowest backtest error
+     * @param {Array} comparison - Output of compareModels
+     * @returns {string} Method name
+     */
+    selectBestModel(comparison) {
+        const best = comparison[0];
+
+        if (!best || !best.metrics.available) {
+            console.warn('⚠️ Not enough data for model selection, using linear');
+            return 'linear';
+        }
+
+        console.log(`🏆 Auto-selected model: ${best.method} (${this.selectionMetric} ${best.metrics[this.selectionMetric].toFixed(2)})`);
+        return best.method;
+    }
+
+    // ========================================
+    // Hierarchical Forecasts
+    // ========================================
+
+    /**
+     * Forecast every source and insurance, reconciled with the total
+     * Sources are the base level: bottom-up sums the source forecasts into the
+     * total, top-down splits the aggregate forecast by the sources' forecast
+     * shares. Insurances are a second breakdown of the same total and are
+     * always scaled proportionally to it.
+     * @param {Array} entries - Historical entries
+     * @param {string} method - Model name or 'auto' (chosen per series)
+     * @param {number} periods - Number of months to forecast
+     * @param {Object} options - {reconciliation: 'bottom-up'|'top-down', includeParakratisi, ...model options}
+     * @returns {Object} {success, method, reconciliation, periods, total, bySource, byInsurance, generated}
+     */
+    generateHierarchicalForecast(entries, method = 'linear', periods = 6, options = {}) {
+        const { reconciliation = 'bottom-up' } = options;
+        console.log(`🏥 Generating ${reconciliation} hierarchical forecast...`);
+
+        try {
+            if (!this.reconciliationMethods.includes(reconciliation)) {
+                throw new Error(`Άγνωστη μέθοδος συμφιλίωσης: ${reconciliation}`);
+            }
+
+            const total = this.generateForecast(entries, method, periods, options);
+            if (!total.success) {
+                throw new Error(total.error);
+            }
+
+            const dates = total.historical.map(d => d.date);
+            const bySource = this.forecastGroups(entries, 'source', dates, total.method, periods, options);
+            const byInsurance = this.forecastGroups(entries, 'insurance', dates, total.method, periods, options);
+
+            const totalValues = reconciliation === 'bottom-up'
+                ? total.forecast.map((_, i) => bySource.reduce((sum, g) => sum + g.baseForecast[i].value, 0))
+                : total.forecast.map(f => f.value);
+
+            const totalForecast = this.addConfidenceIntervals(
+                total.forecast.map((f, i) => ({ ...f, baseValue: f.value, value: totalValues[i] })),
+                total.historical,
+                total.metrics,
+                options
+            );
+
+            return {
+                success: true,
+                method: total.method,
+                reconciliation,
+                periods,
+                confidenceLevel: total.confidenceLevel,
+                intervalMethod: total.intervalMethod,
+                total: {
+                    historical: total.historical,
+                    forecast: totalForecast,
+                    selectedMethod: total.selectedMethod,
+                    metrics: total.metrics
+                },
+                bySource: this.reconcileGroups(bySource, totalValues, options),
+                byInsurance: this.reconcileGroups(byInsurance, totalValues, options),
+                generated: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('❌ Hierarchical forecast error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Forecast each value of a field on its own series
+     * @param {Array} entries - Historical entries
+     * @param {string} field - 'source' or 'insurance'
+     * @param {Array<string>} dates - Months of the total series
+     * @param {string} method - Model name or 'auto'
+     * @param {number} periods - Number of months to forecast
+     * @param {Object} options - Model options
+     * @returns {Array} [{key, historical, baseForecast, selectedMethod, metrics}]
+     */
+    forecastGroups(entries, field, dates, method, periods, options = {}) {
+        const keys = [...new Set(entries.map(e => e[field]).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+
+        return keys.map(key => {
+            const series = this.alignTimeSeries(
+                this.prepareTimeSeries(entries.filter(e => e[field] === key), options),
+                dates
+            );
+            const { selectedMethod, forecast, metrics } = this.forecastSeries(series, method, periods, options, false);
+
+            return { key, historical: series, baseForecast: forecast, selectedMethod, metrics };
+        });
+    }
+
+    /**
+     * Align a series to the given months (missing months are zero)
+     * @param {Array} timeSeries - Time series [{date, value, count}]
+     * @param {Array<string>} dates - Target months
+     * @returns {Array} Aligned time series
+     */
+    alignTimeSeries(timeSeries, dates) {
+        const byDate = new Map(timeSeries.map(d => [d.date, d]));
+        return dates.map(date => byDate.get(date) || { date, value: 0, count: 0 });
+    }
+
+    /**
+     * Scale group forecasts so that they add up to the total
+     * Shares come from the base forecasts; if these are all zero for a month,
+     * the groups' recent historical shares are used instead.
+     * @param {Array} groups - Output of forecastGroups
+     * @param {Array<number>} totalValues - Reconciled total per forecast month
+     * @param {Object} options - Interval options {confidenceLevel, intervalMethod}
+     * @returns {Array} [{key, historical, forecast, selectedMethod, metrics}]
+     */
+    reconcileGroups(groups, totalValues, options = {}) {
+        const recentTotals = groups.map(g => g.historical
+            .slice(-this.shareLookbackMonths)
+            .reduce((sum, d) => sum + d.value, 0));
+        const recentSum = recentTotals.reduce((a, b) => a + b, 0);
+        const historicalShares = recentTotals.map(t => recentSum > 0 ? t / recentSum : 1 / groups.length);
+
+        return groups.map((group, g) => {
+            const forecast = group.baseForecast.map((point, i) => {
+                const baseSum = groups.reduce((sum, other) => sum + other.baseForecast[i].value, 0);
+                const share = baseSum > 0 ? point.value / baseSum : historicalShares[g];
+
+                return { ...point, baseValue: point.value, value: totalValues[i] * share };
+            });
+
+            return {
+                key: group.key,
+                historical: group.historical,
+                forecast: this.addConfidenceIntervals(forecast, group.historical, group.metrics, options),
+                selectedMethod: group.selectedMethod,
+                metrics: group.metrics
+            };
+        });
+    }
+
     /**
      * Add months to MM/YYYY date
      */
@@ -461,6 +1252,7 @@ class ForecastingManager {
         }
 
         const { historical, forecast } = result;
+        const levelLabel = `${Math.round((result.confidenceLevel || this.confidenceLevel) * 100)}%`;
 
         // Prepare datasets
         const historicalData = historical.map(d => ({
@@ -483,6 +1275,11 @@ class ForecastingManager {
             y: d.lower || 0
         }));
 
+        // Budget overlay (all sources / insurances), only for budgeted months
+        const budgetData = budgetManager
+            .getMonthlyTargets([...historical, ...forecast].map(d => d.date))
+            .map(m => ({ x: m.date, y: m.target }));
+
         // Create chart
         const ctx = canvas.getContext('2d');
         
@@ -514,7 +1311,7 @@ class ForecastingManager {
                         fill: false
                     },
                     {
-                        label: 'Άνω Όριο (95%)',
+                        label: `Άνω Όριο (${levelLabel})`,
                         data: upperBoundData,
                         borderColor: 'rgba(16, 185, 129, 0.3)',
                         backgroundColor: 'rgba(16, 185, 129, 0.05)',
@@ -525,7 +1322,7 @@ class ForecastingManager {
                         tension: 0.3
                     },
                     {
-                        label: 'Κάτω Όριο (95%)',
+                        label: `Κάτω Όριο (${levelLabel})`,
                         data: lowerBoundData,
                         borderColor: 'rgba(16, 185, 129, 0.3)',
                         backgroundColor: 'rgba(16, 185, 129, 0.05)',
@@ -534,7 +1331,19 @@ class ForecastingManager {
                         pointRadius: 0,
                         fill: false,
                         tension: 0.3
-                    }
+                    },
+                    ...(budgetData.length > 0 ? [{
+                        label: 'Στόχος',
+                        data: budgetData,
+                        borderColor: '#6366f1',
+                        backgroundColor: 'rgba(99, 102, 241, 0.1)',
+                        borderWidth: 2,
+                        borderDash: [8, 4],
+                        pointRadius: 3,
+                        pointHoverRadius: 5,
+                        tension: 0,
+                        fill: false
+                    }] : [])
                 ]
             },
             options: {
@@ -563,7 +1372,9 @@ class ForecastingManager {
                     },
                     title: {
                         display: true,
-                        text: `Πρόβλεψη Εσόδων - ${result.method.toUpperCase()}`,
+                        text: result.method === 'auto'
+                            ? `Πρόβλεψη Εσόδων - AUTO (${result.selectedMethod.toUpperCase()})`
+                            : `Πρόβλεψη Εσόδων - ${result.method.toUpperCase()}`,
                         font: {
                             size: 16,
                             weight: 'bold'
@@ -605,7 +1416,7 @@ class ForecastingManager {
             return;
         }
 
-        const { historical, forecast, method, metrics } = result;
+        const { historical, forecast, method, selectedMethod, parameters, metrics, comparison, confidenceLevel, intervalMethod } = result;
 
         // Build CSV
         const headers = ['Μήνας', 'Τύπος', 'Ποσό', 'Κάτω Όριο', 'Άνω Όριο'];
@@ -633,16 +1444,43 @@ class ForecastingManager {
             ]);
         });
 
-        // Add metrics
+        // Add backtest metrics
+        const formatError = value => value !== null ? value.toFixed(2) : '';
+        const formatPercent = value => value !== null ? `${value.toFixed(2)}%` : '';
+
         rows.push([]);
         rows.push(['Μέθοδος:', method]);
+        if (method === 'auto') {
+            rows.push(['Επιλεγμένο μοντέλο:', selectedMethod]);
+        }
+        if (parameters) {
+            rows.push(['Παράμετροι:', `"${this.describeParameters(parameters)}"`]);
+        }
+        rows.push(['Διάστημα πρόβλεψης:', `${Math.round(confidenceLevel * 100)}% (${intervalMethod})`]);
         if (metrics.available) {
-            rows.push(['Ακρίβεια:', `${metrics.accuracy.toFixed(2)}%`]);
-            rows.push(['MAE:', metrics.mae.toFixed(2)]);
-            rows.push(['RMSE:', metrics.rmse.toFixed(2)]);
-            rows.push(['MAPE:', `${metrics.mape.toFixed(2)}%`]);
+            rows.push(['Ακρίβεια:', formatPercent(metrics.accuracy)]);
+            rows.push(['MAE:', formatError(metrics.mae)]);
+            rows.push(['RMSE:', formatError(metrics.rmse)]);
+            rows.push(['MAPE:', formatPercent(metrics.mape)]);
+            rows.push(['Σημεία backtest:', metrics.origins]);
+            rows.push(['Κάλυψη διαστημάτων:', formatPercent(metrics.coverage.rate)]);
+
+            rows.push([]);
+            rows.push(['Ορίζοντας (μήνες)', 'MAE', 'RMSE', 'MAPE', 'Δείγματα', 'Κάλυψη']);
+            metrics.horizons.forEach(h => {
+                rows.push([h.horizon, formatError(h.mae), formatError(h.rmse), formatPercent(h.mape), h.count, formatPercent(h.coverage)]);
+            });
         }
 
+        // Model comparison
+        rows.push([]);
+        rows.push(['Μοντέλο', 'MAE', 'RMSE', 'MAPE']);
+        comparison.forEach(({ method: model, metrics: m }) => {
+            rows.push(m.available
+                ? [model, formatError(m.mae), formatError(m.rmse), formatPercent(m.mape)]
+                : [model, '', '', '']);
+        });
+
         const csv = [
             headers.join(','),
             ...rows.map(row => row.join(','))
@@ -658,6 +1496,230 @@ class ForecastingManager {
         showToast('CSV εξήχθη επιτυχώς', 'success');
     }
 
+    /**
+     * Render small-multiple charts for one breakdown of a hierarchical forecast
+     * @param {Object} result - Output of generateHierarchicalForecast
+     * @param {string} dimension - 'source' or 'insurance'
+     * @param {string} containerId - Grid container id
+     */
+    visualizeHierarchy(result, dimension = 'source', containerId = 'forecastMultiplesGrid') {
+        const container = document.getElementById(containerId);
+        if (!container || !result.success) return;
+
+        // Destroy previous small multiples
+        Object.keys(STATE.charts)
+            .filter(key => key.startsWith(`${containerId}_`))
+            .forEach(key => {
+                STATE.charts[key].destroy();
+                delete STATE.charts[key];
+            });
+
+        const groups = dimension === 'insurance' ? result.byInsurance : result.bySource;
+
+        container.innerHTML = groups.map((group, i) => {
+            const forecastTotal = group.forecast.reduce((sum, f) => sum + f.value, 0);
+            return `
+                <div class="forecast-multiple">
+                    <h4>${escapeHtml(group.key)}</h4>
+                    <span class="forecast-multiple-meta">
+                        ${escapeHtml(group.selectedMethod)} · ${formatCurrency(forecastTotal)}
+                    </span>
+                    <canvas id="${containerId}_${i}"></canvas>
+                </div>
+            `;
+        }).join('');
+
+        groups.forEach((group, i) => {
+            const canvas = document.getElementById(`${containerId}_${i}`);
+            if (!canvas) return;
+
+            // Start the forecast line at the last actual month so the lines connect
+            const last = group.historical[group.historical.length - 1];
+
+            STATE.charts[`${containerId}_${i}`] = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: [
+                        {
+                            label: 'Ιστορικά',
+                            data: group.historical.map(d => ({ x: d.date, y: d.value })),
+                            borderColor: '#2563eb',
+                            borderWidth: 1.5,
+                            pointRadius: 0,
+                            tension: 0.3,
+                            fill: false
+                        },
+                        {
+                            label: 'Πρόβλεψη',
+                            data: [
+                                { x: last.date, y: last.value },
+                                ...group.forecast.map(d => ({ x: d.date, y: d.value }))
+                            ],
+                            borderColor: '#10b981',
+                            borderWidth: 1.5,
+                            borderDash: [4, 4],
+                            pointRadius: 0,
+                            tension: 0.3,
+                            fill: false
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: true,
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { type: 'category', ticks: { maxTicksLimit: 6 } },
+                        y: { ticks: { maxTicksLimit: 4, callback: (value) => formatCurrency(value) } }
+                    }
+                }
+            });
+        });
+
+        console.log(`📊 Rendered ${groups.length} small-multiple charts (${dimension})`);
+    }
+
+    /**
+     * Flatten a hierarchical forecast into one row per level/group/month
+     * @param {Object} result - Output of generateHierarchicalForecast
+     * @returns {Array} [{level, key, date, method, baseValue, value, lower, upper}]
+     */
+    getHierarchyRows(result) {
+        const levels = [
+            { level: 'Σύνολο', groups: [{ key: 'Σύνολο', ...result.total }] },
+            { level: 'Διαγνωστικό', groups: result.bySource },
+            { level: 'Ασφάλεια', groups: result.byInsurance }
+        ];
+
+        return levels.flatMap(({ level, groups }) => groups.flatMap(group =>
+            group.forecast.map(f => ({
+                level,
+                key: group.key,
+                date: f.date,
+                method: group.selectedMethod,
+                baseValue: f.baseValue,
+                value: f.value,
+                lower: f.lower,
+                upper: f.upper
+            }))
+        ));
+    }
+
+    /**
+     * Export hierarchical forecast to CSV
+     */
+    exportHierarchyCSV(result) {
+        if (!result || !result.success) {
+            showToast('Δεν υπάρχει πρόβλεψη για εξαγωγή', 'error');
+            return;
+        }
+
+        const headers = ['Επίπεδο', 'Κατηγορία', 'Μήνας', 'Μοντέλο', 'Βασική Πρόβλεψη', 'Συμφιλιωμένη Πρόβλεψη', 'Κάτω Όριο', 'Άνω Όριο'];
+        const rows = this.getHierarchyRows(result).map(r => [
+            r.level,
+            `"${r.key.replace(/"/g, '""')}"`,
+            r.date,
+            r.method,
+            r.baseValue.toFixed(2),
+            r.value.toFixed(2),
+            r.lower.toFixed(2),
+            r.upper.toFixed(2)
+        ]);
+
+        rows.push([]);
+        rows.push(['Συμφιλίωση:', result.reconciliation]);
+
+        const csv = [
+            headers.join(','),
+            ...rows.map(row => row.join(','))
+        ].join('\n');
+
+        const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `forecast_hierarchy_${result.reconciliation}_${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+
+        showToast('CSV εξήχθη επιτυχώς', 'success');
+    }
+
+    /**
+     * Build workbook sheets for XLSX export of a hierarchical forecast
+     * @param {Object} result - Output of generateHierarchicalForecast
+     * @returns {Array} Sheet definitions for xlsxManager.exportWorkbook
+     */
+    getHierarchyXLSXSheets(result) {
+        if (!result || !result.success) {
+            return [];
+        }
+
+        // One column per group, one row per forecast month, plus the total
+        const wideSheet = (name, groups) => ({
+            name,
+            columns: [
+                { header: 'Μήνας' },
+                ...groups.map(g => ({ header: g.key, format: 'currency' })),
+                { header: 'Σύνολο', format: 'currency' }
+            ],
+            rows: result.total.forecast.map((f, i) => [
+                f.date,
+                ...groups.map(g => g.forecast[i].value),
+                f.value
+            ])
+        });
+
+        return [
+            wideSheet('Διαγνωστικά', result.bySource),
+            wideSheet('Ασφάλειες', result.byInsurance),
+            {
+                name: 'Λεπτομέρειες',
+                columns: [
+                    { header: 'Επίπεδο' },
+                    { header: 'Κατηγορία' },
+                    { header: 'Μήνας' },
+                    { header: 'Μοντέλο' },
+                    { header: 'Βασική Πρόβλεψη', format: 'currency' },
+                    { header: 'Συμφιλιωμένη Πρόβλεψη', format: 'currency' },
+                    { header: 'Κάτω Όριο', format: 'currency' },
+                    { header: 'Άνω Όριο', format: 'currency' }
+                ],
+                rows: this.getHierarchyRows(result).map(r => [
+                    r.level, r.key, r.date, r.method, r.baseValue, r.value, r.lower, r.upper
+                ])
+            }
+        ];
+    }
+
+    /**
+     * Human-readable description of fitted model parameters
+     * @param {Object} parameters - Parameters from a forecast point
+     * @returns {string} Description
+     */
+    describeParameters(parameters) {
+        if (!parameters) return '';
+
+        if (parameters.model) {
+            return parameters.model;
+        }
+        if (parameters.members) {
+            return `Μέσος όρος: ${parameters.members.join(' + ')}`;
+        }
+        if (parameters.window) {
+            return `Παράθυρο ${parameters.window} μηνών`;
+        }
+
+        const { alpha, beta, gamma, phi } = parameters;
+        const damping = phi !== 1 ? ` φ=${phi.toFixed(2)}` : '';
+        return `α=${alpha.toFixed(2)} β=${beta.toFixed(2)} γ=${gamma.toFixed(2)}${damping}`;
+    }
+
     /**
      * Get available years from entries
      */
@@ -6,7 +6,8 @@
 
 import { STATE } from './state.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
-import { formatCurrency, STRINGS } from './utils.js';
+import { getInsuranceTaxDefaults } from './dataManager.js';
+import { formatCurrency, STRINGS, isValidMonthYear } from './utils.js';
 
 // ========================================
 // Deduction Fields Visibility
@@ -33,6 +34,8 @@ export function showDeductionFields() {
         nonEopyyDeductions.style.display = (!isEopyy && isInvoice) ? 'block' : 'none';
     }
     
+    updateTaxFields('quick', 'quickTaxFields', insurance, isInvoice);
+    
     // Recalculate final amount
     calculateFinalAmount('quick');
 }
@@ -58,10 +61,34 @@ export function showModalDeductionFields() {
         nonEopyyDeductions.style.display = (!isEopyy && isInvoice) ? 'block' : 'none';
     }
     
+    updateTaxFields('entry', 'modalTaxFields', insurance, isInvoice);
+    
     // Recalculate final amount
     calculateFinalAmount('entry');
 }
 
+/**
+ * Show VAT / withholding fields for invoices, with the insurance defaults as placeholders
+ * @param {string} prefix - 'quick' or 'entry'
+ * @param {string} containerId - Tax fields container
+ * @param {string} insurance - Selected insurance
+ * @param {boolean} isInvoice - Invoice selected
+ * @private
+ */
+function updateTaxFields(prefix, containerId, insurance, isInvoice) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.style.display = isInvoice ? 'block' : 'none';
+    
+    const defaults = getInsuranceTaxDefaults(insurance);
+    const vatInput = document.getElementById(`${prefix}VatRate`);
+    const withholdingInput = document.getElementById(`${prefix}WithholdingRate`);
+    
+    if (vatInput) vatInput.placeholder = defaults.vatRate !== null ? `${defaults.vatRate}` : '—';
+    if (withholdingInput) withholdingInput.placeholder = defaults.withholdingRate !== null ? `${defaults.withholdingRate}` : '—';
+}
+
 // ========================================
 // Final Amount Calculation
 // ========================================
@@ -169,6 +196,75 @@ export function setupPercentageSync(amountId, percentId, baseAmountGetter) {
     });
 }
 
+// ========================================
+// Tiered Rebate Pre-fill
+// ========================================
+
+/**
+ * Pre-fill rebate from the bracket table and flag manual values that differ
+ * The amount is written through the rebate input's 'input' event so that
+ * setupPercentageSync keeps the percentage and final amount in step.
+ * @param {string} prefix - 'quick' or 'entry'
+ * @param {Object} options - Options
+ * @param {boolean} options.fill - Write the calculated rebate (false only refreshes the hint)
+ */
+export function prefillTieredRebate(prefix, options = {}) {
+    const { fill = true } = options;
+    const rebateEl = document.getElementById(`${prefix}Rebate`);
+    const hintEl = document.getElementById(`${prefix}RebateHint`);
+    if (!rebateEl) return;
+
+    const entry = {
+        id: prefix === 'entry' ? document.getElementById('entryId')?.value || undefined : undefined,
+        date: document.getElementById(`${prefix}Date`)?.value,
+        source: document.getElementById(`${prefix}Source`)?.value,
+        insurance: document.getElementById(`${prefix}Insurance`)?.value || '',
+        amount: parseFloat(document.getElementById(`${prefix}Amount`)?.value) || 0
+    };
+
+    const calculated = isValidMonthYear(entry.date) && entry.source
+        ? eopyyDeductionsManager.calculateEntryRebate(entry, STATE.entries)
+        : null;
+
+    if (!calculated) {
+        if (hintEl) hintEl.textContent = '';
+        return;
+    }
+
+    // Only overwrite empty fields or values we filled ourselves
+    const isManual = rebateEl.value !== '' && rebateEl.value !== rebateEl.dataset.autoValue;
+
+    if (fill && !isManual && rebateEl.value !== calculated.rebate.toFixed(2)) {
+        rebateEl.value = calculated.rebate.toFixed(2);
+        rebateEl.dataset.autoValue = rebateEl.value;
+        // Re-enters via the 'input' listener below, which is a no-op once the value is set
+        rebateEl.dispatchEvent(new Event('input'));
+    }
+
+    if (hintEl) {
+        const differs = Math.abs((parseFloat(rebateEl.value) || 0) - calculated.rebate) > 0.01;
+        hintEl.textContent = `Κλιμάκια: ${formatCurrency(calculated.rebate)}` +
+            (differs ? ' ⚠️ διαφέρει από το καταχωρημένο' : '');
+        hintEl.classList.toggle('text-danger', differs);
+    }
+}
+
+/**
+ * Setup rebate pre-fill triggers for a form
+ * @param {string} prefix - 'quick' or 'entry'
+ * @private
+ */
+function setupTieredRebate(prefix) {
+    const refresh = () => prefillTieredRebate(prefix);
+
+    ['Amount', 'Rebate'].forEach(field => {
+        document.getElementById(`${prefix}${field}`)?.addEventListener('input', refresh);
+    });
+    ['Date', 'Source', 'Insurance', 'Type'].forEach(field => {
+        document.getElementById(`${prefix}${field}`)?.addEventListener('change', refresh);
+    });
+}
+
 // ========================================
 // Form Setup Functions
 // ========================================
@@ -185,6 +281,7 @@ export function setupQuickFormPercentages() {
     setupPercentageSync('quickKrathseisEopyy', 'quickKrathseisEopyyPercent', getQuickAmount);
     setupPercentageSync('quickClawback', 'quickClawbackPercent', getQuickAmount);
     setupPercentageSync('quickKrathseisOther', 'quickKrathseisOtherPercent', getQuickAmount);
+    setupTieredRebate('quick');
 }
 
 /**
@@ -199,6 +296,7 @@ export function setupModalFormPercentages() {
     setupPercentageSync('entryKrathseisEopyy', 'entryKrathseisEopyyPercent', getModalAmount);
     setupPercentageSync('entryClawback', 'entryClawbackPercent', getModalAmount);
     setupPercentageSync('entryKrathseisOther', 'entryKrathseisOtherPercent', getModalAmount);
+    setupTieredRebate('entry');
 }
 
 // ========================================
@@ -335,6 +433,14 @@ export function resetQuickForm() {
     if (amountField) amountField.value = '';
     if (notesField) notesField.value = '';
     if (notesToggle) notesToggle.checked = false;
+    
+    const invoiceNumberField = document.getElementById('quickInvoiceNumber');
+    if (invoiceNumberField) invoiceNumberField.value = '';
+    
+    ['quickVatRate', 'quickWithholdingRate'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
     if (notesField) notesField.style.display = 'none';
     
     // Clear all deduction fields (amounts AND percentages)
@@ -352,6 +458,10 @@ export function resetQuickForm() {
         if (el) el.value = '';
     });
     
+    const rebateHint = document.getElementById('quickRebateHint');
+    if (rebateHint) rebateHint.textContent = '';
+    delete document.getElementById('quickRebate')?.dataset.autoValue;
+    
     // Reset clawback period to default
     const clawbackPeriod = document.getElementById('quickClawbackPeriod');
     if (clawbackPeriod) clawbackPeriod.value = 'monthly';
@@ -367,6 +477,9 @@ export function resetQuickForm() {
     const nonEopyyDeductions = document.getElementById('quickNonEopyyDeductions');
     if (eopyyDeductions) eopyyDeductions.style.display = 'none';
     if (nonEopyyDeductions) nonEopyyDeductions.style.display = 'none';
+    
+    const taxFields = document.getElementById('quickTaxFields');
+    if (taxFields) taxFields.style.display = 'none';
 }
 
 /**
@@ -375,14 +488,16 @@ export function resetQuickForm() {
 export function resetModalForm() {
     // Clear all fields
     const fields = [
-        'entryId', 'entryDate', 'entryAmount',
+        'entryId', 'entryDate', 'entryAmount', 'entryInvoiceNumber',
+        'entryVatRate', 'entryWithholdingRate',
         'entryParakratisi', 'entryParakratisiPercent',
         'entryMDE', 'entryMDEPercent',
         'entryRebate', 'entryRebatePercent',
         'entryKrathseisEopyy', 'entryKrathseisEopyyPercent',
         'entryClawback', 'entryClawbackPercent',
         'entryKrathseisOther', 'entryKrathseisOtherPercent',
-        'entryNotes'
+        'entryNotes',
+        'entryPaymentStatus', 'entryAmountReceived', 'entryPaymentDate', 'entryExpectedPaymentDate'
     ];
     
     fields.forEach(id => {
@@ -390,6 +505,10 @@ export function resetModalForm() {
         if (el) el.value = '';
     });
     
+    const rebateHint = document.getElementById('entryRebateHint');
+    if (rebateHint) rebateHint.textContent = '';
+    delete document.getElementById('entryRebate')?.dataset.autoValue;
+    
     // Reset notes toggle
     const entryNotesToggle = document.getElementById('entryNotesToggle');
     const entryNotes = document.getElementById('entryNotes');
@@ -413,6 +532,9 @@ export function resetModalForm() {
     if (eopyyDeductions) eopyyDeductions.style.display = 'none';
     if (nonEopyyDeductions) nonEopyyDeductions.style.display = 'none';
     
+    const taxFields = document.getElementById('modalTaxFields');
+    if (taxFields) taxFields.style.display = 'none';
+    
     // Clear editing state
     STATE.editingEntry = null;
 }
@@ -482,6 +604,15 @@ export function validateFormData(entry) {
         errors.push('Η ημερομηνία πρέπει να είναι σε μορφή ΜΜ/ΕΕΕΕ');
     }
     
+    // Tax rates (empty = insurance default)
+    ['vatRate', 'withholdingRate'].forEach(field => {
+        if (entry[field] === undefined || entry[field] === '') return;
+        const rate = parseFloat(entry[field]);
+        if (isNaN(rate) || rate < 0 || rate > 100) {
+            errors.push('Τα ποσοστά ΦΠΑ / παρακράτησης φόρου πρέπει να είναι 0-100');
+        }
+    });
+    
     // Deductions validation for ΕΟΠΥΥ
     if (entry.insurance && entry.insurance.toUpperCase().includes('ΕΟΠΥΥ') && entry.deductions) {
         const totalDeductions = 
@@ -529,6 +660,7 @@ export default {
     resetQuickForm,
     resetModalForm,
     setupRememberSelections,
+    prefillTieredRebate,
     validateFormData
 };
 
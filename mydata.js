@@ -0,0 +1,522 @@
+/**
+ * mydata.js - AADE myDATA Export
+ * Builds myDATA InvoicesDoc XML from invoice entries, validated against a bundled schema
+ * Version: 2.0
+ */
+
+import { STATE } from './state.js';
+import storage from './storage.js';
+import { getEntryTax } from './dataManager.js';
+import { parseMonthYear, compareDates, downloadBlob } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const MYDATA_CONFIG = {
+    namespaces: {
+        '': 'http://www.aade.gr/myDATA/invoice/v1.0',
+        icls: 'https://www.aade.gr/myDATA/incomeClassificaton/v1.0'
+    },
+    invoiceType: '2.1',                   // Τιμολόγιο Παροχής Υπηρεσιών
+    currency: 'EUR',
+    country: 'GR',
+    defaultSeries: '0',                   // '0' = no series
+    classification: {
+        category: 'category1_3',          // Έσοδα από Παροχή Υπηρεσιών
+        type: 'E3_561_001'                // Πωλήσεις αγαθών και υπηρεσιών Χονδρικές - Επιτηδευματιών
+    },
+    // VAT rate (%) => vatCategory
+    vatCategories: { 24: 1, 13: 2, 6: 3, 17: 4, 9: 5, 4: 6, 0: 7 },
+    // Medical services are VAT exempt (article 22 of the VAT code)
+    vatExemptionCategory: 7,
+    // Withholding rate (%) => withheldPercentCategory
+    withheldPercentCategories: { 15: 1, 20: 3, 3: 4, 1: 5, 4: 6, 8: 7 }
+};
+
+// ========================================
+// Bundled Schema
+// ========================================
+
+/**
+ * Subset of the AADE InvoicesDoc XSD (v1.0.x) covering the elements this exporter writes.
+ * Children are listed in schema order; min / max are occurrences (defaults 1 / 1).
+ */
+const CLASSIFICATION_SCHEMA = [
+    { name: 'classificationType', prefix: 'icls', min: 0, enum: ['E3_561_001', 'E3_561_002', 'E3_561_003', 'E3_561_004', 'E3_561_005', 'E3_561_006', 'E3_561_007'] },
+    { name: 'classificationCategory', prefix: 'icls', enum: ['category1_1', 'category1_2', 'category1_3', 'category1_4', 'category1_5', 'category1_7', 'category1_8', 'category1_9', 'category1_10', 'category1_95'] },
+    { name: 'amount', prefix: 'icls', type: 'amount' }
+];
+
+const PARTY_SCHEMA = [
+    { name: 'vatNumber', type: 'string', pattern: /^\d{9}$/, maxLength: 30 },
+    { name: 'country', enum: ['GR'] },
+    { name: 'branch', type: 'integer', minValue: 0 }
+];
+
+const MYDATA_SCHEMA = {
+    name: 'InvoicesDoc',
+    children: [{
+        name: 'invoice',
+        max: Infinity,
+        children: [
+            { name: 'issuer', children: PARTY_SCHEMA },
+            { name: 'counterpart', min: 0, children: PARTY_SCHEMA },
+            {
+                name: 'invoiceHeader',
+                children: [
+                    { name: 'series', type: 'string', maxLength: 50 },
+                    { name: 'aa', type: 'string', maxLength: 50 },
+                    { name: 'issueDate', type: 'date' },
+                    { name: 'invoiceType', enum: ['1.1', '1.2', '1.3', '2.1', '2.2', '2.3', '5.1', '5.2', '11.1', '11.2'] },
+                    { name: 'currency', min: 0, enum: ['EUR'] }
+                ]
+            },
+            {
+                name: 'invoiceDetails',
+                max: Infinity,
+                children: [
+                    { name: 'lineNumber', type: 'integer', minValue: 1 },
+                    { name: 'netValue', type: 'amount' },
+                    { name: 'vatCategory', type: 'integer', minValue: 1, maxValue: 8 },
+                    { name: 'vatAmount', type: 'amount' },
+                    { name: 'vatExemptionCategory', min: 0, type: 'integer', minValue: 1, maxValue: 31 },
+                    { name: 'withheldAmount', min: 0, type: 'amount' },
+                    { name: 'withheldPercentCategory', min: 0, type: 'integer', minValue: 1, maxValue: 18 },
+                    { name: 'incomeClassification', min: 0, max: Infinity, children: CLASSIFICATION_SCHEMA }
+                ]
+            },
+            {
+                name: 'invoiceSummary',
+                children: [
+                    { name: 'totalNetValue', type: 'amount' },
+                    { name: 'totalVatAmount', type: 'amount' },
+                    { name: 'totalWithheldAmount', type: 'amount' },
+                    { name: 'totalFeesAmount', type: 'amount' },
+                    { name: 'totalStampDutyAmount', type: 'amount' },
+                    { name: 'totalOtherTaxesAmount', type: 'amount' },
+                    { name: 'totalDeductionsAmount', type: 'amount' },
+                    { name: 'totalGrossValue', type: 'amount' },
+                    { name: 'incomeClassification', min: 0, max: Infinity, children: CLASSIFICATION_SCHEMA }
+                ]
+            }
+        ]
+    }]
+};
+
+/**
+ * Check a Greek VAT number (ΑΦΜ) including its check digit
+ * @param {string} vatNumber - VAT number
+ * @returns {boolean} Valid
+ * @private
+ */
+function isValidVatNumber(vatNumber) {
+    if (!/^\d{9}$/.test(vatNumber) || vatNumber === '000000000') return false;
+
+    const digits = vatNumber.split('').map(Number);
+    const sum = digits.slice(0, 8).reduce((total, digit, i) => total + digit * Math.pow(2, 8 - i), 0);
+    return (sum % 11) % 10 === digits[8];
+}
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ * @private
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape XML text
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ========================================
+// myDATA Exporter Class
+// ========================================
+class MyDataExporter {
+    constructor() {
+        // issuers: per source, counterparts: per insurance
+        this.settings = { series: MYDATA_CONFIG.defaultSeries, issuers: {}, counterparts: {} };
+    }
+
+    /**
+     * Load settings from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSettings() {
+        try {
+            const stored = await storage.loadSetting('myData');
+            this.settings = {
+                series: MYDATA_CONFIG.defaultSeries,
+                issuers: {},
+                counterparts: {},
+                ...(stored || {})
+            };
+            return true;
+        } catch (error) {
+            console.error('[myDATA] Load error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace settings
+     * @param {Object} settings - {series, issuers: {source: {vatNumber, branch}}, counterparts: {insurance: {vatNumber, branch}}}
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSettings(settings) {
+        const cleanParties = (parties, kind) => {
+            const cleaned = {};
+            Object.entries(parties || {}).forEach(([name, party]) => {
+                const vatNumber = (party.vatNumber || '').toString().replace(/\s/g, '');
+                if (!vatNumber) return;
+
+                if (!isValidVatNumber(vatNumber)) {
+                    throw new Error(`Μη έγκυρο ΑΦΜ ${kind} "${name}": ${vatNumber}`);
+                }
+
+                const branch = parseInt(party.branch, 10);
+                cleaned[name] = { vatNumber, branch: isNaN(branch) || branch < 0 ? 0 : branch };
+            });
+            return cleaned;
+        };
+
+        const series = (settings.series || '').toString().trim() || MYDATA_CONFIG.defaultSeries;
+        if (series.length > 50) {
+            throw new Error('Η σειρά τιμολογίων δεν μπορεί να υπερβαίνει τους 50 χαρακτήρες');
+        }
+
+        this.settings = {
+            series,
+            issuers: cleanParties(settings.issuers, 'διαγνωστικού'),
+            counterparts: cleanParties(settings.counterparts, 'ασφάλειας')
+        };
+
+        try {
+            await storage.saveSetting('myData', this.settings);
+            return true;
+        } catch (error) {
+            console.error('[myDATA] Save error:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // Documents
+    // ========================================
+
+    /**
+     * Build one InvoicesDoc per issuer for the invoices of a period
+     * myDATA accepts documents of the authenticated issuer only, so sources
+     * sharing a VAT number share a document.
+     * @param {string} startDate - Start month (MM/YYYY)
+     * @param {string} endDate - End month (MM/YYYY)
+     * @param {Array} entries - Entries (defaults to all)
+     * @returns {Object} {documents: [{vatNumber, fileName, invoiceCount, totals, xml}], errors}
+     */
+    buildDocuments(startDate, endDate, entries = STATE.entries) {
+        const invoices = entries
+            .filter(e => e.type === 'invoice' &&
+                compareDates(e.date, startDate) >= 0 &&
+                compareDates(e.date, endDate) <= 0)
+            .sort((a, b) => compareDates(a.date, b.date) || a.source.localeCompare(b.source));
+
+        const errors = [];
+        const groups = new Map();
+
+        invoices.forEach(entry => {
+            const label = `${entry.date} · ${entry.source} · ${entry.insurance}`;
+            const invoice = this.buildInvoice(entry, errors, label);
+            if (!invoice) return;
+
+            const invoiceErrors = [];
+            this.validateNode(invoice, MYDATA_SCHEMA.children[0], label, invoiceErrors);
+            if (invoiceErrors.length > 0) {
+                errors.push(...invoiceErrors);
+                return;
+            }
+
+            const vatNumber = invoice.issuer.vatNumber;
+            if (!groups.has(vatNumber)) groups.set(vatNumber, []);
+            groups.get(vatNumber).push(invoice);
+        });
+
+        if (invoices.length === 0) {
+            errors.push(`Δεν υπάρχουν τιμολόγια για την περίοδο ${startDate} - ${endDate}`);
+        }
+
+        const period = `${startDate.replace('/', '')}-${endDate.replace('/', '')}`;
+        const documents = Array.from(groups.entries()).map(([vatNumber, docInvoices]) => {
+            const doc = { invoice: docInvoices };
+            const docErrors = [];
+            this.validateNode(doc, MYDATA_SCHEMA, 'InvoicesDoc', docErrors);
+            errors.push(...docErrors);
+
+            const totals = { net: 0, vat: 0, withheld: 0, gross: 0 };
+            docInvoices.forEach(invoice => {
+                totals.net += invoice.invoiceSummary.totalNetValue;
+                totals.vat += invoice.invoiceSummary.totalVatAmount;
+                totals.withheld += invoice.invoiceSummary.totalWithheldAmount;
+                totals.gross += invoice.invoiceSummary.totalGrossValue;
+            });
+
+            return {
+                vatNumber,
+                fileName: `mydata_${vatNumber}_${period}.xml`,
+                invoiceCount: docInvoices.length,
+                totals,
+                xml: this.serialize(doc)
+            };
+        });
+
+        return { documents, errors };
+    }
+
+    /**
+     * Build and download the documents of a period
+     * Nothing is downloaded while any invoice fails validation.
+     * @param {string} startDate - Start month (MM/YYYY)
+     * @param {string} endDate - End month (MM/YYYY)
+     * @returns {Object} {documents, errors}
+     */
+    exportPeriod(startDate, endDate) {
+        const result = this.buildDocuments(startDate, endDate);
+        if (result.errors.length > 0) {
+            console.warn('[myDATA] Validation errors:', result.errors);
+            return result;
+        }
+
+        result.documents.forEach(doc => {
+            downloadBlob(doc.fileName, new Blob([doc.xml], { type: 'application/xml;charset=utf-8' }));
+        });
+
+        console.log(`[myDATA] Exported ${result.documents.length} documents (${startDate} - ${endDate})`);
+        return result;
+    }
+
+    /**
+     * Map an invoice entry to a myDATA invoice
+     * @param {Object} entry - Invoice entry
+     * @param {Array} errors - Error list (appended)
+     * @param {string} label - Entry label for messages
+     * @returns {Object|null} Invoice, or null when settings are missing
+     * @private
+     */
+    buildInvoice(entry, errors, label) {
+        const issuer = this.settings.issuers[entry.source];
+        const counterpart = this.settings.counterparts[entry.insurance];
+        const before = errors.length;
+
+        if (!issuer) {
+            errors.push(`${label}: Λείπει το ΑΦΜ του διαγνωστικού (Ρυθμίσεις → myDATA)`);
+        }
+        if (!counterpart) {
+            errors.push(`${label}: Λείπει το ΑΦΜ της ασφάλειας (Ρυθμίσεις → myDATA)`);
+        }
+        if (!entry.invoiceNumber) {
+            errors.push(`${label}: Λείπει ο αριθμός τιμολογίου`);
+        }
+
+        const tax = getEntryTax(entry);
+        const vatCategory = MYDATA_CONFIG.vatCategories[tax.vatRate];
+        if (vatCategory === undefined) {
+            errors.push(`${label}: Το ποσοστό ΦΠΑ ${tax.vatRate}% δεν αντιστοιχεί σε κατηγορία myDATA`);
+        }
+
+        const withheldPercentCategory = tax.withholdingRate > 0
+            ? MYDATA_CONFIG.withheldPercentCategories[tax.withholdingRate]
+            : null;
+        if (withheldPercentCategory === undefined) {
+            errors.push(`${label}: Το ποσοστό παρακράτησης ${tax.withholdingRate}% δεν αντιστοιχεί σε κατηγορία myDATA`);
+        }
+
+        if (errors.length > before) return null;
+
+        const classification = {
+            classificationType: MYDATA_CONFIG.classification.type,
+            classificationCategory: MYDATA_CONFIG.classification.category,
+            amount: roundCents(tax.net)
+        };
+
+        const details = {
+            lineNumber: 1,
+            netValue: roundCents(tax.net),
+            vatCategory,
+            vatAmount: roundCents(tax.vat),
+            incomeClassification: [classification]
+        };
+        if (vatCategory === MYDATA_CONFIG.vatCategories[0]) {
+            details.vatExemptionCategory = MYDATA_CONFIG.vatExemptionCategory;
+        }
+        if (withheldPercentCategory) {
+            details.withheldAmount = roundCents(tax.withheld);
+            details.withheldPercentCategory = withheldPercentCategory;
+        }
+
+        return {
+            issuer: { vatNumber: issuer.vatNumber, country: MYDATA_CONFIG.country, branch: issuer.branch },
+            counterpart: { vatNumber: counterpart.vatNumber, country: MYDATA_CONFIG.country, branch: counterpart.branch },
+            invoiceHeader: {
+                series: this.settings.series,
+                aa: entry.invoiceNumber.toString().trim(),
+                issueDate: this.getIssueDate(entry.date),
+                invoiceType: MYDATA_CONFIG.invoiceType,
+                currency: MYDATA_CONFIG.currency
+            },
+            invoiceDetails: [details],
+            invoiceSummary: {
+                totalNetValue: details.netValue,
+                totalVatAmount: details.vatAmount,
+                totalWithheldAmount: details.withheldAmount || 0,
+                totalFeesAmount: 0,
+                totalStampDutyAmount: 0,
+                totalOtherTaxesAmount: 0,
+                totalDeductionsAmount: 0,
+                totalGrossValue: roundCents(details.netValue + details.vatAmount - (details.withheldAmount || 0)),
+                incomeClassification: [{ ...classification }]
+            }
+        };
+    }
+
+    /**
+     * Issue date of a monthly entry: last day of the month (today for the running month)
+     * @param {string} date - Month (MM/YYYY)
+     * @returns {string} YYYY-MM-DD
+     * @private
+     */
+    getIssueDate(date) {
+        const { month, year } = parseMonthYear(date);
+        const lastDay = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+        const today = new Date().toISOString().slice(0, 10);
+        return lastDay < today ? lastDay : today;
+    }
+
+    // ========================================
+    // Schema Validation & Serialization
+    // ========================================
+
+    /**
+     * Validate an element against its schema definition
+     * @param {Object} value - Element value (object keyed by child name)
+     * @param {Object} def - Schema definition
+     * @param {string} path - Path for messages
+     * @param {Array} errors - Error list (appended)
+     * @private
+     */
+    validateNode(value, def, path, errors) {
+        def.children.forEach(child => {
+            const raw = value[child.name];
+            const items = raw === undefined || raw === null ? [] : (Array.isArray(raw) ? raw : [raw]);
+            const min = child.min ?? 1;
+            const max = child.max ?? 1;
+            const childPath = `${path}/${child.name}`;
+
+            if (items.length < min) {
+                errors.push(`${childPath}: Υποχρεωτικό στοιχείο`);
+            }
+            if (items.length > max) {
+                errors.push(`${childPath}: Επιτρέπεται έως ${max} φορές`);
+            }
+
+            items.forEach((item, i) => {
+                const itemPath = items.length > 1 ? `${childPath}[${i + 1}]` : childPath;
+                if (child.children) {
+                    this.validateNode(item, child, itemPath, errors);
+                } else {
+                    const message = this.validateValue(item, child);
+                    if (message) errors.push(`${itemPath}: ${message}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate a simple value
+     * @param {*} value - Value
+     * @param {Object} def - Schema definition
+     * @returns {string|null} Error message
+     * @private
+     */
+    validateValue(value, def) {
+        if (def.enum) {
+            return def.enum.includes(String(value)) ? null : `Μη αποδεκτή τιμή "${value}"`;
+        }
+
+        switch (def.type) {
+            case 'amount':
+                if (typeof value !== 'number' || !isFinite(value) || value < 0) return 'Μη έγκυρο ποσό';
+                if (Math.abs(value * 100 - Math.round(value * 100)) > 1e-6) return 'Έως 2 δεκαδικά ψηφία';
+                return null;
+            case 'integer':
+                if (!Number.isInteger(value)) return 'Απαιτείται ακέραιος';
+                if (def.minValue !== undefined && value < def.minValue) return `Ελάχιστη τιμή ${def.minValue}`;
+                if (def.maxValue !== undefined && value > def.maxValue) return `Μέγιστη τιμή ${def.maxValue}`;
+                return null;
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : 'Μη έγκυρη ημερομηνία';
+            default:
+                if (typeof value !== 'string' || value.trim() === '') return 'Κενή τιμή';
+                if (def.maxLength && value.length > def.maxLength) return `Έως ${def.maxLength} χαρακτήρες`;
+                if (def.pattern && !def.pattern.test(value)) return 'Μη έγκυρη μορφή';
+                return null;
+        }
+    }
+
+    /**
+     * Serialize a document in schema element order
+     * @param {Object} doc - {invoice: [...]}
+     * @returns {string} XML
+     * @private
+     */
+    serialize(doc) {
+        const namespaces = Object.entries(MYDATA_CONFIG.namespaces)
+            .map(([prefix, uri]) => ` xmlns${prefix ? `:${prefix}` : ''}="${uri}"`)
+            .join('');
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+        const write = (value, def, indent) => {
+            const tag = def.prefix ? `${def.prefix}:${def.name}` : def.name;
+            const attrs = def === MYDATA_SCHEMA ? namespaces : '';
+
+            if (!def.children) {
+                const text = def.type === 'amount' ? value.toFixed(2) : escapeXml(value);
+                lines.push(`${indent}<${tag}>${text}</${tag}>`);
+                return;
+            }
+
+            lines.push(`${indent}<${tag}${attrs}>`);
+            def.children.forEach(child => {
+                const raw = value[child.name];
+                if (raw === undefined || raw === null) return;
+                (Array.isArray(raw) ? raw : [raw]).forEach(item => write(item, child, `${indent}    `));
+            });
+            lines.push(`${indent}</${tag}>`);
+        };
+
+        write(doc, MYDATA_SCHEMA, '');
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const myDataExporter = new MyDataExporter();
+
+// ========================================
+// Export
+// ========================================
+export { MyDataExporter, MYDATA_CONFIG, MYDATA_SCHEMA };
+export default myDataExporter;
@@ -0,0 +1,452 @@
+/**
+ * reconciliation.js - ΕΟΠΥΥ Clawback / Rebate Reconciliation
+ * Distributes official ΕΟΠΥΥ statement totals across a period's entries
+ * Version: 2.0
+ */
+
+import { STATE } from './state.js';
+import storage from './storage.js';
+import eopyyDeductionsManager from './eopyyClawback.js';
+import { REPORT_CONFIG } from './reports.js';
+import { parseMonthYear, formatMonthYear, compareDates, parseCurrency, generateId } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const RECONCILIATION_CONFIG = {
+    deductionTypes: {
+        clawback: 'Clawback',
+        rebate: 'Rebate'
+    },
+    statuses: {
+        pending: 'Σε αναμονή',
+        applied: 'Εφαρμόστηκε'
+    },
+    // CSV header aliases (lowercase)
+    csvColumns: {
+        period: ['period', 'περίοδος', 'περιοδος'],
+        deductionType: ['type', 'τύπος', 'τυπος', 'deduction', 'κράτηση', 'κρατηση'],
+        statementTotal: ['amount', 'total', 'ποσό', 'ποσο', 'σύνολο', 'συνολο'],
+        source: ['source', 'διαγνωστικό', 'διαγνωστικο'],
+        notes: ['notes', 'σημειώσεις', 'σημειωσεις']
+    }
+};
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ * @private
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ========================================
+// Reconciliation Manager Class
+// ========================================
+class ClawbackReconciliationManager {
+    constructor() {
+        this.statements = []; // [{id, period, deductionType, source, statementTotal, status, allocations}]
+    }
+
+    /**
+     * Load statements from storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadStatements() {
+        try {
+            this.statements = await storage.loadSetting('eopyyStatements') || [];
+            console.log(`[Reconciliation] Loaded ${this.statements.length} statements`);
+            return true;
+        } catch (error) {
+            console.error('[Reconciliation] Load error:', error);
+            this.statements = [];
+            return false;
+        }
+    }
+
+    /**
+     * Save statements to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveStatements() {
+        try {
+            await storage.saveSetting('eopyyStatements', this.statements);
+            return true;
+        } catch (error) {
+            console.error('[Reconciliation] Save error:', error);
+            return false;
+        }
+    }
+
+    // ========================================
+    // Periods
+    // ========================================
+
+    /**
+     * Resolve a period code to its month range
+     * Accepts 'MM/YYYY', 'Q1/YYYY'..'Q4/YYYY', 'H1/YYYY', 'H2/YYYY' or 'YYYY'.
+     * @param {string} period - Period code
+     * @returns {Object|null} {startDate, endDate} in MM/YYYY, or null if invalid
+     */
+    getPeriodRange(period) {
+        const value = (period || '').toString().trim().toUpperCase();
+
+        if (/^\d{4}$/.test(value)) {
+            const year = parseInt(value, 10);
+            return { startDate: formatMonthYear(1, year), endDate: formatMonthYear(12, year) };
+        }
+
+        const match = value.match(/^(Q[1-4]|H[12])\/(\d{4})$/);
+        if (match) {
+            const months = REPORT_CONFIG.quarters[match[1]] || REPORT_CONFIG.semesters[match[1]];
+            const year = parseInt(match[2], 10);
+            return {
+                startDate: formatMonthYear(months[0], year),
+                endDate: formatMonthYear(months[months.length - 1], year)
+            };
+        }
+
+        const parsed = parseMonthYear(value);
+        if (parsed) {
+            const date = formatMonthYear(parsed.month, parsed.year);
+            return { startDate: date, endDate: date };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get ΕΟΠΥΥ entries of a period
+     * @param {string} period - Period code
+     * @param {string} source - Source filter ('' for all)
+     * @returns {Array} Entries
+     */
+    getPeriodEntries(period, source = '') {
+        const range = this.getPeriodRange(period);
+        if (!range) return [];
+
+        return STATE.entries.filter(entry =>
+            eopyyDeductionsManager.isEopyyEntry(entry) &&
+            (!source || entry.source === source) &&
+            compareDates(entry.date, range.startDate) >= 0 &&
+            compareDates(entry.date, range.endDate) <= 0
+        );
+    }
+
+    // ========================================
+    // Statements
+    // ========================================
+
+    /**
+     * Add an official statement (pending until applied)
+     * @param {Object} statement - {period, deductionType, source, statementTotal, notes}
+     * @returns {Promise<Object>} Stored statement
+     */
+    async addStatement(statement) {
+        const stored = this.normalizeStatement(statement);
+
+        this.statements.push(stored);
+        await this.saveStatements();
+
+        return stored;
+    }
+
+    /**
+     * Validate and normalize statement input
+     * @param {Object} statement - Raw statement
+     * @returns {Object} Statement record
+     * @private
+     */
+    normalizeStatement(statement) {
+        const period = (statement.period || '').toString().trim().toUpperCase();
+        if (!this.getPeriodRange(period)) {
+            throw new Error(`Μη έγκυρη περίοδος "${statement.period}" (π.χ. H1/2025, Q3/2025, 03/2025, 2025)`);
+        }
+
+        if (!RECONCILIATION_CONFIG.deductionTypes[statement.deductionType]) {
+            throw new Error(`Άγνωστος τύπος κράτησης "${statement.deductionType}"`);
+        }
+
+        const statementTotal = parseFloat(statement.statementTotal);
+        if (isNaN(statementTotal) || statementTotal < 0) {
+            throw new Error('Μη έγκυρο ποσό δήλωσης');
+        }
+
+        return {
+            id: generateId(),
+            period,
+            deductionType: statement.deductionType,
+            source: statement.source || '',
+            statementTotal,
+            notes: statement.notes || '',
+            status: 'pending',
+            createdAt: Date.now(),
+            createdBy: STATE.userLabel,
+            appliedAt: null,
+            allocations: []
+        };
+    }
+
+    /**
+     * Delete statement record
+     * Already applied adjustments stay on the entries (see their audit trail).
+     * @param {string} statementId - Statement ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteStatement(statementId) {
+        const index = this.statements.findIndex(s => s.id === statementId);
+        if (index < 0) return false;
+
+        this.statements.splice(index, 1);
+        return this.saveStatements();
+    }
+
+    /**
+     * Get statement by ID
+     * @param {string} statementId - Statement ID
+     * @returns {Object|null} Statement
+     */
+    getStatement(statementId) {
+        return this.statements.find(s => s.id === statementId) || null;
+    }
+
+    // ========================================
+    // Allocation
+    // ========================================
+
+    /**
+     * Distribute statement total pro rata by originalAmount
+     * Amounts are rounded to cents; the rounding remainder goes to the largest entry
+     * so allocations always add up to the statement total.
+     * @param {Object} statement - Statement
+     * @returns {Object} {entries, totalOriginal, estimatedTotal, allocatedTotal, variance}
+     */
+    calculateAllocation(statement) {
+        const entries = this.getPeriodEntries(statement.period, statement.source);
+        const type = statement.deductionType;
+
+        const rows = entries.map(entry => {
+            const originalAmount = parseFloat(entry.originalAmount) || parseFloat(entry.amount) || 0;
+            const record = eopyyDeductionsManager.getDeductions(entry.id);
+
+            return {
+                entryId: entry.id,
+                date: entry.date,
+                source: entry.source,
+                originalAmount,
+                estimated: record ? (record.deductions[type] || 0) : 0,
+                allocated: 0,
+                variance: 0
+            };
+        });
+
+        const totalOriginal = rows.reduce((sum, row) => sum + row.originalAmount, 0);
+
+        if (totalOriginal > 0) {
+            const totalCents = Math.round(statement.statementTotal * 100);
+            let allocatedCents = 0;
+
+            rows.forEach(row => {
+                const cents = Math.round(totalCents * row.originalAmount / totalOriginal);
+                row.allocated = cents / 100;
+                allocatedCents += cents;
+            });
+
+            const largest = rows.reduce((max, row) => row.originalAmount > max.originalAmount ? row : max, rows[0]);
+            largest.allocated = (Math.round(largest.allocated * 100) + totalCents - allocatedCents) / 100;
+        }
+
+        rows.forEach(row => {
+            row.variance = roundCents(row.allocated - row.estimated);
+        });
+
+        rows.sort((a, b) => compareDates(a.date, b.date) || a.source.localeCompare(b.source));
+
+        const estimatedTotal = roundCents(rows.reduce((sum, row) => sum + row.estimated, 0));
+        const allocatedTotal = roundCents(rows.reduce((sum, row) => sum + row.allocated, 0));
+
+        return {
+            entries: rows,
+            totalOriginal,
+            estimatedTotal,
+            allocatedTotal,
+            variance: roundCents(allocatedTotal - estimatedTotal)
+        };
+    }
+
+    /**
+     * Apply statement: write allocated amounts through applyDeductions
+     * Other deduction types of each entry are left untouched.
+     * @param {string} statementId - Statement ID
+     * @returns {Promise<Object>} Allocation result
+     */
+    async applyStatement(statementId) {
+        const statement = this.getStatement(statementId);
+        if (!statement) {
+            throw new Error('Η δήλωση δεν βρέθηκε');
+        }
+
+        const allocation = this.calculateAllocation(statement);
+        if (allocation.entries.length === 0 || allocation.totalOriginal === 0) {
+            throw new Error('Δεν υπάρχουν εγγραφές ΕΟΠΥΥ για την περίοδο');
+        }
+
+        const type = statement.deductionType;
+        const label = `Συμφωνία ${RECONCILIATION_CONFIG.deductionTypes[type]} ${statement.period}`;
+
+        try {
+            for (const row of allocation.entries) {
+                const record = eopyyDeductionsManager.getDeductions(row.entryId);
+
+                const amounts = {
+                    ...(record ? record.deductions : {}),
+                    ...(record ? record.percentages : {}),
+                    clawbackPeriod: record ? record.clawbackPeriod : 'monthly',
+                    [type]: row.allocated,
+                    [`${type}Percent`]: row.originalAmount > 0 ? (row.allocated / row.originalAmount) * 100 : 0
+                };
+
+                await eopyyDeductionsManager.applyDeductions(
+                    row.entryId,
+                    amounts,
+                    record && record.notes ? record.notes : label
+                );
+            }
+
+            statement.status = 'applied';
+            statement.appliedAt = Date.now();
+            statement.appliedBy = STATE.userLabel;
+            statement.estimatedTotal = allocation.estimatedTotal;
+            statement.variance = allocation.variance;
+            statement.allocations = allocation.entries;
+
+            await this.saveStatements();
+
+            console.log(`[Reconciliation] Applied ${label} to ${allocation.entries.length} entries`);
+            return allocation;
+        } catch (error) {
+            console.error('[Reconciliation] Apply error:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // CSV Import
+    // ========================================
+
+    /**
+     * Import statements from parsed CSV rows (Papa.parse with header: true)
+     * @param {Array<Object>} rows - CSV rows
+     * @returns {Promise<Object>} {imported, errors}
+     */
+    async importStatements(rows) {
+        const errors = [];
+        const imported = [];
+
+        if (rows.length === 0) {
+            return { imported, errors: ['Το αρχείο δεν περιέχει γραμμές'] };
+        }
+
+        const mapping = this.detectColumns(Object.keys(rows[0]));
+        const missing = ['period', 'deductionType', 'statementTotal'].filter(col => !mapping[col]);
+        if (missing.length > 0) {
+            return { imported, errors: [`Λείπουν στήλες: ${missing.join(', ')}`] };
+        }
+
+        rows.forEach((row, index) => {
+            try {
+                imported.push(this.normalizeStatement({
+                    period: row[mapping.period],
+                    deductionType: this.parseDeductionType(row[mapping.deductionType]),
+                    statementTotal: this.parseAmount(row[mapping.statementTotal]),
+                    source: mapping.source ? (row[mapping.source] || '').trim() : '',
+                    notes: mapping.notes ? row[mapping.notes] : ''
+                }));
+            } catch (error) {
+                errors.push(`Γραμμή ${index + 2}: ${error.message}`);
+            }
+        });
+
+        if (imported.length > 0) {
+            this.statements.push(...imported);
+            await this.saveStatements();
+        }
+
+        return { imported, errors };
+    }
+
+    /**
+     * Map CSV headers to statement fields
+     * @param {Array<string>} headers - CSV headers
+     * @returns {Object} field => header
+     * @private
+     */
+    detectColumns(headers) {
+        const mapping = {};
+
+        Object.entries(RECONCILIATION_CONFIG.csvColumns).forEach(([field, aliases]) => {
+            mapping[field] = headers.find(h => aliases.includes(h.trim().toLowerCase())) || null;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Parse deduction type cell
+     * @param {string} value - Cell value
+     * @returns {string} 'clawback' | 'rebate' | original value
+     * @private
+     */
+    parseDeductionType(value) {
+        const text = (value || '').toString().trim().toLowerCase();
+        if (text.includes('claw')) return 'clawback';
+        if (text.includes('rebate') || text.includes('επιστροφ')) return 'rebate';
+        return text;
+    }
+
+    /**
+     * Parse amount cell (accepts 1234.56 and 1.234,56)
+     * @param {string|number} value - Cell value
+     * @returns {number} Amount (NaN if invalid)
+     * @private
+     */
+    parseAmount(value) {
+        if (typeof value === 'number') return value;
+
+        const text = (value || '').toString().replace(/€/g, '').replace(/\s/g, '');
+        if (!text) return NaN;
+
+        return text.includes(',') ? parseCurrency(text) : parseFloat(text);
+    }
+
+    /**
+     * Get display label for deduction type
+     * @param {string} type - Deduction type
+     * @returns {string} Label
+     */
+    getDeductionTypeLabel(type) {
+        return RECONCILIATION_CONFIG.deductionTypes[type] || type;
+    }
+
+    /**
+     * Get display label for status
+     * @param {string} status - Status
+     * @returns {string} Label
+     */
+    getStatusLabel(status) {
+        return RECONCILIATION_CONFIG.statuses[status] || status;
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const reconciliationManager = new ClawbackReconciliationManager();
+
+// ========================================
+// Export
+// ========================================
+export { ClawbackReconciliationManager, RECONCILIATION_CONFIG };
+export default reconciliationManager;
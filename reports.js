@@ -6,6 +6,9 @@
 
 import { STATE } from './state.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
+import expensesManager from './expenses.js';
+import budgetManager from './budgets.js';
+import { getTaxSummary } from './dataManager.js';
 import { 
     formatCurrency, 
     formatPercent, 
@@ -88,6 +91,12 @@ class ReportsManager {
         // Deductions analysis
         const deductionsAnalysis = this.getDeductionsAnalysis(entries);
 
+        // VAT & withholding (invoices)
+        const taxData = getTaxSummary(entries);
+
+        // Expenses & net result
+        const expensesData = this.getExpensesAnalysis(entries, year, includeParakratisi);
+
         return {
             year,
             period: 'annual',
@@ -105,6 +114,8 @@ class ReportsManager {
             byInsurance: insuranceData,
             byType: typeData,
             deductions: deductionsAnalysis,
+            tax: taxData,
+            expenses: expensesData,
             generatedAt: Date.now()
         };
     }
@@ -159,6 +170,7 @@ class ReportsManager {
             monthly: monthlyData,
             bySource: sourceData,
             byInsurance: insuranceData,
+            tax: getTaxSummary(entries),
             generatedAt: Date.now()
         };
     }
@@ -187,6 +199,55 @@ class ReportsManager {
         return report;
     }
 
+    /**
+     * Generate quarterly VAT summary (output VAT and withholding of the quarter's invoices)
+     * @param {number} year - Year
+     * @param {string} quarter - Quarter (Q1, Q2, Q3, Q4)
+     * @param {Object} options - Options
+     * @returns {Object} Quarterly report with vatSummary
+     */
+    generateQuarterlyVatReport(year, quarter, options = {}) {
+        const report = this.generateQuarterlyReport(year, quarter, options);
+        if (report.isEmpty) {
+            return report;
+        }
+
+        const { from, to } = report.summary.dateRange;
+        const entries = STATE.entries.filter(e => {
+            return compareDates(e.date, from) >= 0 &&
+                   compareDates(e.date, to) <= 0;
+        });
+
+        // One row per month of the quarter, including months without invoices
+        const byMonth = generateDateRange(from, to).map(date => {
+            const tax = getTaxSummary(entries.filter(e => e.date === date));
+            return {
+                date,
+                count: tax.invoiceCount,
+                net: tax.net,
+                vat: tax.vat,
+                gross: tax.gross,
+                withheld: tax.withheld
+            };
+        });
+
+        report.period = 'vat';
+        report.vatSummary = {
+            byMonth,
+            byVatRate: report.tax.byVatRate,
+            totals: {
+                count: report.tax.invoiceCount,
+                net: report.tax.net,
+                vat: report.tax.vat,
+                gross: report.tax.gross,
+                withheld: report.tax.withheld,
+                payable: report.tax.payable
+            }
+        };
+
+        return report;
+    }
+
     /**
      * Generate semiannual report
      * @param {number} year - Year
@@ -224,6 +285,7 @@ class ReportsManager {
 
         for (const [date, monthEntries] of Object.entries(grouped)) {
             const kpis = eopyyDeductionsManager.calculateKPIs(monthEntries, { includeParakratisi });
+            const budget = budgetManager.getVariance(monthEntries, { dates: [date], includeParakratisi });
 
             monthlyData.push({
                 date,
@@ -231,7 +293,9 @@ class ReportsManager {
                 total: kpis.total,
                 eopyyTotal: kpis.eopyyTotal,
                 nonEopyyTotal: kpis.nonEopyyTotal,
-                deductions: kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis
+                deductions: kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis,
+                budget: budget ? budget.budget : null,
+                budgetVariance: budget ? budget.variance : null
             });
         }
 
@@ -254,6 +318,7 @@ class ReportsManager {
 
         for (const [source, sourceEntries] of Object.entries(grouped)) {
             const kpis = eopyyDeductionsManager.calculateKPIs(sourceEntries, { includeParakratisi });
+            const tax = getTaxSummary(sourceEntries);
 
             sourceData.push({
                 source,
@@ -262,7 +327,10 @@ class ReportsManager {
                 eopyyTotal: kpis.eopyyTotal,
                 nonEopyyTotal: kpis.nonEopyyTotal,
                 deductions: kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis,
-                averagePerEntry: kpis.total / sourceEntries.length
+                averagePerEntry: kpis.total / sourceEntries.length,
+                invoiceNet: tax.net,
+                vat: tax.vat,
+                withheld: tax.withheld
             });
         }
 
@@ -285,6 +353,7 @@ class ReportsManager {
 
         for (const [insurance, insuranceEntries] of Object.entries(grouped)) {
             const kpis = eopyyDeductionsManager.calculateKPIs(insuranceEntries, { includeParakratisi });
+            const tax = getTaxSummary(insuranceEntries);
 
             insuranceData.push({
                 insurance,
@@ -293,7 +362,10 @@ class ReportsManager {
                 eopyyTotal: kpis.eopyyTotal,
                 nonEopyyTotal: kpis.nonEopyyTotal,
                 deductions: kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis,
-                averagePerEntry: kpis.total / insuranceEntries.length
+                averagePerEntry: kpis.total / insuranceEntries.length,
+                invoiceNet: tax.net,
+                vat: tax.vat,
+                withheld: tax.withheld
             });
         }
 
@@ -403,6 +475,34 @@ class ReportsManager {
         };
     }
 
+    /**
+     * Get expenses and net result per source
+     * @param {Array} entries - Entries
+     * @param {number} year - Year
+     * @param {boolean} includeParakratisi - Include parakratisi
+     * @returns {Object} Expenses analysis
+     * @private
+     */
+    getExpensesAnalysis(entries, year, includeParakratisi) {
+        const expenses = expensesManager.getExpenses({ year });
+        const totals = expensesManager.getCategoryTotals(expenses);
+        const bySource = expensesManager.getNetResultBySource(entries, expenses, { includeParakratisi });
+
+        const grossRevenue = sumBy(bySource, 'grossRevenue');
+        const revenue = sumBy(bySource, 'revenue');
+        const netResult = revenue - totals.total;
+
+        return {
+            total: totals.total,
+            byCategory: totals.byCategory,
+            bySource,
+            grossRevenue,
+            revenue,
+            netResult,
+            margin: revenue > 0 ? (netResult / revenue) * 100 : 0
+        };
+    }
+
     /**
      * Get available years
      * @returns {Array} Years with data
@@ -450,9 +550,10 @@ class ReportsManager {
         // Monthly breakdown
         if (report.monthly && report.monthly.length > 0) {
             csv.push('ΜΗΝΙΑΙΑ ΑΝΑΛΥΣΗ');
-            csv.push('Μήνας,Εγγραφές,Σύνολο,ΕΟΠΥΥ,Άλλα,Κρατήσεις');
+            csv.push('Μήνας,Εγγραφές,Σύνολο,ΕΟΠΥΥ,Άλλα,Κρατήσεις,Στόχος,Απόκλιση από Στόχο');
             report.monthly.forEach(m => {
-                csv.push(`${m.date},${m.count},${m.total.toFixed(2)},${m.eopyyTotal.toFixed(2)},${m.nonEopyyTotal.toFixed(2)},${m.deductions.toFixed(2)}`);
+                const budget = m.budget !== null ? `${m.budget.toFixed(2)},${m.budgetVariance.toFixed(2)}` : ',';
+                csv.push(`${m.date},${m.count},${m.total.toFixed(2)},${m.eopyyTotal.toFixed(2)},${m.nonEopyyTotal.toFixed(2)},${m.deductions.toFixed(2)},${budget}`);
             });
             csv.push('');
         }
@@ -460,9 +561,9 @@ class ReportsManager {
         // Source breakdown
         if (report.bySource && report.bySource.length > 0) {
             csv.push('ΑΝΑΛΥΣΗ ΑΝΑ ΔΙΑΓΝΩΣΤΙΚΟ');
-            csv.push('Διαγνωστικό,Εγγραφές,Σύνολο,ΕΟΠΥΥ,Άλλα,Μέσος Όρος');
+            csv.push('Διαγνωστικό,Εγγραφές,Σύνολο,ΕΟΠΥΥ,Άλλα,Μέσος Όρος,Καθαρή Αξία Τιμ.,ΦΠΑ,Παρακρ. Φόρου');
             report.bySource.forEach(s => {
-                csv.push(`"${s.source}",${s.count},${s.total.toFixed(2)},${s.eopyyTotal.toFixed(2)},${s.nonEopyyTotal.toFixed(2)},${s.averagePerEntry.toFixed(2)}`);
+                csv.push(`"${s.source}",${s.count},${s.total.toFixed(2)},${s.eopyyTotal.toFixed(2)},${s.nonEopyyTotal.toFixed(2)},${s.averagePerEntry.toFixed(2)},${s.invoiceNet.toFixed(2)},${s.vat.toFixed(2)},${s.withheld.toFixed(2)}`);
             });
             csv.push('');
         }
@@ -470,15 +571,243 @@ class ReportsManager {
         // Insurance breakdown
         if (report.byInsurance && report.byInsurance.length > 0) {
             csv.push('ΑΝΑΛΥΣΗ ΑΝΑ ΑΣΦΑΛΕΙΑ');
-            csv.push('Ασφάλεια,Εγγραφές,Σύνολο,Μέσος Όρος');
+            csv.push('Ασφάλεια,Εγγραφές,Σύνολο,Μέσος Όρος,Καθαρή Αξία Τιμ.,ΦΠΑ,Παρακρ. Φόρου');
             report.byInsurance.forEach(i => {
-                csv.push(`"${i.insurance}",${i.count},${i.total.toFixed(2)},${i.averagePerEntry.toFixed(2)}`);
+                csv.push(`"${i.insurance}",${i.count},${i.total.toFixed(2)},${i.averagePerEntry.toFixed(2)},${i.invoiceNet.toFixed(2)},${i.vat.toFixed(2)},${i.withheld.toFixed(2)}`);
+            });
+            csv.push('');
+        }
+
+        // VAT & withholding
+        if (report.tax && report.tax.invoiceCount > 0) {
+            csv.push('ΦΠΑ & ΠΑΡΑΚΡΑΤΗΣΗ ΦΟΡΟΥ (ΤΙΜΟΛΟΓΙΑ)');
+            csv.push('Συντελεστής ΦΠΑ,Τιμολόγια,Καθαρή Αξία,ΦΠΑ,Μικτή Αξία,Παρακρ. Φόρου');
+            report.tax.byVatRate.forEach(r => {
+                csv.push(`${r.vatRate}%,${r.count},${r.net.toFixed(2)},${r.vat.toFixed(2)},${r.gross.toFixed(2)},${r.withheld.toFixed(2)}`);
+            });
+            csv.push(`Σύνολο,${report.tax.invoiceCount},${report.tax.net.toFixed(2)},${report.tax.vat.toFixed(2)},${report.tax.gross.toFixed(2)},${report.tax.withheld.toFixed(2)}`);
+            csv.push(`Πληρωτέο (μετά την παρακράτηση),${report.tax.payable.toFixed(2)}`);
+            csv.push('');
+        }
+
+        // Quarterly VAT summary per month
+        if (report.vatSummary) {
+            csv.push('ΠΕΡΙΟΔΙΚΗ ΦΠΑ ΑΝΑ ΜΗΝΑ');
+            csv.push('Μήνας,Τιμολόγια,Καθαρή Αξία,ΦΠΑ,Μικτή Αξία,Παρακρ. Φόρου');
+            report.vatSummary.byMonth.forEach(m => {
+                csv.push(`${m.date},${m.count},${m.net.toFixed(2)},${m.vat.toFixed(2)},${m.gross.toFixed(2)},${m.withheld.toFixed(2)}`);
+            });
+            csv.push('');
+        }
+
+        // Net result per source
+        if (report.expenses && report.expenses.bySource.length > 0) {
+            csv.push('ΑΠΟΤΕΛΕΣΜΑ ΑΝΑ ΔΙΑΓΝΩΣΤΙΚΟ');
+            csv.push('Διαγνωστικό,Μικτά Έσοδα,Κρατήσεις,Έσοδα,Έξοδα,Καθαρό Αποτέλεσμα');
+            report.expenses.bySource.forEach(s => {
+                csv.push(`"${s.source}",${s.grossRevenue.toFixed(2)},${s.deductions.toFixed(2)},${s.revenue.toFixed(2)},${s.expenses.toFixed(2)},${s.netResult.toFixed(2)}`);
             });
         }
 
         return csv.join('\n');
     }
 
+    /**
+     * Build workbook sheets for XLSX export (one sheet per breakdown)
+     * @param {Object} report - Report data
+     * @returns {Array} Sheet definitions for xlsxManager.exportWorkbook
+     */
+    getXLSXSheets(report) {
+        if (report.isEmpty) {
+            return [];
+        }
+
+        const kpis = report.summary.kpis;
+        const sheets = [];
+
+        // Summary
+        sheets.push({
+            name: 'Σύνοψη',
+            columns: [{ header: 'Κατηγορία' }, { header: 'Ποσό', format: 'currency' }],
+            rows: [
+                ['Περίοδος', `${report.summary.dateRange.from} - ${report.summary.dateRange.to}`],
+                ['Εγγραφές', { value: report.summary.totalEntries, format: 'integer' }],
+                ['Σύνολο', kpis.total],
+                ['ΕΟΠΥΥ', kpis.eopyyTotal],
+                ['Άλλα', kpis.nonEopyyTotal],
+                ['Κρατήσεις', kpis.eopyyTotalDeductions + kpis.nonEopyyKrathseis],
+                ...(report.tax && report.tax.invoiceCount > 0
+                    ? [['Πληρωτέο Τιμολογίων (μετά την παρακράτηση)', report.tax.payable]]
+                    : [])
+            ]
+        });
+
+        // Monthly breakdown
+        if (report.monthly && report.monthly.length > 0) {
+            sheets.push({
+                name: 'Μηνιαία',
+                columns: [
+                    { header: 'Μήνας' },
+                    { header: 'Εγγραφές', format: 'integer' },
+                    { header: 'Σύνολο', format: 'currency' },
+                    { header: 'ΕΟΠΥΥ', format: 'currency' },
+                    { header: 'Άλλα', format: 'currency' },
+                    { header: 'Κρατήσεις', format: 'currency' },
+                    { header: 'Στόχος', format: 'currency' },
+                    { header: 'Απόκλιση από Στόχο', format: 'currency' }
+                ],
+                rows: report.monthly.map(m => [
+                    m.date, m.count, m.total, m.eopyyTotal, m.nonEopyyTotal, m.deductions, m.budget, m.budgetVariance
+                ])
+            });
+        }
+
+        // Source breakdown
+        if (report.bySource && report.bySource.length > 0) {
+            sheets.push({
+                name: 'Διαγνωστικά',
+                columns: [
+                    { header: 'Διαγνωστικό' },
+                    { header: 'Εγγραφές', format: 'integer' },
+                    { header: 'Σύνολο', format: 'currency' },
+                    { header: 'ΕΟΠΥΥ', format: 'currency' },
+                    { header: 'Άλλα', format: 'currency' },
+                    { header: 'Κρατήσεις', format: 'currency' },
+                    { header: 'Μέσος Όρος', format: 'currency' },
+                    { header: 'Καθαρή Αξία Τιμ.', format: 'currency' },
+                    { header: 'ΦΠΑ', format: 'currency' },
+                    { header: 'Παρακρ. Φόρου', format: 'currency' }
+                ],
+                rows: report.bySource.map(s => [
+                    s.source, s.count, s.total, s.eopyyTotal, s.nonEopyyTotal, s.deductions,
+                    s.averagePerEntry, s.invoiceNet, s.vat, s.withheld
+                ])
+            });
+        }
+
+        // Insurance breakdown
+        if (report.byInsurance && report.byInsurance.length > 0) {
+            sheets.push({
+                name: 'Ασφάλειες',
+                columns: [
+                    { header: 'Ασφάλεια' },
+                    { header: 'Εγγραφές', format: 'integer' },
+                    { header: 'Σύνολο', format: 'currency' },
+                    { header: 'Κρατήσεις', format: 'currency' },
+                    { header: 'Μέσος Όρος', format: 'currency' },
+                    { header: 'Καθαρή Αξία Τιμ.', format: 'currency' },
+                    { header: 'ΦΠΑ', format: 'currency' },
+                    { header: 'Παρακρ. Φόρου', format: 'currency' }
+                ],
+                rows: report.byInsurance.map(i => [
+                    i.insurance, i.count, i.total, i.deductions, i.averagePerEntry, i.invoiceNet, i.vat, i.withheld
+                ])
+            });
+        }
+
+        // Type breakdown
+        if (report.byType) {
+            const { cash, invoice } = report.byType;
+            sheets.push({
+                name: 'Τύπος',
+                columns: [
+                    { header: 'Τύπος' },
+                    { header: 'Εγγραφές', format: 'integer' },
+                    { header: 'Σύνολο', format: 'currency' },
+                    { header: 'ΕΟΠΥΥ', format: 'currency' },
+                    { header: 'Άλλα', format: 'currency' },
+                    { header: 'Κρατήσεις', format: 'currency' }
+                ],
+                rows: [
+                    ['Μετρητά', cash.count, cash.total, cash.eopyyTotal, cash.nonEopyyTotal, null],
+                    ['Τιμολόγια', invoice.count, invoice.total, invoice.eopyyTotal, invoice.nonEopyyTotal, invoice.deductions]
+                ]
+            });
+        }
+
+        // ΕΟΠΥΥ deductions
+        if (report.deductions && report.deductions.hasEopyy) {
+            const { breakdown, total } = report.deductions;
+            const labels = {
+                parakratisi: 'Παρακράτηση',
+                mde: 'ΜΔΕ',
+                rebate: 'Rebate',
+                krathseis: 'Κρατήσεις',
+                clawback: 'Clawback'
+            };
+
+            sheets.push({
+                name: 'Κρατήσεις ΕΟΠΥΥ',
+                columns: [
+                    { header: 'Κράτηση' },
+                    { header: 'Ποσό', format: 'currency' },
+                    { header: '% Αρχικού', format: 'percent' }
+                ],
+                rows: [
+                    ['Αρχικό Ποσό', report.deductions.totalOriginal, null],
+                    ...Object.entries(labels).map(([key, label]) => [label, breakdown[key].amount, breakdown[key].percent]),
+                    ['Σύνολο', total.amount, total.percent]
+                ]
+            });
+        }
+
+        // VAT & withholding
+        if (report.tax && report.tax.invoiceCount > 0) {
+            sheets.push({
+                name: 'ΦΠΑ',
+                columns: [
+                    { header: 'Συντελεστής ΦΠΑ', format: 'percent' },
+                    { header: 'Τιμολόγια', format: 'integer' },
+                    { header: 'Καθαρή Αξία', format: 'currency' },
+                    { header: 'ΦΠΑ', format: 'currency' },
+                    { header: 'Μικτή Αξία', format: 'currency' },
+                    { header: 'Παρακρ. Φόρου', format: 'currency' }
+                ],
+                rows: [
+                    ...report.tax.byVatRate.map(r => [r.vatRate, r.count, r.net, r.vat, r.gross, r.withheld]),
+                    ['Σύνολο', report.tax.invoiceCount, report.tax.net, report.tax.vat, report.tax.gross, report.tax.withheld]
+                ]
+            });
+        }
+
+        // Quarterly VAT summary per month
+        if (report.vatSummary) {
+            sheets.push({
+                name: 'Περιοδική ΦΠΑ',
+                columns: [
+                    { header: 'Μήνας' },
+                    { header: 'Τιμολόγια', format: 'integer' },
+                    { header: 'Καθαρή Αξία', format: 'currency' },
+                    { header: 'ΦΠΑ', format: 'currency' },
+                    { header: 'Μικτή Αξία', format: 'currency' },
+                    { header: 'Παρακρ. Φόρου', format: 'currency' }
+                ],
+                rows: report.vatSummary.byMonth.map(m => [m.date, m.count, m.net, m.vat, m.gross, m.withheld])
+            });
+        }
+
+        // Net result per source
+        if (report.expenses && report.expenses.bySource.length > 0) {
+            sheets.push({
+                name: 'Αποτέλεσμα',
+                columns: [
+                    { header: 'Διαγνωστικό' },
+                    { header: 'Μικτά Έσοδα', format: 'currency' },
+                    { header: 'Κρατήσεις', format: 'currency' },
+                    { header: 'Έσοδα', format: 'currency' },
+                    { header: 'Έξοδα', format: 'currency' },
+                    { header: 'Καθαρό Αποτέλεσμα', format: 'currency' },
+                    { header: 'Περιθώριο', format: 'percent' }
+                ],
+                rows: report.expenses.bySource.map(s => [
+                    s.source, s.grossRevenue, s.deductions, s.revenue, s.expenses, s.netResult, s.margin
+                ])
+            });
+        }
+
+        return sheets;
+    }
+
     /**
      * Clear cache
      */
@@ -39,15 +39,27 @@ const STATIC_ASSETS = [
     '/backup.js',
     '/pdfExport.js',
     '/csvValidator.js',
+    '/csvImport.js',
+    '/xlsxExport.js',
     '/cdnChecker.js',
     '/reports.js',
-    '/comparison.js'
+    '/comparison.js',
+    '/auditLog.js',
+    '/reconciliation.js',
+    '/expenses.js',
+    '/budgets.js',
+    '/bankStatements.js',
+    '/mydata.js',
+    '/backupCrypto.js',
+    '/compression.js',
+    '/cashflow.js'
 ];
 
 // CDN libraries (cache with long TTL)
 const CDN_URLS = [
     'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/4.4.0/chart.umd.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js'
 ];
@@ -33,7 +33,7 @@ export const CONFIG = Object.freeze({
     
     // Storage
     dbName: 'RevenueDB',
-    dbVersion: 2,
+    dbVersion: 4,
     undoTTL: 30 * 60 * 1000, // 30 minutes
     maxUndoActions: 50,
     
@@ -77,6 +77,8 @@ export const STATE = {
     // Session State
     editingEntry: null,
     userLabel: 'Admin',
+    uniquenessRule: 'date-source', // 'date-source' | 'date-source-insurance-type' | 'invoice'
+    insuranceTaxDefaults: {}, // {insurance: {vatRate, withholdingRate}} for invoices
     selectedEntries: [], // For bulk operations
     
     // Dashboard State
@@ -11,12 +11,14 @@ import { logError, generateId } from './utils.js';
 // ========================================
 const STORAGE_CONFIG = Object.freeze({
     dbName: 'RevenueDB',
-    dbVersion: 2,
+    dbVersion: 4,
     stores: {
         entries: 'entries',
         settings: 'settings',
         undo: 'undo',
-        cache: 'cache'
+        cache: 'cache',
+        audit: 'audit',
+        snapshots: 'snapshots'
     },
     undoTTL: 30 * 60 * 1000, // 30 minutes
     maxUndoActions: 50,
@@ -92,6 +94,19 @@ class IndexedDBHelper {
                         const cacheStore = db.createObjectStore('cache', { keyPath: 'key' });
                         cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
                     }
+
+                    // Audit store (append-only change log, v3)
+                    if (!db.objectStoreNames.contains('audit')) {
+                        const auditStore = db.createObjectStore('audit', { keyPath: 'id' });
+                        auditStore.createIndex('entryId', 'entryId', { unique: false });
+                        auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+
+                    // Snapshots store (scheduled local backups, v4)
+                    if (!db.objectStoreNames.contains('snapshots')) {
+                        const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id' });
+                        snapshotStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
                 };
             } catch (error) {
                 this.isAvailable = false;
@@ -125,6 +140,32 @@ class IndexedDBHelper {
         });
     }
 
+    /**
+     * Get all records matching an index value
+     * @param {string} storeName - Store name
+     * @param {string} indexName - Index name
+     * @param {any} value - Index value
+     * @returns {Promise<Array>} Records
+     */
+    async getAllByIndex(storeName, indexName, value) {
+        if (!this.isAvailable || !this.db) {
+            throw new Error('IndexedDB not available');
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                const transaction = this.db.transaction(storeName, 'readonly');
+                const store = transaction.objectStore(storeName);
+                const request = store.index(indexName).getAll(value);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => resolve(request.result || []);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
     /**
      * Get single record by key
      * @param {string} storeName - Store name
@@ -573,6 +614,143 @@ class StorageManager {
         }
     }
 
+    // ========================================
+    // Audit Log Operations
+    // ========================================
+
+    /**
+     * Append audit record (records are never updated or deleted)
+     * @param {Object} record - Audit record
+     * @returns {Promise<boolean>} Success status
+     */
+    async appendAuditRecord(record) {
+        try {
+            record.id = record.id || generateId();
+            record.timestamp = record.timestamp || Date.now();
+
+            if (this.strategy === 'indexeddb') {
+                await this.idb.add('audit', record);
+            } else {
+                const auditLog = JSON.parse(localStorage.getItem('auditLog') || '[]');
+                auditLog.push(record);
+                localStorage.setItem('auditLog', JSON.stringify(auditLog));
+            }
+            return true;
+        } catch (error) {
+            logError('Append audit record', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load audit records
+     * @param {string|null} entryId - Only records for this entry (null for all)
+     * @returns {Promise<Array>} Audit records, oldest first
+     */
+    async loadAuditRecords(entryId = null) {
+        try {
+            let records;
+
+            if (this.strategy === 'indexeddb') {
+                records = entryId
+                    ? await this.idb.getAllByIndex('audit', 'entryId', entryId)
+                    : await this.idb.getAll('audit');
+            } else {
+                records = JSON.parse(localStorage.getItem('auditLog') || '[]');
+                if (entryId) {
+                    records = records.filter(r => r.entryId === entryId);
+                }
+            }
+
+            return records.sort((a, b) => a.timestamp - b.timestamp);
+        } catch (error) {
+            logError('Load audit records', error);
+            return [];
+        }
+    }
+
+    // ========================================
+    // Snapshot Operations
+    // ========================================
+
+    /**
+     * Save backup snapshot
+     * @param {Object} snapshot - Snapshot record ({ id, timestamp, size, metadata, encoding, payload | backup })
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSnapshot(snapshot) {
+        try {
+            if (this.strategy === 'indexeddb') {
+                await this.idb.put('snapshots', snapshot);
+            } else {
+                const snapshots = JSON.parse(localStorage.getItem('snapshots') || '[]')
+                    .filter(s => s.id !== snapshot.id);
+                snapshots.push(snapshot);
+                localStorage.setItem('snapshots', JSON.stringify(snapshots));
+            }
+            return true;
+        } catch (error) {
+            logError('Save snapshot', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load all snapshots
+     * @returns {Promise<Array>} Snapshot records, newest first
+     */
+    async loadSnapshots() {
+        try {
+            const snapshots = this.strategy === 'indexeddb'
+                ? await this.idb.getAll('snapshots')
+                : JSON.parse(localStorage.getItem('snapshots') || '[]');
+
+            return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+        } catch (error) {
+            logError('Load snapshots', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get snapshot by ID
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object|null>} Snapshot record
+     */
+    async getSnapshot(id) {
+        try {
+            if (this.strategy === 'indexeddb') {
+                return (await this.idb.get('snapshots', id)) || null;
+            }
+            const snapshots = JSON.parse(localStorage.getItem('snapshots') || '[]');
+            return snapshots.find(s => s.id === id) || null;
+        } catch (error) {
+            logError('Get snapshot', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteSnapshot(id) {
+        try {
+            if (this.strategy === 'indexeddb') {
+                await this.idb.delete('snapshots', id);
+            } else {
+                const snapshots = JSON.parse(localStorage.getItem('snapshots') || '[]')
+                    .filter(s => s.id !== id);
+                localStorage.setItem('snapshots', JSON.stringify(snapshots));
+            }
+            return true;
+        } catch (error) {
+            logError('Delete snapshot', error);
+            return false;
+        }
+    }
+
     // ========================================
     // Cache Operations
     // ========================================
@@ -689,14 +867,20 @@ class StorageManager {
 
     /**
      * Clear all storage
+     * @param {Object} options - Options
+     * @param {boolean} options.keepAudit - Preserve the audit log (e.g. on backup overwrite)
+     * @param {boolean} options.keepSnapshots - Preserve snapshots and their schedule (e.g. on snapshot restore)
      * @returns {Promise<Object>} Clear report
      */
-    async clearAllStorage() {
+    async clearAllStorage(options = {}) {
+        const { keepAudit = false, keepSnapshots = false } = options;
         const report = {
             entries: false,
             settings: false,
             undo: false,
             cache: false,
+            audit: false,
+            snapshots: false,
             localStorage: false,
             errors: []
         };
@@ -731,11 +915,38 @@ class StorageManager {
                 } catch (error) {
                     report.errors.push('Cache: ' + error.message);
                 }
+
+                if (!keepAudit) {
+                    try {
+                        await this.idb.clear('audit');
+                        report.audit = true;
+                    } catch (error) {
+                        report.errors.push('Audit: ' + error.message);
+                    }
+                }
+
+                if (!keepSnapshots) {
+                    try {
+                        await this.idb.clear('snapshots');
+                        report.snapshots = true;
+                    } catch (error) {
+                        report.errors.push('Snapshots: ' + error.message);
+                    }
+                }
             }
 
             // Clear localStorage
             try {
+                const preserved = [
+                    ...(keepAudit ? ['auditLog'] : []),
+                    ...(keepSnapshots ? ['snapshots', 'snapshotSettings'] : [])
+                ].map(key => [key, localStorage.getItem(key)]);
                 localStorage.clear();
+                preserved.forEach(([key, value]) => {
+                    if (value !== null) {
+                        localStorage.setItem(key, value);
+                    }
+                });
                 report.localStorage = true;
             } catch (error) {
                 report.errors.push('localStorage: ' + error.message);
@@ -7,19 +7,32 @@
 import { STATE, CONFIG } from './state.js';
 import eopyyDeductionsManager from './eopyyClawback.js';
 import storage from './storage.js';
+import auditLog from './auditLog.js';
+import reconciliationManager from './reconciliation.js';
+import expensesManager from './expenses.js';
+import budgetManager from './budgets.js';
+import csvImportWizard from './csvImport.js';
+import bankStatementManager from './bankStatements.js';
+import myDataExporter from './mydata.js';
+import cashFlowManager from './cashflow.js';
+import backupManager from './backup.js';
+import { getReceivablesAging, getInsuranceTaxDefaults, PAYMENT_STATUSES } from './dataManager.js';
 import { 
     escapeHtml, 
     formatCurrency, 
     compareDates,
     parseMonthYear,
     formatMonthYear,
-    formatPercent
+    formatPercent,
+    formatDateTime
 } from './utils.js';
 
 // ========================================
 // Toast Notifications
 // ========================================
 
+let toastTimer = null;
+
 /**
  * Show toast notification
  * @param {string} message - Message text
@@ -32,11 +45,44 @@ export function showToast(message, type = 'info') {
     toast.textContent = message;
     toast.className = `toast toast-compact ${type} show`;
     
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
     }, CONFIG.toastDuration);
 }
 
+/**
+ * Show toast notification with an action button (e.g. "Αναίρεση")
+ * @param {string} message - Message text
+ * @param {string} actionLabel - Button label
+ * @param {Function} onAction - Callback when the button is clicked
+ * @param {string} type - Toast type
+ */
+export function showActionToast(message, actionLabel, onAction, type = 'success') {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+    
+    toast.textContent = message;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+        toast.classList.remove('show');
+        onAction();
+    });
+    
+    toast.appendChild(button);
+    toast.className = `toast toast-compact ${type} show`;
+    
+    // Give the user a bit longer to react
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        toast.classList.remove('show');
+    }, CONFIG.toastDuration * 2);
+}
+
 // ========================================
 // Dashboard Rendering
 // ========================================
@@ -48,24 +94,33 @@ export function renderDashboard() {
     const period = document.getElementById('dashPeriod')?.value || 'all';
     const includeParakratisi = document.getElementById('dashIncludeParakratisi')?.checked || false;
     
-    // Filter entries by period
+    // Filter entries (and expenses) by period
     let filtered = [...STATE.entries];
+    let expenses = [...expensesManager.expenses];
+    let budgetDates = null; // null = every budgeted month
     const now = new Date();
 
     if (period === 'month') {
         const thisMonth = formatMonthYear(now.getMonth() + 1, now.getFullYear());
         filtered = filtered.filter(e => e.date === thisMonth);
+        expenses = expenses.filter(e => e.date === thisMonth);
+        budgetDates = [thisMonth];
     } else if (period === 'year') {
         const thisYear = now.getFullYear();
         filtered = filtered.filter(e => e.date.endsWith(`/${thisYear}`));
+        expenses = expenses.filter(e => e.date.endsWith(`/${thisYear}`));
+        budgetDates = Array.from({ length: 12 }, (_, i) => formatMonthYear(i + 1, thisYear));
     }
 
     // Calculate KPIs
     const kpis = eopyyDeductionsManager.calculateKPIs(filtered, { includeParakratisi });
     STATE.currentKPIs = kpis;
+    const budget = budgetManager.getVariance(filtered, { dates: budgetDates, includeParakratisi });
 
     // Render KPI cards
-    renderKPICards(kpis);
+    renderKPICards(kpis, budget);
+    renderReceivablesKPIs(filtered, kpis);
+    renderNetResult(filtered, expenses, kpis);
     
     // Render charts
     renderCharts(filtered);
@@ -77,8 +132,9 @@ export function renderDashboard() {
 /**
  * Render KPI cards with percentages (FIXED)
  * @param {Object} kpis - KPI data
+ * @param {Object|null} budget - Actual vs. budget (null when the period has no targets)
  */
-function renderKPICards(kpis) {
+function renderKPICards(kpis, budget = null) {
     // Calculate base total (for percentage calculations)
     const baseTotal = kpis.eopyyOriginal + kpis.nonEopyyOriginal;
     
@@ -97,6 +153,64 @@ function renderKPICards(kpis) {
     updateKPI('kpiRebate', kpis.eopyyRebate, baseTotal > 0 ? (kpis.eopyyRebate / baseTotal) * 100 : 0);
     updateKPI('kpiKrathseis', kpis.eopyyKrathseis, baseTotal > 0 ? (kpis.eopyyKrathseis / baseTotal) * 100 : 0);
     updateKPI('kpiClawback', kpis.eopyyClawback, baseTotal > 0 ? (kpis.eopyyClawback / baseTotal) * 100 : 0);
+    
+    // Actual vs. budget (achievement % / variance % of target)
+    if (budget) {
+        updateKPI('kpiBudget', budget.budget, budget.achievement);
+        updateKPI('kpiBudgetVariance', budget.variance, budget.budget > 0 ? (budget.variance / budget.budget) * 100 : 0);
+    } else {
+        ['kpiBudget', 'kpiBudgetPercent', 'kpiBudgetVariance', 'kpiBudgetVariancePercent'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = '—';
+        });
+    }
+}
+
+/**
+ * Render outstanding balance KPI cards
+ * @param {Array} entries - Filtered entries
+ * @param {Object} kpis - KPI data (for the total)
+ */
+function renderReceivablesKPIs(entries, kpis) {
+    const aging = getReceivablesAging(entries);
+    const overdue = aging.buckets.find(b => b.key === '90+').total;
+    
+    updateKPI('kpiOutstanding', aging.totalOutstanding, kpis.total > 0 ? (aging.totalOutstanding / kpis.total) * 100 : 0);
+    updateKPI('kpiOverdue', overdue, aging.totalOutstanding > 0 ? (overdue / aging.totalOutstanding) * 100 : 0);
+}
+
+/**
+ * Render expenses / net result KPI cards and per-source table
+ * @param {Array} entries - Filtered entries
+ * @param {Array} expenses - Expenses for the same period
+ * @param {Object} kpis - KPI data
+ */
+function renderNetResult(entries, expenses, kpis) {
+    const rows = expensesManager.getNetResultBySource(entries, expenses, { includeParakratisi: kpis.includeParakratisi });
+    const totalExpenses = expensesManager.getCategoryTotals(expenses).total;
+    const netResult = kpis.total - totalExpenses;
+    
+    updateKPI('kpiExpenses', totalExpenses, kpis.total > 0 ? (totalExpenses / kpis.total) * 100 : 0);
+    updateKPI('kpiNetResult', netResult, kpis.total > 0 ? (netResult / kpis.total) * 100 : 0);
+    
+    const body = document.getElementById('dashNetResultBody');
+    if (!body) return;
+    
+    if (rows.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="text-center">Δεν υπάρχουν δεδομένα</td></tr>';
+        return;
+    }
+    
+    body.innerHTML = rows.map(row => `
+        <tr>
+            <td>${escapeHtml(row.source)}</td>
+            <td class="text-right">${formatCurrency(row.grossRevenue)}</td>
+            <td class="text-right">${formatCurrency(row.deductions)}</td>
+            <td class="text-right">${formatCurrency(row.expenses)}</td>
+            <td class="text-right ${row.netResult < 0 ? 'text-danger' : ''}"><strong>${formatCurrency(row.netResult)}</strong></td>
+            <td class="text-right">${formatPercent(row.margin)}</td>
+        </tr>
+    `).join('');
 }
 
 /**
@@ -127,7 +241,11 @@ function updateKPI(elementId, value, percent) {
             elementId.includes('MDE') || 
             elementId.includes('Rebate') || 
             elementId.includes('Krathseis') || 
-            elementId.includes('Clawback')) {
+            elementId.includes('Clawback') ||
+            elementId.includes('Outstanding') ||
+            elementId.includes('Overdue') ||
+            elementId.includes('Expenses') ||
+            value < 0) {
             percentEl.classList.add('negative');
         } else if (percent > 0) {
             percentEl.classList.add('positive');
@@ -338,6 +456,11 @@ export function renderEntriesTable() {
         return;
     }
 
+    // Rebates that differ from the bracket table
+    const rebateMismatches = new Map(
+        eopyyDeductionsManager.getRebateMismatches(STATE.entries).map(m => [m.entryId, m])
+    );
+
     // ✅ CRITICAL: Use data-id instead of onclick
     tbody.innerHTML = pageEntries.map(entry => {
         const amounts = eopyyDeductionsManager.getAmountsBreakdown(entry);
@@ -357,7 +480,7 @@ export function renderEntriesTable() {
                 <td class="text-right">${formatCurrency(amounts.originalAmount)}</td>
                 <td class="text-right">${isEopyy ? formatCurrency(amounts.parakratisi || 0) : '-'}</td>
                 <td class="text-right">${isEopyy ? formatCurrency(amounts.mde || 0) : '-'}</td>
-                <td class="text-right">${isEopyy ? formatCurrency(amounts.rebate || 0) : '-'}</td>
+                <td class="text-right">${isEopyy ? formatCurrency(amounts.rebate || 0) : '-'}${rebateMismatches.has(entry.id) ? ` <span class="rebate-mismatch" title="Κλιμάκια: ${formatCurrency(rebateMismatches.get(entry.id).expected)}">⚠️</span>` : ''}</td>
                 <td class="text-right">${formatCurrency(amounts.krathseis || 0)}</td>
                 <td class="text-right">${isEopyy ? formatCurrency(amounts.clawback || 0) : '-'}</td>
                 <td class="text-right">${formatCurrency(deductionsAmount)}</td>
@@ -753,13 +876,13 @@ export function renderPagination(totalItems, totalPages) {
  */
 export function renderSourcesAndInsurances() {
     // Update all source dropdowns
-    const sourceSelects = ['quickSource', 'filterSource', 'entrySource'];
+    const sourceSelects = ['quickSource', 'filterSource', 'entrySource', 'templateSource', 'statementSource', 'expenseSource', 'expenseFilterSource'];
     sourceSelects.forEach(id => {
         const select = document.getElementById(id);
         if (!select) return;
         
         const currentValue = select.value;
-        const isFilter = id.startsWith('filter');
+        const isFilter = id.startsWith('filter') || ['templateSource', 'statementSource', 'expenseFilterSource'].includes(id);
         
         select.innerHTML = isFilter 
             ? '<option value="">Όλα</option>' 
@@ -773,13 +896,13 @@ export function renderSourcesAndInsurances() {
     });
 
     // Update all insurance dropdowns
-    const insuranceSelects = ['quickInsurance', 'filterInsurance', 'entryInsurance'];
+    const insuranceSelects = ['quickInsurance', 'filterInsurance', 'entryInsurance', 'budgetInsurance'];
     insuranceSelects.forEach(id => {
         const select = document.getElementById(id);
         if (!select) return;
         
         const currentValue = select.value;
-        const isFilter = id.startsWith('filter');
+        const isFilter = id.startsWith('filter') || id === 'budgetInsurance';
         
         select.innerHTML = isFilter 
             ? '<option value="">Όλες</option>' 
@@ -795,6 +918,9 @@ export function renderSourcesAndInsurances() {
     // Render settings lists (sortable)
     renderSourcesList();
     renderInsurancesList();
+    renderInsuranceTaxDefaults();
+    renderMyDataSettings();
+    renderCashFlowSettings();
 }
 
 /**
@@ -837,6 +963,122 @@ function renderInsurancesList() {
     setupSortable(insurancesList, 'insurances');
 }
 
+/**
+ * Render budget grid (sources x months) for the selected year / insurance
+ */
+export function renderBudgetGrid() {
+    const head = document.getElementById('budgetGridHead');
+    const body = document.getElementById('budgetGridBody');
+    const yearInput = document.getElementById('budgetYear');
+    if (!head || !body || !yearInput) return;
+
+    if (!yearInput.value) {
+        yearInput.value = new Date().getFullYear();
+    }
+    const year = parseInt(yearInput.value);
+    const insurance = document.getElementById('budgetInsurance')?.value || '';
+    const months = Array.from({ length: 12 }, (_, i) => i + 1);
+
+    head.innerHTML = `
+        <tr>
+            <th>Διαγνωστικό</th>
+            ${months.map(month => `<th class="text-right">${String(month).padStart(2, '0')}</th>`).join('')}
+            <th class="text-right">Σύνολο</th>
+        </tr>
+    `;
+
+    if (STATE.sources.length === 0) {
+        body.innerHTML = '<tr><td colspan="14" class="text-center">Δεν υπάρχουν διαγνωστικά</td></tr>';
+        return;
+    }
+
+    body.innerHTML = STATE.sources.map(source => {
+        let total = 0;
+        const cells = months.map(month => {
+            const target = budgetManager.getTarget(formatMonthYear(month, year), source, insurance);
+            total += target || 0;
+            return `<td><input type="number" class="form-input form-input-compact budget-cell" data-source="${escapeHtml(source)}" data-month="${month}" step="0.01" min="0" value="${target ?? ''}"></td>`;
+        }).join('');
+
+        return `
+            <tr>
+                <td>${escapeHtml(source)}</td>
+                ${cells}
+                <td class="text-right"><strong>${formatCurrency(total)}</strong></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render VAT / withholding defaults per insurance in settings
+ */
+function renderInsuranceTaxDefaults() {
+    const body = document.getElementById('insuranceTaxDefaultsBody');
+    if (!body) return;
+
+    body.innerHTML = STATE.insurances.map(insurance => {
+        const defaults = getInsuranceTaxDefaults(insurance);
+        return `
+            <tr data-insurance="${escapeHtml(insurance)}">
+                <td>${escapeHtml(insurance)}</td>
+                <td><input type="number" class="form-input form-input-compact tax-vat-rate" step="0.01" min="0" max="100" value="${defaults.vatRate ?? ''}" placeholder="—"></td>
+                <td><input type="number" class="form-input form-input-compact tax-withholding-rate" step="0.01" min="0" max="100" value="${defaults.withholdingRate ?? ''}" placeholder="—"></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render myDATA VAT numbers per source / insurance in settings
+ */
+function renderMyDataSettings() {
+    const issuersBody = document.getElementById('myDataIssuersBody');
+    const counterpartsBody = document.getElementById('myDataCounterpartsBody');
+    if (!issuersBody || !counterpartsBody) return;
+
+    const { series, issuers, counterparts } = myDataExporter.settings;
+    const seriesInput = document.getElementById('myDataSeries');
+    if (seriesInput) seriesInput.value = series;
+
+    const rows = (names, parties, attr) => names.map(name => {
+        const party = parties[name] || {};
+        return `
+            <tr ${attr}="${escapeHtml(name)}">
+                <td>${escapeHtml(name)}</td>
+                <td><input type="text" class="form-input form-input-compact mydata-vat" maxlength="9" inputmode="numeric" value="${escapeHtml(party.vatNumber || '')}" placeholder="—"></td>
+                <td><input type="number" class="form-input form-input-compact mydata-branch" min="0" step="1" value="${party.branch ?? 0}"></td>
+            </tr>
+        `;
+    }).join('');
+
+    issuersBody.innerHTML = rows(STATE.sources, issuers, 'data-source');
+    counterpartsBody.innerHTML = rows(STATE.insurances, counterparts, 'data-insurance');
+}
+
+/**
+ * Render cash-flow payment lags per insurance in settings
+ */
+function renderCashFlowSettings() {
+    const lagsBody = document.getElementById('cashFlowLagsBody');
+    if (!lagsBody) return;
+
+    const { defaultLag, clawbackLag, subtractParakratisi } = cashFlowManager.settings;
+    const defaultLagInput = document.getElementById('cashFlowDefaultLag');
+    const clawbackLagInput = document.getElementById('cashFlowClawbackLag');
+    const subtractParakratisiInput = document.getElementById('cashFlowSubtractParakratisi');
+    if (defaultLagInput) defaultLagInput.value = defaultLag;
+    if (clawbackLagInput) clawbackLagInput.value = clawbackLag;
+    if (subtractParakratisiInput) subtractParakratisiInput.checked = subtractParakratisi;
+
+    lagsBody.innerHTML = STATE.insurances.map(insurance => `
+        <tr data-insurance="${escapeHtml(insurance)}">
+            <td>${escapeHtml(insurance)}</td>
+            <td><input type="number" class="form-input form-input-compact cashflow-lag" min="0" max="24" step="1" value="${cashFlowManager.settings.lags[insurance] ?? ''}" placeholder="${cashFlowManager.getDefaultLag(insurance)}"></td>
+        </tr>
+    `).join('');
+}
+
 /**
  * Setup drag & drop for sortable lists
  * @param {HTMLElement} container - Container element
@@ -946,11 +1188,811 @@ export function setupTableSorting() {
     });
 }
 
+// ========================================
+// Deduction Rate Templates
+// ========================================
+
+/**
+ * Render deduction templates list and usage report in settings
+ */
+export function renderDeductionTemplates() {
+    const templatesBody = document.getElementById('deductionTemplatesBody');
+    const usageBody = document.getElementById('templateUsageBody');
+    if (!templatesBody || !usageBody) return;
+
+    const usage = eopyyDeductionsManager.getTemplateUsageReport(STATE.entries);
+    const usageById = new Map(usage.map(group => [group.templateId, group]));
+    const templates = [...eopyyDeductionsManager.templates]
+        .sort((a, b) => compareDates(b.effectiveFrom, a.effectiveFrom));
+
+    if (templates.length === 0) {
+        templatesBody.innerHTML = '<tr><td colspan="6" class="text-center">Δεν υπάρχουν πρότυπα</td></tr>';
+    } else {
+        templatesBody.innerHTML = templates.map(template => {
+            const totalPercent = Object.values(template.percentages).reduce((sum, p) => sum + p, 0);
+            const group = usageById.get(template.id);
+
+            return `
+                <tr>
+                    <td>${escapeHtml(template.name)}</td>
+                    <td>${template.source ? escapeHtml(template.source) : 'Όλα'}</td>
+                    <td>${escapeHtml(template.effectiveFrom)} – ${template.effectiveTo ? escapeHtml(template.effectiveTo) : '…'}</td>
+                    <td class="text-right">${formatPercent(totalPercent)}</td>
+                    <td class="text-right">${group ? group.entries.length : 0}</td>
+                    <td>
+                        <button class="btn-secondary btn-compact btn-sm" onclick="window.editDeductionTemplate('${template.id}')" title="Επεξεργασία">✏️</button>
+                        <button class="btn-danger btn-compact btn-sm" onclick="window.deleteDeductionTemplate('${template.id}')" title="Διαγραφή">🗑️</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    const rows = usage.filter(group => group.entries.length > 0).flatMap(group =>
+        group.entries
+            .sort((a, b) => compareDates(b.date, a.date))
+            .map(item => `
+                <tr>
+                    <td>${escapeHtml(group.name)}</td>
+                    <td>${escapeHtml(item.date)}</td>
+                    <td>${escapeHtml(item.source)}</td>
+                    <td class="text-right">${formatCurrency(item.originalAmount)}</td>
+                    <td class="text-right">${formatCurrency(item.totalDeductions)}</td>
+                    <td>${item.modified ? 'Τροποποιήθηκε χειροκίνητα' : ''}</td>
+                </tr>
+            `)
+    );
+
+    usageBody.innerHTML = rows.length > 0
+        ? rows.join('')
+        : '<tr><td colspan="6" class="text-center">Δεν υπάρχουν εγγραφές ΕΟΠΥΥ</td></tr>';
+}
+
+/**
+ * Render rebate bracket editor and mismatch list in settings
+ */
+export function renderRebateBrackets() {
+    const bracketsBody = document.getElementById('rebateBracketsBody');
+    const mismatchBody = document.getElementById('rebateMismatchBody');
+    const mismatchCount = document.getElementById('rebateMismatchCount');
+    if (!bracketsBody || !mismatchBody) return;
+
+    const brackets = eopyyDeductionsManager.rebateBrackets.length > 0
+        ? eopyyDeductionsManager.rebateBrackets
+        : [{ threshold: 0, rate: '' }];
+
+    bracketsBody.innerHTML = brackets.map(bracket => renderRebateBracketRow(bracket)).join('');
+
+    const mismatches = eopyyDeductionsManager.getRebateMismatches(STATE.entries)
+        .sort((a, b) => compareDates(b.date, a.date));
+
+    if (mismatchCount) mismatchCount.textContent = mismatches.length;
+
+    mismatchBody.innerHTML = mismatches.length > 0
+        ? mismatches.map(item => `
+            <tr>
+                <td>${escapeHtml(item.date)}</td>
+                <td>${escapeHtml(item.source)}</td>
+                <td class="text-right">${formatCurrency(item.actual)}</td>
+                <td class="text-right">${formatCurrency(item.expected)}</td>
+                <td class="text-right text-danger">${formatCurrency(item.difference)}</td>
+                <td><button class="btn-secondary btn-compact btn-sm" onclick="window.editEntry('${item.entryId}')" title="Επεξεργασία">✏️</button></td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="6" class="text-center">Δεν υπάρχουν αποκλίσεις</td></tr>';
+}
+
+/**
+ * Render single editable bracket row
+ * @param {Object} bracket - {threshold, rate}
+ * @returns {string} HTML
+ */
+export function renderRebateBracketRow(bracket = { threshold: '', rate: '' }) {
+    return `
+        <tr class="rebate-bracket-row">
+            <td><input type="number" class="form-input form-input-compact bracket-threshold" step="0.01" min="0" value="${bracket.threshold}"></td>
+            <td><input type="number" class="form-input form-input-compact bracket-rate" step="0.01" min="0" max="100" value="${bracket.rate}"></td>
+            <td><button type="button" class="btn-danger btn-compact btn-sm bracket-remove" title="Αφαίρεση">×</button></td>
+        </tr>
+    `;
+}
+
+/**
+ * Render local snapshot settings and snapshot list in settings
+ */
+export async function renderSnapshots() {
+    const body = document.getElementById('snapshotsBody');
+    if (!body) return;
+
+    const { enabled, retention } = backupManager.snapshotSettings;
+    const enabledInput = document.getElementById('snapshotsEnabled');
+    if (enabledInput) enabledInput.checked = enabled;
+    const retentionInputs = { daily: 'snapshotKeepDaily', weekly: 'snapshotKeepWeekly', monthly: 'snapshotKeepMonthly' };
+    Object.entries(retentionInputs).forEach(([tier, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = retention[tier];
+    });
+
+    const snapshots = await backupManager.listSnapshots();
+    const tierLabels = { daily: 'Ημερήσιο', weekly: 'Εβδομαδιαίο', monthly: 'Μηνιαίο' };
+
+    body.innerHTML = snapshots.length > 0
+        ? snapshots.map(snapshot => `
+            <tr>
+                <td>${formatDateTime(snapshot.timestamp)}${snapshot.trigger === 'manual' ? ' <span class="help-text">(χειροκίνητο)</span>' : ''}</td>
+                <td>${snapshot.tiers.map(tier => tierLabels[tier]).join(', ')}</td>
+                <td class="text-right">${(snapshot.size / 1024).toFixed(1)} KB</td>
+                <td class="text-right">${snapshot.metadata?.entriesCount ?? 0}</td>
+                <td>
+                    <button type="button" class="btn-secondary btn-compact btn-sm snapshot-restore" data-snapshot-id="${escapeHtml(snapshot.id)}" title="Επαναφορά">↺</button>
+                    <button type="button" class="btn-danger btn-compact btn-sm snapshot-delete" data-snapshot-id="${escapeHtml(snapshot.id)}" title="Διαγραφή">×</button>
+                </td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="5" class="text-center">Δεν υπάρχουν snapshots</td></tr>';
+}
+
+/**
+ * Render backup import diff (rows filtered by date range / source / status)
+ * @param {Object} diff - Diff from backupManager.calculateEntryDiff
+ * @param {Object} filters - { dateFrom, dateTo, source, status }
+ * @param {Set<string>} selectedKeys - Selected row keys
+ */
+export function renderBackupDiff(diff, filters = {}, selectedKeys = new Set()) {
+    const body = document.getElementById('backupDiffBody');
+    if (!body) return;
+
+    const summary = document.getElementById('backupDiffSummary');
+    if (summary) {
+        summary.textContent = `Προσθήκη: ${diff.counts.added} · Αλλαγή: ${diff.counts.changed} · Αφαίρεση: ${diff.counts.removed} · Ίδιες: ${diff.counts.unchanged}`;
+    }
+
+    const sourceSelect = document.getElementById('backupDiffSource');
+    if (sourceSelect) {
+        const sources = [...new Set(diff.rows.map(row => row.source))].sort();
+        sourceSelect.innerHTML = '<option value="">Όλα</option>' + sources
+            .map(source => `<option value="${escapeHtml(source)}">${escapeHtml(source)}</option>`)
+            .join('');
+        sourceSelect.value = sources.includes(filters.source) ? filters.source : '';
+    }
+
+    const statusLabels = {
+        added: '<span class="text-success">Προσθήκη</span>',
+        changed: '<span class="text-warning">Αλλαγή</span>',
+        removed: '<span class="text-danger">Αφαίρεση</span>'
+    };
+
+    const rows = backupManager.filterDiffRows(diff.rows, filters);
+    body.innerHTML = rows.length > 0
+        ? rows.map(row => `
+            <tr>
+                <td><input type="checkbox" class="backup-diff-select" data-key="${escapeHtml(row.key)}" ${selectedKeys.has(row.key) ? 'checked' : ''}></td>
+                <td>${statusLabels[row.status]}</td>
+                <td>${escapeHtml(row.date)}</td>
+                <td>${escapeHtml(row.source)}</td>
+                <td>${escapeHtml(row.insurance)}</td>
+                <td class="text-right">${formatCurrency(row.amount || 0)}</td>
+                <td>${row.changes.length > 0
+                    ? `<ul class="backup-diff-changes">
+                        ${row.changes.map(change => `
+                            <li>${escapeHtml(auditLog.getFieldLabel(change.field))}: ${escapeHtml(formatAuditValue(change.from, change.field))} → ${escapeHtml(formatAuditValue(change.to, change.field))}</li>
+                        `).join('')}
+                      </ul>`
+                    : '—'}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="7" class="text-center">Δεν υπάρχουν διαφορές</td></tr>';
+
+    const settingsEl = document.getElementById('backupSettingsDiff');
+    if (settingsEl) {
+        const describe = (label, change) => {
+            const parts = [
+                change.added.length > 0 ? `+ ${change.added.join(', ')}` : '',
+                change.changed?.length > 0 ? `≠ ${change.changed.join(', ')}` : '',
+                change.removed.length > 0 ? `− ${change.removed.join(', ')}` : ''
+            ].filter(Boolean);
+            return parts.length > 0 ? `<p><strong>${label}:</strong> ${escapeHtml(parts.join(' · '))}</p>` : '';
+        };
+
+        const html = describe('Διαγνωστικά', diff.settings.sources)
+            + describe('Ασφάλειες', diff.settings.insurances)
+            + describe('Πρότυπα κρατήσεων', diff.settings.deductionTemplates);
+        settingsEl.innerHTML = html || '<p>Οι ρυθμίσεις είναι ίδιες με το backup</p>';
+    }
+}
+
+// ========================================
+// Receivables (Aging)
+// ========================================
+
+/**
+ * Render receivables aging view
+ */
+export function renderReceivablesView() {
+    const summaryEl = document.getElementById('receivablesSummary');
+    const insuranceBody = document.getElementById('receivablesInsuranceBody');
+    const entriesBody = document.getElementById('receivablesEntriesBody');
+    if (!summaryEl || !insuranceBody || !entriesBody) return;
+
+    renderBankTransactions();
+
+    const aging = getReceivablesAging();
+
+    summaryEl.innerHTML = `
+        <div class="kpi-grid kpi-grid-compact">
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Σύνολο Ανεξόφλητων</div>
+                <div class="kpi-value kpi-value-compact">${formatCurrency(aging.totalOutstanding)}</div>
+                <div class="kpi-percent">${aging.overdueCount} εκπρόθεσμες</div>
+            </div>
+            ${aging.buckets.map(bucket => `
+                <div class="kpi-card kpi-card-compact">
+                    <div class="kpi-label">${bucket.label}</div>
+                    <div class="kpi-value kpi-value-compact">${formatCurrency(bucket.total)}</div>
+                    <div class="kpi-percent">${bucket.count} εγγραφές</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    if (aging.byInsurance.length === 0) {
+        insuranceBody.innerHTML = '<tr><td colspan="5" class="text-center">Δεν υπάρχουν ανεξόφλητα</td></tr>';
+        entriesBody.innerHTML = '<tr><td colspan="10" class="text-center">Δεν υπάρχουν ανεξόφλητα</td></tr>';
+        return;
+    }
+
+    insuranceBody.innerHTML = aging.byInsurance.map(row => `
+        <tr>
+            <td>${escapeHtml(row.insurance)}</td>
+            <td class="text-right">${formatCurrency(row['0-30'])}</td>
+            <td class="text-right">${formatCurrency(row['31-90'])}</td>
+            <td class="text-right">${formatCurrency(row['90+'])}</td>
+            <td class="text-right"><strong>${formatCurrency(row.total)}</strong></td>
+        </tr>
+    `).join('');
+
+    const items = aging.buckets.flatMap(b => b.items).sort((a, b) => b.days - a.days);
+
+    entriesBody.innerHTML = items.map(item => `
+        <tr class="${item.overdue ? 'row-overdue' : ''}">
+            <td>${escapeHtml(item.entry.date)}</td>
+            <td>${escapeHtml(item.entry.source)}</td>
+            <td>${escapeHtml(item.entry.insurance)}</td>
+            <td>${PAYMENT_STATUSES[item.status] || item.status}</td>
+            <td class="text-right">${formatCurrency(item.expected)}</td>
+            <td class="text-right">${formatCurrency(item.received)}</td>
+            <td class="text-right"><strong>${formatCurrency(item.outstanding)}</strong></td>
+            <td class="text-right">${item.days}</td>
+            <td>${item.expectedPaymentDate ? escapeHtml(item.expectedPaymentDate) : '-'}</td>
+            <td>
+                <button class="btn-secondary btn-compact btn-sm" onclick="window.recordEntryPayment('${item.entry.id}')" title="Καταχώριση πληρωμής">💶</button>
+                <button class="btn-primary btn-compact btn-sm" onclick="window.markEntryPaid('${item.entry.id}')" title="Εξόφληση">✓</button>
+                <button class="btn-secondary btn-compact btn-sm" onclick="window.editEntry('${item.entry.id}')" title="Επεξεργασία">✏️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render bank transactions: proposed matches and processed list
+ */
+export function renderBankTransactions() {
+    const unmatchedBody = document.getElementById('bankUnmatchedBody');
+    const processedBody = document.getElementById('bankProcessedBody');
+    if (!unmatchedBody || !processedBody) return;
+
+    const describe = t => `
+        ${escapeHtml(t.description || '-')}
+        ${t.counterparty && !t.description.includes(t.counterparty) ? `<br><small class="help-text">${escapeHtml(t.counterparty)}</small>` : ''}
+    `;
+    const entryLabel = (entryId, amount) => {
+        const entry = STATE.entries.find(e => e.id === entryId);
+        const label = entry
+            ? `${escapeHtml(entry.date)} · ${escapeHtml(entry.source)} · ${escapeHtml(entry.insurance)}`
+            : '<em>(διαγραμμένη εγγραφή)</em>';
+        return `${label}: ${formatCurrency(amount)}`;
+    };
+
+    const unmatched = bankStatementManager.getTransactions('unmatched');
+
+    unmatchedBody.innerHTML = unmatched.length === 0
+        ? '<tr><td colspan="5" class="text-center">Δεν υπάρχουν κινήσεις χωρίς αντιστοίχιση</td></tr>'
+        : unmatched.map(t => {
+            const proposals = bankStatementManager.proposeMatches(t);
+            const proposalsHtml = proposals.length === 0
+                ? '<span class="help-text">Καμία πρόταση</span>'
+                : proposals.map(p => `
+                    <div class="bank-proposal">
+                        <div>
+                            <strong>${p.score}%</strong>
+                            ${p.reasons.length > 0 ? `<small class="help-text">${escapeHtml(p.reasons.join(', '))}</small>` : ''}
+                            ${p.difference !== 0 ? `<small class="help-text">Διαφορά ${formatCurrency(p.difference)}</small>` : ''}
+                        </div>
+                        ${p.allocations.map(a => `<div>${entryLabel(a.entryId, a.amount)}</div>`).join('')}
+                        <button class="btn-primary btn-compact btn-sm" onclick="window.acceptBankMatch('${t.id}', '${p.entryIds.join(',')}')" title="Αποδοχή">✓</button>
+                        <button class="btn-secondary btn-compact btn-sm" onclick="window.rejectBankMatch('${t.id}', '${p.entryIds.join(',')}')" title="Απόρριψη">✗</button>
+                    </div>
+                `).join('');
+
+            return `
+                <tr>
+                    <td>${escapeHtml(t.date)}</td>
+                    <td>${describe(t)}</td>
+                    <td class="text-right"><strong>${formatCurrency(t.amount)}</strong></td>
+                    <td>${proposalsHtml}</td>
+                    <td>
+                        <button class="btn-secondary btn-compact btn-sm" onclick="window.ignoreBankTransaction('${t.id}', true)" title="Αγνόηση">🚫</button>
+                        <button class="btn-danger btn-compact btn-sm" onclick="window.deleteBankTransaction('${t.id}')" title="Διαγραφή">🗑️</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+    const processed = bankStatementManager.transactions
+        .filter(t => t.status !== 'unmatched')
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    processedBody.innerHTML = processed.length === 0
+        ? '<tr><td colspan="6" class="text-center">Δεν υπάρχουν κινήσεις</td></tr>'
+        : processed.map(t => `
+            <tr>
+                <td>${escapeHtml(t.date)}</td>
+                <td>${describe(t)}</td>
+                <td class="text-right">${formatCurrency(t.amount)}</td>
+                <td>${escapeHtml(bankStatementManager.getStatusLabel(t.status))}${t.matchedAt ? ` (${formatDateTime(t.matchedAt)})` : ''}</td>
+                <td>${t.matches.map(m => `<div>${entryLabel(m.entryId, m.amount)}</div>`).join('') || '-'}</td>
+                <td>
+                    ${t.status === 'matched'
+                        ? `<button class="btn-secondary btn-compact btn-sm" onclick="window.unmatchBankTransaction('${t.id}')" title="Αποσύνδεση">↩️</button>`
+                        : `<button class="btn-secondary btn-compact btn-sm" onclick="window.ignoreBankTransaction('${t.id}', false)" title="Επαναφορά">↩️</button>
+                           <button class="btn-danger btn-compact btn-sm" onclick="window.deleteBankTransaction('${t.id}')" title="Διαγραφή">🗑️</button>`}
+                </td>
+            </tr>
+        `).join('');
+}
+
+// ========================================
+// ΕΟΠΥΥ Statement Reconciliation
+// ========================================
+
+/**
+ * Render statements list in reconciliation view
+ */
+export function renderReconciliationView() {
+    const body = document.getElementById('statementsBody');
+    if (!body) return;
+
+    const statements = [...reconciliationManager.statements].sort((a, b) => b.createdAt - a.createdAt);
+
+    if (statements.length === 0) {
+        body.innerHTML = '<tr><td colspan="8" class="text-center">Δεν υπάρχουν δηλώσεις</td></tr>';
+        return;
+    }
+
+    body.innerHTML = statements.map(statement => {
+        const isPending = statement.status === 'pending';
+        // Pending statements are compared against the current estimates
+        const totals = isPending ? reconciliationManager.calculateAllocation(statement) : statement;
+
+        return `
+            <tr>
+                <td>${escapeHtml(statement.period)}</td>
+                <td>${escapeHtml(reconciliationManager.getDeductionTypeLabel(statement.deductionType))}</td>
+                <td>${statement.source ? escapeHtml(statement.source) : 'Όλα'}</td>
+                <td class="text-right">${formatCurrency(statement.statementTotal)}</td>
+                <td class="text-right">${formatCurrency(totals.estimatedTotal)}</td>
+                <td class="text-right ${totals.variance > 0 ? 'text-danger' : ''}">${formatCurrency(totals.variance)}</td>
+                <td>${escapeHtml(reconciliationManager.getStatusLabel(statement.status))}${statement.appliedAt ? ` (${formatDateTime(statement.appliedAt)})` : ''}</td>
+                <td>
+                    <button class="btn-secondary btn-compact btn-sm" onclick="window.previewStatement('${statement.id}')" title="Προεπισκόπηση">🔍</button>
+                    ${isPending ? `<button class="btn-primary btn-compact btn-sm" onclick="window.applyStatement('${statement.id}')" title="Εφαρμογή">✓</button>` : ''}
+                    <button class="btn-danger btn-compact btn-sm" onclick="window.deleteStatement('${statement.id}')" title="Διαγραφή">🗑️</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render allocation of a statement across its period's entries
+ * @param {string|null} statementId - Statement ID (null hides the preview)
+ */
+export function renderStatementPreview(statementId) {
+    const card = document.getElementById('statementPreviewCard');
+    const summaryEl = document.getElementById('statementPreviewSummary');
+    const body = document.getElementById('statementPreviewBody');
+    const actions = document.getElementById('statementPreviewActions');
+    if (!card || !summaryEl || !body || !actions) return;
+
+    const statement = statementId ? reconciliationManager.getStatement(statementId) : null;
+    if (!statement) {
+        card.style.display = 'none';
+        return;
+    }
+
+    const isPending = statement.status === 'pending';
+    const allocation = isPending
+        ? reconciliationManager.calculateAllocation(statement)
+        : {
+            entries: statement.allocations,
+            totalOriginal: statement.allocations.reduce((sum, row) => sum + row.originalAmount, 0),
+            estimatedTotal: statement.estimatedTotal,
+            variance: statement.variance
+        };
+
+    document.getElementById('statementPreviewTitle').textContent =
+        `🔍 Κατανομή ${reconciliationManager.getDeductionTypeLabel(statement.deductionType)} ${statement.period}`;
+
+    summaryEl.innerHTML = `
+        <div class="kpi-grid kpi-grid-compact">
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Εγγραφές</div>
+                <div class="kpi-value kpi-value-compact">${allocation.entries.length}</div>
+                <div class="kpi-percent">${formatCurrency(allocation.totalOriginal)}</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Εκτίμηση</div>
+                <div class="kpi-value kpi-value-compact">${formatCurrency(allocation.estimatedTotal)}</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Δήλωση ΕΟΠΥΥ</div>
+                <div class="kpi-value kpi-value-compact">${formatCurrency(statement.statementTotal)}</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Απόκλιση</div>
+                <div class="kpi-value kpi-value-compact ${allocation.variance > 0 ? 'text-danger' : ''}">${formatCurrency(allocation.variance)}</div>
+            </div>
+        </div>
+    `;
+
+    body.innerHTML = allocation.entries.length > 0
+        ? allocation.entries.map(row => `
+            <tr>
+                <td>${escapeHtml(row.date)}</td>
+                <td>${escapeHtml(row.source)}</td>
+                <td class="text-right">${formatCurrency(row.originalAmount)}</td>
+                <td class="text-right">${formatCurrency(row.estimated)}</td>
+                <td class="text-right">${formatCurrency(row.allocated)}</td>
+                <td class="text-right">${formatCurrency(row.variance)}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="6" class="text-center">Δεν υπάρχουν εγγραφές ΕΟΠΥΥ για την περίοδο</td></tr>';
+
+    actions.innerHTML = isPending && allocation.entries.length > 0
+        ? `<button class="btn-primary btn-compact" onclick="window.applyStatement('${statement.id}')">✓ Εφαρμογή στις κρατήσεις</button>`
+        : '';
+
+    card.style.display = 'block';
+}
+
+// ========================================
+// Expenses
+// ========================================
+
+/**
+ * Render expenses ledger with category totals
+ */
+export function renderExpensesView() {
+    const body = document.getElementById('expensesBody');
+    const summaryEl = document.getElementById('expensesSummary');
+    const yearSelect = document.getElementById('expenseFilterYear');
+    if (!body || !summaryEl || !yearSelect) return;
+
+    // Keep year filter in sync with the ledger
+    const selectedYear = yearSelect.value;
+    const years = [...new Set(expensesManager.expenses.map(e => parseMonthYear(e.date)?.year).filter(Boolean))]
+        .sort((a, b) => b - a);
+    yearSelect.innerHTML = '<option value="">Όλα τα έτη</option>' +
+        years.map(year => `<option value="${year}">${year}</option>`).join('');
+    yearSelect.value = years.includes(parseInt(selectedYear)) ? selectedYear : '';
+
+    const expenses = expensesManager.getExpenses({
+        year: yearSelect.value ? parseInt(yearSelect.value) : null,
+        source: document.getElementById('expenseFilterSource')?.value || ''
+    });
+    const totals = expensesManager.getCategoryTotals(expenses);
+
+    summaryEl.innerHTML = `
+        <div class="kpi-grid kpi-grid-compact">
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Σύνολο Εξόδων</div>
+                <div class="kpi-value kpi-value-compact">${formatCurrency(totals.total)}</div>
+                <div class="kpi-percent">${expenses.length} εγγραφές</div>
+            </div>
+            ${Object.entries(totals.byCategory).map(([category, amount]) => `
+                <div class="kpi-card kpi-card-compact">
+                    <div class="kpi-label">${escapeHtml(expensesManager.getCategoryLabel(category))}</div>
+                    <div class="kpi-value kpi-value-compact">${formatCurrency(amount)}</div>
+                    <div class="kpi-percent">${formatPercent(totals.total > 0 ? (amount / totals.total) * 100 : 0)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    if (expenses.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="text-center">Δεν υπάρχουν έξοδα</td></tr>';
+        return;
+    }
+
+    body.innerHTML = expenses.map(expense => `
+        <tr>
+            <td>${escapeHtml(expense.date)}</td>
+            <td>${escapeHtml(expense.source)}</td>
+            <td>${escapeHtml(expensesManager.getCategoryLabel(expense.category))}</td>
+            <td class="text-right">${formatCurrency(expense.amount)}</td>
+            <td>${escapeHtml(expense.notes || '')}</td>
+            <td>
+                <button class="btn-secondary btn-compact btn-sm" onclick="window.editExpense('${expense.id}')" title="Επεξεργασία">✏️</button>
+                <button class="btn-danger btn-compact btn-sm" onclick="window.deleteExpense('${expense.id}')" title="Διαγραφή">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// ========================================
+// Entry History (Audit Trail)
+// ========================================
+
+/**
+ * Render change history timeline in the entry modal
+ * @param {string|null} entryId - Entry ID (null hides the panel for new entries)
+ * @returns {Promise<void>}
+ */
+export async function renderEntryHistory(entryId) {
+    const section = document.getElementById('entryHistorySection');
+    const list = document.getElementById('entryHistoryList');
+    if (!section || !list) return;
+
+    if (!entryId) {
+        section.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    const history = await auditLog.getHistory(entryId);
+    section.style.display = 'block';
+
+    if (history.length === 0) {
+        list.innerHTML = '<p class="entry-history-empty">Δεν υπάρχει καταγεγραμμένο ιστορικό</p>';
+        return;
+    }
+
+    list.innerHTML = history.map((record, index) => {
+        const changes = record.changes.length > 0
+            ? `<ul class="entry-history-changes">
+                ${record.changes.map(change => `
+                    <li>
+                        <strong>${escapeHtml(auditLog.getFieldLabel(change.field))}:</strong>
+                        ${escapeHtml(formatAuditValue(change.from, change.field))} → ${escapeHtml(formatAuditValue(change.to, change.field))}
+                    </li>
+                `).join('')}
+              </ul>`
+            : '';
+
+        // Newest record is the current version - nothing to restore
+        const canRestore = index > 0 && record.snapshot && record.action !== 'delete';
+
+        return `
+            <div class="entry-history-item">
+                <div class="entry-history-meta">
+                    <span class="entry-history-action">${escapeHtml(auditLog.getActionLabel(record.action))}</span>
+                    <span>${formatDateTime(record.timestamp)}</span>
+                    <span>${escapeHtml(record.user || '')}</span>
+                    ${canRestore ? `<button type="button" class="btn-secondary btn-compact" onclick="window.restoreEntryVersion('${escapeHtml(entryId)}', '${escapeHtml(record.id)}')">↺ Επαναφορά</button>` : ''}
+                </div>
+                ${changes}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Format audit value for display
+ * @param {any} value - Field value
+ * @param {string} field - Field path
+ * @returns {string} Display text
+ * @private
+ */
+function formatAuditValue(value, field) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'deductionTemplateId') {
+        const template = eopyyDeductionsManager.getTemplate(value);
+        return template ? template.name : String(value);
+    }
+    if (typeof value === 'number') return value.toLocaleString('el-GR');
+    return String(value);
+}
+
+// ========================================
+// CSV Import Wizard
+// ========================================
+
+/**
+ * Render the CSV import wizard at the given step
+ * @param {number} step - 1 = mapping, 2 = preview, 3 = dry run
+ * @param {Object|null} plan - Dry run result (step 3)
+ */
+export function renderCsvImportWizard(step, plan = null) {
+    document.querySelectorAll('#csvImportModal .csv-wizard-step').forEach(el => {
+        el.classList.toggle('active', parseInt(el.dataset.step) === step);
+    });
+
+    const panels = { 1: 'csvMappingStep', 2: 'csvPreviewStep', 3: 'csvDryRunStep' };
+    Object.entries(panels).forEach(([panelStep, id]) => {
+        const panel = document.getElementById(id);
+        if (panel) panel.style.display = parseInt(panelStep) === step ? 'block' : 'none';
+    });
+
+    document.getElementById('csvWizardBackBtn').style.display = step > 1 ? '' : 'none';
+    document.getElementById('csvWizardNextBtn').style.display = step < 3 ? '' : 'none';
+    document.getElementById('csvWizardImportBtn').style.display = step === 3 ? '' : 'none';
+
+    document.getElementById('csvWizardInfo').textContent =
+        `${csvImportWizard.fileName} · ${csvImportWizard.rows.length} γραμμές · ${csvImportWizard.headers.length} στήλες` +
+        (csvImportWizard.encoding ? ` · ${csvImportWizard.encoding.used}` : '');
+
+    if (step === 1) {
+        renderCsvMapping();
+    } else if (step === 2) {
+        renderCsvPreview();
+    } else if (step === 3 && plan) {
+        renderCsvDryRun(plan);
+    }
+}
+
+/**
+ * Render field → column selects with a sample value
+ * @private
+ */
+function renderCsvMapping() {
+    const body = document.getElementById('csvMappingBody');
+    if (!body) return;
+
+    // Encoding override and decoded text (CSV only)
+    const encodingRow = document.getElementById('csvEncodingRow');
+    if (encodingRow) {
+        const { encoding } = csvImportWizard;
+        encodingRow.style.display = encoding ? 'block' : 'none';
+
+        if (encoding) {
+            const select = document.getElementById('csvEncoding');
+            select.value = encoding.selected;
+            select.querySelector('option[value="auto"]').textContent = `Αυτόματη (${encoding.detected})`;
+            document.getElementById('csvTextPreview').textContent = csvImportWizard.textPreview;
+        }
+    }
+
+    const firstRow = csvImportWizard.rows[0] || {};
+
+    body.innerHTML = csvImportWizard.getFields().map(({ field, label, required }) => {
+        const mapped = csvImportWizard.mapping[field] || '';
+        const options = csvImportWizard.headers.map(header =>
+            `<option value="${escapeHtml(header)}" ${header === mapped ? 'selected' : ''}>${escapeHtml(header)}</option>`
+        ).join('');
+
+        return `
+            <tr>
+                <td>${escapeHtml(label)}${required ? ' <span class="text-danger">*</span>' : ''}</td>
+                <td>
+                    <select class="form-select form-select-compact csv-mapping-select" data-field="${field}">
+                        <option value="">— Καμία —</option>
+                        ${options}
+                    </select>
+                </td>
+                <td>${mapped ? escapeHtml(String(firstRow[mapped] ?? '')) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the first rows with per-cell errors / auto-fixes
+ * @private
+ */
+function renderCsvPreview() {
+    const head = document.getElementById('csvPreviewHead');
+    const body = document.getElementById('csvPreviewBody');
+    if (!head || !body) return;
+
+    const fields = csvImportWizard.getFields().filter(({ field }) => csvImportWizard.mapping[field]);
+    const rows = csvImportWizard.getPreview();
+
+    head.innerHTML = `
+        <tr>
+            <th>#</th>
+            ${fields.map(({ label }) => `<th>${escapeHtml(label)}</th>`).join('')}
+        </tr>
+    `;
+
+    body.innerHTML = rows.map(result => `
+        <tr class="${result.valid ? '' : 'row-overdue'}">
+            <td>${result.row}</td>
+            ${fields.map(({ field }) => `<td>${formatCsvCell(field, result.cells[field])}</td>`).join('')}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Format a preview cell (value plus highlighted issue)
+ * @param {string} field - Field key
+ * @param {Object} cell - Cell from csvValidator.inspectRows
+ * @returns {string} HTML
+ * @private
+ */
+function formatCsvCell(field, cell) {
+    if (cell.errors.length > 0) {
+        const message = cell.errors.map(e => e.message).join('\n');
+        return `<span class="csv-cell-error" title="${escapeHtml(message)}">${escapeHtml(String(cell.original)) || '∅'}</span>`;
+    }
+
+    let display = cell.value ?? '';
+    if (typeof display === 'number') {
+        display = field.endsWith('Percent') ? formatPercent(display) : formatCurrency(display);
+    }
+    display = escapeHtml(String(display));
+
+    if (cell.warnings.length > 0) {
+        const message = cell.warnings.map(w => w.message).join('\n');
+        return `<span class="csv-cell-warning" title="${escapeHtml(message)}">${display}</span>`;
+    }
+
+    if (cell.autoFixes.length > 0) {
+        const message = cell.autoFixes.map(f => `${f.original} → ${f.fixed}`).join('\n');
+        return `<span class="csv-cell-fixed" title="${escapeHtml(message)}">${display}</span>`;
+    }
+
+    return display;
+}
+
+/**
+ * Render dry run summary (nothing saved yet)
+ * @param {Object} plan - Result of csvImportWizard.dryRun
+ * @private
+ */
+function renderCsvDryRun(plan) {
+    const summaryEl = document.getElementById('csvDryRunSummary');
+    if (!summaryEl) return;
+
+    const fileDuplicates = plan.duplicates.filter(d => d.reason === 'file').length;
+    const listIssues = (issues, limit = 5) => issues.length > 0
+        ? `<ul>${issues.slice(0, limit).map(i => `<li>${escapeHtml(i.message)}</li>`).join('')}</ul>` +
+          (issues.length > limit ? `<p class="help-text">(+${issues.length - limit} ακόμα)</p>` : '')
+        : '';
+
+    summaryEl.innerHTML = `
+        <div class="kpi-grid kpi-grid-compact">
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Νέες Εγγραφές</div>
+                <div class="kpi-value kpi-value-compact">${plan.inserts.length}</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Ενημερώσεις</div>
+                <div class="kpi-value kpi-value-compact">${plan.updates.length}</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Διπλότυπα (παράλειψη)</div>
+                <div class="kpi-value kpi-value-compact">${plan.duplicates.length}</div>
+                <div class="kpi-percent">${fileDuplicates} εντός αρχείου</div>
+            </div>
+            <div class="kpi-card kpi-card-compact">
+                <div class="kpi-label">Μη έγκυρες (παράλειψη)</div>
+                <div class="kpi-value kpi-value-compact ${plan.invalid.length > 0 ? 'text-danger' : ''}">${plan.invalid.length}</div>
+            </div>
+        </div>
+        ${plan.autoFixes.length > 0 ? `<p>⚡ Αυτόματες διορθώσεις: ${plan.autoFixes.length}</p>` : ''}
+        ${plan.newSources.length > 0 ? `<p>➕ Νέα διαγνωστικά: ${escapeHtml(plan.newSources.join(', '))}</p>` : ''}
+        ${plan.newInsurances.length > 0 ? `<p>➕ Νέες ασφάλειες: ${escapeHtml(plan.newInsurances.join(', '))}</p>` : ''}
+        ${plan.errors.length > 0 ? `<h5 class="text-danger">Σφάλματα (${plan.errors.length})</h5>${listIssues(plan.errors)}` : ''}
+        ${plan.warnings.length > 0 ? `<h5>Προειδοποιήσεις (${plan.warnings.length})</h5>${listIssues(plan.warnings)}` : ''}
+    `;
+}
+
 // ========================================
 // Export All
 // ========================================
 export default {
     showToast,
+    showActionToast,
     renderDashboard,
     renderRecentEntries,
     renderCharts,
@@ -958,5 +2000,18 @@ export default {
     renderPagination,
     renderSourcesAndInsurances,
     setupSortable,
-    setupTableSorting
+    setupTableSorting,
+    renderReceivablesView,
+    renderBankTransactions,
+    renderDeductionTemplates,
+    renderRebateBrackets,
+    renderRebateBracketRow,
+    renderSnapshots,
+    renderBackupDiff,
+    renderReconciliationView,
+    renderStatementPreview,
+    renderExpensesView,
+    renderBudgetGrid,
+    renderCsvImportWizard,
+    renderEntryHistory
 };
\ No newline at end of file
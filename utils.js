@@ -11,6 +11,8 @@ export const STRINGS = Object.freeze({
     errors: {
         invalidDate: 'Μη έγκυρη ημερομηνία. Χρησιμοποιήστε μορφή ΜΜ/ΕΕΕΕ',
         duplicateEntry: 'Υπάρχει ήδη εγγραφή για αυτή την ημερομηνία και πηγή!',
+        duplicateEntryFull: 'Υπάρχει ήδη εγγραφή για αυτή την ημερομηνία, πηγή, ασφάλεια και τύπο!',
+        duplicateInvoice: 'Υπάρχει ήδη εγγραφή με αυτόν τον αριθμό τιμολογίου!',
         quotaExceeded: 'Ο διαθέσιμος χώρος αποθήκευσης εξαντλήθηκε',
         importFailed: 'Η εισαγωγή απέτυχε',
         networkError: 'Σφάλμα δικτύου',
@@ -657,6 +659,33 @@ export function readFileAsDataURL(file) {
     });
 }
 
+/**
+ * Encode bytes as base64 (chunked - large buffers overflow the argument limit)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+export function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
 // ========================================
 // Network Utilities
 // ========================================
@@ -762,6 +791,8 @@ export default {
     downloadBlob,
     readFileAsText,
     readFileAsDataURL,
+    bytesToBase64,
+    base64ToBytes,
     checkInternetConnection,
     checkCDNAvailability,
     safeAsync,
@@ -0,0 +1,217 @@
+/**
+ * xlsxExport.js - Excel Import / Export Manager
+ * Reads .xlsx sheets into CSV-like rows and writes multi-sheet workbooks (SheetJS)
+ * Version: 2.0
+ */
+
+import { formatMonthYear } from './utils.js';
+
+// ========================================
+// Configuration
+// ========================================
+const XLSX_CONFIG = {
+    formats: {
+        currency: '#,##0.00 "€";-#,##0.00 "€"',
+        number: '#,##0.00',
+        integer: '0',
+        percent: '0.00%'
+    },
+    maxSheetNameLength: 31,
+    minColumnWidth: 10
+};
+
+// ========================================
+// XLSX Manager Class
+// ========================================
+class XLSXManager {
+    /**
+     * Check if SheetJS is loaded
+     * @returns {boolean} Availability
+     */
+    isAvailable() {
+        return typeof window !== 'undefined' && typeof window.XLSX !== 'undefined';
+    }
+
+    // ========================================
+    // Import
+    // ========================================
+
+    /**
+     * Read the first sheet of a workbook as header-keyed rows
+     * Cells are converted to the text the CSV pipeline expects, so the rows can
+     * go through csvValidator exactly like PapaParse output.
+     * @param {File} file - .xlsx / .xls file
+     * @returns {Promise<Object>} {sheetName, headers, rows}
+     */
+    async readFile(file) {
+        if (!this.isAvailable()) {
+            throw new Error('Η βιβλιοθήκη SheetJS (Excel) δεν είναι διαθέσιμη');
+        }
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+            const sheetName = workbook.SheetNames[0];
+            const sheet = workbook.Sheets[sheetName];
+
+            if (!sheet || !sheet['!ref']) {
+                throw new Error('Το φύλλο Excel είναι κενό');
+            }
+
+            const range = XLSX.utils.decode_range(sheet['!ref']);
+            const readRow = r => {
+                const values = [];
+                for (let c = range.s.c; c <= range.e.c; c++) {
+                    values.push(this.toCellText(sheet[XLSX.utils.encode_cell({ r, c })]));
+                }
+                return values;
+            };
+
+            const headerValues = readRow(range.s.r).map(h => h.trim());
+            const rows = [];
+
+            for (let r = range.s.r + 1; r <= range.e.r; r++) {
+                const values = readRow(r);
+                if (values.every(v => v.trim() === '')) continue;
+
+                const row = {};
+                headerValues.forEach((header, i) => {
+                    if (header) row[header] = values[i];
+                });
+                rows.push(row);
+            }
+
+            return {
+                sheetName,
+                headers: headerValues.filter(h => h !== ''),
+                rows
+            };
+        } catch (error) {
+            console.error('[XLSX] Read error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a cell to CSV-style text
+     * Date cells become MM/YYYY; numbers use a decimal comma because the
+     * validator treats dots as thousand separators.
+     * @param {Object|undefined} cell - SheetJS cell
+     * @returns {string} Text
+     * @private
+     */
+    toCellText(cell) {
+        if (!cell || cell.v === null || cell.v === undefined) return '';
+
+        if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+            const date = XLSX.SSF.parse_date_code(cell.v);
+            return formatMonthYear(date.m, date.y);
+        }
+
+        if (cell.t === 'd' && cell.v instanceof Date) {
+            return formatMonthYear(cell.v.getMonth() + 1, cell.v.getFullYear());
+        }
+
+        if (cell.t === 'n') {
+            return String(cell.v).replace('.', ',');
+        }
+
+        return String(cell.v);
+    }
+
+    // ========================================
+    // Export
+    // ========================================
+
+    /**
+     * Write a workbook and download it
+     * @param {Array} sheets - [{name, columns: [{header, format}], rows: [[value|{value, format}]]}]
+     * @param {string} fileName - File name (.xlsx)
+     */
+    exportWorkbook(sheets, fileName) {
+        if (!this.isAvailable()) {
+            throw new Error('Η βιβλιοθήκη SheetJS (Excel) δεν είναι διαθέσιμη');
+        }
+
+        try {
+            const workbook = XLSX.utils.book_new();
+            const usedNames = new Set();
+
+            sheets.forEach(sheet => {
+                let name = this.sanitizeSheetName(sheet.name);
+                for (let i = 2; usedNames.has(name); i++) {
+                    name = `${name.substring(0, XLSX_CONFIG.maxSheetNameLength - 3)} ${i}`;
+                }
+                usedNames.add(name);
+
+                XLSX.utils.book_append_sheet(workbook, this.buildSheet(sheet), name);
+            });
+
+            XLSX.writeFile(workbook, fileName);
+            console.log(`[XLSX] Exported ${sheets.length} sheets: ${fileName}`);
+        } catch (error) {
+            console.error('[XLSX] Export error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a worksheet with number formats
+     * Percent values are given as percentages (24 = 24%).
+     * @param {Object} sheet - Sheet definition
+     * @returns {Object} SheetJS worksheet
+     * @private
+     */
+    buildSheet(sheet) {
+        const formats = [];
+
+        const data = sheet.rows.map((row, r) => row.map((cell, c) => {
+            const isObject = cell !== null && typeof cell === 'object';
+            const value = isObject ? cell.value : cell;
+            const format = (isObject && cell.format) || sheet.columns[c]?.format;
+
+            if (typeof value !== 'number' || !XLSX_CONFIG.formats[format]) return value;
+
+            formats.push({ r: r + 1, c, z: XLSX_CONFIG.formats[format] });
+            return format === 'percent' ? value / 100 : value;
+        }));
+
+        const worksheet = XLSX.utils.aoa_to_sheet([sheet.columns.map(col => col.header), ...data]);
+
+        formats.forEach(({ r, c, z }) => {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            if (cell) cell.z = z;
+        });
+
+        worksheet['!cols'] = sheet.columns.map((col, c) => ({
+            wch: Math.max(
+                XLSX_CONFIG.minColumnWidth,
+                col.header.length + 2,
+                ...data.map(row => (typeof row[c] === 'string' ? row[c].length + 2 : 0))
+            )
+        }));
+
+        return worksheet;
+    }
+
+    /**
+     * Excel sheet names: max 31 chars, no []:*?/\
+     * @param {string} name - Sheet name
+     * @returns {string} Valid name
+     * @private
+     */
+    sanitizeSheetName(name) {
+        return (name || 'Φύλλο').replace(/[[\]:*?/\\]/g, '-').substring(0, XLSX_CONFIG.maxSheetNameLength);
+    }
+}
+
+// ========================================
+// Singleton Instance
+// ========================================
+const xlsxManager = new XLSXManager();
+
+// ========================================
+// Export
+// ========================================
+export { XLSXManager, XLSX_CONFIG };
+export default xlsxManager;